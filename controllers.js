@@ -1,6 +1,14 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { executeQuery } = require('./database');
+const { parseFenceGeometry } = require('./services/geofence');
+const { normalizePolygonGeometry, geometryEnclosingCircle } = require('./services/geo');
+const { trackStats, simplifyTrack } = require('./services/track');
+const { ingestBatch } = require('./services/locationIngest');
+const { parseTimeRange } = require('./services/time');
+const { stopEscalation } = require('./services/escalation');
+const { emitAlert } = require('./services/alerts');
+const gpsEmitter = require('./gpsEvents');
 
 // User login
 const login = async (req, res) => {
@@ -186,6 +194,7 @@ const getAnimals = async (req, res) => {
          breed,
          gender,
          birth_date,
+         herd_group,
          notes AS details,
          NULL AS health_status,
          NULL AS weight_kg
@@ -219,7 +228,7 @@ const addAnimal = async (req, res) => {
   try {
     const farmId = 1; // Default farm for demo
   // Accept all relevant fields from frontend
-  const { name, tag_number, breed, gender, birth_date, notes } = req.body;
+  const { name, tag_number, breed, gender, birth_date, notes, herd_group } = req.body;
     const debug = process.env.NODE_ENV !== 'production';
 
     if (!name || !tag_number) {
@@ -237,9 +246,9 @@ const addAnimal = async (req, res) => {
 
     // Insert animal with all fields
     const insert = await executeQuery(
-      `INSERT INTO animals (farm_id, name, tag_number, breed, gender, birth_date, notes)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [farmId, name, tag_number, breed || null, gender || 'female', birth_date || null, notes || null]
+      `INSERT INTO animals (farm_id, name, tag_number, breed, gender, birth_date, notes, herd_group)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [farmId, name, tag_number, breed || null, gender || 'female', birth_date || null, notes || null, herd_group || null]
     );
 
     if (!insert.success) {
@@ -256,18 +265,22 @@ const addAnimal = async (req, res) => {
     let created;
     if (newId) {
       created = await executeQuery(
-        `SELECT id, name, tag_number, breed, gender, birth_date, notes
+        `SELECT id, name, tag_number, breed, gender, birth_date, notes, herd_group
          FROM animals WHERE id = ?`,
         [newId]
       );
     } else {
       created = await executeQuery(
-        `SELECT id, name, tag_number, breed, gender, birth_date, notes
+        `SELECT id, name, tag_number, breed, gender, birth_date, notes, herd_group
          FROM animals WHERE tag_number = ? LIMIT 1`,
         [tag_number]
       );
     }
 
+    if (created.success && created.data.length) {
+      gpsEmitter.emit('animal', { type: 'created', farm_id: farmId, animal: created.data[0] });
+    }
+
     return res.status(201).json({ success: true, data: (created.success ? created.data[0] : null) });
   } catch (error) {
     console.error('Add animal error:', error);
@@ -280,7 +293,7 @@ const addAnimal = async (req, res) => {
     try {
       const { id } = req.params;
       const result = await executeQuery(
-        `SELECT id, name, tag_number, breed, gender, notes AS details, is_active
+        `SELECT id, name, tag_number, breed, gender, herd_group, notes AS details, is_active
          FROM animals WHERE id = ?`,
         [id]
       );
@@ -304,10 +317,10 @@ const addAnimal = async (req, res) => {
       if (!id || Number.isNaN(Number(id))) {
         return res.status(400).json({ success: false, message: 'Invalid animal id' });
       }
-      const { name, tag_number, breed, gender, birth_date, notes, is_active } = req.body;
+      const { name, tag_number, breed, gender, birth_date, notes, is_active, herd_group } = req.body;
 
       // Ensure animal exists
-      const existing = await executeQuery('SELECT id FROM animals WHERE id = ?', [id]);
+      const existing = await executeQuery('SELECT id, farm_id FROM animals WHERE id = ?', [id]);
       if (!existing.success || existing.data.length === 0) {
         return res.status(404).json({ success: false, message: 'Animal not found' });
       }
@@ -328,6 +341,7 @@ const addAnimal = async (req, res) => {
       if (birth_date !== undefined) { fields.push('birth_date = ?'); params.push(birth_date); }
       if (notes !== undefined) { fields.push('notes = ?'); params.push(notes); }
       if (is_active !== undefined) { fields.push('is_active = ?'); params.push(!!is_active); }
+      if (herd_group !== undefined) { fields.push('herd_group = ?'); params.push(herd_group || null); }
 
       if (fields.length === 0) {
         return res.status(400).json({ success: false, message: 'No fields to update' });
@@ -349,9 +363,12 @@ const addAnimal = async (req, res) => {
       }
 
       const updated = await executeQuery(
-        'SELECT id, name, tag_number, breed, gender, birth_date, notes FROM animals WHERE id = ?',
+        'SELECT id, name, tag_number, breed, gender, birth_date, notes, herd_group FROM animals WHERE id = ?',
         [id]
       );
+      if (updated.success && updated.data.length) {
+        gpsEmitter.emit('animal', { type: 'updated', farm_id: existing.data[0].farm_id, animal: updated.data[0] });
+      }
       res.json({ success: true, data: updated.success ? updated.data[0] : null });
     } catch (error) {
       console.error('Update animal error:', error);
@@ -413,6 +430,8 @@ const addAnimal = async (req, res) => {
         [resolvedBy, id]
       );
       if (!upd.success) return res.status(500).json({ success: false, message: 'Failed to resolve alert' });
+      await stopEscalation(id, 'resolved');
+      await emitAlertStatus(id);
       res.json({ success: true, message: 'Alert resolved' });
     } catch (error) {
       console.error('Resolve alert error:', error);
@@ -424,19 +443,7 @@ const addAnimal = async (req, res) => {
 const updateAnimalLocation = async (req, res) => {
   try {
     const { id } = req.params; // animal id
-    const {
-      latitude,
-      longitude,
-      altitude_meters = null,
-      accuracy_meters = null,
-      speed_kmh = null,
-      heading_degrees = null,
-      recorded_at = null,
-      battery_level = null,
-      signal_quality = null,
-      temperature_celsius = null,
-      collar_id = null
-    } = req.body;
+    const { latitude, longitude, recorded_at = null } = req.body;
 
     if (!latitude || !longitude) {
       return res.status(400).json({ success: false, message: 'latitude and longitude are required' });
@@ -448,30 +455,23 @@ const updateAnimalLocation = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Animal not found' });
     }
 
-    const sql = `INSERT INTO animal_locations (
-      animal_id, collar_id, latitude, longitude, altitude_meters, accuracy_meters,
-      speed_kmh, heading_degrees, recorded_at, battery_level, signal_quality, temperature_celsius
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-
-    const params = [
-      id,
-      collar_id,
-      Number(latitude),
-      Number(longitude),
-      altitude_meters,
-      accuracy_meters,
-      speed_kmh,
-      heading_degrees,
-      recorded_at ? recorded_at : new Date(),
-      battery_level,
-      signal_quality,
-      temperature_celsius
-    ];
-
-    const insertRes = await executeQuery(sql, params);
-    if (!insertRes.success) return res.status(500).json({ success: false, message: 'Failed to save location', error: insertRes.error });
-
-    return res.status(201).json({ success: true, message: 'Location saved', id: insertRes.insertId || null });
+    // Same path as device fixes: timestamp parsing, clock and quality checks, dedupe on
+    // (collar, recorded_at), fences, current_locations and alert rules
+    const { results } = await ingestBatch([{ ...req.body, animal_id: Number(id), recorded_at: recorded_at || new Date() }]);
+    const result = results[0];
+    if (result.status === 'rejected') return res.status(400).json({ success: false, message: result.error });
+    if (result.status === 'error') return res.status(500).json({ success: false, message: 'Failed to save location' });
+    if (result.status === 'duplicate') return res.json({ success: true, message: 'Location already stored', duplicate: true });
+
+    return res.status(201).json({
+      success: true,
+      message: result.quarantined ? 'Location saved (quarantined as a low quality fix)' : 'Location saved',
+      id: result.id || null,
+      is_within_fence: result.is_within_fence,
+      quarantined: result.quarantined,
+      quality_score: result.quality_score,
+      quality_flags: result.quality_flags
+    });
   } catch (error) {
     console.error('Update animal location error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
@@ -484,10 +484,14 @@ const getVirtualFences = async (req, res) => {
     const farmId = 1; // Default farm for demo
 
     const result = await executeQuery(
-      'SELECT id, name, description, center_latitude, center_longitude, radius_meters, fence_type, is_active FROM virtual_fences WHERE farm_id = ?',
+      'SELECT id, name, description, center_latitude, center_longitude, radius_meters, fence_type, shape, geojson, is_active FROM virtual_fences WHERE farm_id = ?',
       [farmId]
     );
-    const fences = result.success ? result.data : [];
+    // Return polygon geometry as parsed GeoJSON rather than the stored string
+    const fences = (result.success ? result.data : []).map(({ geojson, ...f }) => ({
+      ...f,
+      geometry: parseFenceGeometry({ ...f, geojson })
+    }));
 
     res.json({
       success: true,
@@ -503,6 +507,47 @@ const getVirtualFences = async (req, res) => {
   }
 };
 
+// Validate fence fields shared by create and update.
+// Circle fences need center + radius; polygon fences need a GeoJSON Polygon/MultiPolygon `geometry`
+// (a Feature is accepted too). Returns { error } or { values } for the shape columns.
+const validateFenceInput = (body) => {
+  const { name, center_latitude, center_longitude, radius_meters, geometry } = body;
+  const shape = (body.shape === 'polygon' || geometry) ? 'polygon' : 'circle';
+
+  if (shape === 'polygon') {
+    if (!name || !geometry) return { error: 'Name and geometry are required for polygon fences' };
+    const normalized = normalizePolygonGeometry(geometry);
+    if (normalized.error) return { error: `Invalid fence geometry: ${normalized.error}` };
+    // Keep center/radius populated with an enclosing circle for circle-only clients
+    const circle = geometryEnclosingCircle(normalized.geometry);
+    return {
+      values: {
+        shape,
+        geojson: JSON.stringify(normalized.geometry),
+        center_latitude: circle.centerLatitude,
+        center_longitude: circle.centerLongitude,
+        radius_meters: circle.radiusMeters
+      }
+    };
+  }
+
+  if (!name || !center_latitude || !center_longitude || !radius_meters) {
+    return { error: 'Name, coordinates, and radius are required' };
+  }
+  if (center_latitude < -90 || center_latitude > 90) {
+    return { error: 'Latitude must be between -90 and 90' };
+  }
+  if (center_longitude < -180 || center_longitude > 180) {
+    return { error: 'Longitude must be between -180 and 180' };
+  }
+  if (radius_meters < 50 || radius_meters > 10000) {
+    return { error: 'Radius must be between 50 and 10000 meters' };
+  }
+  return {
+    values: { shape, geojson: null, center_latitude, center_longitude, radius_meters }
+  };
+};
+
 // Create virtual fence
 const createVirtualFence = async (req, res) => {
   try {
@@ -511,55 +556,32 @@ const createVirtualFence = async (req, res) => {
     const {
       name,
       description,
-      center_latitude,
-      center_longitude,
-      radius_meters,
       fence_type,
       is_active
     } = req.body;
 
-    // Validate required fields
-    if (!name || !center_latitude || !center_longitude || !radius_meters) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, coordinates, and radius are required'
-      });
-    }
-
-    // Validate coordinate ranges
-    if (center_latitude < -90 || center_latitude > 90) {
-      return res.status(400).json({
-        success: false,
-        message: 'Latitude must be between -90 and 90'
-      });
-    }
-
-    if (center_longitude < -180 || center_longitude > 180) {
-      return res.status(400).json({
-        success: false,
-        message: 'Longitude must be between -180 and 180'
-      });
-    }
-
-    // Validate radius
-    if (radius_meters < 50 || radius_meters > 10000) {
+    const fenceInput = validateFenceInput(req.body);
+    if (fenceInput.error) {
       return res.status(400).json({
         success: false,
-        message: 'Radius must be between 50 and 10000 meters'
+        message: fenceInput.error
       });
     }
+    const shapeValues = fenceInput.values;
 
     const result = await executeQuery(
       `INSERT INTO virtual_fences 
-       (farm_id, name, description, center_latitude, center_longitude, radius_meters, fence_type, is_active, created_by) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       (farm_id, name, description, center_latitude, center_longitude, radius_meters, shape, geojson, fence_type, is_active, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         farmId,
         name,
         description || null,
-        center_latitude,
-        center_longitude,
-        radius_meters,
+        shapeValues.center_latitude,
+        shapeValues.center_longitude,
+        shapeValues.radius_meters,
+        shapeValues.shape,
+        shapeValues.geojson,
         fence_type || 'custom',
         is_active !== false,
         createdBy
@@ -593,43 +615,18 @@ const updateVirtualFence = async (req, res) => {
     const {
       name,
       description,
-      center_latitude,
-      center_longitude,
-      radius_meters,
       fence_type,
       is_active
     } = req.body;
 
-    // Validate required fields
-    if (!name || !center_latitude || !center_longitude || !radius_meters) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, coordinates, and radius are required'
-      });
-    }
-
-    // Validate coordinate ranges
-    if (center_latitude < -90 || center_latitude > 90) {
-      return res.status(400).json({
-        success: false,
-        message: 'Latitude must be between -90 and 90'
-      });
-    }
-
-    if (center_longitude < -180 || center_longitude > 180) {
+    const fenceInput = validateFenceInput(req.body);
+    if (fenceInput.error) {
       return res.status(400).json({
         success: false,
-        message: 'Longitude must be between -180 and 180'
-      });
-    }
-
-    // Validate radius
-    if (radius_meters < 50 || radius_meters > 10000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Radius must be between 50 and 10000 meters'
+        message: fenceInput.error
       });
     }
+    const shapeValues = fenceInput.values;
 
     // Check if fence exists and belongs to farm
     const checkResult = await executeQuery(
@@ -647,14 +644,16 @@ const updateVirtualFence = async (req, res) => {
     const result = await executeQuery(
       `UPDATE virtual_fences 
        SET name = ?, description = ?, center_latitude = ?, center_longitude = ?, 
-           radius_meters = ?, fence_type = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP 
+           radius_meters = ?, shape = ?, geojson = ?, fence_type = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP 
        WHERE id = ? AND farm_id = ?`,
       [
         name,
         description || null,
-        center_latitude,
-        center_longitude,
-        radius_meters,
+        shapeValues.center_latitude,
+        shapeValues.center_longitude,
+        shapeValues.radius_meters,
+        shapeValues.shape,
+        shapeValues.geojson,
         fence_type || 'custom',
         is_active !== false,
         id,
@@ -761,7 +760,7 @@ const getAnimalLocations = async (req, res) => {
          al.battery_level
        FROM animal_locations al
        JOIN animals a ON al.animal_id = a.id
-       WHERE a.farm_id = ?
+       WHERE a.farm_id = ? AND al.is_quarantined = FALSE
        ORDER BY al.recorded_at DESC`,
       [farmId]
     );
@@ -778,6 +777,79 @@ const getAnimalLocations = async (req, res) => {
   }
 };
 
+// Get an animal's track (GET /dashboard/animals/:id/track?from=&to=&tolerance=&max_points=)
+// tolerance is in meters (Douglas-Peucker); max_points caps the number of returned fixes.
+// Stats are always computed from the full-resolution track. Quarantined (low quality) fixes are
+// left out unless include_quarantined=true.
+const getAnimalTrack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || Number.isNaN(Number(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid animal id' });
+    }
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    const tolerance = req.query.tolerance !== undefined ? Number(req.query.tolerance) : null;
+    const maxPoints = req.query.max_points !== undefined ? parseInt(req.query.max_points, 10) : null;
+    if (tolerance !== null && (!Number.isFinite(tolerance) || tolerance < 0)) {
+      return res.status(400).json({ success: false, message: 'tolerance must be a non-negative number of meters' });
+    }
+    if (maxPoints !== null && (!Number.isFinite(maxPoints) || maxPoints < 2)) {
+      return res.status(400).json({ success: false, message: 'max_points must be at least 2' });
+    }
+
+    const animalCheck = await executeQuery('SELECT id FROM animals WHERE id = ?', [id]);
+    if (!animalCheck.success || animalCheck.data.length === 0) {
+      return res.status(404).json({ success: false, message: 'Animal not found' });
+    }
+
+    const includeQuarantined = req.query.include_quarantined === 'true' || req.query.include_quarantined === '1';
+
+    // Guard against unbounded reads for very long ranges
+    const maxFixes = parseInt(process.env.TRACK_MAX_FIXES, 10) || 50000;
+    const result = await executeQuery(
+      `SELECT id, collar_id, latitude, longitude, altitude_meters, speed_kmh, heading_degrees,
+              recorded_at, battery_level, temperature_celsius, is_within_fence,
+              quality_score, quality_flags, is_quarantined
+       FROM animal_locations
+       WHERE animal_id = ? AND recorded_at >= ? AND recorded_at <= ?${includeQuarantined ? '' : ' AND is_quarantined = FALSE'}
+       ORDER BY recorded_at ASC, id ASC
+       LIMIT ${maxFixes + 1}`,
+      [id, range.from, range.to]
+    );
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: 'Failed to load track' });
+    }
+
+    const truncated = result.data.length > maxFixes;
+    const fixes = (truncated ? result.data.slice(0, maxFixes) : result.data).map(p => ({
+      ...p,
+      latitude: Number(p.latitude),
+      longitude: Number(p.longitude)
+    }));
+    const points = simplifyTrack(fixes, { toleranceMeters: tolerance, maxPoints });
+
+    res.json({
+      success: true,
+      data: {
+        animal_id: Number(id),
+        from: range.from,
+        to: range.to,
+        stats: trackStats(includeQuarantined ? fixes.filter(p => !p.is_quarantined) : fixes),
+        total_points: fixes.length,
+        returned_points: points.length,
+        simplified: points.length < fixes.length,
+        truncated,
+        points
+      }
+    });
+  } catch (error) {
+    console.error('Get animal track error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
 // Get alerts (return all alerts, latest first)
 const getAlerts = async (req, res) => {
   try {
@@ -788,9 +860,13 @@ const getAlerts = async (req, res) => {
          id,
          animal_id,
          alert_type,
+         rule_id,
          severity,
          message,
          triggered_at AS timestamp,
+         occurrence_count,
+         first_seen_at,
+         last_seen_at,
          status,
          location_latitude,
          location_longitude
@@ -815,6 +891,18 @@ const getAlerts = async (req, res) => {
   }
 };
 
+// Publish an alert after a status change (live listeners, webhooks)
+const emitAlertStatus = async (id) => {
+  const r = await executeQuery(
+    `SELECT id, farm_id, animal_id, collar_id, fence_id, rule_id, alert_type, severity, title, message,
+            location_latitude AS latitude, location_longitude AS longitude, triggered_at, status, occurrence_count,
+            acknowledged_at, acknowledged_by, resolved_at, resolved_by
+     FROM alerts WHERE id = ?`,
+    [id]
+  );
+  if (r.success && r.data.length) emitAlert(r.data[0]);
+};
+
 // Mark alert as read (acknowledged)
 const markAlertRead = async (req, res) => {
   try {
@@ -836,6 +924,9 @@ const markAlertRead = async (req, res) => {
     if (!result.success) {
       return res.status(500).json({ success: false, message: 'Failed to mark alert as read' });
     }
+    // Acknowledging stops any escalation in progress
+    await stopEscalation(id, 'acknowledged');
+    await emitAlertStatus(id);
 
     res.json({ success: true, message: 'Alert marked as read' });
   } catch (error) {
@@ -854,14 +945,26 @@ const deleteAllAlerts = async (req, res) => {
     }
 
     const farmId = 1; // default farm
-    // Mark all active alerts as resolved (safer than hard delete)
-    const updater = await executeQuery(
-      `UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by = ? WHERE farm_id = ? AND status <> 'resolved'`,
-      [user.id || null, farmId]
-    );
-    if (!updater.success) return res.status(500).json({ success: false, message: 'Failed to clear alerts' });
+    // Mark all active alerts as resolved (safer than hard delete).
+    // Resolve by id so each closed alert can stop its escalation and emit alert.resolved like a single resolve.
+    const open = await executeQuery(`SELECT id FROM alerts WHERE farm_id = ? AND status <> 'resolved'`, [farmId]);
+    if (!open.success) return res.status(500).json({ success: false, message: 'Failed to clear alerts' });
+    const ids = open.data.map(a => a.id);
+    for (let i = 0; i < ids.length; i += 500) {
+      const chunk = ids.slice(i, i + 500);
+      const updater = await executeQuery(
+        `UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+         WHERE id IN (${chunk.map(() => '?').join(', ')}) AND status <> 'resolved'`,
+        [user.id || null, ...chunk]
+      );
+      if (!updater.success) return res.status(500).json({ success: false, message: 'Failed to clear alerts' });
+    }
+    for (const id of ids) {
+      await stopEscalation(id, 'resolved');
+      await emitAlertStatus(id);
+    }
 
-    return res.json({ success: true, message: 'All alerts cleared' });
+    return res.json({ success: true, message: 'All alerts cleared', resolved: ids.length });
   } catch (err) {
     console.error('Delete all alerts error:', err);
     return res.status(500).json({ success: false, message: 'Internal server error' });
@@ -890,6 +993,7 @@ module.exports = {
   updateVirtualFence,
   deleteVirtualFence,
   getAnimalLocations,
+  getAnimalTrack,
   getAlerts,
   markAlertRead,
   getAnimalById,
@@ -12,12 +12,21 @@ const dbConfig = {
   // Allow environment override for pool size; default to 5 to avoid excessive queuing
   // Many hosted MySQL users have low limits; override with DB_POOL_LIMIT env var if needed.
   connectionLimit: parseInt(process.env.DB_POOL_LIMIT, 10) || 5,
-  queueLimit: 0
+  queueLimit: 0,
+  // Dates are sent and read as UTC whatever the time zone of the Node process
+  timezone: 'Z'
 };
 
 // Create connection pool
 const pool = mysql.createPool(dbConfig);
 
+// Keep the session in UTC too so NOW() and TIMESTAMP columns agree with the Dates we send
+pool.pool.on('connection', (connection) => {
+  connection.query("SET time_zone = '+00:00'", (err) => {
+    if (err) console.warn('Failed to set session time zone to UTC:', err.message);
+  });
+});
+
 // Test database connection
 const testConnection = async () => {
   try {
@@ -49,8 +58,36 @@ const executeQuery = async (query, params = []) => {
   }
 };
 
+// Add a column to an existing table if it is missing.
+// MySQL has no ADD COLUMN IF NOT EXISTS, so check information_schema first.
+const ensureColumn = async (table, column, definition) => {
+  const check = await executeQuery(
+    `SELECT COUNT(*) AS total FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  if (!check.success) return check;
+  if (Number(check.data[0].total) > 0) return { success: true, data: null };
+  return executeQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+};
+
+// Add an index to an existing table if it is missing (columns is the SQL list, e.g. 'a, b').
+// Pass { unique: true } for a UNIQUE index; that fails while the table still holds duplicates.
+const ensureIndex = async (table, indexName, columns, { unique = false } = {}) => {
+  const check = await executeQuery(
+    `SELECT COUNT(*) AS total FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, indexName]
+  );
+  if (!check.success) return check;
+  if (Number(check.data[0].total) > 0) return { success: true, data: null };
+  return executeQuery(`ALTER TABLE ${table} ADD ${unique ? 'UNIQUE INDEX' : 'INDEX'} ${indexName} (${columns})`);
+};
+
 module.exports = {
   pool,
   testConnection,
-  executeQuery
+  executeQuery,
+  ensureColumn,
+  ensureIndex
 };
\ No newline at end of file
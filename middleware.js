@@ -1,40 +1,47 @@
 const jwt = require('jsonwebtoken');
+const { verifyDeviceRequest } = require('./services/deviceKeys');
 
-// Verify JWT token middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-  const devBypass = process.env.DEV_AUTH_BYPASS === 'true';
+const DEV_USER = { id: 1, email: 'dev@localhost', role: 'admin' };
+
+// Resolve the user for a bearer token: { user } or { status, message }.
+// Shared by authenticateToken and the WebSocket gateway so both accept the same tokens.
+const verifyAccessToken = (token) => {
+  const devBypass = process.env.DEV_AUTH_BYPASS === 'true' && process.env.NODE_ENV !== 'production';
 
   if (!token) {
-    if (devBypass && process.env.NODE_ENV !== 'production') {
+    if (devBypass) {
       console.warn('⚠️ DEV_AUTH_BYPASS enabled: allowing request without token (dev only)');
       // Inject a default demo user for development convenience
-      req.user = { id: 1, email: 'dev@localhost', role: 'admin' };
-      return next();
+      return { user: { ...DEV_USER } };
     }
+    return { status: 401, message: 'Access token required' };
+  }
+
+  try {
+    return { user: jwt.verify(token, process.env.JWT_SECRET) };
+  } catch (err) {
+    if (devBypass) {
+      console.warn('⚠️ DEV_AUTH_BYPASS enabled: token invalid but allowing request (dev only)');
+      return { user: { ...DEV_USER } };
+    }
+    return { status: 403, message: 'Invalid or expired token' };
+  }
+};
 
-    return res.status(401).json({
+// Verify JWT token middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  const result = verifyAccessToken(token);
+  if (!result.user) {
+    return res.status(result.status).json({
       success: false,
-      message: 'Access token required'
+      message: result.message
     });
   }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      if (devBypass && process.env.NODE_ENV !== 'production') {
-        console.warn('⚠️ DEV_AUTH_BYPASS enabled: token invalid but allowing request (dev only)');
-        req.user = { id: 1, email: 'dev@localhost', role: 'admin' };
-        return next();
-      }
-      return res.status(403).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
-    req.user = user;
-    next();
-  });
+  req.user = result.user;
+  next();
 };
 
 // Optional authentication (doesn't fail if no token)
@@ -52,7 +59,53 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+// Verify HMAC-signed requests from collars/gateways and attach req.device.
+// Set DEVICE_AUTH_OPTIONAL=true while migrating devices to let unsigned requests through.
+const authenticateDevice = async (req, res, next) => {
+  const keyId = req.headers['x-device-key'];
+  const allowUnsigned = process.env.DEVICE_AUTH_OPTIONAL === 'true';
+
+  if (!keyId && allowUnsigned) {
+    console.warn('⚠️ DEVICE_AUTH_OPTIONAL enabled: accepting unsigned device request to', req.originalUrl);
+    return next();
+  }
+
+  try {
+    const result = await verifyDeviceRequest({
+      keyId,
+      timestamp: req.headers['x-timestamp'],
+      signature: req.headers['x-signature'],
+      method: req.method,
+      url: req.originalUrl,
+      rawBody: req.rawBody
+    });
+    if (!result.device) {
+      return res.status(result.status || 401).json({
+        success: false,
+        message: result.message
+      });
+    }
+    req.device = result.device;
+    next();
+  } catch (err) {
+    console.error('Device authentication error:', err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// Accept either a signed device request or a logged-in user's bearer token
+// (used where both firmware and the dashboard call the same endpoint)
+const authenticateDeviceOrToken = (req, res, next) => {
+  if (!req.headers['x-device-key'] && req.headers['authorization']) {
+    return authenticateToken(req, res, next);
+  }
+  return authenticateDevice(req, res, next);
+};
+
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  authenticateDevice,
+  authenticateDeviceOrToken
 };
\ No newline at end of file
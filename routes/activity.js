@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { optionalAuth } = require('../middleware');
+const { parseTimeRange, toLocalDateString } = require('../services/time');
+const { getFarmSettings } = require('../services/farmSettings');
+
+// Daily activity metrics (rows written by the activity-rollup background job)
+
+// Complete days at the end of a range compared against the rest to spot a recent change
+const RECENT_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Herd comparison flags: z-score of an animal's distance vs the herd, and drop vs its own baseline
+const LOW_VS_HERD_Z = -1.5;
+const DROP_VS_BASELINE_PERCENT = -30;
+
+const toNumber = (v) => (v === null || v === undefined ? null : Number(v));
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const percentChange = (current, baseline) => (current !== null && baseline ? round(((current - baseline) / baseline) * 100) : null);
+
+const DAY_COLUMNS = `DATE_FORMAT(activity_date, '%Y-%m-%d') AS date, distance_meters, active_minutes, idle_minutes,
+  max_speed_kmh, avg_speed_kmh, fix_count, uptime_minutes, uptime_percent, first_fix_at, last_fix_at`;
+
+// GET /dashboard/animals/:id/activity?from=&to= - daily metrics with the herd average for each day
+router.get('/animals/:id/activity', optionalAuth, async (req, res) => {
+  try {
+    const animalId = Number(req.params.id);
+    if (!Number.isInteger(animalId) || animalId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid animal id' });
+    }
+    const range = parseTimeRange(req.query, 24 * 30);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    const animal = await executeQuery('SELECT id, farm_id, name, tag_number FROM animals WHERE id = ?', [animalId]);
+    if (!animal.success) return res.status(500).json({ success: false, message: 'Database error' });
+    if (animal.data.length === 0) return res.status(404).json({ success: false, message: 'Animal not found' });
+    const { farm_id: farmId, name, tag_number } = animal.data[0];
+
+    // Rollup days are farm-local calendar days
+    const { utc_offset_minutes: offset } = await getFarmSettings(farmId);
+    const fromDay = toLocalDateString(range.from, offset);
+    const toDay = toLocalDateString(range.to, offset);
+    const today = toLocalDateString(new Date(), offset);
+    const [days, herd] = await Promise.all([
+      executeQuery(
+        `SELECT ${DAY_COLUMNS} FROM animal_daily_activity
+         WHERE animal_id = ? AND activity_date BETWEEN ? AND ?
+         ORDER BY activity_date ASC`,
+        [animalId, fromDay, toDay]
+      ),
+      executeQuery(
+        `SELECT DATE_FORMAT(activity_date, '%Y-%m-%d') AS date, AVG(distance_meters) AS avg_distance_meters,
+                AVG(active_minutes) AS avg_active_minutes, COUNT(*) AS animals
+         FROM animal_daily_activity
+         WHERE farm_id = ? AND activity_date BETWEEN ? AND ?
+         GROUP BY activity_date`,
+        [farmId, fromDay, toDay]
+      )
+    ]);
+    if (!days.success || !herd.success) return res.status(500).json({ success: false, message: 'Database error' });
+
+    const herdByDay = new Map(herd.data.map(h => [h.date, h]));
+    const data = days.data.map(d => {
+      const h = herdByDay.get(d.date);
+      const herdDistance = h ? toNumber(h.avg_distance_meters) : null;
+      return {
+        ...d,
+        distance_meters: toNumber(d.distance_meters),
+        active_minutes: toNumber(d.active_minutes),
+        idle_minutes: toNumber(d.idle_minutes),
+        max_speed_kmh: toNumber(d.max_speed_kmh),
+        avg_speed_kmh: toNumber(d.avg_speed_kmh),
+        uptime_minutes: toNumber(d.uptime_minutes),
+        uptime_percent: toNumber(d.uptime_percent),
+        herd: h ? { avg_distance_meters: round(herdDistance), avg_active_minutes: round(toNumber(h.avg_active_minutes)), animals: Number(h.animals) } : null,
+        distance_vs_herd_percent: percentChange(toNumber(d.distance_meters), herdDistance)
+      };
+    });
+
+    // Today is still filling up: the summary only uses complete days
+    const complete = data.filter(d => d.date < today);
+    const distances = complete.map(d => d.distance_meters);
+    const recent = mean(distances.slice(-RECENT_DAYS));
+    const earlier = mean(distances.slice(0, -RECENT_DAYS));
+    return res.json({
+      success: true,
+      data: {
+        animal_id: animalId,
+        name,
+        tag_number,
+        from: fromDay,
+        to: toDay,
+        summary: {
+          days: complete.length,
+          avg_distance_meters: round(mean(distances)),
+          avg_active_minutes: round(mean(complete.map(d => d.active_minutes))),
+          avg_uptime_percent: round(mean(complete.map(d => d.uptime_percent))),
+          recent_distance_change_percent: complete.length > RECENT_DAYS ? percentChange(recent, earlier) : null
+        },
+        days: data
+      }
+    });
+  } catch (err) {
+    console.error('Get animal activity error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /dashboard/animals/:id/hourly?from=&to= - hourly summaries that replace raw fixes once
+// they are past the retention window (see services/retention.js)
+router.get('/animals/:id/hourly', optionalAuth, async (req, res) => {
+  try {
+    const animalId = Number(req.params.id);
+    if (!Number.isInteger(animalId) || animalId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid animal id' });
+    }
+    const range = parseTimeRange(req.query, 24 * 90);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    const r = await executeQuery(
+      `SELECT hour_start, fix_count, centroid_latitude, centroid_longitude, distance_meters,
+              min_temperature_celsius, max_temperature_celsius, min_battery_level, max_battery_level,
+              first_fix_at, last_fix_at
+       FROM animal_location_hourly
+       WHERE animal_id = ? AND hour_start >= ? AND hour_start <= ?
+       ORDER BY hour_start ASC`,
+      [animalId, range.from, range.to]
+    );
+    if (!r.success) return res.status(500).json({ success: false, message: 'Database error' });
+    const data = r.data.map(h => ({
+      ...h,
+      centroid_latitude: toNumber(h.centroid_latitude),
+      centroid_longitude: toNumber(h.centroid_longitude),
+      distance_meters: toNumber(h.distance_meters),
+      min_temperature_celsius: toNumber(h.min_temperature_celsius),
+      max_temperature_celsius: toNumber(h.max_temperature_celsius)
+    }));
+    return res.json({ success: true, data: { animal_id: animalId, from: range.from, to: range.to, hours: data } });
+  } catch (err) {
+    console.error('Get animal hourly summaries error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /dashboard/activity?from=&to= - herd-wide comparison of daily averages per animal.
+// Each animal is compared with the herd (z-score of average distance) and with its own
+// averages over the preceding period of the same length. Days are farm-local and today's
+// incomplete day is left out.
+router.get('/activity', optionalAuth, async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query, 24 * 7);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    const farmId = 1; // Default farm for demo
+    const { utc_offset_minutes: offset } = await getFarmSettings(farmId);
+    const yesterday = toLocalDateString(Date.now() - DAY_MS, offset);
+    const fromDay = toLocalDateString(range.from, offset);
+    const lastDay = toLocalDateString(range.to, offset);
+    const toDay = lastDay < yesterday ? lastDay : yesterday;
+    const spanMs = range.to.getTime() - range.from.getTime();
+    const baselineFrom = toLocalDateString(range.from.getTime() - spanMs, offset);
+    const baselineTo = toLocalDateString(range.from.getTime() - DAY_MS, offset);
+
+    const aggregate = (from, to) => executeQuery(
+      `SELECT ada.animal_id, a.name, a.tag_number, COUNT(*) AS days,
+              AVG(ada.distance_meters) AS avg_distance_meters, AVG(ada.active_minutes) AS avg_active_minutes,
+              AVG(ada.idle_minutes) AS avg_idle_minutes, MAX(ada.max_speed_kmh) AS max_speed_kmh,
+              AVG(ada.uptime_percent) AS avg_uptime_percent
+       FROM animal_daily_activity ada
+       JOIN animals a ON a.id = ada.animal_id
+       WHERE ada.farm_id = ? AND a.is_active = TRUE AND ada.activity_date BETWEEN ? AND ?
+       GROUP BY ada.animal_id, a.name, a.tag_number`,
+      [farmId, from, to]
+    );
+    const [current, baseline] = await Promise.all([aggregate(fromDay, toDay), aggregate(baselineFrom, baselineTo)]);
+    if (!current.success || !baseline.success) return res.status(500).json({ success: false, message: 'Database error' });
+
+    const baselineById = new Map(baseline.data.map(b => [Number(b.animal_id), toNumber(b.avg_distance_meters)]));
+    const distances = current.data.map(c => toNumber(c.avg_distance_meters));
+    const herdMean = mean(distances);
+    const sorted = [...distances].sort((a, b) => a - b);
+    const herdMedian = sorted.length ? (sorted.length % 2 ? sorted[(sorted.length - 1) / 2] : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2) : null;
+    const stddev = distances.length > 1 ? Math.sqrt(distances.reduce((acc, d) => acc + (d - herdMean) ** 2, 0) / (distances.length - 1)) : null;
+
+    const animals = current.data.map(c => {
+      const distance = toNumber(c.avg_distance_meters);
+      const zScore = stddev ? round((distance - herdMean) / stddev, 2) : null;
+      const change = percentChange(distance, baselineById.get(Number(c.animal_id)));
+      const flags = [];
+      if (zScore !== null && zScore <= LOW_VS_HERD_Z) flags.push('low_vs_herd');
+      if (change !== null && change <= DROP_VS_BASELINE_PERCENT) flags.push('drop_vs_baseline');
+      return {
+        animal_id: Number(c.animal_id),
+        name: c.name,
+        tag_number: c.tag_number,
+        days: Number(c.days),
+        avg_distance_meters: round(distance),
+        avg_active_minutes: round(toNumber(c.avg_active_minutes)),
+        avg_idle_minutes: round(toNumber(c.avg_idle_minutes)),
+        max_speed_kmh: toNumber(c.max_speed_kmh),
+        avg_uptime_percent: round(toNumber(c.avg_uptime_percent)),
+        distance_vs_herd_median_percent: percentChange(distance, herdMedian),
+        distance_z_score: zScore,
+        distance_change_vs_baseline_percent: change,
+        flags
+      };
+    }).sort((a, b) => a.avg_distance_meters - b.avg_distance_meters);
+
+    return res.json({
+      success: true,
+      data: {
+        from: fromDay,
+        to: toDay,
+        baseline: { from: baselineFrom, to: baselineTo },
+        herd: {
+          animals: animals.length,
+          mean_distance_meters: round(herdMean),
+          median_distance_meters: round(herdMedian),
+          stddev_distance_meters: round(stddev)
+        },
+        animals
+      }
+    });
+  } catch (err) {
+    console.error('Get herd activity error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, optionalAuth } = require('../middleware');
+const {
+  RULE_CONDITIONS,
+  RULE_SCOPES,
+  RULE_SEVERITIES,
+  validateRule,
+  listRules,
+  getRule,
+  saveRule,
+  deleteRule
+} = require('../services/alertRules');
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Forbidden' });
+  next();
+};
+
+const parseRuleId = (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ success: false, message: 'Invalid rule id' });
+    return null;
+  }
+  return id;
+};
+
+// GET /alert-rules - the farm's rules plus the supported conditions, scopes and severities
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const rules = await listRules(farmId);
+    return res.json({
+      success: true,
+      data: rules,
+      definitions: { conditions: RULE_CONDITIONS, scopes: RULE_SCOPES, severities: RULE_SEVERITIES }
+    });
+  } catch (err) {
+    console.error('List alert rules error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /alert-rules/:id
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const id = parseRuleId(req, res);
+    if (!id) return;
+    const farmId = 1; // Default farm for demo
+    const rule = await getRule(farmId, id);
+    if (!rule) return res.status(404).json({ success: false, message: 'Alert rule not found' });
+    return res.json({ success: true, data: rule });
+  } catch (err) {
+    console.error('Get alert rule error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /alert-rules - body { name, condition_type, threshold?, fence_id?, scope, herd_group?, animal_id?,
+// severity, cooldown_minutes, is_enabled } (admin)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { rule, error } = validateRule(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const farmId = 1; // Default farm for demo
+    const saved = await saveRule(farmId, rule, { userId: req.user.id || null });
+    return res.status(201).json({ success: true, message: 'Alert rule created', data: saved });
+  } catch (err) {
+    console.error('Create alert rule error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// PUT/PATCH /alert-rules/:id - partial update (admin)
+const updateRuleHandler = async (req, res) => {
+  try {
+    const id = parseRuleId(req, res);
+    if (!id) return;
+    const farmId = 1; // Default farm for demo
+    const existing = await getRule(farmId, id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Alert rule not found' });
+    const { rule, error } = validateRule(req.body, existing);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const saved = await saveRule(farmId, rule, { id });
+    return res.json({ success: true, message: 'Alert rule updated', data: saved });
+  } catch (err) {
+    console.error('Update alert rule error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+router.put('/:id', authenticateToken, requireAdmin, updateRuleHandler);
+router.patch('/:id', authenticateToken, requireAdmin, updateRuleHandler);
+
+// DELETE /alert-rules/:id - alerts it raised keep their rule_id (admin)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseRuleId(req, res);
+    if (!id) return;
+    const farmId = 1; // Default farm for demo
+    if (!(await deleteRule(farmId, id))) return res.status(404).json({ success: false, message: 'Alert rule not found' });
+    return res.json({ success: true, message: 'Alert rule deleted' });
+  } catch (err) {
+    console.error('Delete alert rule error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { authenticateToken, optionalAuth } = require('../middleware');
+const { CONNECTIVITY_STATUSES, getCollarStatuses } = require('../services/collarStatus');
+const { getBatteryForecasts, getCollarsDueForSwap } = require('../services/battery');
+const { getClockReport } = require('../services/clockSkew');
+const { parseTimestamp } = require('../services/time');
+
+const COLLAR_STATUSES = ['active', 'inactive', 'maintenance', 'retired'];
+const COLLAR_COLUMNS = 'id, farm_id, serial_number, model, firmware_version, status, reporting_interval_seconds, notes, created_at, updated_at';
+
+// Expected seconds between fixes; null falls back to the farm's collar_reporting_interval_minutes
+const parseReportingInterval = (value) => {
+  if (value === null || value === '') return { value: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 10 || n > 7 * 24 * 3600) return { error: 'reporting_interval_seconds must be an integer between 10 and 604800' };
+  return { value: n };
+};
+
+const dbErrorResponse = (res, result, message) => {
+  if (result.code === 'MAX_USER_CONNECTIONS') {
+    return res.status(503).json({ success: false, message: 'Database is temporarily unavailable. Please try again.' });
+  }
+  const debug = process.env.NODE_ENV !== 'production';
+  return res.status(500).json({ success: false, message, error: debug ? result.error : undefined });
+};
+
+// Optional timestamp from the body (ISO-8601 or epoch seconds/milliseconds); defaults to now.
+// Returns a Date or null when invalid.
+const bodyTime = (value) => {
+  if (value === undefined || value === null || value === '') return new Date();
+  return parseTimestamp(value);
+};
+
+// Latest start or end recorded in the assignment history of a collar and/or animal (or null).
+// Backdated assignments and unassignments may not go before it, or periods would overlap.
+const latestAssignmentChange = async ({ collarId = null, animalId = null }) => {
+  const conds = [];
+  const params = [];
+  if (collarId) { conds.push('collar_id = ?'); params.push(collarId); }
+  if (animalId) { conds.push('animal_id = ?'); params.push(animalId); }
+  const r = await executeQuery(
+    `SELECT MAX(GREATEST(assigned_at, COALESCE(unassigned_at, assigned_at))) AS latest
+     FROM animal_collars WHERE ${conds.join(' OR ')}`,
+    params
+  );
+  if (!r.success) throw new Error(r.error);
+  return r.data.length && r.data[0].latest ? new Date(r.data[0].latest) : null;
+};
+
+// Close the open assignment(s) for a collar and/or animal at `at`
+const endAssignments = async ({ collarId = null, animalId = null, at }) => {
+  const conds = [];
+  const params = [at];
+  if (collarId) { conds.push('collar_id = ?'); params.push(collarId); }
+  if (animalId) { conds.push('animal_id = ?'); params.push(animalId); }
+  return executeQuery(
+    `UPDATE animal_collars SET is_active = FALSE, unassigned_at = ?
+     WHERE is_active = TRUE AND (${conds.join(' OR ')})`,
+    params
+  );
+};
+
+// Drop the cached latest position for a collar so the next fix is stored against its new animal
+const clearCurrentLocation = (collarId) => executeQuery('DELETE FROM current_locations WHERE collar_id = ?', [collarId]);
+
+// GET /collars - list collars with the animal currently wearing each one
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const params = [farmId];
+    let sql = `SELECT c.id, c.serial_number, c.model, c.firmware_version, c.status, c.reporting_interval_seconds, c.notes, c.created_at, c.updated_at,
+                      ac.animal_id, ac.assigned_at, a.name AS animal_name, a.tag_number
+               FROM collars c
+               LEFT JOIN animal_collars ac ON ac.collar_id = c.id AND ac.is_active = TRUE
+               LEFT JOIN animals a ON a.id = ac.animal_id
+               WHERE c.farm_id = ?`;
+    if (req.query.status) {
+      sql += ' AND c.status = ?';
+      params.push(String(req.query.status));
+    }
+    sql += ' ORDER BY c.serial_number';
+    const result = await executeQuery(sql, params);
+    if (!result.success) return dbErrorResponse(res, result, 'Failed to load collars');
+    return res.json({ success: true, data: result.data });
+  } catch (err) {
+    console.error('Get collars error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /collars/assignments?animal_id=&collar_id= - assignment history, newest first
+router.get('/assignments', optionalAuth, async (req, res) => {
+  try {
+    const conds = [];
+    const params = [];
+    if (req.query.animal_id) { conds.push('ac.animal_id = ?'); params.push(Number(req.query.animal_id)); }
+    if (req.query.collar_id) { conds.push('ac.collar_id = ?'); params.push(Number(req.query.collar_id)); }
+    const result = await executeQuery(
+      `SELECT ac.id, ac.collar_id, c.serial_number, ac.animal_id, a.name AS animal_name, a.tag_number,
+              ac.assigned_at, ac.unassigned_at, ac.is_active, ac.assigned_by, ac.notes
+       FROM animal_collars ac
+       LEFT JOIN collars c ON c.id = ac.collar_id
+       LEFT JOIN animals a ON a.id = ac.animal_id
+       ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+       ORDER BY ac.assigned_at DESC, ac.id DESC`,
+      params
+    );
+    if (!result.success) return dbErrorResponse(res, result, 'Failed to load collar assignments');
+    return res.json({ success: true, data: result.data });
+  } catch (err) {
+    console.error('Get collar assignments error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /collars/status?connectivity=online|stale|offline - connectivity of every active collar
+// (declared before /:id so "status" is not taken for a collar id)
+router.get('/status', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const filter = req.query.connectivity ? String(req.query.connectivity) : null;
+    if (filter && !CONNECTIVITY_STATUSES.includes(filter)) {
+      return res.status(400).json({ success: false, message: `connectivity must be one of: ${CONNECTIVITY_STATUSES.join(', ')}` });
+    }
+    const statuses = await getCollarStatuses(farmId);
+    const counts = {};
+    CONNECTIVITY_STATUSES.forEach(c => { counts[c] = statuses.filter(s => s.connectivity === c).length; });
+    return res.json({
+      success: true,
+      data: {
+        summary: { total: statuses.length, ...counts },
+        collars: filter ? statuses.filter(s => s.connectivity === filter) : statuses
+      }
+    });
+  } catch (err) {
+    console.error('Get collar status error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /collars/battery - battery level, discharge rate and predicted run-out date per active collar
+router.get('/battery', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    return res.json({ success: true, data: await getBatteryForecasts(farmId) });
+  } catch (err) {
+    console.error('Get collar battery error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /collars/battery/due?days=7 - collars already low or forecast to go low within N days
+router.get('/battery/due', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isFinite(days) || days < 0 || days > 365) {
+      return res.status(400).json({ success: false, message: 'days must be a number between 0 and 365' });
+    }
+    const collars = await getCollarsDueForSwap(farmId, days);
+    return res.json({ success: true, data: { days, count: collars.length, collars } });
+  } catch (err) {
+    console.error('Get collars due for battery swap error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /collars/clock?hours=24 - device clock offset, drift and corrected/flagged fixes per collar
+router.get('/clock', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 31) {
+      return res.status(400).json({ success: false, message: 'hours must be a number between 1 and 744' });
+    }
+    return res.json({ success: true, data: await getClockReport(farmId, hours) });
+  } catch (err) {
+    console.error('Get collar clock report error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /collars/:id/battery - battery forecast for one collar
+router.get('/:id/battery', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const forecasts = await getBatteryForecasts(farmId, Number(req.params.id));
+    if (forecasts.length === 0) return res.status(404).json({ success: false, message: 'Collar not found' });
+    return res.json({ success: true, data: forecasts[0] });
+  } catch (err) {
+    console.error('Get collar battery error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /collars/:id - collar details with its assignment history
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await executeQuery(
+      `SELECT ${COLLAR_COLUMNS} FROM collars WHERE id = ?`,
+      [id]
+    );
+    if (!result.success || result.data.length === 0) {
+      return res.status(404).json({ success: false, message: 'Collar not found' });
+    }
+    const history = await executeQuery(
+      `SELECT ac.id, ac.animal_id, a.name AS animal_name, a.tag_number, ac.assigned_at, ac.unassigned_at, ac.is_active, ac.notes
+       FROM animal_collars ac
+       LEFT JOIN animals a ON a.id = ac.animal_id
+       WHERE ac.collar_id = ?
+       ORDER BY ac.assigned_at DESC, ac.id DESC`,
+      [id]
+    );
+    return res.json({
+      success: true,
+      data: { ...result.data[0], assignments: history.success ? history.data : [] }
+    });
+  } catch (err) {
+    console.error('Get collar error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /collars - register a collar
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const { serial_number, model = null, firmware_version = null, status = 'active', notes = null } = req.body;
+    if (!serial_number) return res.status(400).json({ success: false, message: 'serial_number is required' });
+    const interval = parseReportingInterval(req.body.reporting_interval_seconds === undefined ? null : req.body.reporting_interval_seconds);
+    if (interval.error) return res.status(400).json({ success: false, message: interval.error });
+    if (!COLLAR_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${COLLAR_STATUSES.join(', ')}` });
+    }
+
+    const existing = await executeQuery('SELECT id FROM collars WHERE serial_number = ?', [serial_number]);
+    if (!existing.success) return dbErrorResponse(res, existing, 'Failed to validate serial number');
+    if (existing.data.length > 0) return res.status(409).json({ success: false, message: 'Serial number already exists' });
+
+    const insert = await executeQuery(
+      'INSERT INTO collars (farm_id, serial_number, model, firmware_version, status, reporting_interval_seconds, notes) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [farmId, serial_number, model, firmware_version, status, interval.value, notes]
+    );
+    if (!insert.success) return dbErrorResponse(res, insert, 'Failed to add collar');
+
+    const created = await executeQuery(
+      `SELECT ${COLLAR_COLUMNS} FROM collars WHERE id = ?`,
+      [insert.data.insertId]
+    );
+    return res.status(201).json({ success: true, data: created.success ? created.data[0] : { id: insert.data.insertId } });
+  } catch (err) {
+    console.error('Add collar error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// PUT/PATCH /collars/:id - update collar fields
+const updateCollar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { serial_number, model, firmware_version, status, notes, reporting_interval_seconds } = req.body;
+
+    const existing = await executeQuery('SELECT id FROM collars WHERE id = ?', [id]);
+    if (!existing.success || existing.data.length === 0) {
+      return res.status(404).json({ success: false, message: 'Collar not found' });
+    }
+    if (status !== undefined && !COLLAR_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${COLLAR_STATUSES.join(', ')}` });
+    }
+    const interval = reporting_interval_seconds !== undefined ? parseReportingInterval(reporting_interval_seconds) : null;
+    if (interval && interval.error) return res.status(400).json({ success: false, message: interval.error });
+    if (serial_number) {
+      const dup = await executeQuery('SELECT id FROM collars WHERE serial_number = ? AND id <> ?', [serial_number, id]);
+      if (!dup.success) return dbErrorResponse(res, dup, 'Failed to validate serial number');
+      if (dup.data.length > 0) return res.status(409).json({ success: false, message: 'Serial number already exists' });
+    }
+
+    const fields = [];
+    const params = [];
+    if (serial_number !== undefined) { fields.push('serial_number = ?'); params.push(serial_number); }
+    if (model !== undefined) { fields.push('model = ?'); params.push(model); }
+    if (firmware_version !== undefined) { fields.push('firmware_version = ?'); params.push(firmware_version); }
+    if (status !== undefined) { fields.push('status = ?'); params.push(status); }
+    if (notes !== undefined) { fields.push('notes = ?'); params.push(notes); }
+    if (interval) { fields.push('reporting_interval_seconds = ?'); params.push(interval.value); }
+    if (fields.length === 0) return res.status(400).json({ success: false, message: 'No fields to update' });
+
+    params.push(id);
+    const upd = await executeQuery(`UPDATE collars SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, params);
+    if (!upd.success) return dbErrorResponse(res, upd, 'Failed to update collar');
+
+    // A retired collar can no longer be worn
+    if (status === 'retired') {
+      await endAssignments({ collarId: id, at: new Date() });
+      await clearCurrentLocation(id);
+    }
+
+    const updated = await executeQuery(
+      `SELECT ${COLLAR_COLUMNS} FROM collars WHERE id = ?`,
+      [id]
+    );
+    return res.json({ success: true, data: updated.success ? updated.data[0] : null });
+  } catch (err) {
+    console.error('Update collar error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+router.put('/:id', authenticateToken, updateCollar);
+router.patch('/:id', authenticateToken, updateCollar);
+
+// DELETE /collars/:id - retire a collar (soft delete; history is kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const upd = await executeQuery(
+      "UPDATE collars SET status = 'retired', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id]
+    );
+    if (!upd.success) return dbErrorResponse(res, upd, 'Failed to retire collar');
+    if (upd.data.affectedRows === 0) return res.status(404).json({ success: false, message: 'Collar not found' });
+    await endAssignments({ collarId: id, at: new Date() });
+    await clearCurrentLocation(id);
+    return res.json({ success: true, message: 'Collar retired' });
+  } catch (err) {
+    console.error('Delete collar error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /collars/:id/assign - body { animal_id, assigned_at?, notes? }
+// Ends the collar's current assignment and the animal's current collar, then records the new one.
+router.post('/:id/assign', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { animal_id, notes = null } = req.body;
+    const assignedAt = bodyTime(req.body.assigned_at);
+    if (!animal_id) return res.status(400).json({ success: false, message: 'animal_id is required' });
+    if (!assignedAt) return res.status(400).json({ success: false, message: 'assigned_at is not a valid timestamp' });
+
+    const collar = await executeQuery('SELECT id, status FROM collars WHERE id = ?', [id]);
+    if (!collar.success || collar.data.length === 0) return res.status(404).json({ success: false, message: 'Collar not found' });
+    if (collar.data[0].status === 'retired') return res.status(409).json({ success: false, message: 'Retired collars cannot be assigned' });
+
+    const animal = await executeQuery('SELECT id FROM animals WHERE id = ? AND is_active = TRUE', [animal_id]);
+    if (!animal.success || animal.data.length === 0) return res.status(404).json({ success: false, message: 'Animal not found' });
+
+    const latest = await latestAssignmentChange({ collarId: id, animalId: animal_id });
+    if (latest && assignedAt < latest) {
+      return res.status(409).json({ success: false, message: `assigned_at must not be before the last assignment change (${latest.toISOString()})` });
+    }
+
+    const ended = await endAssignments({ collarId: id, animalId: animal_id, at: assignedAt });
+    if (!ended.success) return dbErrorResponse(res, ended, 'Failed to end previous assignment');
+
+    const insert = await executeQuery(
+      `INSERT INTO animal_collars (animal_id, collar_id, assigned_at, is_active, assigned_by, notes)
+       VALUES (?, ?, ?, TRUE, ?, ?)`,
+      [animal_id, id, assignedAt, req.user && req.user.id ? req.user.id : null, notes]
+    );
+    if (!insert.success) return dbErrorResponse(res, insert, 'Failed to assign collar');
+    await clearCurrentLocation(id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Collar assigned',
+      data: { id: insert.data.insertId, collar_id: Number(id), animal_id: Number(animal_id), assigned_at: assignedAt }
+    });
+  } catch (err) {
+    console.error('Assign collar error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /collars/:id/unassign - body { unassigned_at? }
+router.post('/:id/unassign', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const unassignedAt = bodyTime(req.body.unassigned_at);
+    if (!unassignedAt) return res.status(400).json({ success: false, message: 'unassigned_at is not a valid timestamp' });
+
+    const latest = await latestAssignmentChange({ collarId: id });
+    if (latest && unassignedAt < latest) {
+      return res.status(409).json({ success: false, message: `unassigned_at must not be before the collar was assigned (${latest.toISOString()})` });
+    }
+
+    const ended = await endAssignments({ collarId: id, at: unassignedAt });
+    if (!ended.success) return dbErrorResponse(res, ended, 'Failed to unassign collar');
+    if (ended.data.affectedRows === 0) return res.status(404).json({ success: false, message: 'Collar is not assigned' });
+    await clearCurrentLocation(id);
+    return res.json({ success: true, message: 'Collar unassigned' });
+  } catch (err) {
+    console.error('Unassign collar error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,46 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const { executeQuery } = require('../database');
-const nodemailer = require('nodemailer');
+const { authenticateDevice } = require('../middleware');
+const { resolveAnimalForCollar, findForeignAnimalPoints } = require('../services/collars');
+const { createAlert } = require('../services/alerts');
+const { getFarmSettings } = require('../services/farmSettings');
+const { correctAlertTime } = require('../services/clockSkew');
+const { parseTimestamp } = require('../services/time');
+const { evaluateDeviceEventRules } = require('../services/alertRules');
 require('dotenv').config();
 
 // cache for alerts.alert_type column metadata
 let _cachedAlertTypeColumnMeta = null;
 
-// Simple helper to send email using SMTP creds from env
-const sendEmail = async ({ to, subject, text, html }) => {
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : 465,
-    secure: (process.env.SMTP_SECURE || 'true') === 'true',
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    }
-  });
-
-  const info = await transporter.sendMail({
-    from: process.env.SMTP_FROM || process.env.SMTP_USER,
-    to,
-    subject,
-    text,
-    html
-  });
-  return info;
-};
-
-// Endpoint for devices to report alerts.
-// Accepts GET or POST. Query params: alert, distance, motion, lat, lon
-// handler function exposed for direct use by server (fallbacks)
-const handleAlert = async (req, res) => {
-  const startTime = Date.now();
+// Validate and store one device alert. `device` is the authenticated device (if any).
+// Returns { status, body } so the HTTP endpoint and the MQTT bridge share the same path.
+const recordDeviceAlert = async (payload, device = {}) => {
   try {
-    const payload = req.method === 'GET' ? req.query : req.body;
-
     // Map incoming fields to the alerts table columns
-    const farm_id = payload.farm_id ? Number(payload.farm_id) : 1;
-    const animal_id = payload.animal_id ? Number(payload.animal_id) : null;
-    const collar_id = payload.collar_id ? Number(payload.collar_id) : null;
+    // Signed requests identify the calling device: its farm always wins, its collar fills in when omitted
+    const farm_id = device.farm_id ? Number(device.farm_id) : (payload.farm_id ? Number(payload.farm_id) : 1);
+    const collar_id = payload.collar_id ? Number(payload.collar_id) : (device.collar_id ? Number(device.collar_id) : null);
+    if (device.collar_id && collar_id !== Number(device.collar_id)) {
+      return { status: 403, body: { success: false, message: 'Device key is not allowed to report for this collar' } };
+    }
+    // Device time (ISO-8601 or epoch seconds/milliseconds); a clearly wrong device clock falls back to now
+    let triggered_at = null; // allow DB default when null
+    if (payload.triggered_at != null && payload.triggered_at !== '') {
+      const parsed = parseTimestamp(payload.triggered_at);
+      if (!parsed) return { status: 400, body: { success: false, message: 'triggered_at must be ISO-8601 or epoch seconds/milliseconds' } };
+      const checked = correctAlertTime(parsed, await getFarmSettings(farm_id), new Date());
+      if (checked.flag) console.warn(`Device alert triggered_at ${parsed.toISOString()} rejected (${checked.flag}); using receive time`);
+      triggered_at = checked.triggeredAt;
+    }
+    // Collar-only alerts are attributed to the animal currently wearing the collar
+    const animal_id = payload.animal_id ? Number(payload.animal_id) : await resolveAnimalForCollar(collar_id, triggered_at);
+    if (payload.animal_id) {
+      const foreign = await findForeignAnimalPoints(
+        [{ animal_id, recorded_at: triggered_at || new Date() }],
+        { collarId: device.collar_id, farmId: device.farm_id }
+      );
+      if (foreign.length) {
+        return { status: 403, body: { success: false, message: 'Device key is not allowed to report for this animal' } };
+      }
+    }
     const fence_id = payload.fence_id ? Number(payload.fence_id) : null;
   // Normalize and enforce maximum lengths to match DB columns to avoid truncation errors
   const raw_alert_type = payload.alert_type ? String(payload.alert_type) : (payload.alert ? 'device' : 'device');
@@ -66,7 +69,6 @@ const handleAlert = async (req, res) => {
   if (raw_title.length > MAX_TITLE) console.warn('Truncated title from', raw_title.length, 'to', MAX_TITLE);
     const location_latitude = (payload.lat || payload.location_latitude) ? Number(payload.lat || payload.location_latitude) : null;
     const location_longitude = (payload.lon || payload.location_longitude) ? Number(payload.lon || payload.location_longitude) : null;
-    const triggered_at = payload.triggered_at ? payload.triggered_at : null; // allow DB default when null
     const status = payload.status ? String(payload.status) : 'active';
     const auto_generated = (typeof payload.auto_generated !== 'undefined') ? Number(payload.auto_generated) : 1;
 
@@ -113,45 +115,26 @@ const handleAlert = async (req, res) => {
       console.warn('Failed to check alert_type column metadata:', colErr && colErr.message ? colErr.message : colErr);
     }
 
-    // Build INSERT dynamically so we don't explicitly insert NULL into columns
-    // that rely on DB defaults (e.g. triggered_at)
-    const insertCols = [];
-    const placeholders = [];
-    const insertParams = [];
-
-    const pushCol = (col, val) => {
-      insertCols.push(col);
-      placeholders.push('?');
-      insertParams.push(val);
-    };
-
-    pushCol('farm_id', farm_id);
-    if (animal_id !== null) pushCol('animal_id', animal_id);
-    if (collar_id !== null) pushCol('collar_id', collar_id);
-    if (fence_id !== null) pushCol('fence_id', fence_id);
-    pushCol('alert_type', alert_type);
-    pushCol('severity', severity);
-    if (title !== undefined && title !== null) pushCol('title', title);
-    if (message !== undefined && message !== null) pushCol('message', message);
-    if (alert_data !== null) pushCol('alert_data', alert_data);
-    if (location_latitude !== null) pushCol('location_latitude', location_latitude);
-    if (location_longitude !== null) pushCol('location_longitude', location_longitude);
-    // Only include triggered_at if the device explicitly provided a value
-    if (triggered_at) {
-      pushCol('triggered_at', triggered_at);
-    }
-    pushCol('status', status);
-    pushCol('auto_generated', auto_generated);
-
-    const sql = `INSERT INTO alerts (${insertCols.join(', ')}) VALUES (${placeholders.join(', ')})`;
-
-    const result = await executeQuery(sql, insertParams);
+    // Repeats of an open alert (e.g. a collar sitting on a fence line) are folded into it
+    const result = await createAlert({
+      farmId: farm_id,
+      animalId: animal_id,
+      collarId: collar_id,
+      fenceId: fence_id,
+      alertType: alert_type,
+      severity,
+      title,
+      message,
+      alertData: alert_data,
+      latitude: location_latitude,
+      longitude: location_longitude,
+      triggeredAt: triggered_at,
+      status,
+      autoGenerated: !!auto_generated
+    });
     if (!result.success) {
       // Extra diagnostic logging to help trace truncation cause
       try {
-        const paramInfo = params.map(p => ({ type: typeof p, length: (p && typeof p === 'string') ? p.length : null }));
-        console.error('Failed to insert alert:', result.error);
-        console.error('Insert params info:', paramInfo);
         console.error('Sample alert_type (chars/bytes):', alert_type ? alert_type.length : 0, '/', alert_type ? Buffer.byteLength(alert_type, 'utf8') : 0);
         console.error('Sample title (chars/bytes):', title ? title.length : 0, '/', title ? Buffer.byteLength(title, 'utf8') : 0);
         console.error('Sample message (chars/bytes):', message ? message.length : 0, '/', message ? Buffer.byteLength(message, 'utf8') : 0);
@@ -160,38 +143,59 @@ const handleAlert = async (req, res) => {
       } catch (diagErr) {
         console.error('Diagnostic logging failed:', diagErr && diagErr.message ? diagErr.message : diagErr);
       }
-      return res.status(500).json({ success: false, message: 'Failed to insert alert', error: result.error });
+      return { status: 500, body: { success: false, message: 'Failed to insert alert', error: result.error } };
     }
 
-    const insertedId = (result.data && (result.data.insertId || result.data.insert_id)) ? (result.data.insertId || result.data.insert_id) : null;
+    const insertedId = result.id;
     // Log insertion success so we can distinguish server-side completion from client disconnects/timeouts
     try {
-      console.log(`Alert recorded: id=${insertedId} farm=${farm_id} alert_type=${alert_type} lat=${location_latitude} lon=${location_longitude}`);
+      console.log(`Alert ${result.deduplicated ? `repeat folded (x${result.occurrence_count})` : 'recorded'}: id=${insertedId} farm=${farm_id} alert_type=${alert_type} lat=${location_latitude} lon=${location_longitude}`);
     } catch (logErr) {
       console.debug('Failed to log alert recorded:', logErr && logErr.message ? logErr.message : logErr);
     }
 
-    // Send email notification if SMTP configured
-    // Do NOT await email sending to avoid blocking the HTTP response in case SMTP is slow/unreachable.
-    if (process.env.SMTP_USER && process.env.SMTP_PASS && process.env.ALERT_EMAIL_TO) {
-      const to = process.env.ALERT_EMAIL_TO;
-      const subject = `Cattle Farm Alert: ${title}`;
-      const text = `Alert: ${title}\nSeverity: ${severity}\nMessage: ${message}\nLocation: ${location_latitude}, ${location_longitude}`;
-      // fire-and-forget; attach catch to avoid unhandled rejections
-      sendEmail({ to, subject, text }).catch(mailErr => {
-        console.warn('Failed to send alert email:', mailErr && mailErr.message ? mailErr.message : mailErr);
+    // Configured alert rules see the device event and any readings it carries
+    try {
+      const reading = (key) => (payload[key] === undefined || payload[key] === null || payload[key] === '' ? null : Number(payload[key]));
+      await evaluateDeviceEventRules({
+        farmId: farm_id,
+        animalId: animal_id,
+        collarId: collar_id,
+        fenceId: fence_id,
+        alertType: alert_type,
+        latitude: location_latitude,
+        longitude: location_longitude,
+        at: triggered_at || new Date(),
+        readings: { speed_kmh: reading('speed_kmh'), temperature_celsius: reading('temperature_celsius'), battery_level: reading('battery_level') }
       });
+    } catch (rulesErr) {
+      console.warn('Alert rule evaluation failed for device alert:', rulesErr && rulesErr.message ? rulesErr.message : rulesErr);
     }
 
-    return res.status(201).json({ success: true, message: 'Alert recorded', id: insertedId });
+    if (result.deduplicated) {
+      return {
+        status: 200,
+        body: { success: true, message: 'Repeat of an open alert', id: insertedId, deduplicated: true, occurrence_count: result.occurrence_count, escalated: result.escalated }
+      };
+    }
+    return { status: 201, body: { success: true, message: 'Alert recorded', id: insertedId } };
   } catch (err) {
     console.error('Device alert route error:', err);
-    return res.status(500).json({ success: false, message: 'Internal server error' });
+    return { status: 500, body: { success: false, message: 'Internal server error' } };
   }
 };
 
+// Endpoint for devices to report alerts.
+// Accepts GET or POST. Query params: alert, distance, motion, lat, lon
+// handler function exposed for direct use by server (fallbacks)
+const handleAlert = async (req, res) => {
+  const payload = req.method === 'GET' ? req.query : req.body;
+  const result = await recordDeviceAlert(payload || {}, req.device || {});
+  return res.status(result.status).json(result.body);
+};
+
 // attach to router and support both trailing and non-trailing slash
-router.all(['/alert', '/alert/'], handleAlert);
+router.all(['/alert', '/alert/'], authenticateDevice, handleAlert);
 
 // Temporary echo endpoint for debugging device reachability (no DB)
 // POST /api/v1/device/echo or /device/echo will return the request body and headers
@@ -215,3 +219,4 @@ router.get('/ping', (req, res) => {
 // Export router and handler properly so server can mount handler directly as a fallback
 module.exports = router;
 module.exports.handleAlert = handleAlert;
+module.exports.recordDeviceAlert = recordDeviceAlert;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { executeQuery } = require('../database');
+const { authenticateDeviceOrToken } = require('../middleware');
+const gpsEmitter = require('../gpsEvents');
 
 // GET /device/control - returns { success: true, state: 'on'|'off' }
 router.get('/control', async (req, res) => {
@@ -20,9 +22,19 @@ router.get('/control', async (req, res) => {
   }
 });
 
+// The switch is system-wide: only admins and gateway keys may flip it, never a single collar
+const canChangeControl = (req) => {
+  if (req.device) return req.device.device_type === 'gateway';
+  return !!(req.user && req.user.role === 'admin');
+};
+
 // POST /device/control - body { state: 'on'|'off' }
-router.post('/control', async (req, res) => {
+// Requires a signed gateway request or an admin user's token
+router.post('/control', authenticateDeviceOrToken, async (req, res) => {
   try {
+    if (!canChangeControl(req)) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
     const state = (req.body && req.body.state && String(req.body.state).toLowerCase() === 'off') ? 'off' : 'on';
     // Ensure table exists
     await executeQuery(`
@@ -39,6 +51,14 @@ router.post('/control', async (req, res) => {
       ON DUPLICATE KEY UPDATE control_value = VALUES(control_value)
     `, [state]);
     if (!upsert.success) return res.status(500).json({ success: false, message: 'Failed to set control state' });
+    gpsEmitter.emit('device', {
+      type: 'control',
+      control_key: 'system_enabled',
+      state,
+      changed_by: req.user ? req.user.id : null,
+      device_key: req.device ? req.device.key_id : null,
+      collar_id: req.device && req.device.collar_id ? Number(req.device.collar_id) : null
+    });
     return res.json({ success: true, state });
   } catch (err) {
     console.error('Device control POST error:', err);
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { authenticateToken } = require('../middleware');
+const {
+  generateKeyId,
+  generateSecret,
+  fingerprintSecret,
+  hashSecret,
+  getRotationGraceSeconds
+} = require('../services/deviceKeys');
+
+const DEVICE_TYPES = ['collar', 'gateway'];
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Forbidden' });
+  next();
+};
+
+// GET /device-keys - list device credentials (secrets are never returned)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      `SELECT id, key_id, name, device_type, collar_id, farm_id, status, secret_fingerprint,
+              previous_valid_until, created_at, rotated_at, revoked_at, last_used_at
+       FROM device_credentials ORDER BY created_at DESC`,
+      []
+    );
+    if (!result.success) return res.status(500).json({ success: false, message: 'Database error', error: result.error });
+    return res.json({ success: true, data: result.data });
+  } catch (err) {
+    console.error('List device keys error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /device-keys - issue a key for a collar or gateway
+// Body: { name, device_type: 'collar'|'gateway', collar_id?, farm_id? }
+// The secret is only returned in this response; the database keeps its hash.
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, device_type = 'collar', collar_id = null, farm_id = 1 } = req.body;
+    if (!name) return res.status(400).json({ success: false, message: 'name is required' });
+    if (!DEVICE_TYPES.includes(device_type)) {
+      return res.status(400).json({ success: false, message: `device_type must be one of: ${DEVICE_TYPES.join(', ')}` });
+    }
+    if (device_type === 'collar' && !collar_id) {
+      return res.status(400).json({ success: false, message: 'collar_id is required for collar keys' });
+    }
+
+    const keyId = generateKeyId();
+    const secret = generateSecret();
+    const result = await executeQuery(
+      `INSERT INTO device_credentials (key_id, name, device_type, collar_id, farm_id, secret_hash, secret_fingerprint, status, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?)`,
+      [keyId, name, device_type, collar_id ? Number(collar_id) : null, Number(farm_id) || 1, hashSecret(secret), fingerprintSecret(secret), req.user.id || null]
+    );
+    if (!result.success) return res.status(500).json({ success: false, message: 'Database error', error: result.error });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Device key issued. Store the secret now; it cannot be retrieved again. Devices sign with its hex SHA-256 as the HMAC key.',
+      data: { id: result.data.insertId, key_id: keyId, secret }
+    });
+  } catch (err) {
+    console.error('Issue device key error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /device-keys/:id/rotate - replace the secret; the old one keeps working for
+// DEVICE_KEY_ROTATION_GRACE_SECONDS so devices can be re-provisioned. Keys issued before
+// hashing move to a hashed secret here (their encrypted one is only kept for the grace period).
+router.post('/:id/rotate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await executeQuery('SELECT id, status FROM device_credentials WHERE id = ?', [id]);
+    if (!existing.success || existing.data.length === 0) {
+      return res.status(404).json({ success: false, message: 'Device key not found' });
+    }
+    if (existing.data[0].status !== 'active') {
+      return res.status(409).json({ success: false, message: 'Revoked keys cannot be rotated' });
+    }
+
+    const secret = generateSecret();
+    const graceSeconds = getRotationGraceSeconds();
+    const upd = await executeQuery(
+      `UPDATE device_credentials
+       SET previous_secret_hash = secret_hash, previous_secret_encrypted = secret_encrypted,
+           previous_valid_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND),
+           secret_hash = ?, secret_encrypted = NULL, secret_fingerprint = ?, rotated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [graceSeconds, hashSecret(secret), fingerprintSecret(secret), id]
+    );
+    if (!upd.success) return res.status(500).json({ success: false, message: 'Database error', error: upd.error });
+
+    const row = await executeQuery('SELECT key_id FROM device_credentials WHERE id = ?', [id]);
+    return res.json({
+      success: true,
+      message: `Device key rotated. The previous secret stays valid for ${graceSeconds} seconds.`,
+      data: { id: Number(id), key_id: row.success && row.data.length ? row.data[0].key_id : null, secret }
+    });
+  } catch (err) {
+    console.error('Rotate device key error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// DELETE /device-keys/:id - revoke a key (kept for audit, no longer accepted)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const upd = await executeQuery(
+      `UPDATE device_credentials
+       SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, previous_secret_hash = NULL, previous_secret_encrypted = NULL,
+           previous_valid_until = NULL
+       WHERE id = ?`,
+      [id]
+    );
+    if (!upd.success) return res.status(500).json({ success: false, message: 'Database error', error: upd.error });
+    if (upd.data.affectedRows === 0) return res.status(404).json({ success: false, message: 'Device key not found' });
+    return res.json({ success: true, message: 'Device key revoked' });
+  } catch (err) {
+    console.error('Revoke device key error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
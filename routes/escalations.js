@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { authenticateToken, optionalAuth } = require('../middleware');
+const {
+  POLICY_SEVERITIES,
+  validatePolicy,
+  listPolicies,
+  savePolicy,
+  deletePolicy,
+  getAlertEscalation
+} = require('../services/escalation');
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Forbidden' });
+  next();
+};
+
+const parseSeverity = (req, res) => {
+  const severity = String(req.params.severity).toLowerCase();
+  if (!POLICY_SEVERITIES.includes(severity)) {
+    res.status(400).json({ success: false, message: `severity must be one of: ${POLICY_SEVERITIES.join(', ')}` });
+    return null;
+  }
+  return severity;
+};
+
+// GET /escalation-policies - the farm's policy for each severity
+router.get('/escalation-policies', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    return res.json({ success: true, data: await listPolicies(farmId) });
+  } catch (err) {
+    console.error('List escalation policies error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// PUT /escalation-policies/:severity - create or replace a policy (admin)
+// Body: { name?, tiers: [{ delay_minutes, roles?: [], user_ids?: [] }], repeat_limit?, repeat_interval_minutes?, is_enabled? }
+router.put('/escalation-policies/:severity', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const severity = parseSeverity(req, res);
+    if (!severity) return;
+    const { policy, error } = validatePolicy(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const farmId = 1; // Default farm for demo
+    const saved = await savePolicy(farmId, severity, policy, req.user.id || null);
+    return res.json({ success: true, message: 'Escalation policy saved', data: saved });
+  } catch (err) {
+    console.error('Save escalation policy error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// DELETE /escalation-policies/:severity - pending chains for that severity stop at their next step (admin)
+router.delete('/escalation-policies/:severity', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const severity = parseSeverity(req, res);
+    if (!severity) return;
+    const farmId = 1; // Default farm for demo
+    if (!(await deletePolicy(farmId, severity))) return res.status(404).json({ success: false, message: 'Escalation policy not found' });
+    return res.json({ success: true, message: 'Escalation policy deleted' });
+  } catch (err) {
+    console.error('Delete escalation policy error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /alerts/:id/escalations - escalation chain state and the steps taken so far
+router.get('/alerts/:id/escalations', optionalAuth, async (req, res) => {
+  try {
+    const alertId = Number(req.params.id);
+    if (!Number.isInteger(alertId) || alertId <= 0) return res.status(400).json({ success: false, message: 'Invalid alert id' });
+    const alert = await executeQuery('SELECT id, status, severity FROM alerts WHERE id = ?', [alertId]);
+    if (!alert.success) return res.status(500).json({ success: false, message: 'Database error' });
+    if (alert.data.length === 0) return res.status(404).json({ success: false, message: 'Alert not found' });
+    const escalation = await getAlertEscalation(alertId);
+    return res.json({ success: true, data: { alert_id: alertId, status: alert.data[0].status, severity: alert.data[0].severity, ...escalation } });
+  } catch (err) {
+    console.error('Get alert escalations error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
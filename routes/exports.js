@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { optionalAuth } = require('../middleware');
+const { parseTimeRange } = require('../services/time');
+const {
+  CONTENT_TYPES,
+  tracksToGpx,
+  tracksToKml,
+  tracksToGeoJSON,
+  fencesToKml,
+  fencesToGeoJSON,
+  positionsToKml,
+  positionsToGeoJSON
+} = require('../services/geoExport');
+
+// Send a generated file as a download with the right content type
+const sendFile = (res, format, basename, body) => {
+  const stamp = new Date().toISOString().substring(0, 10);
+  res.setHeader('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}-${stamp}.${format}"`);
+  return res.send(body);
+};
+
+const requestedFormat = (req, allowed, fallback) => {
+  const format = String(req.query.format || fallback).toLowerCase();
+  return allowed.includes(format) ? format : null;
+};
+
+// Parse ?animal_ids=1,2,3 into numbers (empty means every active animal on the farm)
+const parseIdList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map(v => Number(v.trim())).filter(v => Number.isInteger(v) && v > 0);
+};
+
+const formatTracks = (format, tracks) => {
+  if (format === 'kml') return tracksToKml(tracks);
+  if (format === 'geojson') return tracksToGeoJSON(tracks);
+  return tracksToGpx(tracks);
+};
+
+// GET /exports/tracks?format=gpx|kml|geojson&animal_ids=1,2&from=&to=
+router.get('/tracks', optionalAuth, async (req, res) => {
+  try {
+    const format = requestedFormat(req, ['gpx', 'kml', 'geojson'], 'gpx');
+    if (!format) return res.status(400).json({ success: false, message: 'format must be gpx, kml or geojson' });
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    const farmId = 1; // Default farm for demo
+    let animalIds = parseIdList(req.query.animal_ids || req.query.animal_id);
+    if (animalIds.length === 0) {
+      const all = await executeQuery('SELECT id FROM animals WHERE farm_id = ? AND is_active = TRUE', [farmId]);
+      if (!all.success) return res.status(500).json({ success: false, message: 'Database error' });
+      animalIds = all.data.map(a => Number(a.id));
+    }
+    if (animalIds.length === 0) return sendFile(res, format, 'tracks', formatTracks(format, []));
+
+    const maxFixes = parseInt(process.env.TRACK_MAX_FIXES, 10) || 50000;
+    const result = await executeQuery(
+      `SELECT al.animal_id, a.name, a.tag_number, al.latitude, al.longitude, al.altitude_meters, al.recorded_at
+       FROM animal_locations al
+       JOIN animals a ON a.id = al.animal_id
+       WHERE al.animal_id IN (${animalIds.map(() => '?').join(', ')})
+         AND al.recorded_at >= ? AND al.recorded_at <= ?
+         AND al.is_quarantined = FALSE
+       ORDER BY al.animal_id, al.recorded_at, al.id
+       LIMIT ${maxFixes}`,
+      [...animalIds, range.from, range.to]
+    );
+    if (!result.success) return res.status(500).json({ success: false, message: 'Database error' });
+
+    const byAnimal = new Map();
+    result.data.forEach(row => {
+      if (!byAnimal.has(row.animal_id)) {
+        byAnimal.set(row.animal_id, { animal_id: row.animal_id, name: row.name, tag_number: row.tag_number, points: [] });
+      }
+      byAnimal.get(row.animal_id).points.push(row);
+    });
+
+    return sendFile(res, format, 'tracks', formatTracks(format, [...byAnimal.values()]));
+  } catch (err) {
+    console.error('Track export error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /exports/fences?format=kml|geojson[&active=true]
+router.get('/fences', optionalAuth, async (req, res) => {
+  try {
+    const format = requestedFormat(req, ['kml', 'geojson'], 'geojson');
+    if (!format) return res.status(400).json({ success: false, message: 'format must be kml or geojson' });
+
+    const farmId = 1; // Default farm for demo
+    const activeOnly = req.query.active === 'true' || req.query.active === '1';
+    const result = await executeQuery(
+      `SELECT id, name, description, center_latitude, center_longitude, radius_meters, fence_type, shape, geojson, is_active
+       FROM virtual_fences WHERE farm_id = ?${activeOnly ? ' AND is_active = TRUE' : ''}`,
+      [farmId]
+    );
+    if (!result.success) return res.status(500).json({ success: false, message: 'Database error' });
+
+    const body = format === 'kml' ? fencesToKml(result.data) : fencesToGeoJSON(result.data);
+    return sendFile(res, format, 'fences', body);
+  } catch (err) {
+    console.error('Fence export error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /exports/positions?format=kml|geojson - latest position per animal from current_locations
+router.get('/positions', optionalAuth, async (req, res) => {
+  try {
+    const format = requestedFormat(req, ['kml', 'geojson'], 'geojson');
+    if (!format) return res.status(400).json({ success: false, message: 'format must be kml or geojson' });
+
+    const result = await executeQuery(
+      `SELECT cl.animal_id, cl.collar_id, cl.latitude, cl.longitude, cl.recorded_at, cl.battery_level,
+              cl.signal_quality, cl.temperature_celsius, a.name AS animal_name, a.tag_number
+       FROM current_locations cl
+       LEFT JOIN animals a ON a.id = cl.animal_id
+       WHERE cl.latitude IS NOT NULL AND cl.longitude IS NOT NULL AND (cl.animal_id IS NULL OR cl.animal_id <> 0)`,
+      []
+    );
+    if (!result.success) return res.status(500).json({ success: false, message: 'Database error' });
+
+    const body = format === 'kml' ? positionsToKml(result.data) : positionsToGeoJSON(result.data);
+    return sendFile(res, format, 'positions', body);
+  } catch (err) {
+    console.error('Position export error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
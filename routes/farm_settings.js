@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { authenticateToken, optionalAuth } = require('../middleware');
+const {
+  SETTING_DEFINITIONS,
+  getFarmSettings,
+  validateSettings,
+  updateFarmSettings
+} = require('../services/farmSettings');
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Forbidden' });
+  next();
+};
+
+const loadFarm = async (req, res) => {
+  const farmId = Number(req.params.id);
+  if (!Number.isInteger(farmId) || farmId <= 0) {
+    res.status(400).json({ success: false, message: 'Invalid farm id' });
+    return null;
+  }
+  const r = await executeQuery('SELECT id FROM farms WHERE id = ?', [farmId]);
+  if (!r.success) {
+    res.status(500).json({ success: false, message: 'Database error' });
+    return null;
+  }
+  if (r.data.length === 0) {
+    res.status(404).json({ success: false, message: 'Farm not found' });
+    return null;
+  }
+  return farmId;
+};
+
+// GET /farms/:id/settings - effective settings plus their defaults and allowed ranges
+router.get('/:id/settings', optionalAuth, async (req, res) => {
+  try {
+    const farmId = await loadFarm(req, res);
+    if (!farmId) return;
+    const settings = await getFarmSettings(farmId);
+    return res.json({ success: true, data: { farm_id: farmId, settings, definitions: SETTING_DEFINITIONS } });
+  } catch (err) {
+    console.error('Get farm settings error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// PUT /farms/:id/settings - body { key: value, ... }; null resets a key to its default
+router.put('/:id/settings', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = await loadFarm(req, res);
+    if (!farmId) return;
+    const { changes, error } = validateSettings(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const result = await updateFarmSettings(farmId, changes, req.user.id);
+    if (!result.success) return res.status(500).json({ success: false, message: 'Failed to save settings' });
+    return res.json({ success: true, message: 'Settings updated', data: { farm_id: farmId, settings: result.settings } });
+  } catch (err) {
+    console.error('Update farm settings error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,58 @@ const express = require('express');
 const router = express.Router();
 const { executeQuery } = require('../database');
 const gpsEmitter = require('../gpsEvents');
+const { authenticateDevice } = require('../middleware');
+const { resolveFarmId, evaluateGeofence, recordFenceTransition } = require('../services/geofence');
+const { upsertCurrentLocation, emitLocation, ingestBatch, getBatchMax } = require('../services/locationIngest');
+const { resolveAnimalForCollar, findForeignAnimalPoints } = require('../services/collars');
+const { assessFix } = require('../services/fixQuality');
+const { skewFlag, checkClockSkew } = require('../services/clockSkew');
+const { getFarmSettings } = require('../services/farmSettings');
+const { parseTimestamp } = require('../services/time');
+const { evaluateFixRules } = require('../services/alertRules');
+
+// Collar keys may only report for their own collar; gateway keys may report for any collar.
+// Fills in collar_id from the key when the device omits it and always takes farm_id from the key.
+// Returns an error message or null.
+const bindDeviceCollar = (device, body) => {
+  if (!device || !body) return null;
+  if (device.farm_id) body.farm_id = device.farm_id;
+  if (!device.collar_id) return null;
+  if (body.collar_id != null && Number(body.collar_id) !== Number(device.collar_id)) {
+    return 'Device key is not allowed to report for this collar';
+  }
+  body.collar_id = device.collar_id;
+  return null;
+};
 
 // POST /gps - save a GPS point
-router.post('/', async (req, res) => {
+router.post('/', authenticateDevice, async (req, res) => {
   try {
+    const receivedAt = new Date();
+    const bindError = bindDeviceCollar(req.device, req.body);
+    if (bindError) return res.status(403).json({ success: false, message: bindError });
+
+    // Normalise the device time (ISO-8601 or epoch seconds/milliseconds) to a UTC Date
+    if (req.body.recorded_at != null && req.body.recorded_at !== '') {
+      const parsed = parseTimestamp(req.body.recorded_at);
+      if (!parsed) return res.status(400).json({ success: false, message: 'recorded_at must be ISO-8601 or epoch seconds/milliseconds' });
+      req.body.recorded_at = parsed;
+    }
+
+    // Devices that only know their collar id get the animal from the assignment history
+    // (looked up at the receive time when the device clock is clearly wrong)
+    let assignmentTime = req.body.recorded_at || receivedAt;
+    if (req.body.recorded_at && skewFlag(assignmentTime, receivedAt, await getFarmSettings(req.body.farm_id || 1))) assignmentTime = receivedAt;
+    if (req.body.collar_id && !req.body.animal_id) {
+      req.body.animal_id = await resolveAnimalForCollar(req.body.collar_id, assignmentTime);
+    } else if (req.device) {
+      const foreign = await findForeignAnimalPoints(
+        [{ animal_id: req.body.animal_id, recorded_at: assignmentTime }],
+        { collarId: req.device.collar_id, farmId: req.device.farm_id }
+      );
+      if (foreign.length) return res.status(403).json({ success: false, message: 'Device key is not allowed to report for this animal' });
+    }
+
     const {
       latitude,
       longitude,
@@ -25,7 +73,68 @@ router.post('/', async (req, res) => {
     const updateId = req.body.update_id || req.body.id || null;
 
     if (updateId) {
-      // Build update statement for animal_locations
+      // Signed devices may only correct their own collar's history; gateway keys can't edit at all
+      if (req.device && !req.device.collar_id) {
+        return res.status(403).json({ success: false, message: 'Only collar keys may edit their own GPS history' });
+      }
+      const ownCollarId = req.device ? Number(req.device.collar_id) : null;
+      if (latitude == null || longitude == null) {
+        return res.status(400).json({ success: false, message: 'Missing coordinates' });
+      }
+
+      const originalRes = await executeQuery(
+        `SELECT recorded_at, received_at, clock_skew_seconds, device_recorded_at FROM animal_locations WHERE id = ?${ownCollarId ? ' AND collar_id = ?' : ''}`,
+        ownCollarId ? [updateId, ownCollarId] : [updateId]
+      );
+      if (!originalRes.success) {
+        return res.status(500).json({ success: false, message: 'Failed to load GPS record', error: originalRes.error });
+      }
+      if (originalRes.data.length === 0) {
+        return res.status(404).json({ success: false, message: 'GPS record not found' });
+      }
+      const original = originalRes.data[0];
+
+      const farmId = await resolveFarmId(animal_id, req.body.farm_id);
+      // Without a new recorded_at the row keeps its time and clock fields
+      const point = {
+        id: Number(updateId), animal_id, collar_id, latitude, longitude,
+        recorded_at: recorded_at || new Date(original.recorded_at),
+        accuracy_meters, battery_level, signal_quality, temperature_celsius,
+        clock_skew_seconds: original.clock_skew_seconds,
+        device_recorded_at: original.device_recorded_at
+      };
+
+      // A new recorded_at is checked against when the row was first received, not the edit time,
+      // and never shifted: an edited fix keeps the time it was given and is only flagged if skewed
+      if (recorded_at) {
+        point.device_recorded_at = null;
+        const checkedAt = original.received_at ? new Date(original.received_at) : receivedAt;
+        const settings = { ...(await getFarmSettings(farmId)), clock_correct_skew: 0 };
+        const unstorable = checkClockSkew([point], settings, checkedAt);
+        if (unstorable.length) {
+          return res.status(400).json({ success: false, message: 'recorded_at is outside the storable range (device clock is wrong)' });
+        }
+      }
+
+      // Corrected fixes are scored like new ones: an outlier is quarantined and never reaches current_locations
+      let quality = null;
+      try {
+        quality = await assessFix(point, farmId);
+      } catch (qualityErr) {
+        console.warn('Fix quality scoring failed for gps update:', qualityErr && qualityErr.message ? qualityErr.message : qualityErr);
+      }
+      const quarantined = !!(quality && quality.quarantined) || !!point.clock_quarantined;
+      const qualityFlags = point.quality_flags || (point.clock_flags ? point.clock_flags.join(',') : null);
+
+      // Recompute fence state for the corrected point (no transition alerts for edits)
+      let updateWithinFence = true;
+      try {
+        const fenceEval = await evaluateGeofence({ farmId, animalId: animal_id, collarId: collar_id, latitude, longitude, recordedAt: point.recorded_at });
+        updateWithinFence = fenceEval.isWithinFence;
+      } catch (fenceErr) {
+        console.warn('Geofence evaluation failed for gps update:', fenceErr && fenceErr.message ? fenceErr.message : fenceErr);
+      }
+
       const updateSql = `UPDATE animal_locations SET
         animal_id = ?,
         collar_id = ?,
@@ -38,8 +147,14 @@ router.post('/', async (req, res) => {
         recorded_at = ?,
         battery_level = ?,
         signal_quality = ?,
-        temperature_celsius = ?
-      WHERE id = ?`;
+        temperature_celsius = ?,
+        is_within_fence = ?,
+        quality_score = ?,
+        quality_flags = ?,
+        is_quarantined = ?,
+        clock_skew_seconds = ?,
+        device_recorded_at = ?
+      WHERE id = ?${ownCollarId ? ' AND collar_id = ?' : ''}`;
 
       const updateParams = [
         animal_id,
@@ -50,58 +165,47 @@ router.post('/', async (req, res) => {
         accuracy_meters,
         speed_kmh,
         heading_degrees,
-        recorded_at ? recorded_at : new Date(),
+        point.recorded_at,
         battery_level,
         signal_quality,
         temperature_celsius,
+        updateWithinFence,
+        quality ? quality.score : null,
+        qualityFlags,
+        quarantined,
+        point.clock_skew_seconds === undefined ? null : point.clock_skew_seconds,
+        point.device_recorded_at || null,
         updateId
       ];
+      if (ownCollarId) updateParams.push(ownCollarId);
 
       const updateRes = await executeQuery(updateSql, updateParams);
       if (!updateRes.success) {
         return res.status(500).json({ success: false, message: 'Failed to update animal_locations', error: updateRes.error });
       }
-      // Also upsert into current_locations for real-time dashboard updates
-      try {
-        const upsertSql = `INSERT INTO current_locations (animal_id, collar_id, latitude, longitude, recorded_at, battery_level, signal_quality, temperature_celsius)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-          ON DUPLICATE KEY UPDATE
-            latitude = VALUES(latitude),
-            longitude = VALUES(longitude),
-            recorded_at = VALUES(recorded_at),
-            battery_level = VALUES(battery_level),
-            signal_quality = VALUES(signal_quality),
-            temperature_celsius = VALUES(temperature_celsius)`;
-        const upsertParams = [
-          animal_id,
-          collar_id,
-          Number(latitude),
-          Number(longitude),
-          recorded_at ? recorded_at : new Date(),
-          battery_level,
-          signal_quality,
-          temperature_celsius
-        ];
-        await executeQuery(upsertSql, upsertParams);
-        // Emit live event for subscribers so maps refresh
+      if (updateRes.data && Number(updateRes.data.affectedRows) === 0) {
+        return res.status(404).json({ success: false, message: 'GPS record not found' });
+      }
+
+      // Same path as new fixes: current_locations only moves forward, and only live positions are emitted
+      if (!quarantined) {
         try {
-          gpsEmitter.emit('location', {
-            animal_id,
-            collar_id,
-            latitude: Number(latitude),
-            longitude: Number(longitude),
-            recorded_at: upsertParams[4],
-            battery_level,
-            signal_quality,
-            temperature_celsius
-          });
-        } catch (emitErr) {
-          console.warn('Failed to emit gps location event after update:', emitErr && emitErr.message ? emitErr.message : emitErr);
+          point.is_within_fence = updateWithinFence;
+          if (await upsertCurrentLocation(point)) emitLocation(point);
+        } catch (upErr) {
+          console.warn('Failed to upsert current_locations after gps update:', upErr.message || upErr);
         }
-      } catch (upErr) {
-        console.warn('Failed to upsert current_locations after gps update:', upErr.message || upErr);
       }
-      return res.json({ success: true, message: 'GPS record updated', id: updateId });
+      return res.json({
+        success: true,
+        message: quarantined ? 'GPS record updated (quarantined as a low quality fix)' : 'GPS record updated',
+        id: updateId,
+        quarantined,
+        quality_score: quality ? quality.score : null,
+        quality_flags: qualityFlags ? qualityFlags.split(',') : [],
+        recorded_at: point.recorded_at,
+        clock_corrected: !!(point.clock_flags && point.clock_flags.includes('clock_corrected'))
+      });
     }
 
     if (latitude == null || longitude == null) {
@@ -110,10 +214,43 @@ router.post('/', async (req, res) => {
 
     // If device includes an animal_id or collar_id, store in the high-frequency animal_locations table
     if (animal_id || collar_id) {
-      const sql = `INSERT INTO animal_locations (
+      const farmId = await resolveFarmId(animal_id, req.body.farm_id);
+      const point = { animal_id, collar_id, latitude, longitude, recorded_at: recorded_at || receivedAt, accuracy_meters, battery_level, signal_quality, temperature_celsius };
+
+      // Device clock check against the receive time: skewed times are corrected or the fix is flagged
+      if (recorded_at) {
+        const unstorable = checkClockSkew([point], await getFarmSettings(farmId), receivedAt);
+        if (unstorable.length) {
+          return res.status(400).json({ success: false, message: 'recorded_at is outside the storable range (device clock is wrong)' });
+        }
+      }
+      const recordedAt = point.recorded_at;
+
+      // Score the fix first: outliers are stored quarantined and skip fences and current_locations
+      let quality = null;
+      try {
+        quality = await assessFix(point, farmId);
+      } catch (qualityErr) {
+        console.warn('Fix quality scoring failed:', qualityErr && qualityErr.message ? qualityErr.message : qualityErr);
+      }
+      const quarantined = !!(quality && quality.quarantined) || !!point.clock_quarantined;
+      const qualityFlags = point.quality_flags || (point.clock_flags ? point.clock_flags.join(',') : null);
+
+      // Evaluate the point against the farm's fences server-side; collars don't compute fence geometry
+      let fenceEval = null;
+      try {
+        fenceEval = await evaluateGeofence({ farmId, animalId: animal_id, collarId: collar_id, latitude, longitude, recordedAt });
+      } catch (fenceErr) {
+        console.warn('Geofence evaluation failed:', fenceErr && fenceErr.message ? fenceErr.message : fenceErr);
+      }
+      const isWithinFence = fenceEval ? fenceEval.isWithinFence : true;
+
+      // IGNORE: a retried fix for the same collar and time hits uk_collar_recorded and is skipped
+      const sql = `INSERT IGNORE INTO animal_locations (
         animal_id, collar_id, latitude, longitude, altitude_meters, accuracy_meters,
-        speed_kmh, heading_degrees, recorded_at, battery_level, signal_quality, temperature_celsius
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        speed_kmh, heading_degrees, recorded_at, battery_level, signal_quality, temperature_celsius, is_within_fence,
+        quality_score, quality_flags, is_quarantined, clock_skew_seconds, device_recorded_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
       const params = [
         animal_id,
@@ -124,60 +261,74 @@ router.post('/', async (req, res) => {
         accuracy_meters,
         speed_kmh,
         heading_degrees,
-        recorded_at ? recorded_at : new Date(),
+        recordedAt,
         battery_level,
         signal_quality,
-        temperature_celsius
+        temperature_celsius,
+        isWithinFence,
+        quality ? quality.score : null,
+        qualityFlags,
+        quarantined,
+        point.clock_skew_seconds === undefined ? null : point.clock_skew_seconds,
+        point.device_recorded_at || null
       ];
 
       const result = await executeQuery(sql, params);
       if (!result.success) {
         return res.status(500).json({ success: false, message: 'Database error', error: result.error });
       }
+      if (result.data && Number(result.data.affectedRows) === 0) {
+        return res.json({ success: true, message: 'Animal location already stored', duplicate: true, recorded_at: recordedAt });
+      }
+
+      if (quarantined) {
+        return res.json({
+          success: true,
+          message: 'Animal location quarantined (low quality fix)',
+          id: result.insertId || null,
+          quarantined: true,
+          quality_score: quality ? quality.score : null,
+          quality_flags: qualityFlags ? qualityFlags.split(',') : []
+        });
+      }
 
-  // Upsert into current_locations so dashboard shows latest position
+      // Upsert into current_locations so dashboard shows latest position (never backwards in time)
       try {
-        const upsertSql = `INSERT INTO current_locations (animal_id, collar_id, latitude, longitude, recorded_at, battery_level, signal_quality, temperature_celsius)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-          ON DUPLICATE KEY UPDATE
-            latitude = VALUES(latitude),
-            longitude = VALUES(longitude),
-            recorded_at = VALUES(recorded_at),
-            battery_level = VALUES(battery_level),
-            signal_quality = VALUES(signal_quality),
-            temperature_celsius = VALUES(temperature_celsius)`;
-        const upsertParams = [
-          animal_id,
-          collar_id,
-          Number(latitude),
-          Number(longitude),
-          recorded_at ? recorded_at : new Date(),
-          battery_level,
-          signal_quality,
-          temperature_celsius
-        ];
-        await executeQuery(upsertSql, upsertParams);
+        point.is_within_fence = isWithinFence;
+        const advanced = await upsertCurrentLocation(point);
         // Emit live event for subscribers
-        try {
-          gpsEmitter.emit('location', {
-            animal_id,
-            collar_id,
-            latitude: Number(latitude),
-            longitude: Number(longitude),
-            recorded_at: upsertParams[4],
-            battery_level,
-            signal_quality,
-            temperature_celsius
-          });
-        } catch (emitErr) {
-          console.warn('Failed to emit gps location event:', emitErr && emitErr.message ? emitErr.message : emitErr);
-        }
+        if (advanced) emitLocation(point);
       } catch (upErr) {
         console.warn('Failed to upsert current_locations:', upErr.message || upErr);
         // non-fatal — we already inserted the historical record
       }
 
-      return res.json({ success: true, message: 'Animal location saved', id: result.insertId || null });
+      // Raise an alert + fence event when the animal crossed a fence boundary
+      if (fenceEval && fenceEval.transition) {
+        try {
+          await recordFenceTransition(fenceEval, { animalId: animal_id, collarId: collar_id, latitude, longitude, recordedAt });
+        } catch (transErr) {
+          console.warn('Failed to record fence transition:', transErr && transErr.message ? transErr.message : transErr);
+        }
+      }
+
+      // Configured alert rules (speed, temperature, battery, fence exit)
+      try {
+        await evaluateFixRules([{ ...point, farm_id: farmId, speed_kmh, fence_transition: fenceEval }]);
+      } catch (rulesErr) {
+        console.warn('Alert rule evaluation failed:', rulesErr && rulesErr.message ? rulesErr.message : rulesErr);
+      }
+
+      return res.json({
+        success: true,
+        message: 'Animal location saved',
+        id: result.insertId || null,
+        quarantined: false,
+        quality_score: quality ? quality.score : null,
+        quality_flags: qualityFlags ? qualityFlags.split(',') : [],
+        recorded_at: recordedAt,
+        clock_corrected: !!(point.clock_flags && point.clock_flags.includes('clock_corrected'))
+      });
     }
 
     // Otherwise fall back to updating a single global current location row
@@ -220,6 +371,41 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /gps/batch - save many buffered GPS points in one request (store-and-forward collars)
+// Body: { collar_id?, animal_id?, farm_id?, points: [{ latitude, longitude, recorded_at, ... }] }
+// or a bare array of points. Top-level ids apply to points that don't carry their own.
+// Responds with a per-item report: inserted | duplicate | rejected | error
+router.post('/batch', authenticateDevice, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const points = Array.isArray(body) ? body : body.points;
+    if (!Array.isArray(points) || points.length === 0) {
+      return res.status(400).json({ success: false, message: 'points must be a non-empty array' });
+    }
+    const batchMax = getBatchMax();
+    if (points.length > batchMax) {
+      return res.status(413).json({ success: false, message: `Too many points in one batch (max ${batchMax})` });
+    }
+
+    const defaults = {};
+    if (!Array.isArray(body)) {
+      ['animal_id', 'collar_id', 'farm_id'].forEach(k => { if (body[k] != null) defaults[k] = body[k]; });
+    }
+
+    // Device keys pin the collar (collar keys) and the farm; named animals are checked against both
+    const restrictCollarId = req.device && req.device.collar_id ? Number(req.device.collar_id) : null;
+    const restrictFarmId = req.device && req.device.farm_id ? Number(req.device.farm_id) : null;
+    if (restrictCollarId) defaults.collar_id = restrictCollarId;
+    if (restrictFarmId) defaults.farm_id = restrictFarmId;
+
+    const report = await ingestBatch(points, defaults, { restrictCollarId, restrictFarmId });
+    return res.json({ success: true, message: 'GPS batch processed', ...report });
+  } catch (err) {
+    console.error('GPS batch error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
 // GET /gps - fetch recent GPS points (optional ?limit=100)
 router.get('/', async (req, res) => {
   try {
@@ -1,36 +1,72 @@
 const express = require('express');
 const router = express.Router();
-const gpsEmitter = require('../gpsEvents');
-
-// GET /gps/stream - Server-Sent Events stream of GPS locations
-router.get('/stream', (req, res) => {
-  // Set headers for SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders && res.flushHeaders();
-
-  const onLocation = (data) => {
-    try {
-      const payload = JSON.stringify(data);
-      res.write(`data: ${payload}\n\n`);
-    } catch (err) {
-      console.warn('SSE write failed:', err);
+const { executeQuery } = require('../database');
+const { subscribe, eventsSince, buildEventFilter, matchesEvent } = require('../services/liveEvents');
+
+// Write one SSE frame; the id lets EventSource resume with Last-Event-ID after a reconnect
+const writeEvent = (res, event) => {
+  try {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  } catch (err) {
+    console.warn('SSE write failed:', err);
+  }
+};
+
+// GET /gps/stream - Server-Sent Events stream of live farm events
+// Named events: location, alert, fence, device (listen with addEventListener, not onmessage).
+// Optional filters: types=location,alert  animal_ids=1,2  collar_ids=3  fence_id=4  bbox=minLon,minLat,maxLon,maxLat
+// Reconnecting clients get missed events replayed from Last-Event-ID (header or ?last_event_id=).
+router.get('/stream', async (req, res) => {
+  try {
+    let fence = null;
+    if (req.query.fence_id) {
+      const r = await executeQuery(
+        'SELECT id, center_latitude, center_longitude, radius_meters, shape, geojson FROM virtual_fences WHERE id = ? LIMIT 1',
+        [req.query.fence_id]
+      );
+      if (!r.success) return res.status(500).json({ success: false, message: 'Database error' });
+      if (r.data.length === 0) return res.status(404).json({ success: false, message: 'Fence not found' });
+      fence = r.data[0];
+    }
+    const filter = buildEventFilter(req.query, fence);
+    if (filter.error) return res.status(400).json({ success: false, message: filter.error });
+
+    // Set headers for SSE
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders && res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    if (lastEventId) {
+      const replay = eventsSince(lastEventId);
+      if (!replay.complete) {
+        // Too far behind (or from before a restart): tell the client to reload full state
+        res.write(`event: reset\ndata: ${JSON.stringify({ last_event_id: String(lastEventId) })}\n\n`);
+      }
+      replay.events.filter(e => matchesEvent(e, filter)).forEach(e => writeEvent(res, e));
     }
-  };
 
-  gpsEmitter.on('location', onLocation);
+    const unsubscribe = subscribe((event) => {
+      if (matchesEvent(event, filter)) writeEvent(res, event);
+    });
 
-  // Send a ping every 20s to keep the connection alive
-  const keepAlive = setInterval(() => {
-    res.write(': keep-alive\n\n');
-  }, 20000);
+    // Send a ping every 20s to keep the connection alive
+    const keepAlive = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, 20000);
 
-  // Clean up on client disconnect
-  req.on('close', () => {
-    clearInterval(keepAlive);
-    gpsEmitter.removeListener('location', onLocation);
-  });
+    // Clean up on client disconnect
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  } catch (err) {
+    console.error('GPS stream error:', err);
+    if (!res.headersSent) return res.status(500).json({ success: false, message: 'Internal server error' });
+    res.end();
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,231 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyAccessToken } = require('../middleware');
+const { subscribe: subscribeLive } = require('../services/liveEvents');
+
+// WebSocket gateway for live farm events (companion to the SSE stream in gps_stream.js).
+// Connect to /api/v1/gps/ws with the same JWT the REST API uses (Authorization header or ?token=).
+// Client messages (JSON):
+//   { "action": "subscribe",   "channel": "animals", "ids": [1, 2] }   ids omitted = every animal
+//   { "action": "subscribe",   "channel": "fences",  "ids": [3] }
+//   { "action": "subscribe",   "channel": "alerts",  "severities": ["high", "critical"] }
+//   { "action": "subscribe",   "channel": "devices" }
+//   { "action": "unsubscribe", "channel": "animals", "ids": [2] }      ids omitted = whole channel
+//   { "action": "ping" }
+// Server messages: welcome, subscribed, unsubscribed, event, dropped, pong, error.
+
+const WS_PATHS = ['/api/v1/gps/ws', '/gps/ws'];
+const CHANNELS = ['animals', 'fences', 'alerts', 'devices'];
+const ALL = '*';
+
+const getConfig = () => ({
+  heartbeatMs: parseInt(process.env.WS_HEARTBEAT_MS, 10) || 30000,
+  maxPerUser: parseInt(process.env.WS_MAX_CONNECTIONS_PER_USER, 10) || 5,
+  maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES, 10) || 1024 * 1024
+});
+
+const connectionsByUser = new Map();
+let nextConnectionId = 1;
+
+const rejectUpgrade = (socket, status, message) => {
+  const reason = { 401: 'Unauthorized', 403: 'Forbidden', 429: 'Too Many Requests' }[status] || 'Bad Request';
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nContent-Type: application/json\r\nConnection: close\r\n\r\n${JSON.stringify({ success: false, message })}`);
+  socket.destroy();
+};
+
+const tokenFromRequest = (req, url) => {
+  const authHeader = req.headers['authorization'];
+  if (authHeader) return authHeader.split(' ')[1];
+  return url.searchParams.get('token');
+};
+
+// Send a message, applying backpressure: location updates are dropped while the client's
+// send buffer is over the limit (the next one supersedes them); anything else closes a client
+// that stays far behind.
+const send = (client, message, droppable = false) => {
+  const { ws } = client;
+  if (ws.readyState !== WebSocket.OPEN) return;
+  const { maxBufferedBytes } = getConfig();
+  if (ws.bufferedAmount > maxBufferedBytes) {
+    if (droppable) {
+      client.dropped += 1;
+      return;
+    }
+    if (ws.bufferedAmount > maxBufferedBytes * 4) {
+      ws.close(1013, 'Client too slow');
+      return;
+    }
+  }
+  if (client.dropped > 0) {
+    ws.send(JSON.stringify({ type: 'dropped', count: client.dropped }));
+    client.dropped = 0;
+  }
+  ws.send(JSON.stringify(message));
+};
+
+const subscriptionsView = (client) => {
+  const view = {};
+  client.subscriptions.forEach((value, channel) => {
+    view[channel] = value === ALL ? ALL : [...value];
+  });
+  if (client.alertSeverities) view.alert_severities = [...client.alertSeverities];
+  return view;
+};
+
+const parseIds = (ids) => {
+  if (ids === undefined || ids === null) return ALL;
+  if (!Array.isArray(ids)) return null;
+  const parsed = ids.map(Number);
+  return parsed.every(id => Number.isInteger(id) && id > 0) ? new Set(parsed) : null;
+};
+
+const handleMessage = (client, raw) => {
+  let msg;
+  try {
+    msg = JSON.parse(raw.toString());
+  } catch (err) {
+    return send(client, { type: 'error', message: 'Messages must be JSON' });
+  }
+  if (!msg || typeof msg !== 'object') return send(client, { type: 'error', message: 'Messages must be JSON objects' });
+
+  if (msg.action === 'ping') return send(client, { type: 'pong', time: new Date().toISOString() });
+
+  if (msg.action !== 'subscribe' && msg.action !== 'unsubscribe') {
+    return send(client, { type: 'error', message: 'action must be subscribe, unsubscribe or ping' });
+  }
+  if (!CHANNELS.includes(msg.channel)) {
+    return send(client, { type: 'error', message: `channel must be one of: ${CHANNELS.join(', ')}` });
+  }
+  const ids = parseIds(msg.ids);
+  if (ids === null) return send(client, { type: 'error', message: 'ids must be an array of positive integers' });
+
+  const current = client.subscriptions.get(msg.channel);
+  if (msg.action === 'subscribe') {
+    if (ids === ALL || current === ALL) {
+      client.subscriptions.set(msg.channel, ALL);
+    } else {
+      client.subscriptions.set(msg.channel, new Set([...(current || []), ...ids]));
+    }
+    if (msg.channel === 'alerts') {
+      client.alertSeverities = Array.isArray(msg.severities) && msg.severities.length
+        ? new Set(msg.severities.map(s => String(s).toLowerCase()))
+        : null;
+    }
+    return send(client, { type: 'subscribed', subscriptions: subscriptionsView(client) });
+  }
+
+  if (ids === ALL || !current) {
+    client.subscriptions.delete(msg.channel);
+    if (msg.channel === 'alerts') client.alertSeverities = null;
+  } else if (current !== ALL) {
+    ids.forEach(id => current.delete(id));
+    if (current.size === 0) client.subscriptions.delete(msg.channel);
+  } else {
+    return send(client, { type: 'error', message: `Subscribed to every ${msg.channel}; unsubscribe without ids to stop` });
+  }
+  return send(client, { type: 'unsubscribed', subscriptions: subscriptionsView(client) });
+};
+
+const inChannel = (client, channel, id) => {
+  const sub = client.subscriptions.get(channel);
+  if (!sub) return false;
+  if (sub === ALL) return true;
+  return id !== null && id !== undefined && sub.has(Number(id));
+};
+
+// Which live events a client receives for its subscriptions
+const wantsEvent = (client, event) => {
+  const data = event.data || {};
+  switch (event.type) {
+    case 'location':
+      return inChannel(client, 'animals', data.animal_id);
+    case 'fence':
+      return inChannel(client, 'animals', data.animal_id) || inChannel(client, 'fences', data.fence_id);
+    case 'alert': {
+      const severityOk = !client.alertSeverities || client.alertSeverities.has(String(data.severity).toLowerCase());
+      return (client.subscriptions.has('alerts') && severityOk) ||
+        inChannel(client, 'animals', data.animal_id) ||
+        inChannel(client, 'fences', data.fence_id);
+    }
+    case 'device':
+      return client.subscriptions.has('devices');
+    default:
+      return false;
+  }
+};
+
+// Attach the gateway to the HTTP server returned by app.listen()
+const attachGpsWebSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+  const clients = new Set();
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!WS_PATHS.includes(url.pathname.replace(/\/$/, ''))) {
+      socket.destroy();
+      return;
+    }
+
+    const auth = verifyAccessToken(tokenFromRequest(req, url));
+    if (!auth.user) return rejectUpgrade(socket, auth.status, auth.message);
+
+    const userId = String(auth.user.id);
+    const { maxPerUser } = getConfig();
+    if ((connectionsByUser.get(userId) || 0) >= maxPerUser) {
+      return rejectUpgrade(socket, 429, `At most ${maxPerUser} live connections per user`);
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, auth.user));
+  });
+
+  wss.on('connection', (ws, req, user) => {
+    const userId = String(user.id);
+    connectionsByUser.set(userId, (connectionsByUser.get(userId) || 0) + 1);
+
+    const client = { id: nextConnectionId++, ws, user, subscriptions: new Map(), alertSeverities: null, dropped: 0, isAlive: true };
+    clients.add(client);
+
+    ws.on('pong', () => { client.isAlive = true; });
+    ws.on('message', (raw) => handleMessage(client, raw));
+    ws.on('error', (err) => console.warn('WebSocket client error:', err && err.message ? err.message : err));
+    ws.on('close', () => {
+      clients.delete(client);
+      const remaining = (connectionsByUser.get(userId) || 1) - 1;
+      if (remaining > 0) connectionsByUser.set(userId, remaining);
+      else connectionsByUser.delete(userId);
+    });
+
+    send(client, { type: 'welcome', connection_id: client.id, user_id: user.id, channels: CHANNELS });
+  });
+
+  const unsubscribe = subscribeLive((event) => {
+    clients.forEach(client => {
+      if (wantsEvent(client, event)) {
+        send(client, { type: 'event', event: event.type, id: event.id, data: event.data }, event.type === 'location');
+      }
+    });
+  });
+
+  // Ping every client; drop the ones that did not answer the previous ping
+  const heartbeat = setInterval(() => {
+    clients.forEach(client => {
+      if (!client.isAlive) {
+        client.ws.terminate();
+        return;
+      }
+      client.isAlive = false;
+      client.ws.ping();
+    });
+  }, getConfig().heartbeatMs);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  console.log(`🔌 WebSocket gateway listening on ${WS_PATHS[0]}`);
+  return wss;
+};
+
+module.exports = {
+  attachGpsWebSocket
+};
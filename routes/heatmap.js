@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { optionalAuth } = require('../middleware');
+const { parseTimeRange } = require('../services/time');
+const { parseFenceGeometry } = require('../services/geofence');
+const { buildHeatmap } = require('../services/heatmap');
+
+const MAX_RANGE_DAYS = 92;
+const METRICS = ['count', 'dwell'];
+
+const parseIdList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map(v => Number(v.trim())).filter(v => Number.isInteger(v) && v > 0);
+};
+
+const boundsToPolygon = ([minLon, minLat, maxLon, maxLat]) => ({
+  type: 'Polygon',
+  coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]
+});
+
+// GET /dashboard/heatmap?from=&to=&cell_meters=50|geohash_precision=7&metric=count|dwell&fence_id=&animal_ids=1,2
+// Grazing density as a GeoJSON FeatureCollection of cell polygons. Every cell carries count,
+// dwell_minutes and animals; `value` is the selected metric for styling.
+router.get('/heatmap', optionalAuth, async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query, 24 * 7);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+    if (range.to.getTime() - range.from.getTime() > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, message: `Range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+    const metric = String(req.query.metric || 'count').toLowerCase();
+    if (!METRICS.includes(metric)) return res.status(400).json({ success: false, message: 'metric must be count or dwell' });
+
+    const farmId = 1; // Default farm for demo
+    let grid;
+    if (req.query.geohash_precision !== undefined) {
+      const precision = Number(req.query.geohash_precision);
+      if (!Number.isInteger(precision) || precision < 1 || precision > 10) {
+        return res.status(400).json({ success: false, message: 'geohash_precision must be an integer between 1 and 10' });
+      }
+      grid = { type: 'geohash', precision };
+    } else {
+      const cellMeters = req.query.cell_meters === undefined ? 50 : Number(req.query.cell_meters);
+      if (!Number.isFinite(cellMeters) || cellMeters < 5 || cellMeters > 5000) {
+        return res.status(400).json({ success: false, message: 'cell_meters must be a number between 5 and 5000' });
+      }
+      const farm = await executeQuery('SELECT center_latitude FROM farms WHERE id = ?', [farmId]);
+      if (!farm.success) return res.status(500).json({ success: false, message: 'Database error' });
+      grid = { type: 'grid', cellMeters, refLatitude: farm.data.length ? Number(farm.data[0].center_latitude) : 0 };
+    }
+
+    let fence = null;
+    if (req.query.fence_id) {
+      const r = await executeQuery(
+        `SELECT id, center_latitude, center_longitude, radius_meters, shape, geojson, updated_at
+         FROM virtual_fences WHERE id = ? AND farm_id = ? LIMIT 1`,
+        [req.query.fence_id, farmId]
+      );
+      if (!r.success) return res.status(500).json({ success: false, message: 'Database error' });
+      if (r.data.length === 0) return res.status(404).json({ success: false, message: 'Fence not found' });
+      fence = { ...r.data[0], geometry: parseFenceGeometry(r.data[0]) };
+    }
+
+    let animalIds = parseIdList(req.query.animal_ids || req.query.animal_id);
+    if (animalIds.length === 0) {
+      const all = await executeQuery('SELECT id FROM animals WHERE farm_id = ? AND is_active = TRUE', [farmId]);
+      if (!all.success) return res.status(500).json({ success: false, message: 'Database error' });
+      animalIds = all.data.map(a => Number(a.id));
+    }
+
+    const result = animalIds.length
+      ? await buildHeatmap({ farmId, animalIds, fence, from: range.from, to: range.to, grid })
+      : { cells: [], chunks: 0, cached_chunks: 0 };
+    const maxCells = parseInt(process.env.HEATMAP_MAX_CELLS, 10) || 20000;
+    if (result.cells.length > maxCells) {
+      return res.status(400).json({ success: false, message: `Too many cells (${result.cells.length}); use a larger cell size or lower geohash precision` });
+    }
+
+    const values = result.cells.map(c => (metric === 'dwell' ? c.dwell_minutes : c.count));
+    return res.json({
+      type: 'FeatureCollection',
+      metadata: {
+        from: range.from,
+        to: range.to,
+        metric,
+        grid: grid.type === 'geohash' ? { type: 'geohash', precision: grid.precision } : { type: 'grid', cell_meters: grid.cellMeters },
+        fence_id: fence ? Number(fence.id) : null,
+        animals: animalIds.length,
+        cells: result.cells.length,
+        total_fixes: result.cells.reduce((acc, c) => acc + c.count, 0),
+        total_dwell_minutes: Math.round(result.cells.reduce((acc, c) => acc + c.dwell_minutes, 0)),
+        max_value: values.length ? Math.max(...values) : 0,
+        chunks: result.chunks,
+        cached_chunks: result.cached_chunks
+      },
+      features: result.cells.map((c, i) => ({
+        type: 'Feature',
+        geometry: boundsToPolygon(c.bounds),
+        properties: { cell: c.cell, count: c.count, dwell_minutes: c.dwell_minutes, animals: c.animals, value: values[i] }
+      }))
+    });
+  } catch (err) {
+    console.error('Get heatmap error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware');
+const { computeHerdClusters } = require('../services/herd');
+
+// GeoJSON for the map: one Point per cluster centroid and one per animal
+const toFeatureCollection = ({ groups, animals }) => ({
+  type: 'FeatureCollection',
+  features: [
+    ...groups.flatMap(g => g.clusters.map(c => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [c.centroid.longitude, c.centroid.latitude] },
+      properties: { kind: 'cluster', herd_group: g.herd_group, cluster_id: c.cluster_id, size: c.size, is_herd: c.is_herd, radius_meters: c.radius_meters }
+    }))),
+    ...animals.map(a => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [a.longitude, a.latitude] },
+      properties: {
+        kind: 'animal',
+        animal_id: a.animal_id,
+        name: a.name,
+        tag_number: a.tag_number,
+        herd_group: a.herd_group,
+        cluster_id: a.cluster_id,
+        distance_to_herd_meters: a.distance_to_herd_meters,
+        separated: a.separated,
+        separated_since: a.separated_since
+      }
+    }))
+  ]
+});
+
+// GET /dashboard/herd/clusters?group=&format=geojson - herd clusters, centroids and membership
+// from the latest positions (?group= limits to one herd_group, ?group= empty = ungrouped animals)
+router.get('/herd/clusters', optionalAuth, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    let group;
+    if (req.query.group !== undefined) group = String(req.query.group).trim() || null;
+    const result = await computeHerdClusters(farmId, { group });
+    if (req.query.format === 'geojson') return res.json(toFeatureCollection(result));
+    return res.json({
+      success: true,
+      data: {
+        ...result,
+        separated: result.animals.filter(a => a.separated).length
+      }
+    });
+  } catch (err) {
+    console.error('Get herd clusters error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware');
+const { listJobs, runJob } = require('../services/scheduler');
+const { getRetentionReport } = require('../services/retention');
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Forbidden' });
+  next();
+};
+
+// GET /jobs - background jobs with their last run status and result (admin)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, data: await listJobs() });
+  } catch (err) {
+    console.error('List jobs error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /jobs/retention - location retention policy, storage state and recent runs (admin)
+router.get('/retention', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, data: await getRetentionReport() });
+  } catch (err) {
+    console.error('Retention report error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /jobs/:name/run - run a job now and wait for it to finish (admin)
+router.post('/:name/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    if (!jobs.some(j => j.name === req.params.name)) return res.status(404).json({ success: false, message: 'Job not found' });
+    const outcome = await runJob(req.params.name);
+    if (outcome.skipped) return res.status(409).json({ success: false, message: 'Job is already running' });
+    if (outcome.error) return res.status(500).json({ success: false, message: 'Job failed', error: outcome.error.message });
+    return res.json({ success: true, message: 'Job finished', result: outcome.result === undefined ? null : outcome.result });
+  } catch (err) {
+    console.error('Run job error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, optionalAuth } = require('../middleware');
+const { SEVERITIES } = require('../services/severity');
+const { getVapidKeys } = require('../services/webPush');
+const { checkWebhookTarget } = require('../services/notificationChannels');
+const {
+  CHANNEL_NAMES,
+  OUTBOX_STATUSES,
+  validatePreference,
+  getPreferences,
+  savePreference,
+  deletePreference,
+  savePushSubscription,
+  deletePushSubscription,
+  enqueueUserNotifications,
+  listOutbox,
+  getOutboxMessage,
+  retryOutboxMessage
+} = require('../services/notifications');
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Forbidden' });
+  next();
+};
+
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// GET /notifications/preferences - the current user's channels
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: await getPreferences(req.user.id),
+      definitions: { channels: CHANNEL_NAMES, severities: SEVERITIES }
+    });
+  } catch (err) {
+    console.error('Get notification preferences error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// PUT /notifications/preferences/:channel - body { is_enabled, min_severity, alert_types, target }
+// Email and SMS default to the user's email and phone_number when target is null.
+router.put('/preferences/:channel', authenticateToken, async (req, res) => {
+  try {
+    const { preference, error } = validatePreference(req.params.channel, req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (req.params.channel === 'webhook') {
+      try {
+        await checkWebhookTarget(preference.target);
+      } catch (targetErr) {
+        return res.status(400).json({ success: false, message: targetErr.message });
+      }
+    }
+    const data = await savePreference(req.user.id, req.params.channel, preference);
+    return res.json({ success: true, message: 'Notification preference saved', data });
+  } catch (err) {
+    console.error('Save notification preference error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// DELETE /notifications/preferences/:channel
+router.delete('/preferences/:channel', authenticateToken, async (req, res) => {
+  try {
+    if (!(await deletePreference(req.user.id, req.params.channel))) {
+      return res.status(404).json({ success: false, message: 'Notification preference not found' });
+    }
+    return res.json({ success: true, message: 'Notification preference deleted' });
+  } catch (err) {
+    console.error('Delete notification preference error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /notifications/push/public-key - VAPID key for PushManager.subscribe()
+router.get('/push/public-key', optionalAuth, (req, res) => {
+  const keys = getVapidKeys();
+  if (!keys) return res.status(404).json({ success: false, message: 'Web push is not configured' });
+  return res.json({ success: true, data: { public_key: keys.publicKey } });
+});
+
+// POST /notifications/push/subscriptions - body: the browser's PushSubscription JSON
+router.post('/push/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const result = await savePushSubscription(req.user.id, req.body, req.get('user-agent'));
+    if (result.error) return res.status(400).json({ success: false, message: result.error });
+    return res.status(201).json({ success: true, message: 'Push subscription saved' });
+  } catch (err) {
+    console.error('Save push subscription error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// DELETE /notifications/push/subscriptions - body { endpoint }
+router.delete('/push/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body || !req.body.endpoint) return res.status(400).json({ success: false, message: 'endpoint is required' });
+    if (!(await deletePushSubscription(req.user.id, req.body.endpoint))) {
+      return res.status(404).json({ success: false, message: 'Push subscription not found' });
+    }
+    return res.json({ success: true, message: 'Push subscription deleted' });
+  } catch (err) {
+    console.error('Delete push subscription error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /notifications/test - queue a test message to the current user on all enabled channels
+router.post('/test', authenticateToken, async (req, res) => {
+  try {
+    const result = await enqueueUserNotifications([req.user.id], {
+      alert_type: 'test',
+      severity: 'low',
+      title: 'Test notification',
+      message: 'Notifications are working.'
+    }, { reason: 'test' });
+    return res.status(202).json({ success: true, message: `Queued ${result.queued} test notification(s)`, data: result });
+  } catch (err) {
+    console.error('Test notification error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /notifications/outbox?status=&alert_id=&user_id=&channel=&limit= - delivery status (admin)
+router.get('/outbox', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status = null, channel = null } = req.query;
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+    }
+    if (channel && !CHANNEL_NAMES.includes(channel)) {
+      return res.status(400).json({ success: false, message: `channel must be one of: ${CHANNEL_NAMES.join(', ')}` });
+    }
+    const limit = Math.min(parseId(req.query.limit) || 100, 1000);
+    const data = await listOutbox({ status, channel, alertId: parseId(req.query.alert_id), userId: parseId(req.query.user_id), limit });
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error('List notification outbox error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /notifications/outbox/:id - one message with its body and payload (admin)
+router.get('/outbox/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid notification id' });
+    const message = await getOutboxMessage(id);
+    if (!message) return res.status(404).json({ success: false, message: 'Notification not found' });
+    return res.json({ success: true, data: message });
+  } catch (err) {
+    console.error('Get notification error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /notifications/outbox/:id/retry - send a failed message again (admin)
+router.post('/outbox/:id/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid notification id' });
+    if (!(await retryOutboxMessage(id))) return res.status(409).json({ success: false, message: 'Only failed notifications can be retried' });
+    return res.json({ success: true, message: 'Notification queued again' });
+  } catch (err) {
+    console.error('Retry notification error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
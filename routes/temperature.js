@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { executeQuery } = require('../database');
+const { optionalAuth } = require('../middleware');
+const { parseTimeRange } = require('../services/time');
+const { getTemperatureSeries } = require('../services/temperature');
+
+// Cap on points per response; wider ranges get coarser buckets
+const MAX_BUCKETS = 2000;
+
+// GET /dashboard/animals/:id/temperature?from=&to=&bucket_minutes= - body temperature trend
+// with the animal's rolling baseline, alert bands and sustained high/low episodes
+router.get('/animals/:id/temperature', optionalAuth, async (req, res) => {
+  try {
+    const animalId = Number(req.params.id);
+    if (!Number.isInteger(animalId) || animalId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid animal id' });
+    }
+    const range = parseTimeRange(req.query, 24 * 3);
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    const spanMinutes = (range.to.getTime() - range.from.getTime()) / 60000;
+    let bucketMinutes = spanMinutes <= 48 * 60 ? 15 : 60;
+    if (req.query.bucket_minutes !== undefined) {
+      bucketMinutes = Number(req.query.bucket_minutes);
+      if (!Number.isInteger(bucketMinutes) || bucketMinutes < 1 || bucketMinutes > 1440) {
+        return res.status(400).json({ success: false, message: 'bucket_minutes must be an integer between 1 and 1440' });
+      }
+    }
+    if (spanMinutes / bucketMinutes > MAX_BUCKETS) {
+      return res.status(400).json({ success: false, message: `Range too large for ${bucketMinutes} minute buckets (max ${MAX_BUCKETS} buckets)` });
+    }
+
+    const animal = await executeQuery('SELECT id, farm_id, name, tag_number FROM animals WHERE id = ?', [animalId]);
+    if (!animal.success) return res.status(500).json({ success: false, message: 'Database error' });
+    if (animal.data.length === 0) return res.status(404).json({ success: false, message: 'Animal not found' });
+    const { farm_id: farmId, name, tag_number } = animal.data[0];
+
+    const series = await getTemperatureSeries(animalId, farmId, range.from, range.to, bucketMinutes);
+    return res.json({
+      success: true,
+      data: {
+        animal_id: animalId,
+        name,
+        tag_number,
+        from: range.from,
+        to: range.to,
+        bucket_minutes: bucketMinutes,
+        ...series
+      }
+    });
+  } catch (err) {
+    console.error('Get animal temperature error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
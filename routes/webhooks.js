@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware');
+const {
+  WEBHOOK_EVENT_TYPES,
+  DELIVERY_STATUSES,
+  validateSubscription,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  sendTestEvent,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+} = require('../services/webhooks');
+const { checkPublicUrl } = require('../services/outboundHttp');
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') return res.status(403).json({ success: false, message: 'Forbidden' });
+  next();
+};
+
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// GET /webhooks - subscriptions of the farm
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    return res.json({ success: true, data: await listSubscriptions(farmId), definitions: { event_types: WEBHOOK_EVENT_TYPES } });
+  } catch (err) {
+    console.error('List webhooks error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /webhooks - body { url, description?, event_types, is_enabled? }; returns the signing secret once
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const { subscription, error } = validateSubscription(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    try {
+      await checkPublicUrl(subscription.url);
+    } catch (targetErr) {
+      return res.status(400).json({ success: false, message: targetErr.message });
+    }
+    const created = await createSubscription(farmId, subscription, { userId: req.user.id || null });
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now; it cannot be retrieved again.',
+      data: { ...created.subscription, secret: created.secret }
+    });
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /webhooks/deliveries/:id - one delivery with its payload and last response
+router.get('/deliveries/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid delivery id' });
+    const delivery = await getDelivery(farmId, id);
+    if (!delivery) return res.status(404).json({ success: false, message: 'Delivery not found' });
+    return res.json({ success: true, data: delivery });
+  } catch (err) {
+    console.error('Get webhook delivery error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /webhooks/deliveries/:id/replay - send the same event again as a new delivery
+router.post('/deliveries/:id/replay', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid delivery id' });
+    const deliveryId = await replayDelivery(farmId, id);
+    if (!deliveryId) return res.status(404).json({ success: false, message: 'Delivery not found' });
+    return res.status(202).json({ success: true, message: 'Delivery queued again', data: { delivery_id: deliveryId, replay_of: id } });
+  } catch (err) {
+    console.error('Replay webhook delivery error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /webhooks/:id
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid webhook id' });
+    const subscription = await getSubscription(farmId, id);
+    if (!subscription) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    return res.json({ success: true, data: subscription });
+  } catch (err) {
+    console.error('Get webhook error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// PUT/PATCH /webhooks/:id - partial update of url, description, event_types, is_enabled
+const updateWebhookHandler = async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid webhook id' });
+    const existing = await getSubscription(farmId, id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    const { subscription, error } = validateSubscription(req.body, existing);
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (subscription.url !== existing.url) {
+      try {
+        await checkPublicUrl(subscription.url);
+      } catch (targetErr) {
+        return res.status(400).json({ success: false, message: targetErr.message });
+      }
+    }
+    const data = await updateSubscription(farmId, id, subscription);
+    return res.json({ success: true, message: 'Webhook updated', data });
+  } catch (err) {
+    console.error('Update webhook error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+router.put('/:id', authenticateToken, requireAdmin, updateWebhookHandler);
+router.patch('/:id', authenticateToken, requireAdmin, updateWebhookHandler);
+
+// DELETE /webhooks/:id - removes the subscription and its delivery log
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid webhook id' });
+    if (!(await deleteSubscription(farmId, id))) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    return res.json({ success: true, message: 'Webhook deleted' });
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /webhooks/:id/rotate-secret - new signing secret, effective immediately
+router.post('/:id/rotate-secret', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid webhook id' });
+    const secret = await rotateSubscriptionSecret(farmId, id);
+    if (!secret) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    return res.json({ success: true, message: 'Webhook secret rotated. Store the secret now; it cannot be retrieved again.', data: { id, secret } });
+  } catch (err) {
+    console.error('Rotate webhook secret error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// POST /webhooks/:id/test - queue a webhook.ping event
+router.post('/:id/test', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid webhook id' });
+    const subscription = await getSubscription(farmId, id);
+    if (!subscription) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    const deliveryId = await sendTestEvent(subscription);
+    return res.status(202).json({ success: true, message: 'Test event queued', data: { delivery_id: deliveryId } });
+  } catch (err) {
+    console.error('Test webhook error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// GET /webhooks/:id/deliveries?status=&event_type=&limit= - delivery log, newest first
+router.get('/:id/deliveries', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const farmId = 1; // Default farm for demo
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ success: false, message: 'Invalid webhook id' });
+    const { status = null, event_type: eventType = null } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    if (!(await getSubscription(farmId, id))) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    const limit = Math.min(parseId(req.query.limit) || 100, 1000);
+    return res.json({ success: true, data: await listDeliveries(id, { status, eventType, limit }) });
+  } catch (err) {
+    console.error('List webhook deliveries error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
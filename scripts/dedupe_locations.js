@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * One-off migration for installs that stored the same collar fix twice before
+ * the unique (collar_id, recorded_at) key existed. The server won't add
+ * uk_collar_recorded while duplicates remain; run this, then restart it.
+ * Usage:
+ *   node scripts/dedupe_locations.js           # report duplicates only
+ *   node scripts/dedupe_locations.js --apply   # delete them and add the key
+ * The first (lowest id) copy of each fix is kept. Back up animal_locations
+ * before running with --apply.
+ */
+const { executeQuery, ensureIndex } = require('../database');
+
+const run = async () => {
+  try {
+    const apply = process.argv.includes('--apply');
+
+    const countRes = await executeQuery(`
+      SELECT COUNT(*) AS total FROM animal_locations dup
+      JOIN animal_locations keep ON keep.collar_id = dup.collar_id AND keep.recorded_at = dup.recorded_at AND keep.id < dup.id
+    `);
+    if (!countRes.success) {
+      console.error('DB error while counting duplicate fixes:', countRes.error);
+      process.exit(1);
+    }
+    const duplicates = Number(countRes.data[0].total);
+    console.log(`Found ${duplicates} duplicate fix row(s) in animal_locations.`);
+
+    if (!apply) {
+      if (duplicates > 0) console.log('Run again with --apply to delete them (keeps the first copy of each fix).');
+      process.exit(0);
+    }
+
+    if (duplicates > 0) {
+      const del = await executeQuery(`
+        DELETE dup FROM animal_locations dup
+        JOIN animal_locations keep ON keep.collar_id = dup.collar_id AND keep.recorded_at = dup.recorded_at AND keep.id < dup.id
+      `);
+      if (!del.success) {
+        console.error('Failed to delete duplicate fixes:', del.error);
+        process.exit(1);
+      }
+      console.log(`✅ Deleted ${del.data.affectedRows} duplicate fix row(s).`);
+    }
+
+    const index = await ensureIndex('animal_locations', 'uk_collar_recorded', 'collar_id, recorded_at', { unique: true });
+    if (!index.success) {
+      console.error('Failed to add uk_collar_recorded:', index.error);
+      process.exit(1);
+    }
+    console.log('✅ uk_collar_recorded is in place.');
+    process.exit(0);
+  } catch (err) {
+    console.error('Unexpected error:', err && err.message ? err.message : err);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/**
+ * Generate a VAPID key pair for web push notifications and print it as .env lines.
+ * Usage:
+ *   node scripts/generate_vapid_keys.js
+ */
+const { generateVapidKeys } = require('../services/webPush');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:admin@example.com');
+process.exit(0);
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Local stand-ins for the SMS gateway and SMTP server: both accept everything and print
+ * what they receive, so notifications can be tested without real providers.
+ * Usage:
+ *   node scripts/notification_sinks.js [sms-port] [smtp-port]
+ * Then in .env:
+ *   SMS_GATEWAY_URL=http://localhost:8025/sms
+ *   SMTP_HOST=localhost
+ *   SMTP_PORT=2525
+ *   SMTP_SECURE=false
+ */
+const http = require('http');
+const net = require('net');
+
+const smsPort = parseInt(process.argv[2], 10) || 8025;
+const smtpPort = parseInt(process.argv[3], 10) || 2525;
+
+// SMS gateway: POST any path with JSON { to, from, message }
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    console.log(`📱 SMS ${req.method} ${req.url}`);
+    console.log(body);
+    res.writeHead(req.method === 'POST' ? 202 : 405, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: req.method === 'POST' }));
+  });
+}).listen(smsPort, () => console.log(`SMS gateway sink on http://localhost:${smsPort}`));
+
+// Minimal SMTP: enough of RFC 5321 for nodemailer without TLS or auth
+net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+  let data = [];
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 localhost notification sink');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.substring(0, index);
+      buffer = buffer.substring(index + 2);
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          console.log(`✉️  MAIL from ${envelope.from} to ${envelope.to.join(', ')}`);
+          console.log(data.join('\n'));
+          envelope = { from: null, to: [] };
+          data = [];
+          reply('250 OK: queued');
+        } else {
+          data.push(line.startsWith('..') ? line.substring(1) : line);
+        }
+        continue;
+      }
+      const command = line.substring(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') reply('250 localhost');
+      else if (command === 'MAIL') { envelope.from = line.substring(10).trim(); reply('250 OK'); }
+      else if (command === 'RCPT') { envelope.to.push(line.substring(8).trim()); reply('250 OK'); }
+      else if (command === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (command === 'RSET') { envelope = { from: null, to: [] }; data = []; reply('250 OK'); }
+      else if (command === 'NOOP') reply('250 OK');
+      else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else reply('502 Command not implemented');
+    }
+  });
+  socket.on('error', () => {});
+}).listen(smtpPort, () => console.log(`SMTP sink on localhost:${smtpPort}`));
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Print the headers for a signed device request (useful with curl when testing collars).
+ * Usage:
+ *   node scripts/sign_device_request.js [--legacy] <key_id> <secret> <METHOD> <path> [json-body]
+ * Requests are signed with the SHA-256 of the secret; --legacy signs with the secret itself
+ * (keys issued before secrets were stored hashed, until they are rotated).
+ * Example:
+ *   node scripts/sign_device_request.js dk_abc123 s3cret POST /api/v1/gps '{"latitude":-1.3,"longitude":30.3}'
+ */
+const { computeSignature, hashSecret } = require('../services/deviceKeys');
+
+const args = process.argv.slice(2);
+const legacy = args[0] === '--legacy';
+const [keyId, secret, method, url, body = ''] = legacy ? args.slice(1) : args;
+if (!keyId || !secret || !method || !url) {
+  console.error('Usage: node scripts/sign_device_request.js [--legacy] <key_id> <secret> <METHOD> <path> [json-body]');
+  process.exit(2);
+}
+
+const timestamp = Math.floor(Date.now() / 1000);
+const signature = computeSignature(legacy ? secret : hashSecret(secret), { timestamp, method, url, rawBody: Buffer.from(body) });
+
+console.log(`X-Device-Key: ${keyId}`);
+console.log(`X-Timestamp: ${timestamp}`);
+console.log(`X-Signature: ${signature}`);
+process.exit(0);
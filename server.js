@@ -15,9 +15,18 @@ if (!process.env.JWT_SECRET) {
 if (!process.env.JWT_EXPIRES_IN) {
   process.env.JWT_EXPIRES_IN = '24h';
 }
+// Webhook secrets (and device secrets issued before hashing) are encrypted with DEVICE_SECRET_KEY;
+// changing it later locks them out, leaking it exposes them
+if (!process.env.DEVICE_SECRET_KEY) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('❌ DEVICE_SECRET_KEY is not set. It is required in production (encrypts stored webhook and legacy device secrets).');
+    process.exit(1);
+  }
+  console.warn('⚠️ DEVICE_SECRET_KEY not set. Using a development default. Set DEVICE_SECRET_KEY in your .env for production.');
+}
 
-const { testConnection, executeQuery } = require('./database');
-const { authenticateToken, optionalAuth } = require('./middleware');
+const { testConnection, executeQuery, ensureColumn, ensureIndex } = require('./database');
+const { authenticateToken, optionalAuth, authenticateDevice } = require('./middleware');
 const {
   login,
   getDashboardSummary,
@@ -28,6 +37,7 @@ const {
   updateVirtualFence,
   deleteVirtualFence,
   getAnimalLocations,
+  getAnimalTrack,
   updateAnimalLocation,
   getAlerts,
   deleteAllAlerts,
@@ -40,9 +50,36 @@ const {
 } = require('./controllers');
 const gpsRoute = require('./routes/gps');
 const gpsStreamRoute = require('./routes/gps_stream');
+const { attachGpsWebSocket } = require('./routes/gps_ws');
+const { startMqttBridge } = require('./services/mqttBridge');
 const usersRoute = require('./routes/users');
 const deviceAlertsRoute = require('./routes/device_alerts');
 const deviceControlRoute = require('./routes/device_control');
+const deviceKeysRoute = require('./routes/device_keys');
+const exportsRoute = require('./routes/exports');
+const collarsRoute = require('./routes/collars');
+const farmSettingsRoute = require('./routes/farm_settings');
+const activityRoute = require('./routes/activity');
+const temperatureRoute = require('./routes/temperature');
+const herdRoute = require('./routes/herd');
+const heatmapRoute = require('./routes/heatmap');
+const jobsRoute = require('./routes/jobs');
+const alertRulesRoute = require('./routes/alert_rules');
+const escalationsRoute = require('./routes/escalations');
+const notificationsRoute = require('./routes/notifications');
+const webhooksRoute = require('./routes/webhooks');
+const { registerJob, startJobs } = require('./services/scheduler');
+const { ACTIVITY_JOB, refreshDailyActivity } = require('./services/activity');
+const { INACTIVITY_JOB, detectInactivity } = require('./services/inactivity');
+const { OFFLINE_JOB, checkOfflineCollars } = require('./services/collarStatus');
+const { BATTERY_JOB, checkBatteryLevels } = require('./services/battery');
+const { TEMPERATURE_JOB, detectTemperatureAnomalies } = require('./services/temperature');
+const { HERD_JOB, detectSeparatedAnimals } = require('./services/herd');
+const { RETENTION_JOB, applyRetention } = require('./services/retention');
+const { RULES_JOB, checkNoDataRules } = require('./services/alertRules');
+const { ESCALATION_JOB, processEscalations } = require('./services/escalation');
+const { NOTIFICATION_JOB, processOutbox } = require('./services/notifications');
+const { WEBHOOK_JOB, processDeliveries, startWebhookDispatcher } = require('./services/webhooks');
 
 // Create Express app
 const app = express();
@@ -58,8 +95,11 @@ app.use(cors({
   credentials: true
 }));
 app.use(morgan('dev'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Larger default body limit so collars can upload buffered GPS batches (override with JSON_BODY_LIMIT)
+// Keep the raw body around: device request signatures are computed over the exact bytes sent
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 app.use(cookieParser());
 
 // Session middleware - simple in-memory store for development only.
@@ -91,6 +131,7 @@ router.get('/dashboard/summary', optionalAuth, getDashboardSummary);
 router.get('/dashboard/animals', optionalAuth, getAnimals);
 router.post('/dashboard/animals', authenticateToken, addAnimal);
 router.get('/dashboard/animals/:id', optionalAuth, getAnimalById);
+router.get('/dashboard/animals/:id/track', optionalAuth, getAnimalTrack);
 router.put('/dashboard/animals/:id', authenticateToken, updateAnimal);
 router.patch('/dashboard/animals/:id', authenticateToken, updateAnimal);
 router.delete('/dashboard/animals/:id', authenticateToken, deleteAnimal);
@@ -106,13 +147,39 @@ router.patch('/alerts/:id/read', optionalAuth, markAlertRead);
 router.patch('/alerts/:id/resolve', authenticateToken, resolveAlert);
 // Admin-only: delete all alerts
 router.delete('/alerts', authenticateToken, deleteAllAlerts);
-// GPS route (public endpoint for devices)
+// Configurable alert rules (CRUD; admin for changes)
+router.use('/alert-rules', alertRulesRoute);
+// Escalation policies per severity and per-alert escalation history
+router.use(escalationsRoute);
+// Notification preferences, push subscriptions and the delivery outbox
+router.use('/notifications', notificationsRoute);
+// Outbound webhook subscriptions and their delivery log (admin)
+router.use('/webhooks', webhooksRoute);
+// Collar registry and collar-to-animal assignments
+router.use('/collars', collarsRoute);
+// Daily activity metrics per animal and herd comparison
+router.use('/dashboard', activityRoute);
+// Body temperature trend with rolling baseline
+router.use('/dashboard', temperatureRoute);
+// Herd clusters and separated animals for the map
+router.use('/dashboard', herdRoute);
+// Grazing density heatmap (GeoJSON grid)
+router.use('/dashboard', heatmapRoute);
+// Background job status and manual runs (admin)
+router.use('/jobs', jobsRoute);
+// Per-farm settings (fix quality thresholds, ...)
+router.use('/farms', farmSettingsRoute);
+// GIS exports (GPX / KML / GeoJSON downloads)
+router.use('/exports', exportsRoute);
+// GPS route (devices authenticate with signed requests)
 router.use('/gps', gpsRoute);
 // GPS stream (Server-Sent Events) for live updates
 router.use('/gps', gpsStreamRoute);
 // Users management
 router.use('/users', usersRoute);
-// Device alerts route (public)
+// Per-device credentials for signed collar/gateway requests (admin)
+router.use('/device-keys', deviceKeysRoute);
+// Device alerts route (signed device requests)
 router.use('/device', deviceAlertsRoute);
 console.log('🔔 Device alerts route mounted at /api/v1/device');
 // Device control route for remote on/off
@@ -197,7 +264,7 @@ app.post(['/api/v1/device/echo', '/api/v1/device/echo/', '/device/echo', '/devic
 
 // Accept alert posts at app level (trailing slash tolerant) and forward to handler if present,
 // otherwise respond with 202 and log for debugging.
-app.post(['/api/v1/device/alert', '/api/v1/device/alert/', '/device/alert', '/device/alert/'], async (req, res, next) => {
+app.post(['/api/v1/device/alert', '/api/v1/device/alert/', '/device/alert', '/device/alert/'], authenticateDevice, async (req, res, next) => {
   try {
     if (deviceAlertsRoute && deviceAlertsRoute.handleAlert) {
       // forward to the handler
@@ -322,6 +389,20 @@ const startServer = async () => {
           INDEX idx_location (latitude, longitude)
         )
       `);
+      // Fix quality scoring; quarantined fixes are kept for review but ignored by live views
+      await ensureColumn('animal_locations', 'quality_score', 'DECIMAL(3,2) DEFAULT NULL');
+      await ensureColumn('animal_locations', 'quality_flags', 'VARCHAR(255) DEFAULT NULL');
+      await ensureColumn('animal_locations', 'is_quarantined', 'BOOLEAN NOT NULL DEFAULT FALSE');
+      // Device clock skew (recorded_at minus receive time) and the device's own time when it was corrected
+      await ensureColumn('animal_locations', 'clock_skew_seconds', 'BIGINT DEFAULT NULL');
+      await ensureColumn('animal_locations', 'device_recorded_at', 'DATETIME(3) DEFAULT NULL');
+      // One row per collar and time so retried or concurrent gateway batches can't store a fix twice.
+      // Older installs may already hold duplicates; removing them is left to scripts/dedupe_locations.js.
+      const fixKey = await ensureIndex('animal_locations', 'uk_collar_recorded', 'collar_id, recorded_at', { unique: true });
+      if (!fixKey.success) {
+        console.warn('⚠️ Could not add uk_collar_recorded (animal_locations probably holds duplicate fixes):', fixKey.error);
+        console.warn('   Run `node scripts/dedupe_locations.js` to review them; until then retried fixes may be stored twice.');
+      }
       // Ensure current_locations table exists for quick lookups of latest position per animal/collar
       await executeQuery(`
         CREATE TABLE IF NOT EXISTS current_locations (
@@ -358,6 +439,42 @@ const startServer = async () => {
             resolved_by INT NULL
           )
         `);
+        // Columns written by device and server-generated alerts (older installs lack them)
+        await ensureColumn('alerts', 'collar_id', 'INT DEFAULT NULL');
+        await ensureColumn('alerts', 'fence_id', 'INT DEFAULT NULL');
+        await ensureColumn('alerts', 'alert_data', 'TEXT');
+        await ensureColumn('alerts', 'auto_generated', 'BOOLEAN DEFAULT TRUE');
+        // Configured rule that raised the alert (services/alertRules.js)
+        await ensureColumn('alerts', 'rule_id', 'INT DEFAULT NULL');
+        await ensureIndex('alerts', 'idx_rule_animal', 'rule_id, animal_id, triggered_at');
+        // Repeats folded into an open alert (services/alerts.js)
+        await ensureColumn('alerts', 'dedupe_key', 'VARCHAR(191) DEFAULT NULL');
+        await ensureColumn('alerts', 'occurrence_count', 'INT NOT NULL DEFAULT 1');
+        await ensureColumn('alerts', 'first_seen_at', 'TIMESTAMP NULL DEFAULT NULL');
+        await ensureColumn('alerts', 'last_seen_at', 'TIMESTAMP NULL DEFAULT NULL');
+        await ensureIndex('alerts', 'idx_dedupe_status', 'dedupe_key, status');
+      // Ensure virtual_fences table exists (geofences evaluated on every GPS ingest)
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS virtual_fences (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          farm_id INT NOT NULL,
+          name VARCHAR(150) NOT NULL,
+          description TEXT,
+          center_latitude DECIMAL(10,8) NOT NULL,
+          center_longitude DECIMAL(11,8) NOT NULL,
+          radius_meters INT NOT NULL,
+          fence_type VARCHAR(32) DEFAULT 'custom',
+          is_active BOOLEAN DEFAULT TRUE,
+          created_by INT DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_farm_active (farm_id, is_active)
+        )
+      `);
+      // Fence shape: 'circle' uses center + radius, 'polygon' stores a GeoJSON Polygon/MultiPolygon.
+      // Polygon fences still fill center/radius with an enclosing circle for older clients.
+      await ensureColumn('virtual_fences', 'shape', "VARCHAR(16) NOT NULL DEFAULT 'circle'");
+      await ensureColumn('virtual_fences', 'geojson', 'LONGTEXT NULL');
       // Ensure animals table exists
       await executeQuery(`
         CREATE TABLE IF NOT EXISTS animals (
@@ -376,6 +493,341 @@ const startServer = async () => {
           INDEX idx_tag (tag_number)
         )
       `);
+      // Herd group used for cohesion clustering (NULL = the whole farm is one herd)
+      await ensureColumn('animals', 'herd_group', 'VARCHAR(100) DEFAULT NULL');
+      // Collar registry and assignment history (animal_collars rows are never deleted)
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS collars (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          farm_id INT NOT NULL DEFAULT 1,
+          serial_number VARCHAR(100) NOT NULL UNIQUE,
+          model VARCHAR(100) DEFAULT NULL,
+          firmware_version VARCHAR(50) DEFAULT NULL,
+          status VARCHAR(32) NOT NULL DEFAULT 'active',
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_farm_status (farm_id, status)
+        )
+      `);
+      // Expected seconds between fixes (NULL = farm default) for offline detection
+      await ensureColumn('collars', 'reporting_interval_seconds', 'INT DEFAULT NULL');
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS animal_collars (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          animal_id INT NOT NULL,
+          collar_id INT NOT NULL,
+          assigned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          unassigned_at TIMESTAMP NULL,
+          is_active BOOLEAN DEFAULT TRUE,
+          assigned_by INT DEFAULT NULL,
+          notes TEXT,
+          INDEX idx_collar_period (collar_id, assigned_at),
+          INDEX idx_animal_active (animal_id, is_active)
+        )
+      `);
+      // Per-device credentials used to sign collar/gateway requests
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS device_credentials (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          key_id VARCHAR(64) NOT NULL UNIQUE,
+          name VARCHAR(150) NOT NULL,
+          device_type VARCHAR(16) NOT NULL DEFAULT 'collar',
+          collar_id INT DEFAULT NULL,
+          farm_id INT DEFAULT 1,
+          secret_hash CHAR(64) DEFAULT NULL,
+          secret_encrypted VARCHAR(512) DEFAULT NULL,
+          secret_fingerprint VARCHAR(32) DEFAULT NULL,
+          previous_secret_hash CHAR(64) DEFAULT NULL,
+          previous_secret_encrypted VARCHAR(512) DEFAULT NULL,
+          previous_valid_until TIMESTAMP NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'active',
+          created_by INT DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          rotated_at TIMESTAMP NULL,
+          revoked_at TIMESTAMP NULL,
+          last_used_at TIMESTAMP NULL,
+          INDEX idx_collar (collar_id)
+        )
+      `);
+      // Device secrets are stored hashed; encrypted secrets remain only on keys issued before that
+      await ensureColumn('device_credentials', 'secret_hash', 'CHAR(64) DEFAULT NULL');
+      await ensureColumn('device_credentials', 'previous_secret_hash', 'CHAR(64) DEFAULT NULL');
+      await executeQuery('ALTER TABLE device_credentials MODIFY secret_encrypted VARCHAR(512) DEFAULT NULL');
+      const legacyKeys = await executeQuery(
+        `SELECT COUNT(*) AS total FROM device_credentials WHERE status = 'active' AND secret_hash IS NULL`
+      );
+      if (legacyKeys.success && Number(legacyKeys.data[0].total) > 0) {
+        console.warn(`⚠️ ${legacyKeys.data[0].total} device key(s) still use an encrypted secret. Rotate them to store only a hash.`);
+      }
+      // Per-farm tunables (fix quality thresholds, ...); unset keys use code defaults
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS farm_settings (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          farm_id INT NOT NULL,
+          setting_key VARCHAR(100) NOT NULL,
+          setting_value VARCHAR(255) DEFAULT NULL,
+          updated_by INT DEFAULT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uk_farm_setting (farm_id, setting_key)
+        )
+      `);
+      // Background job bookkeeping (cursor between runs, last run status)
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS background_jobs (
+          job_name VARCHAR(100) PRIMARY KEY,
+          cursor_value VARCHAR(255) DEFAULT NULL,
+          last_started_at TIMESTAMP NULL,
+          last_finished_at TIMESTAMP NULL,
+          last_status VARCHAR(16) DEFAULT NULL,
+          last_error TEXT,
+          last_result TEXT
+        )
+      `);
+      // Daily activity rollup per animal (refreshed by the activity-rollup job)
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS animal_daily_activity (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          animal_id INT NOT NULL,
+          farm_id INT NOT NULL,
+          activity_date DATE NOT NULL,
+          distance_meters DECIMAL(10,1) NOT NULL DEFAULT 0,
+          active_minutes DECIMAL(6,1) NOT NULL DEFAULT 0,
+          idle_minutes DECIMAL(6,1) NOT NULL DEFAULT 0,
+          max_speed_kmh DECIMAL(5,2) DEFAULT NULL,
+          avg_speed_kmh DECIMAL(5,2) DEFAULT NULL,
+          fix_count INT NOT NULL DEFAULT 0,
+          uptime_minutes DECIMAL(6,1) NOT NULL DEFAULT 0,
+          uptime_percent DECIMAL(5,1) NOT NULL DEFAULT 0,
+          first_fix_at TIMESTAMP NULL,
+          last_fix_at TIMESTAMP NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uk_animal_day (animal_id, activity_date),
+          INDEX idx_farm_day (farm_id, activity_date)
+        )
+      `);
+      // Incremental activity rollups pick up fixes by arrival time
+      await ensureColumn('animal_locations', 'received_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+      await ensureIndex('animal_locations', 'idx_received', 'received_at');
+      // When each animal was first seen away from its herd (maintained by the herd-cohesion job)
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS animal_herd_separation (
+          animal_id BIGINT PRIMARY KEY,
+          farm_id INT NOT NULL,
+          separated_since TIMESTAMP NOT NULL,
+          INDEX idx_farm (farm_id)
+        )
+      `);
+      // Retention: hourly summaries replace raw fixes older than LOCATION_FULL_RESOLUTION_DAYS
+      await ensureIndex('animal_locations', 'idx_recorded', 'recorded_at');
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS animal_location_hourly (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          animal_id BIGINT NOT NULL,
+          farm_id INT NOT NULL,
+          hour_start TIMESTAMP NOT NULL,
+          fix_count INT NOT NULL DEFAULT 0,
+          centroid_latitude DECIMAL(10,8) NOT NULL,
+          centroid_longitude DECIMAL(11,8) NOT NULL,
+          distance_meters DECIMAL(10,1) NOT NULL DEFAULT 0,
+          min_temperature_celsius DECIMAL(4,1) DEFAULT NULL,
+          max_temperature_celsius DECIMAL(4,1) DEFAULT NULL,
+          min_battery_level INT DEFAULT NULL,
+          max_battery_level INT DEFAULT NULL,
+          first_fix_at TIMESTAMP NULL,
+          last_fix_at TIMESTAMP NULL,
+          UNIQUE KEY uk_animal_hour (animal_id, hour_start),
+          INDEX idx_farm_hour (farm_id, hour_start),
+          INDEX idx_hour (hour_start)
+        )
+      `);
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS location_retention_runs (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          started_at TIMESTAMP NOT NULL,
+          cutoff_at TIMESTAMP NULL,
+          days_processed INT NOT NULL DEFAULT 0,
+          fixes_rolled_up INT NOT NULL DEFAULT 0,
+          hourly_rows_written INT NOT NULL DEFAULT 0,
+          raw_rows_deleted INT NOT NULL DEFAULT 0,
+          hourly_rows_purged INT NOT NULL DEFAULT 0,
+          backlog_remaining BOOLEAN NOT NULL DEFAULT FALSE,
+          duration_ms INT DEFAULT NULL
+        )
+      `);
+      // One row per rollup pass over a day window: max_id bounds the raw rows it summarizes and
+      // deletes, and an unfinished pass is resumed with the same bound after a failure
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS location_retention_windows (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          window_start TIMESTAMP NOT NULL,
+          window_end TIMESTAMP NOT NULL,
+          max_id BIGINT NOT NULL,
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP NULL,
+          INDEX idx_window (window_start, completed_at)
+        )
+      `);
+      // Highest pass max_id merged into each summary, so a resumed pass doesn't merge twice
+      await ensureColumn('animal_location_hourly', 'rollup_max_id', 'BIGINT DEFAULT NULL');
+      // Configurable alert rules evaluated on every fix and device alert
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          farm_id INT NOT NULL DEFAULT 1,
+          name VARCHAR(255) NOT NULL,
+          condition_type VARCHAR(32) NOT NULL,
+          threshold DECIMAL(10,2) DEFAULT NULL,
+          fence_id INT DEFAULT NULL,
+          scope VARCHAR(16) NOT NULL DEFAULT 'farm',
+          herd_group VARCHAR(100) DEFAULT NULL,
+          animal_id INT DEFAULT NULL,
+          severity VARCHAR(32) NOT NULL DEFAULT 'medium',
+          cooldown_minutes INT NOT NULL DEFAULT 30,
+          is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by INT DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_farm_enabled (farm_id, is_enabled)
+        )
+      `);
+      // Escalation of unacknowledged alerts (services/escalation.js); chain state survives restarts
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS escalation_policies (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          farm_id INT NOT NULL DEFAULT 1,
+          severity VARCHAR(32) NOT NULL,
+          name VARCHAR(255) DEFAULT NULL,
+          tiers TEXT NOT NULL,
+          repeat_limit INT NOT NULL DEFAULT 0,
+          repeat_interval_minutes INT NOT NULL DEFAULT 60,
+          is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by INT DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uk_farm_severity (farm_id, severity)
+        )
+      `);
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS alert_escalations (
+          alert_id BIGINT PRIMARY KEY,
+          farm_id INT NOT NULL DEFAULT 1,
+          next_step INT NOT NULL DEFAULT 0,
+          next_run_at TIMESTAMP NOT NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'pending',
+          stopped_reason VARCHAR(64) DEFAULT NULL,
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_status_due (status, next_run_at)
+        )
+      `);
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS alert_escalation_steps (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          alert_id BIGINT NOT NULL,
+          policy_id INT DEFAULT NULL,
+          step_number INT NOT NULL,
+          tier_number INT NOT NULL,
+          severity VARCHAR(32) DEFAULT NULL,
+          recipients TEXT,
+          notified INT NOT NULL DEFAULT 0,
+          failed INT NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_alert (alert_id)
+        )
+      `);
+      // Notification channels per user and the delivery outbox (services/notifications.js)
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS notification_preferences (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          channel VARCHAR(16) NOT NULL,
+          is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          min_severity VARCHAR(32) NOT NULL DEFAULT 'high',
+          alert_types TEXT,
+          target VARCHAR(500) DEFAULT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uk_user_channel (user_id, channel)
+        )
+      `);
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS push_subscriptions (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          endpoint VARCHAR(500) NOT NULL,
+          p256dh VARCHAR(255) NOT NULL,
+          auth VARCHAR(255) NOT NULL,
+          user_agent VARCHAR(255) DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY uk_endpoint (endpoint),
+          INDEX idx_user (user_id)
+        )
+      `);
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS notification_outbox (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          alert_id BIGINT DEFAULT NULL,
+          user_id INT DEFAULT NULL,
+          channel VARCHAR(16) NOT NULL,
+          target VARCHAR(500) NOT NULL,
+          subject VARCHAR(255) DEFAULT NULL,
+          body TEXT,
+          payload TEXT,
+          reason VARCHAR(32) NOT NULL DEFAULT 'alert',
+          status VARCHAR(16) NOT NULL DEFAULT 'pending',
+          attempts INT NOT NULL DEFAULT 0,
+          max_attempts INT NOT NULL DEFAULT 6,
+          next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          last_error VARCHAR(1000) DEFAULT NULL,
+          sent_at TIMESTAMP NULL DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_status_due (status, next_attempt_at),
+          INDEX idx_alert (alert_id),
+          INDEX idx_user_created (user_id, created_at)
+        )
+      `);
+      // Outbound webhooks (services/webhooks.js)
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          farm_id INT NOT NULL DEFAULT 1,
+          url VARCHAR(500) NOT NULL,
+          description VARCHAR(255) DEFAULT NULL,
+          event_types TEXT NOT NULL,
+          secret_encrypted VARCHAR(512) NOT NULL,
+          secret_fingerprint VARCHAR(32) DEFAULT NULL,
+          is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by INT DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_farm_enabled (farm_id, is_enabled)
+        )
+      `);
+      await executeQuery(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          subscription_id INT NOT NULL,
+          event_id VARCHAR(64) NOT NULL,
+          event_type VARCHAR(64) NOT NULL,
+          payload MEDIUMTEXT NOT NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'pending',
+          attempts INT NOT NULL DEFAULT 0,
+          max_attempts INT NOT NULL DEFAULT 8,
+          next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          response_status INT DEFAULT NULL,
+          response_body VARCHAR(1000) DEFAULT NULL,
+          last_error VARCHAR(1000) DEFAULT NULL,
+          duration_ms INT DEFAULT NULL,
+          delivered_at TIMESTAMP NULL DEFAULT NULL,
+          replay_of BIGINT DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_status_due (status, next_attempt_at),
+          INDEX idx_subscription (subscription_id, id),
+          INDEX idx_event (event_id)
+        )
+      `);
       console.log('✅ Verified core tables (users, farms)');
     } catch (migErr) {
       console.warn('⚠️ Auto-migration failed:', migErr.message);
@@ -458,6 +910,33 @@ const startServer = async () => {
       `);
     });
 
+    // Live events over WebSocket share the HTTP server
+    attachGpsWebSocket(server);
+
+    // Optional MQTT ingest for gateways (MQTT_URL or MQTT_EMBEDDED_BROKER=true)
+    try {
+      startMqttBridge();
+    } catch (mqttErr) {
+      console.error('❌ Failed to start MQTT bridge:', mqttErr.message || mqttErr);
+    }
+
+    // Every instance queues webhooks for the events it emits; delivery runs with the jobs
+    startWebhookDispatcher();
+
+    // Background jobs
+    registerJob(ACTIVITY_JOB, (parseInt(process.env.ACTIVITY_JOB_INTERVAL_MINUTES, 10) || 15) * 60 * 1000, refreshDailyActivity);
+    registerJob(INACTIVITY_JOB, (parseInt(process.env.INACTIVITY_JOB_INTERVAL_MINUTES, 10) || 10) * 60 * 1000, detectInactivity);
+    registerJob(OFFLINE_JOB, (parseInt(process.env.COLLAR_OFFLINE_JOB_INTERVAL_MINUTES, 10) || 5) * 60 * 1000, checkOfflineCollars);
+    registerJob(BATTERY_JOB, (parseInt(process.env.BATTERY_JOB_INTERVAL_MINUTES, 10) || 30) * 60 * 1000, checkBatteryLevels);
+    registerJob(TEMPERATURE_JOB, (parseInt(process.env.TEMPERATURE_JOB_INTERVAL_MINUTES, 10) || 10) * 60 * 1000, detectTemperatureAnomalies);
+    registerJob(HERD_JOB, (parseInt(process.env.HERD_JOB_INTERVAL_MINUTES, 10) || 5) * 60 * 1000, detectSeparatedAnimals);
+    registerJob(RETENTION_JOB, (parseInt(process.env.RETENTION_JOB_INTERVAL_MINUTES, 10) || 60) * 60 * 1000, applyRetention);
+    registerJob(RULES_JOB, (parseInt(process.env.ALERT_RULES_JOB_INTERVAL_MINUTES, 10) || 1) * 60 * 1000, checkNoDataRules);
+    registerJob(ESCALATION_JOB, (parseInt(process.env.ESCALATION_JOB_INTERVAL_MINUTES, 10) || 1) * 60 * 1000, processEscalations);
+    registerJob(NOTIFICATION_JOB, (parseInt(process.env.NOTIFICATION_JOB_INTERVAL_SECONDS, 10) || 15) * 1000, processOutbox);
+    registerJob(WEBHOOK_JOB, (parseInt(process.env.WEBHOOK_JOB_INTERVAL_SECONDS, 10) || 15) * 1000, processDeliveries);
+    startJobs();
+
     server.on('error', (err) => {
       console.error('❌ Server error:', err);
       if (err.code === 'EADDRINUSE') {
@@ -0,0 +1,159 @@
+const { executeQuery } = require('../database');
+const { haversineMeters } = require('./geo');
+const { getFarmSettings } = require('./farmSettings');
+const { getJobCursor, setJobCursor } = require('./scheduler');
+const { localDayStart } = require('./time');
+
+// Daily activity rollup per animal (animal_daily_activity), computed from good fixes in
+// animal_locations. Days are farm-local calendar days (utc_offset_minutes farm setting).
+// The background job only recomputes animal-days that received new fixes since its last run,
+// so late store-and-forward batches still land on the right day.
+
+const ACTIVITY_JOB = 'activity-rollup';
+
+const round = (value, digits = 1) => {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+// Metrics for one animal-day from its fixes in time order.
+// Segments longer than maxGapMinutes count as collar downtime, not as active or idle time.
+const computeDayActivity = (fixes, { activeSpeedKmh, maxGapMinutes }) => {
+  let distance = 0;
+  let activeSeconds = 0;
+  let idleSeconds = 0;
+  let uptimeSeconds = 0;
+  let reportedSum = 0;
+  let reportedCount = 0;
+  let maxReported = null;
+
+  fixes.forEach((p, i) => {
+    if (p.speed_kmh !== null && p.speed_kmh !== undefined) {
+      const speed = Number(p.speed_kmh);
+      reportedSum += speed;
+      reportedCount += 1;
+      maxReported = maxReported === null ? speed : Math.max(maxReported, speed);
+    }
+    if (i === 0) return;
+    const prev = fixes[i - 1];
+    const meters = haversineMeters(Number(prev.latitude), Number(prev.longitude), Number(p.latitude), Number(p.longitude));
+    distance += meters;
+    const seconds = (new Date(p.recorded_at).getTime() - new Date(prev.recorded_at).getTime()) / 1000;
+    if (seconds <= 0 || seconds > maxGapMinutes * 60) return;
+    uptimeSeconds += seconds;
+    if ((meters / seconds) * 3.6 >= activeSpeedKmh) activeSeconds += seconds;
+    else idleSeconds += seconds;
+  });
+
+  return {
+    distance_meters: round(distance),
+    active_minutes: round(activeSeconds / 60),
+    idle_minutes: round(idleSeconds / 60),
+    max_speed_kmh: maxReported !== null ? round(maxReported, 2) : null,
+    avg_speed_kmh: reportedCount ? round(reportedSum / reportedCount, 2) : null,
+    fix_count: fixes.length,
+    uptime_minutes: round(uptimeSeconds / 60),
+    uptime_percent: round((uptimeSeconds / 86400) * 100),
+    first_fix_at: fixes.length ? fixes[0].recorded_at : null,
+    last_fix_at: fixes.length ? fixes[fixes.length - 1].recorded_at : null
+  };
+};
+
+const ACTIVITY_COLUMNS = [
+  'distance_meters', 'active_minutes', 'idle_minutes', 'max_speed_kmh', 'avg_speed_kmh',
+  'fix_count', 'uptime_minutes', 'uptime_percent', 'first_fix_at', 'last_fix_at'
+];
+
+// Recompute and store one animal-day (day is the farm-local YYYY-MM-DD)
+const refreshAnimalDay = async (animalId, farmId, day, settings) => {
+  const dayStart = localDayStart(day, settings.utc_offset_minutes);
+  const r = await executeQuery(
+    `SELECT latitude, longitude, recorded_at, speed_kmh FROM animal_locations
+     WHERE animal_id = ? AND recorded_at >= ? AND recorded_at < ?
+       AND is_quarantined = FALSE
+     ORDER BY recorded_at ASC, id ASC`,
+    [animalId, dayStart, new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)]
+  );
+  if (!r.success) throw new Error(`Failed to load fixes for animal ${animalId} on ${day}: ${r.error}`);
+
+  const metrics = computeDayActivity(r.data, {
+    activeSpeedKmh: settings.activity_active_speed_kmh,
+    maxGapMinutes: settings.activity_max_gap_minutes
+  });
+  const up = await executeQuery(
+    `INSERT INTO animal_daily_activity (animal_id, farm_id, activity_date, ${ACTIVITY_COLUMNS.join(', ')})
+     VALUES (?, ?, ?, ${ACTIVITY_COLUMNS.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE farm_id = VALUES(farm_id), ${ACTIVITY_COLUMNS.map(c => `${c} = VALUES(${c})`).join(', ')}`,
+    [animalId, farmId, day, ...ACTIVITY_COLUMNS.map(c => metrics[c])]
+  );
+  if (!up.success) throw new Error(`Failed to store activity for animal ${animalId} on ${day}: ${up.error}`);
+};
+
+// Background job: refresh every animal-day that received fixes since the last run.
+// The first run backfills ACTIVITY_BACKFILL_DAYS (default 30) days.
+// The cursor is the highest animal_locations id seen: received_at only has whole seconds, so a
+// time cursor would skip fixes stored later in the same second as the previous run.
+const refreshDailyActivity = async () => {
+  const maxRes = await executeQuery('SELECT MAX(id) AS max_id FROM animal_locations', []);
+  if (!maxRes.success) throw new Error(`Failed to read the newest fix id: ${maxRes.error}`);
+  const runUntil = Number(maxRes.data[0].max_id) || 0;
+  const cursor = await getJobCursor(ACTIVITY_JOB);
+
+  // Fixes stored since the last run (or, first time, the backfill window)
+  let changedWhere = 'id > ? AND id <= ?';
+  let changedParams = [Number(cursor), runUntil];
+  if (!cursor) {
+    const backfillDays = parseInt(process.env.ACTIVITY_BACKFILL_DAYS, 10) || 30;
+    changedWhere = 'recorded_at >= DATE_SUB(NOW(), INTERVAL ? DAY) AND id <= ?';
+    changedParams = [backfillDays, runUntil];
+  } else if (!/^\d+$/.test(cursor)) {
+    // Cursor from before ids were used: a receive time, taken one second early to cover the truncation
+    changedWhere = 'received_at >= ? AND id <= ?';
+    changedParams = [new Date(new Date(cursor).getTime() - 1000), runUntil];
+  }
+
+  const touchedAnimals = await executeQuery(
+    `SELECT DISTINCT animal_id FROM animal_locations WHERE ${changedWhere} AND animal_id > 0`,
+    changedParams
+  );
+  if (!touchedAnimals.success) throw new Error(`Failed to find changed animals: ${touchedAnimals.error}`);
+
+  // Animals per farm; fixes for animals that no longer exist are skipped
+  const animalIds = touchedAnimals.data.map(row => Number(row.animal_id));
+  const animalsByFarm = new Map();
+  if (animalIds.length) {
+    const a = await executeQuery(`SELECT id, farm_id FROM animals WHERE id IN (${animalIds.map(() => '?').join(', ')})`, animalIds);
+    if (!a.success) throw new Error(`Failed to load animal farms: ${a.error}`);
+    a.data.forEach(row => {
+      const farmId = Number(row.farm_id);
+      if (!animalsByFarm.has(farmId)) animalsByFarm.set(farmId, []);
+      animalsByFarm.get(farmId).push(Number(row.id));
+    });
+  }
+
+  let refreshed = 0;
+  for (const [farmId, ids] of animalsByFarm) {
+    const settings = await getFarmSettings(farmId);
+    const touched = await executeQuery(
+      `SELECT animal_id, DATE_FORMAT(DATE_ADD(recorded_at, INTERVAL ? MINUTE), '%Y-%m-%d') AS day
+       FROM animal_locations
+       WHERE ${changedWhere} AND animal_id IN (${ids.map(() => '?').join(', ')})
+       GROUP BY animal_id, day`,
+      [settings.utc_offset_minutes, ...changedParams, ...ids]
+    );
+    if (!touched.success) throw new Error(`Failed to find changed animal-days: ${touched.error}`);
+    for (const row of touched.data) {
+      await refreshAnimalDay(Number(row.animal_id), farmId, row.day, settings);
+      refreshed += 1;
+    }
+  }
+
+  await setJobCursor(ACTIVITY_JOB, runUntil);
+  return { animal_days: refreshed };
+};
+
+module.exports = {
+  ACTIVITY_JOB,
+  computeDayActivity,
+  refreshDailyActivity
+};
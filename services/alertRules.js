@@ -0,0 +1,371 @@
+const { executeQuery } = require('../database');
+const { createAlert } = require('./alerts');
+const { SEVERITIES } = require('./severity');
+
+// Configurable alert rules (alert_rules table).
+// A rule has a condition, a scope (the whole farm, one herd_group, or one animal), a severity and
+// a cooldown. Every stored GPS fix and every device alert is run through evaluateRules; the
+// no_data condition is checked by the alert-rules job. Alerts written here carry the rule_id.
+// Fixes reach it from POST /gps and from ingestBatch (POST /gps/batch, MQTT and
+// POST /dashboard/animals/:id/location); ingest paths must not run fence or threshold checks of their own.
+
+const RULES_JOB = 'alert-rules-no-data';
+
+// Condition types; `threshold` is required for all but fence_exit (where fence_id is optional)
+const RULE_CONDITIONS = {
+  fence_exit: { unit: null, fact: 'fence_exit' },
+  speed_above: { unit: 'km/h', fact: 'speed_kmh', label: 'speed', min: 0, max: 500 },
+  temperature_above: { unit: '°C', fact: 'temperature_celsius', label: 'temperature', min: 20, max: 50 },
+  battery_below: { unit: '%', fact: 'battery_level', label: 'battery', min: 0, max: 100 },
+  no_data: { unit: 'minutes', fact: null, min: 1, max: 10080 }
+};
+const RULE_SCOPES = ['farm', 'group', 'animal'];
+const RULE_SEVERITIES = SEVERITIES;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+// Enabled rules are read for every fix, so they are cached per farm (cleared on every change)
+const RULES_CACHE_MS = 30000;
+const rulesCache = new Map();
+// Last time each rule fired per subject ("ruleId:a:animalId" / "ruleId:c:collarId"), in ms
+const lastFired = new Map();
+
+const RULE_COLUMNS = `id, farm_id, name, condition_type, threshold, fence_id, scope, herd_group, animal_id,
+  severity, cooldown_minutes, is_enabled, created_by, created_at, updated_at`;
+
+const formatRule = (row) => ({
+  ...row,
+  threshold: row.threshold === null ? null : Number(row.threshold),
+  cooldown_minutes: Number(row.cooldown_minutes),
+  is_enabled: !!row.is_enabled
+});
+
+const invalidateRules = (farmId) => {
+  rulesCache.delete(Number(farmId));
+};
+
+// Enabled rules of a farm
+const getEnabledRules = async (farmId) => {
+  const id = Number(farmId) || 1;
+  const cached = rulesCache.get(id);
+  if (cached && Date.now() - cached.loadedAt < RULES_CACHE_MS) return cached.rules;
+  const r = await executeQuery(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE farm_id = ? AND is_enabled = TRUE`, [id]);
+  if (!r.success) {
+    console.warn('Failed to load alert rules:', r.error);
+    return cached ? cached.rules : [];
+  }
+  const rules = r.data.map(formatRule);
+  rulesCache.set(id, { rules, loadedAt: Date.now() });
+  return rules;
+};
+
+// Validate a rule body. With `existing` the body is a partial update merged over it.
+// Returns { rule } (the full merged rule) or { error }.
+const validateRule = (input, existing = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Body must be an object' };
+  const rule = {
+    name: existing ? existing.name : null,
+    condition_type: existing ? existing.condition_type : null,
+    threshold: existing ? existing.threshold : null,
+    fence_id: existing ? existing.fence_id : null,
+    scope: existing ? existing.scope : 'farm',
+    herd_group: existing ? existing.herd_group : null,
+    animal_id: existing ? existing.animal_id : null,
+    severity: existing ? existing.severity : 'medium',
+    cooldown_minutes: existing ? existing.cooldown_minutes : 30,
+    is_enabled: existing ? existing.is_enabled : true
+  };
+  Object.keys(rule).forEach(key => {
+    if (input[key] !== undefined) rule[key] = input[key];
+  });
+
+  if (!rule.name || typeof rule.name !== 'string' || rule.name.length > 255) return { error: 'name is required (max 255 characters)' };
+  const condition = RULE_CONDITIONS[rule.condition_type];
+  if (!condition) return { error: `condition_type must be one of: ${Object.keys(RULE_CONDITIONS).join(', ')}` };
+
+  if (condition.fact === 'fence_exit') {
+    rule.threshold = null;
+    if (rule.fence_id !== null && rule.fence_id !== '') {
+      const fenceId = Number(rule.fence_id);
+      if (!Number.isInteger(fenceId) || fenceId <= 0) return { error: 'fence_id must be a fence id (or null for any fence)' };
+      rule.fence_id = fenceId;
+    } else {
+      rule.fence_id = null;
+    }
+  } else {
+    const threshold = Number(rule.threshold);
+    if (rule.threshold === null || rule.threshold === '' || !Number.isFinite(threshold) || threshold < condition.min || threshold > condition.max) {
+      return { error: `threshold for ${rule.condition_type} must be a number of ${condition.unit} between ${condition.min} and ${condition.max}` };
+    }
+    rule.threshold = threshold;
+    rule.fence_id = null;
+  }
+
+  if (!RULE_SCOPES.includes(rule.scope)) return { error: `scope must be one of: ${RULE_SCOPES.join(', ')}` };
+  if (rule.scope === 'group') {
+    if (!rule.herd_group || typeof rule.herd_group !== 'string' || rule.herd_group.length > 100) {
+      return { error: 'herd_group is required for group scope (max 100 characters)' };
+    }
+  } else {
+    rule.herd_group = null;
+  }
+  if (rule.scope === 'animal') {
+    const animalId = Number(rule.animal_id);
+    if (!Number.isInteger(animalId) || animalId <= 0) return { error: 'animal_id is required for animal scope' };
+    rule.animal_id = animalId;
+  } else {
+    rule.animal_id = null;
+  }
+
+  if (!RULE_SEVERITIES.includes(rule.severity)) return { error: `severity must be one of: ${RULE_SEVERITIES.join(', ')}` };
+  const cooldown = Number(rule.cooldown_minutes);
+  if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES) {
+    return { error: `cooldown_minutes must be a whole number between 0 and ${MAX_COOLDOWN_MINUTES}` };
+  }
+  rule.cooldown_minutes = cooldown;
+  if (typeof rule.is_enabled !== 'boolean' && rule.is_enabled !== 0 && rule.is_enabled !== 1) return { error: 'is_enabled must be a boolean' };
+  rule.is_enabled = !!rule.is_enabled;
+  return { rule };
+};
+
+const listRules = async (farmId) => {
+  const r = await executeQuery(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE farm_id = ? ORDER BY id`, [farmId]);
+  if (!r.success) throw new Error(`Failed to load alert rules: ${r.error}`);
+  return r.data.map(formatRule);
+};
+
+// One rule of a farm, or null
+const getRule = async (farmId, id) => {
+  const r = await executeQuery(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE id = ? AND farm_id = ?`, [id, farmId]);
+  if (!r.success) throw new Error(`Failed to load alert rule: ${r.error}`);
+  return r.data.length ? formatRule(r.data[0]) : null;
+};
+
+const saveRule = async (farmId, rule, { id = null, userId = null } = {}) => {
+  const values = [rule.name, rule.condition_type, rule.threshold, rule.fence_id, rule.scope, rule.herd_group, rule.animal_id,
+    rule.severity, rule.cooldown_minutes, rule.is_enabled];
+  const r = id
+    ? await executeQuery(
+      `UPDATE alert_rules SET name = ?, condition_type = ?, threshold = ?, fence_id = ?, scope = ?, herd_group = ?, animal_id = ?,
+         severity = ?, cooldown_minutes = ?, is_enabled = ?
+       WHERE id = ? AND farm_id = ?`,
+      [...values, id, farmId]
+    )
+    : await executeQuery(
+      `INSERT INTO alert_rules (farm_id, name, condition_type, threshold, fence_id, scope, herd_group, animal_id,
+         severity, cooldown_minutes, is_enabled, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [farmId, ...values, userId]
+    );
+  if (!r.success) throw new Error(`Failed to save alert rule: ${r.error}`);
+  invalidateRules(farmId);
+  return getRule(farmId, id || r.data.insertId);
+};
+
+const deleteRule = async (farmId, id) => {
+  const r = await executeQuery('DELETE FROM alert_rules WHERE id = ? AND farm_id = ?', [id, farmId]);
+  if (!r.success) throw new Error(`Failed to delete alert rule: ${r.error}`);
+  invalidateRules(farmId);
+  return r.data.affectedRows > 0;
+};
+
+const appliesTo = (rule, animal) => {
+  if (rule.scope === 'farm') return true;
+  if (!animal) return false;
+  if (rule.scope === 'group') return animal.herd_group === rule.herd_group;
+  return Number(animal.id) === Number(rule.animal_id);
+};
+
+// Does an event's facts meet the rule's condition? Returns a description or null.
+const matchCondition = (rule, facts) => {
+  const condition = RULE_CONDITIONS[rule.condition_type];
+  if (condition.fact === 'fence_exit') {
+    const exit = facts.fence_exit;
+    if (!exit || (rule.fence_id && Number(exit.fenceId) !== Number(rule.fence_id))) return null;
+    return `left ${exit.fenceName ? `"${exit.fenceName}"` : 'virtual fence'}`;
+  }
+  if (!condition.fact) return null;
+  const value = facts[condition.fact];
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return null;
+  const below = rule.condition_type === 'battery_below';
+  const hit = below ? Number(value) < rule.threshold : Number(value) > rule.threshold;
+  return hit ? `${condition.label} ${Number(value)} ${condition.unit} (${below ? 'below' : 'above'} ${rule.threshold} ${condition.unit})` : null;
+};
+
+const subjectOf = (animalId, collarId) => (animalId ? `a:${animalId}` : `c:${collarId}`);
+
+// Cooldown per rule and animal/collar, measured in event time so buffered fixes behave like live ones
+const inCooldown = async (rule, subject, at) => {
+  if (!rule.cooldown_minutes) return false;
+  const key = `${rule.id}:${subject}`;
+  if (!lastFired.has(key)) {
+    const [kind, id] = subject.split(':');
+    const r = await executeQuery(
+      `SELECT MAX(triggered_at) AS last_at FROM alerts WHERE rule_id = ? AND ${kind === 'a' ? 'animal_id' : 'collar_id'} = ?`,
+      [rule.id, Number(id)]
+    );
+    lastFired.set(key, r.success && r.data[0].last_at ? new Date(r.data[0].last_at).getTime() : null);
+  }
+  const last = lastFired.get(key);
+  return last !== null && Math.abs(at.getTime() - last) < rule.cooldown_minutes * 60 * 1000;
+};
+
+const fireRule = async (rule, { animal, collarId, latitude, longitude, at, detail, source }) => {
+  const animalId = animal ? Number(animal.id) : null;
+  const subject = subjectOf(animalId, collarId);
+  if (await inCooldown(rule, subject, at)) return null;
+  lastFired.set(`${rule.id}:${subject}`, at.getTime());
+
+  const label = animal ? (animal.name || animal.tag_number || `Animal ${animalId}`) : `Collar ${collarId}`;
+  const alert = await createAlert({
+    farmId: rule.farm_id,
+    animalId,
+    collarId: collarId || null,
+    fenceId: rule.condition_type === 'fence_exit' && rule.fence_id ? rule.fence_id : null,
+    ruleId: rule.id,
+    alertType: `rule_${rule.condition_type}`,
+    severity: rule.severity,
+    title: rule.name,
+    message: `${label}: ${detail}`,
+    alertData: { rule_id: rule.id, condition_type: rule.condition_type, threshold: rule.threshold, source },
+    latitude: latitude === null || latitude === undefined ? null : Number(latitude),
+    longitude: longitude === null || longitude === undefined ? null : Number(longitude),
+    triggeredAt: at
+  });
+  return alert.success ? alert.id : null;
+};
+
+// animals rows (farm_id, herd_group, name, tag_number) by id
+const loadAnimals = async (animalIds) => {
+  const ids = [...new Set(animalIds.filter(Boolean).map(Number))];
+  const animals = new Map();
+  if (ids.length === 0) return animals;
+  const r = await executeQuery(
+    `SELECT id, farm_id, name, tag_number, herd_group FROM animals WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  if (!r.success) throw new Error(`Failed to load animals for alert rules: ${r.error}`);
+  r.data.forEach(a => animals.set(Number(a.id), a));
+  return animals;
+};
+
+// The single entry point for fixes and device events.
+// Each event: { farm_id?, animal_id?, collar_id?, latitude?, longitude?, at, source,
+//   facts: { speed_kmh?, temperature_celsius?, battery_level?, fence_exit?: { fenceId, fenceName } } }
+// Returns the number of alerts raised.
+const evaluateRules = async (events) => {
+  if (events.length === 0) return 0;
+  const animals = await loadAnimals(events.map(e => e.animal_id));
+  let raised = 0;
+  // Oldest first so the cooldown keeps the first occurrence
+  const ordered = [...events].sort((a, b) => a.at - b.at);
+  for (const event of ordered) {
+    const animal = event.animal_id ? animals.get(Number(event.animal_id)) || null : null;
+    const farmId = animal ? animal.farm_id : (event.farm_id || 1);
+    const rules = await getEnabledRules(farmId);
+    for (const rule of rules) {
+      if (rule.condition_type === 'no_data' || !appliesTo(rule, animal)) continue;
+      const detail = matchCondition(rule, event.facts);
+      if (!detail) continue;
+      const id = await fireRule(rule, { animal, collarId: event.collar_id, latitude: event.latitude, longitude: event.longitude, at: event.at, detail, source: event.source });
+      if (id) raised += 1;
+    }
+  }
+  return raised;
+};
+
+// Rule events for stored fixes (animal_locations rows). Quarantined fixes are ignored;
+// `fence_transition` (a geofence evaluation) is set on fixes that crossed a fence.
+const evaluateFixRules = (points) => evaluateRules(points.filter(p => !p.is_quarantined).map(p => ({
+  farm_id: p.farm_id || null,
+  animal_id: p.animal_id,
+  collar_id: p.collar_id,
+  latitude: p.latitude,
+  longitude: p.longitude,
+  at: p.recorded_at instanceof Date ? p.recorded_at : new Date(p.recorded_at),
+  source: 'gps',
+  facts: {
+    speed_kmh: p.speed_kmh,
+    temperature_celsius: p.temperature_celsius,
+    battery_level: p.battery_level,
+    fence_exit: p.fence_transition && p.fence_transition.transition === 'exit' ? p.fence_transition : null
+  }
+})));
+
+// Rule event for an alert reported by a device. Readings in the payload are checked like a fix;
+// a device-side fence_exit alert counts as leaving the reported fence.
+const evaluateDeviceEventRules = ({ farmId, animalId, collarId, fenceId, alertType, latitude, longitude, at, readings = {} }) => evaluateRules([{
+  farm_id: farmId,
+  animal_id: animalId,
+  collar_id: collarId,
+  latitude,
+  longitude,
+  at: at || new Date(),
+  source: 'device',
+  facts: {
+    speed_kmh: readings.speed_kmh,
+    temperature_celsius: readings.temperature_celsius,
+    battery_level: readings.battery_level,
+    fence_exit: alertType === 'fence_exit' ? { fenceId, fenceName: null } : null
+  }
+}]);
+
+// Background job: no_data rules against the newest fix of every active animal
+const checkNoDataRules = async () => {
+  const r = await executeQuery(
+    `SELECT ${RULE_COLUMNS} FROM alert_rules WHERE condition_type = 'no_data' AND is_enabled = TRUE`,
+    []
+  );
+  if (!r.success) throw new Error(`Failed to load no_data rules: ${r.error}`);
+  const rules = r.data.map(formatRule);
+  const farmIds = [...new Set(rules.map(rule => Number(rule.farm_id)))];
+  const now = new Date();
+  let checked = 0;
+  let raised = 0;
+
+  for (const farmId of farmIds) {
+    const last = await executeQuery(
+      `SELECT a.id, a.farm_id, a.name, a.tag_number, a.herd_group, MAX(cl.recorded_at) AS last_fix_at,
+              MAX(cl.collar_id) AS collar_id
+       FROM animals a
+       JOIN current_locations cl ON cl.animal_id = a.id
+       WHERE a.farm_id = ? AND a.is_active = TRUE
+       GROUP BY a.id, a.farm_id, a.name, a.tag_number, a.herd_group`,
+      [farmId]
+    );
+    if (!last.success) throw new Error(`Failed to load last fixes: ${last.error}`);
+    for (const rule of rules.filter(x => Number(x.farm_id) === farmId)) {
+      for (const animal of last.data.filter(a => appliesTo(rule, a))) {
+        checked += 1;
+        const silentMinutes = (now.getTime() - new Date(animal.last_fix_at).getTime()) / 60000;
+        if (silentMinutes <= rule.threshold) continue;
+        const id = await fireRule(rule, {
+          animal,
+          collarId: animal.collar_id,
+          latitude: null,
+          longitude: null,
+          at: now,
+          detail: `no data for ${Math.round(silentMinutes)} minutes (limit ${rule.threshold})`,
+          source: 'job'
+        });
+        if (id) raised += 1;
+      }
+    }
+  }
+  return { rules: rules.length, checked, raised };
+};
+
+module.exports = {
+  RULES_JOB,
+  RULE_CONDITIONS,
+  RULE_SCOPES,
+  RULE_SEVERITIES,
+  validateRule,
+  listRules,
+  getRule,
+  saveRule,
+  deleteRule,
+  evaluateRules,
+  evaluateFixRules,
+  evaluateDeviceEventRules,
+  checkNoDataRules
+};
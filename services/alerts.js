@@ -0,0 +1,266 @@
+const { executeQuery } = require('../database');
+const gpsEmitter = require('../gpsEvents');
+const { getFarmSettings } = require('./farmSettings');
+const { severityRank } = require('./severity');
+const { enqueueAlertNotifications } = require('./notifications');
+
+// Publish a recorded alert to live listeners (SSE / realtime clients)
+const emitAlert = (alert) => {
+  try {
+    gpsEmitter.emit('alert', alert);
+  } catch (err) {
+    console.warn('Failed to emit alert event:', err && err.message ? err.message : err);
+  }
+};
+
+// Alerts that still need attention
+const OPEN_ALERT_STATUSES = ['active', 'acknowledged'];
+
+// Queue user notifications for a new or escalated alert; failures never block recording the alert
+const notifyAlert = async (alert) => {
+  try {
+    await enqueueAlertNotifications(alert);
+  } catch (err) {
+    console.warn('Failed to queue alert notifications:', alert.id, err && err.message ? err.message : err);
+  }
+};
+
+// Repeats share a dedupe key: the animal (or collar) + alert type + fence, and the rule for rule alerts.
+// Alerts without an animal or collar are never folded.
+const alertDedupeKey = ({ animalId, collarId, alertType, fenceId, ruleId }) => {
+  if (animalId === null && collarId === null) return null;
+  const subject = animalId !== null ? `a:${animalId}` : `c:${collarId}`;
+  return `${subject}|${alertType}|${fenceId === null ? '' : fenceId}${ruleId === null ? '' : `|r:${ruleId}`}`.substring(0, 191);
+};
+
+// Serialise work per dedupe key so concurrent repeats (e.g. a collar posting every few seconds)
+// can't both miss the open alert and insert two rows
+const keyLocks = new Map();
+const withKeyLock = (key, fn) => {
+  const run = (keyLocks.get(key) || Promise.resolve()).then(fn, fn);
+  const tail = run.catch(() => {});
+  keyLocks.set(key, tail);
+  tail.then(() => { if (keyLocks.get(key) === tail) keyLocks.delete(key); });
+  return run;
+};
+
+// Open alert with the same key seen within the farm's dedupe window, or null
+const findRepeatTarget = async (dedupeKey, farmId, at) => {
+  const { alert_dedupe_window_minutes: windowMinutes } = await getFarmSettings(farmId);
+  if (!windowMinutes) return null;
+  const r = await executeQuery(
+    `SELECT id, farm_id, animal_id, collar_id, fence_id, rule_id, alert_type, severity, title, message, status,
+            location_latitude, location_longitude, occurrence_count, triggered_at, COALESCE(first_seen_at, triggered_at) AS first_seen_at,
+            COALESCE(last_seen_at, triggered_at) AS last_seen_at
+     FROM alerts
+     WHERE dedupe_key = ? AND status IN (${OPEN_ALERT_STATUSES.map(() => '?').join(', ')})
+       AND COALESCE(last_seen_at, triggered_at) >= ?
+     ORDER BY id DESC LIMIT 1`,
+    [dedupeKey, ...OPEN_ALERT_STATUSES, new Date(at.getTime() - windowMinutes * 60 * 1000)]
+  );
+  if (!r.success) {
+    console.warn('Failed to look up repeated alert:', r.error);
+    return null;
+  }
+  return r.data.length ? r.data[0] : null;
+};
+
+// Fold a repeat into an open alert: count it, move last-seen and the latest location forward
+// (only when the repeat is the newest) and keep the higher severity.
+const foldRepeat = async (existing, { severity, message, alertData, latitude, longitude, at }) => {
+  const escalated = severityRank(severity) > severityRank(existing.severity);
+  const newSeverity = escalated ? severity : existing.severity;
+  const latest = 'COALESCE(last_seen_at, triggered_at) <= ?';
+  // last_seen_at must be assigned last: the conditions above compare against the old value
+  const r = await executeQuery(
+    `UPDATE alerts SET
+       occurrence_count = COALESCE(occurrence_count, 1) + 1,
+       severity = ?,
+       first_seen_at = COALESCE(first_seen_at, triggered_at),
+       location_latitude = IF(${latest}, COALESCE(?, location_latitude), location_latitude),
+       location_longitude = IF(${latest}, COALESCE(?, location_longitude), location_longitude),
+       message = IF(${latest}, COALESCE(?, message), message),
+       alert_data = IF(${latest}, COALESCE(?, alert_data), alert_data),
+       last_seen_at = GREATEST(COALESCE(last_seen_at, triggered_at), ?)
+     WHERE id = ?`,
+    [
+      newSeverity,
+      at, latitude, at, longitude, at, message,
+      at, alertData === null ? null : (typeof alertData === 'string' ? alertData : JSON.stringify(alertData)),
+      at, existing.id
+    ]
+  );
+  if (!r.success) {
+    console.error('Failed to fold repeated alert:', existing.id, r.error);
+    return { success: false, id: null, error: r.error };
+  }
+  const occurrences = (Number(existing.occurrence_count) || 1) + 1;
+  const isLatest = at >= new Date(existing.last_seen_at);
+  const pick = (value, current) => (isLatest && value !== null ? value : current);
+  const folded = {
+    id: existing.id,
+    farm_id: existing.farm_id,
+    animal_id: existing.animal_id,
+    collar_id: existing.collar_id,
+    fence_id: existing.fence_id,
+    rule_id: existing.rule_id,
+    alert_type: existing.alert_type,
+    severity: newSeverity,
+    title: existing.title,
+    message: pick(message, existing.message),
+    location_latitude: pick(latitude, existing.location_latitude),
+    location_longitude: pick(longitude, existing.location_longitude),
+    triggered_at: existing.triggered_at,
+    status: existing.status,
+    occurrence_count: occurrences,
+    first_seen_at: existing.first_seen_at,
+    last_seen_at: isLatest ? at : existing.last_seen_at,
+    repeat: true,
+    escalated
+  };
+  emitAlert(folded);
+  if (escalated) await notifyAlert(folded);
+  return { success: true, id: existing.id, deduplicated: true, escalated, notify: escalated, occurrence_count: occurrences };
+};
+
+// Record an alert (server-generated or reported by a device).
+// A repeat of an open alert with the same dedupe key within the farm's alert_dedupe_window_minutes
+// is folded into it instead of inserting a row. Only columns with a value are written so DB
+// defaults (triggered_at, status) still apply.
+// New alerts and repeats that raise the severity are queued for user notifications.
+// Returns { success, id, error, deduplicated, escalated, notify, occurrence_count }; notify is
+// true for a new alert and for a repeat that raised the severity.
+const createAlert = async ({
+  farmId = 1,
+  animalId = null,
+  collarId = null,
+  fenceId = null,
+  ruleId = null,
+  alertType,
+  severity = 'medium',
+  title = null,
+  message = null,
+  alertData = null,
+  latitude = null,
+  longitude = null,
+  triggeredAt = null,
+  status = 'active',
+  autoGenerated = true
+}) => {
+  const at = triggeredAt || new Date();
+  const dedupeKey = OPEN_ALERT_STATUSES.includes(status) ? alertDedupeKey({ animalId, collarId, alertType, fenceId, ruleId }) : null;
+
+  const insert = async () => {
+    if (dedupeKey) {
+      const existing = await findRepeatTarget(dedupeKey, farmId, at);
+      if (existing) return foldRepeat(existing, { severity, message, alertData, latitude, longitude, at });
+    }
+
+    const insertCols = [];
+    const insertParams = [];
+    const pushCol = (col, val) => {
+      insertCols.push(col);
+      insertParams.push(val);
+    };
+
+    pushCol('farm_id', farmId);
+    if (animalId !== null) pushCol('animal_id', animalId);
+    if (collarId !== null) pushCol('collar_id', collarId);
+    if (fenceId !== null) pushCol('fence_id', fenceId);
+    if (ruleId !== null) pushCol('rule_id', ruleId);
+    pushCol('alert_type', alertType);
+    pushCol('severity', severity);
+    if (title !== null) pushCol('title', title);
+    if (message !== null) pushCol('message', message);
+    if (alertData !== null) pushCol('alert_data', typeof alertData === 'string' ? alertData : JSON.stringify(alertData));
+    if (latitude !== null) pushCol('location_latitude', latitude);
+    if (longitude !== null) pushCol('location_longitude', longitude);
+    if (triggeredAt) pushCol('triggered_at', triggeredAt);
+    pushCol('status', status);
+    pushCol('auto_generated', autoGenerated ? 1 : 0);
+    if (dedupeKey) pushCol('dedupe_key', dedupeKey);
+    pushCol('occurrence_count', 1);
+    pushCol('first_seen_at', at);
+    pushCol('last_seen_at', at);
+
+    const sql = `INSERT INTO alerts (${insertCols.join(', ')}) VALUES (${insertCols.map(() => '?').join(', ')})`;
+    const result = await executeQuery(sql, insertParams);
+    if (!result.success) {
+      console.error('Failed to create alert:', alertType, result.error);
+      return { success: false, id: null, error: result.error };
+    }
+    const id = result.data && (result.data.insertId || result.data.insert_id) ? (result.data.insertId || result.data.insert_id) : null;
+    const created = {
+      id,
+      farm_id: farmId,
+      animal_id: animalId,
+      collar_id: collarId,
+      fence_id: fenceId,
+      rule_id: ruleId,
+      alert_type: alertType,
+      severity,
+      title,
+      message,
+      location_latitude: latitude,
+      location_longitude: longitude,
+      triggered_at: at,
+      status,
+      auto_generated: !!autoGenerated,
+      occurrence_count: 1,
+      first_seen_at: at,
+      last_seen_at: at
+    };
+    emitAlert(created);
+    if (OPEN_ALERT_STATUSES.includes(status)) await notifyAlert(created);
+    return { success: true, id, deduplicated: false, escalated: false, notify: true, occurrence_count: 1 };
+  };
+
+  return dedupeKey ? withKeyLock(dedupeKey, insert) : insert();
+};
+
+// Open alerts of one type, e.g. to avoid raising a second inactivity alert for an animal.
+// Returns rows (empty on error).
+const findOpenAlerts = async (alertType, { farmId = null, animalId = null, collarId = null } = {}) => {
+  const where = ['alert_type = ?', `status IN (${OPEN_ALERT_STATUSES.map(() => '?').join(', ')})`];
+  const params = [alertType, ...OPEN_ALERT_STATUSES];
+  if (farmId !== null) { where.push('farm_id = ?'); params.push(farmId); }
+  if (animalId !== null) { where.push('animal_id = ?'); params.push(animalId); }
+  if (collarId !== null) { where.push('collar_id = ?'); params.push(collarId); }
+  const r = await executeQuery(
+    `SELECT id, farm_id, animal_id, collar_id, fence_id, alert_type, severity, title, status,
+            location_latitude, location_longitude, triggered_at, alert_data
+     FROM alerts WHERE ${where.join(' AND ')}`,
+    params
+  );
+  if (!r.success) {
+    console.warn('Failed to load open alerts:', alertType, r.error);
+    return [];
+  }
+  return r.data;
+};
+
+// Resolve an alert whose condition cleared by itself (resolved_by stays NULL)
+const autoResolveAlert = async (alert, reason) => {
+  const r = await executeQuery(
+    `UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN (${OPEN_ALERT_STATUSES.map(() => '?').join(', ')})`,
+    [alert.id, ...OPEN_ALERT_STATUSES]
+  );
+  if (!r.success) {
+    console.warn('Failed to auto-resolve alert', alert.id, r.error);
+    return false;
+  }
+  if (r.data && r.data.affectedRows > 0) {
+    emitAlert({ ...alert, status: 'resolved', resolved_at: new Date(), resolution: reason });
+  }
+  return true;
+};
+
+module.exports = {
+  OPEN_ALERT_STATUSES,
+  alertDedupeKey,
+  createAlert,
+  emitAlert,
+  findOpenAlerts,
+  autoResolveAlert
+};
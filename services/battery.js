@@ -0,0 +1,196 @@
+const { executeQuery } = require('../database');
+const { getFarmSettings } = require('./farmSettings');
+const { createAlert, findOpenAlerts, autoResolveAlert } = require('./alerts');
+
+// Battery analytics: low-battery alerts and a per-collar discharge forecast.
+// The discharge rate is a least-squares fit of battery_level over time, using hourly averages
+// from animal_locations since the last recharge/swap (a jump up of RECHARGE_JUMP_PERCENT).
+
+const BATTERY_JOB = 'battery-check';
+const ALERT_TYPE = 'battery_low';
+const RECHARGE_JUMP_PERCENT = 10;
+// Hourly samples needed, and hours they must span, before a rate is trusted
+const MIN_SAMPLES = 3;
+const MIN_SPAN_HOURS = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Samples oldest first: [{ at: Date, level }]. Returns { percent_per_day, samples, since } or null.
+const estimateDischarge = (samples) => {
+  let start = 0;
+  for (let i = 1; i < samples.length; i += 1) {
+    if (samples[i].level - samples[i - 1].level >= RECHARGE_JUMP_PERCENT) start = i;
+  }
+  const run = samples.slice(start);
+  if (run.length < MIN_SAMPLES) return null;
+  const t0 = run[0].at.getTime();
+  const spanHours = (run[run.length - 1].at.getTime() - t0) / 3600000;
+  if (spanHours < MIN_SPAN_HOURS) return null;
+
+  const xs = run.map(s => (s.at.getTime() - t0) / DAY_MS);
+  const ys = run.map(s => s.level);
+  const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let num = 0;
+  let den = 0;
+  xs.forEach((x, i) => {
+    num += (x - mx) * (ys[i] - my);
+    den += (x - mx) ** 2;
+  });
+  if (den === 0) return null;
+  return { percent_per_day: -num / den, samples: run.length, since: run[0].at };
+};
+
+// When will `level` reach `target` at `percentPerDay`? null when not discharging.
+const predictDate = (level, target, percentPerDay, from) => {
+  if (level === null || !percentPerDay || percentPerDay <= 0) return null;
+  if (level <= target) return from;
+  return new Date(from.getTime() + ((level - target) / percentPerDay) * DAY_MS);
+};
+
+// Battery level, discharge rate and predicted low/empty dates for every active collar on a farm
+const getBatteryForecasts = async (farmId, collarId = null) => {
+  const settings = await getFarmSettings(farmId);
+  const params = [farmId];
+  let collarFilter = '';
+  if (collarId) {
+    collarFilter = ' AND c.id = ?';
+    params.push(collarId);
+  }
+  const collars = await executeQuery(
+    `SELECT c.id AS collar_id, c.serial_number, ac.animal_id, a.name AS animal_name, a.tag_number,
+            cl.battery_level, cl.recorded_at AS battery_recorded_at
+     FROM collars c
+     LEFT JOIN animal_collars ac ON ac.collar_id = c.id AND ac.is_active = TRUE
+     LEFT JOIN animals a ON a.id = ac.animal_id
+     LEFT JOIN current_locations cl ON cl.collar_id = c.id
+     WHERE c.farm_id = ? AND c.status = 'active'${collarFilter}
+     ORDER BY c.serial_number`,
+    params
+  );
+  if (!collars.success) throw new Error(`Failed to load collars: ${collars.error}`);
+  if (collars.data.length === 0) return [];
+
+  const ids = collars.data.map(c => c.collar_id);
+  const history = await executeQuery(
+    `SELECT collar_id, MIN(recorded_at) AS sample_at, AVG(battery_level) AS level
+     FROM animal_locations
+     WHERE collar_id IN (${ids.map(() => '?').join(', ')}) AND battery_level IS NOT NULL
+       AND recorded_at >= ?
+     GROUP BY collar_id, DATE_FORMAT(recorded_at, '%Y-%m-%d %H')
+     ORDER BY collar_id, sample_at`,
+    [...ids, new Date(Date.now() - settings.battery_history_days * DAY_MS)]
+  );
+  if (!history.success) throw new Error(`Failed to load battery history: ${history.error}`);
+
+  const samplesByCollar = new Map();
+  history.data.forEach(h => {
+    const id = Number(h.collar_id);
+    if (!samplesByCollar.has(id)) samplesByCollar.set(id, []);
+    samplesByCollar.get(id).push({ at: new Date(h.sample_at), level: Number(h.level) });
+  });
+
+  const now = new Date();
+  return collars.data.map(c => {
+    const id = Number(c.collar_id);
+    const level = c.battery_level !== null && c.battery_level !== undefined ? Number(c.battery_level) : null;
+    const rate = estimateDischarge(samplesByCollar.get(id) || []);
+    const percentPerDay = rate ? rate.percent_per_day : null;
+    const lowAt = predictDate(level, settings.battery_low_percent, percentPerDay, now);
+    const emptyAt = predictDate(level, 0, percentPerDay, now);
+    let state = 'unknown';
+    if (level !== null) {
+      if (level <= settings.battery_critical_percent) state = 'critical';
+      else if (level <= settings.battery_low_percent) state = 'low';
+      else state = 'ok';
+    }
+    return {
+      collar_id: id,
+      serial_number: c.serial_number,
+      animal_id: c.animal_id ? Number(c.animal_id) : null,
+      animal_name: c.animal_name || null,
+      tag_number: c.tag_number || null,
+      battery_level: level,
+      battery_recorded_at: c.battery_recorded_at || null,
+      battery_state: state,
+      discharge_percent_per_day: round(percentPerDay, 2),
+      discharge_samples: rate ? rate.samples : 0,
+      discharging_since: rate ? rate.since : null,
+      predicted_low_at: lowAt,
+      predicted_empty_at: emptyAt,
+      days_until_low: lowAt ? round((lowAt - now) / DAY_MS) : null,
+      days_until_empty: emptyAt ? round((emptyAt - now) / DAY_MS) : null
+    };
+  });
+};
+
+// Collars that are already low or are forecast to go low within `days`, soonest first
+const getCollarsDueForSwap = async (farmId, days) => {
+  const forecasts = await getBatteryForecasts(farmId);
+  return forecasts
+    .filter(f => f.battery_state === 'low' || f.battery_state === 'critical' || (f.days_until_low !== null && f.days_until_low <= days))
+    .sort((a, b) => (a.days_until_low === null ? 0 : a.days_until_low) - (b.days_until_low === null ? 0 : b.days_until_low)
+      || a.battery_level - b.battery_level);
+};
+
+// Background job: alert on low/critical collars, escalate low to critical, clear after a swap
+const checkBatteryLevels = async () => {
+  const farms = await executeQuery("SELECT DISTINCT farm_id FROM collars WHERE status = 'active'", []);
+  if (!farms.success) throw new Error(`Failed to list farms with collars: ${farms.error}`);
+  const summary = { checked: 0, low: 0, critical: 0, raised: 0, resolved: 0 };
+
+  for (const { farm_id: farmId } of farms.data) {
+    const settings = await getFarmSettings(farmId);
+    const forecasts = await getBatteryForecasts(farmId);
+    const open = new Map((await findOpenAlerts(ALERT_TYPE, { farmId })).map(a => [Number(a.collar_id), a]));
+
+    for (const f of forecasts) {
+      summary.checked += 1;
+      const openAlert = open.get(f.collar_id);
+      if (f.battery_state === 'ok' && openAlert) {
+        // Back above the low threshold: collar was recharged or swapped
+        await autoResolveAlert(openAlert, 'battery recharged');
+        summary.resolved += 1;
+        continue;
+      }
+      if (f.battery_state !== 'low' && f.battery_state !== 'critical') continue;
+      summary[f.battery_state] += 1;
+
+      const severity = f.battery_state === 'critical' ? 'high' : 'medium';
+      if (openAlert) {
+        if (openAlert.severity === severity || severity === 'medium') continue;
+        await autoResolveAlert(openAlert, 'escalated to critical');
+        summary.resolved += 1;
+      }
+      const label = f.animal_name ? `${f.serial_number} (${f.animal_name})` : f.serial_number;
+      const threshold = f.battery_state === 'critical' ? settings.battery_critical_percent : settings.battery_low_percent;
+      const forecast = f.predicted_empty_at ? ` Forecast to run out ${f.predicted_empty_at.toISOString()}.` : '';
+      const created = await createAlert({
+        farmId,
+        animalId: f.animal_id,
+        collarId: f.collar_id,
+        alertType: ALERT_TYPE,
+        severity,
+        title: `${f.battery_state === 'critical' ? 'Critical' : 'Low'} battery: ${label} at ${f.battery_level}%`,
+        message: `Collar ${f.serial_number} battery is at ${f.battery_level}% (threshold ${threshold}%).${forecast}`,
+        alertData: {
+          battery_level: f.battery_level,
+          threshold_percent: threshold,
+          discharge_percent_per_day: f.discharge_percent_per_day,
+          predicted_empty_at: f.predicted_empty_at
+        }
+      });
+      if (created.success) summary.raised += 1;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  BATTERY_JOB,
+  estimateDischarge,
+  getBatteryForecasts,
+  getCollarsDueForSwap,
+  checkBatteryLevels
+};
@@ -0,0 +1,148 @@
+const { executeQuery } = require('../database');
+const { getFarmSettings } = require('./farmSettings');
+
+// Device clock checks.
+// Each fix's skew is its device time minus the time the server received it. A fix more than
+// clock_max_future_seconds ahead, or clock_max_past_hours behind, has a bad clock (a collar with
+// a dead RTC reports 1970 or 2080). When the newest fix of a collar in a request is skewed the
+// whole clock is off: with clock_correct_skew every fix from that request is shifted by the same
+// offset (keeping their spacing) and the device time is kept in device_recorded_at. Otherwise,
+// and for single stray fixes next to a good newest fix, the fix is flagged and quarantined.
+
+// Range of a MySQL TIMESTAMP column; fixes outside it cannot be stored uncorrected
+const TIMESTAMP_MIN_MS = Date.UTC(1970, 0, 1, 0, 0, 1);
+const TIMESTAMP_MAX_MS = Date.UTC(2038, 0, 19, 3, 14, 7);
+// Bucket size for the drift trend in the clock report
+const TREND_BUCKET_HOURS = 6;
+
+const storable = (date) => date.getTime() >= TIMESTAMP_MIN_MS && date.getTime() <= TIMESTAMP_MAX_MS;
+
+// 'clock_future', 'clock_past' or null for a device time against the receive time
+const skewFlag = (recordedAt, receivedAt, settings) => {
+  const skewSeconds = (recordedAt.getTime() - receivedAt.getTime()) / 1000;
+  if (skewSeconds > settings.clock_max_future_seconds) return 'clock_future';
+  if (-skewSeconds > settings.clock_max_past_hours * 3600) return 'clock_past';
+  return null;
+};
+
+// Check the fixes of one collar (or animal) received together, in place.
+// Sets clock_skew_seconds, and for skewed fixes clock_flags plus either a corrected recorded_at
+// (device_recorded_at keeps the original) or clock_quarantined. Returns the fixes that cannot be
+// stored at all (bad clock, not corrected, outside the TIMESTAMP range).
+const checkClockSkew = (points, settings, receivedAt) => {
+  if (points.length === 0) return [];
+  const newest = points.reduce((a, b) => (b.recorded_at > a.recorded_at ? b : a));
+  const clockOff = skewFlag(newest.recorded_at, receivedAt, settings);
+  const offsetMs = receivedAt.getTime() - newest.recorded_at.getTime();
+  const unstorable = [];
+
+  points.forEach(p => {
+    p.clock_skew_seconds = Math.round((p.recorded_at.getTime() - receivedAt.getTime()) / 1000);
+    if (clockOff && settings.clock_correct_skew) {
+      // DATETIME holds years 1000-9999; anything beyond that is only kept as the skew
+      const year = p.recorded_at.getUTCFullYear();
+      p.device_recorded_at = year >= 1000 && year <= 9999 ? p.recorded_at : null;
+      p.recorded_at = new Date(p.recorded_at.getTime() + offsetMs);
+      p.clock_flags = [clockOff, 'clock_corrected'];
+      return;
+    }
+    const flag = clockOff || skewFlag(p.recorded_at, receivedAt, settings);
+    if (!flag) return;
+    p.clock_flags = [flag];
+    p.clock_quarantined = true;
+    if (!storable(p.recorded_at)) unstorable.push(p);
+  });
+  return unstorable;
+};
+
+// Device time for an alert: the reported time unless the clock is clearly wrong, then the receive time
+const correctAlertTime = (triggeredAt, settings, receivedAt) => {
+  const flag = skewFlag(triggeredAt, receivedAt, settings);
+  return { triggeredAt: flag ? receivedAt : triggeredAt, flag };
+};
+
+// Clock drift report for a farm's collars over the last `hours`.
+// offset = the largest skew in the most recent bucket: with a good clock the least-delayed fix is
+// a few seconds behind, so a large positive or negative value is the clock error. The drift rate
+// compares that with the first bucket of the window.
+const getClockReport = async (farmId, hours) => {
+  const settings = await getFarmSettings(farmId);
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  const [totals, buckets] = await Promise.all([
+    executeQuery(
+      `SELECT c.id AS collar_id, c.serial_number, COUNT(al.id) AS fixes,
+              MIN(al.clock_skew_seconds) AS min_skew_seconds, MAX(al.clock_skew_seconds) AS max_skew_seconds,
+              AVG(al.clock_skew_seconds) AS avg_skew_seconds,
+              SUM(al.device_recorded_at IS NOT NULL) AS corrected,
+              SUM(FIND_IN_SET('clock_future', al.quality_flags) > 0 OR FIND_IN_SET('clock_past', al.quality_flags) > 0) AS flagged,
+              MAX(al.received_at) AS last_received_at
+       FROM collars c
+       JOIN animal_locations al ON al.collar_id = c.id AND al.received_at >= ? AND al.clock_skew_seconds IS NOT NULL
+       WHERE c.farm_id = ?
+       GROUP BY c.id, c.serial_number`,
+      [since, farmId]
+    ),
+    executeQuery(
+      `SELECT al.collar_id, FLOOR(UNIX_TIMESTAMP(al.received_at) / ?) AS bucket, MAX(al.clock_skew_seconds) AS max_skew_seconds
+       FROM animal_locations al
+       JOIN collars c ON c.id = al.collar_id
+       WHERE c.farm_id = ? AND al.received_at >= ? AND al.clock_skew_seconds IS NOT NULL
+       GROUP BY al.collar_id, bucket
+       ORDER BY al.collar_id, bucket`,
+      [TREND_BUCKET_HOURS * 3600, farmId, since]
+    )
+  ]);
+  if (!totals.success || !buckets.success) throw new Error('Failed to load clock report');
+
+  const trend = new Map();
+  buckets.data.forEach(b => {
+    const id = Number(b.collar_id);
+    if (!trend.has(id)) trend.set(id, []);
+    trend.get(id).push({ bucket: Number(b.bucket), skew: Number(b.max_skew_seconds) });
+  });
+
+  const collars = totals.data.map(t => {
+    const id = Number(t.collar_id);
+    const points = trend.get(id) || [];
+    const first = points[0];
+    const last = points[points.length - 1];
+    const offset = last ? last.skew : Number(t.max_skew_seconds);
+    const spanDays = first && last && last.bucket > first.bucket ? ((last.bucket - first.bucket) * TREND_BUCKET_HOURS) / 24 : null;
+    const driftPerDay = spanDays ? Math.round((last.skew - first.skew) / spanDays) : null;
+    const corrected = Number(t.corrected) || 0;
+    const flagged = Number(t.flagged) || 0;
+    return {
+      collar_id: id,
+      serial_number: t.serial_number,
+      fixes: Number(t.fixes),
+      clock_offset_seconds: offset,
+      drift_seconds_per_day: driftPerDay,
+      min_skew_seconds: Number(t.min_skew_seconds),
+      max_skew_seconds: Number(t.max_skew_seconds),
+      avg_skew_seconds: Math.round(Number(t.avg_skew_seconds)),
+      corrected_fixes: corrected,
+      flagged_fixes: flagged,
+      last_received_at: t.last_received_at,
+      drifting: Math.abs(offset) > settings.clock_drift_warn_seconds || corrected > 0 || flagged > 0
+    };
+  }).sort((a, b) => Math.abs(b.clock_offset_seconds) - Math.abs(a.clock_offset_seconds));
+
+  return {
+    hours,
+    thresholds: {
+      max_future_seconds: settings.clock_max_future_seconds,
+      max_past_hours: settings.clock_max_past_hours,
+      drift_warn_seconds: settings.clock_drift_warn_seconds,
+      correct_skew: !!settings.clock_correct_skew
+    },
+    drifting: collars.filter(c => c.drifting).length,
+    collars
+  };
+};
+
+module.exports = {
+  skewFlag,
+  checkClockSkew,
+  correctAlertTime,
+  getClockReport
+};
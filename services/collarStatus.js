@@ -0,0 +1,113 @@
+const { executeQuery } = require('../database');
+const gpsEmitter = require('../gpsEvents');
+const { getFarmSettings } = require('./farmSettings');
+const { createAlert, findOpenAlerts, autoResolveAlert } = require('./alerts');
+
+// Collar connectivity: compares when each active collar's latest fix arrived with its expected
+// reporting interval (arrival, not recorded_at, so a collar with a clock stuck in the future
+// doesn't stay online). online = within collar_stale_after_intervals intervals, stale = up to
+// collar_offline_after_intervals, offline = older (or never reported).
+
+const OFFLINE_JOB = 'collar-offline-check';
+const ALERT_TYPE = 'collar_offline';
+const CONNECTIVITY_STATUSES = ['online', 'stale', 'offline'];
+
+const classify = (lastFixAt, intervalSeconds, settings, now) => {
+  if (!lastFixAt) return 'offline';
+  const ageSeconds = (now.getTime() - new Date(lastFixAt).getTime()) / 1000;
+  if (ageSeconds <= intervalSeconds * settings.collar_stale_after_intervals) return 'online';
+  if (ageSeconds <= intervalSeconds * settings.collar_offline_after_intervals) return 'stale';
+  return 'offline';
+};
+
+// Connectivity of every active collar on a farm
+const getCollarStatuses = async (farmId) => {
+  const r = await executeQuery(
+    `SELECT c.id AS collar_id, c.serial_number, c.reporting_interval_seconds,
+            ac.animal_id, a.name AS animal_name, a.tag_number,
+            cl.battery_level, cl.signal_quality, cl.latitude, cl.longitude,
+            (SELECT MAX(al.received_at) FROM animal_locations al WHERE al.collar_id = c.id) AS last_fix_at
+     FROM collars c
+     LEFT JOIN animal_collars ac ON ac.collar_id = c.id AND ac.is_active = TRUE
+     LEFT JOIN animals a ON a.id = ac.animal_id
+     LEFT JOIN current_locations cl ON cl.collar_id = c.id
+     WHERE c.farm_id = ? AND c.status = 'active'
+     ORDER BY c.serial_number`,
+    [farmId]
+  );
+  if (!r.success) throw new Error(`Failed to load collar status: ${r.error}`);
+
+  const settings = await getFarmSettings(farmId);
+  const now = new Date();
+  return r.data.map(row => {
+    const intervalSeconds = row.reporting_interval_seconds
+      ? Number(row.reporting_interval_seconds)
+      : settings.collar_reporting_interval_minutes * 60;
+    return {
+      collar_id: Number(row.collar_id),
+      serial_number: row.serial_number,
+      animal_id: row.animal_id ? Number(row.animal_id) : null,
+      animal_name: row.animal_name || null,
+      tag_number: row.tag_number || null,
+      connectivity: classify(row.last_fix_at, intervalSeconds, settings, now),
+      last_seen_at: row.last_fix_at || null,
+      minutes_since_last_fix: row.last_fix_at ? Math.round((now - new Date(row.last_fix_at)) / 60000) : null,
+      expected_interval_seconds: intervalSeconds,
+      battery_level: row.battery_level !== null && row.battery_level !== undefined ? Number(row.battery_level) : null,
+      signal_quality: row.signal_quality || null,
+      latitude: row.latitude !== null && row.latitude !== undefined ? Number(row.latitude) : null,
+      longitude: row.longitude !== null && row.longitude !== undefined ? Number(row.longitude) : null
+    };
+  });
+};
+
+// Background job: open an alert for each collar that went offline, resolve it when data resumes
+const checkOfflineCollars = async () => {
+  const farms = await executeQuery("SELECT DISTINCT farm_id FROM collars WHERE status = 'active'", []);
+  if (!farms.success) throw new Error(`Failed to list farms with collars: ${farms.error}`);
+  const summary = { checked: 0, offline: 0, raised: 0, resolved: 0 };
+
+  for (const { farm_id: farmId } of farms.data) {
+    const statuses = await getCollarStatuses(farmId);
+    const open = new Map((await findOpenAlerts(ALERT_TYPE, { farmId })).map(a => [Number(a.collar_id), a]));
+
+    for (const s of statuses) {
+      summary.checked += 1;
+      const openAlert = open.get(s.collar_id);
+      if (s.connectivity === 'offline') summary.offline += 1;
+
+      // Collars that never reported are not deployed yet; nothing to alert on
+      if (s.connectivity === 'offline' && s.last_seen_at && !openAlert) {
+        const label = s.animal_name ? `${s.serial_number} (${s.animal_name})` : s.serial_number;
+        const created = await createAlert({
+          farmId,
+          animalId: s.animal_id,
+          collarId: s.collar_id,
+          alertType: ALERT_TYPE,
+          severity: 'medium',
+          title: `Collar offline: ${label}`,
+          message: `No fix from collar ${s.serial_number} since ${new Date(s.last_seen_at).toISOString()} (expected every ${Math.round(s.expected_interval_seconds / 60)} min).`,
+          alertData: { last_seen_at: s.last_seen_at, expected_interval_seconds: s.expected_interval_seconds, battery_level: s.battery_level },
+          latitude: s.latitude,
+          longitude: s.longitude
+        });
+        if (created.success) {
+          summary.raised += 1;
+          gpsEmitter.emit('device', { type: 'collar_offline', farm_id: farmId, collar_id: s.collar_id, animal_id: s.animal_id, alert_id: created.id, last_seen_at: s.last_seen_at });
+        }
+      } else if (s.connectivity === 'online' && openAlert) {
+        await autoResolveAlert(openAlert, 'data resumed');
+        summary.resolved += 1;
+        gpsEmitter.emit('device', { type: 'collar_online', farm_id: farmId, collar_id: s.collar_id, animal_id: s.animal_id, alert_id: openAlert.id, last_seen_at: s.last_seen_at });
+      }
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  OFFLINE_JOB,
+  CONNECTIVITY_STATUSES,
+  getCollarStatuses,
+  checkOfflineCollars
+};
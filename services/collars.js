@@ -0,0 +1,83 @@
+const { executeQuery } = require('../database');
+
+// Collar-to-animal resolution from the animal_collars assignment history.
+
+// Assignment rows for the given collars, oldest first
+const loadAssignments = async (collarIds) => {
+  const ids = [...new Set(collarIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return new Map();
+  const r = await executeQuery(
+    `SELECT collar_id, animal_id, assigned_at, unassigned_at
+     FROM animal_collars
+     WHERE collar_id IN (${ids.map(() => '?').join(', ')})
+     ORDER BY assigned_at ASC, id ASC`,
+    ids
+  );
+  const byCollar = new Map();
+  if (!r.success) {
+    console.warn('Failed to load collar assignments:', r.error);
+    return byCollar;
+  }
+  r.data.forEach(row => {
+    const key = Number(row.collar_id);
+    if (!byCollar.has(key)) byCollar.set(key, []);
+    byCollar.get(key).push(row);
+  });
+  return byCollar;
+};
+
+// The animal wearing the collar at `at` according to its assignment history (or null)
+const findAssignedAnimal = (assignments, at) => {
+  if (!assignments || assignments.length === 0) return null;
+  const t = new Date(at || Date.now()).getTime();
+  for (let i = assignments.length - 1; i >= 0; i--) {
+    const a = assignments[i];
+    const start = new Date(a.assigned_at).getTime();
+    const end = a.unassigned_at ? new Date(a.unassigned_at).getTime() : Infinity;
+    if (start <= t && t < end) return Number(a.animal_id);
+  }
+  return null;
+};
+
+// Resolve the animal for a single collar fix
+const resolveAnimalForCollar = async (collarId, recordedAt) => {
+  if (!collarId) return null;
+  const assignments = await loadAssignments([collarId]);
+  return findAssignedAnimal(assignments.get(Number(collarId)), recordedAt);
+};
+
+// Fill animal_id on points that only carry a collar_id (mutates the points)
+const attachAnimalIds = async (points) => {
+  const missing = points.filter(p => p.collar_id && !p.animal_id);
+  if (missing.length === 0) return;
+  const assignments = await loadAssignments(missing.map(p => p.collar_id));
+  missing.forEach(p => {
+    const animalId = findAssignedAnimal(assignments.get(Number(p.collar_id)), p.recorded_at);
+    if (animalId) p.animal_id = animalId;
+  });
+};
+
+// Points naming an animal the device may not report for: a collar key only for the animal
+// wearing its collar at the fix time, a gateway key only for animals on its own farm.
+// Returns the offending points.
+const findForeignAnimalPoints = async (points, { collarId = null, farmId = null } = {}) => {
+  const claimed = points.filter(p => p.animal_id);
+  if (claimed.length === 0 || (!collarId && !farmId)) return [];
+  if (collarId) {
+    const assignments = (await loadAssignments([collarId])).get(Number(collarId));
+    return claimed.filter(p => findAssignedAnimal(assignments, p.recorded_at) !== Number(p.animal_id));
+  }
+  const ids = [...new Set(claimed.map(p => Number(p.animal_id)))];
+  const r = await executeQuery(`SELECT id, farm_id FROM animals WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  if (!r.success) throw new Error(`Failed to check animal farms: ${r.error}`);
+  const farmOf = new Map(r.data.map(row => [Number(row.id), Number(row.farm_id)]));
+  return claimed.filter(p => farmOf.get(Number(p.animal_id)) !== Number(farmId));
+};
+
+module.exports = {
+  loadAssignments,
+  findAssignedAnimal,
+  resolveAnimalForCollar,
+  attachAnimalIds,
+  findForeignAnimalPoints
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { executeQuery } = require('../database');
+
+// Per-device credentials for collars and gateways.
+//
+// Each device gets a public key id plus a random secret that is shown once when the key is
+// issued or rotated. Only a hash of the secret is stored (secret_hash, hex SHA-256); devices sign
+// with that hash as the HMAC key, so the server never holds the secret itself. MQTT clients log
+// in with the secret, which is hashed and compared.
+//
+// Signed requests carry:
+//   X-Device-Key:  key id (dk_...)
+//   X-Timestamp:   unix seconds
+//   X-Signature:   hex HMAC-SHA256(hex SHA-256(secret), `${timestamp}\n${METHOD}\n${originalUrl}\n${rawBody}`)
+//
+// Keys issued before hashing keep their AES-256-GCM encrypted secret (secret_encrypted, key from
+// DEVICE_SECRET_KEY) and sign with the secret directly until they are rotated.
+
+const KEY_ID_PREFIX = 'dk_';
+
+// Encryption key for stored secrets (webhook secrets and device keys issued before hashing).
+// Deliberately independent of JWT_SECRET so rotating that doesn't make every stored secret unreadable;
+// production refuses to run without it (see server.js), development gets a fixed default.
+const getEncryptionKey = () => {
+  if (!process.env.DEVICE_SECRET_KEY && process.env.NODE_ENV === 'production') {
+    throw new Error('DEVICE_SECRET_KEY must be set in production');
+  }
+  const material = process.env.DEVICE_SECRET_KEY || 'dev-device-secret-change-me';
+  return crypto.createHash('sha256').update(String(material)).digest();
+};
+
+// Allowed clock difference between device and server, in seconds
+const getSignatureWindowSeconds = () => parseInt(process.env.DEVICE_SIGNATURE_WINDOW_SECONDS, 10) || 300;
+
+// How long the previous secret keeps working after a rotation, in seconds
+const getRotationGraceSeconds = () => {
+  const v = parseInt(process.env.DEVICE_KEY_ROTATION_GRACE_SECONDS, 10);
+  return Number.isNaN(v) ? 3600 : v;
+};
+
+const generateKeyId = () => KEY_ID_PREFIX + crypto.randomBytes(8).toString('hex');
+const generateSecret = () => crypto.randomBytes(32).toString('base64url');
+const fingerprintSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex').substring(0, 16);
+// Stored value and HMAC signing key for a device secret
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ['v1', iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decryptSecret = (stored) => {
+  if (!stored) return null;
+  try {
+    const [version, iv, tag, ciphertext] = String(stored).split(':');
+    if (version !== 'v1') return null;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    console.warn('Failed to decrypt device secret (was DEVICE_SECRET_KEY changed?)');
+    return null;
+  }
+};
+
+// Canonical string covered by the signature
+const signingPayload = ({ timestamp, method, url, rawBody }) => {
+  const body = rawBody ? rawBody.toString('utf8') : '';
+  return `${timestamp}\n${String(method).toUpperCase()}\n${url}\n${body}`;
+};
+
+// `signingKey` is hashSecret(secret) (or the raw secret for keys issued before hashing)
+const computeSignature = (signingKey, parts) => {
+  return crypto.createHmac('sha256', signingKey).update(signingPayload(parts)).digest('hex');
+};
+
+const signaturesMatch = (expected, provided) => {
+  const a = Buffer.from(String(expected), 'utf8');
+  const b = Buffer.from(String(provided).toLowerCase(), 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Signatures seen inside the replay window; a signature may only be used once
+const seenSignatures = new Map();
+
+const rememberSignature = (signature) => {
+  const now = Date.now();
+  if (seenSignatures.size > 10000) {
+    for (const [sig, expiresAt] of seenSignatures) {
+      if (expiresAt <= now) seenSignatures.delete(sig);
+    }
+  }
+  const expiresAt = seenSignatures.get(signature);
+  if (expiresAt && expiresAt > now) return false;
+  seenSignatures.set(signature, now + getSignatureWindowSeconds() * 2000);
+  return true;
+};
+
+const getCredentialByKeyId = async (keyId) => {
+  const r = await executeQuery(
+    `SELECT id, key_id, name, device_type, collar_id, farm_id, status, secret_hash, secret_encrypted,
+            previous_secret_hash, previous_secret_encrypted, previous_valid_until
+     FROM device_credentials WHERE key_id = ? LIMIT 1`,
+    [keyId]
+  );
+  if (!r.success) throw new Error(r.error);
+  return r.data.length > 0 ? r.data[0] : null;
+};
+
+// Throttle last_used_at writes so busy collars don't cost a write per request
+const lastUsedWrites = new Map();
+const touchCredential = (id) => {
+  const now = Date.now();
+  if (lastUsedWrites.has(id) && now - lastUsedWrites.get(id) < 60000) return;
+  lastUsedWrites.set(id, now);
+  executeQuery('UPDATE device_credentials SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id])
+    .catch(() => {});
+};
+
+// One stored secret as { signingKey, hash }: hashed keys sign with the stored hash, keys issued
+// before hashing sign with their decrypted secret
+const storedSecret = (hash, encrypted) => {
+  if (hash) return { signingKey: hash, hash };
+  const secret = decryptSecret(encrypted);
+  return secret ? { signingKey: secret, hash: hashSecret(secret) } : null;
+};
+
+// Current secret plus the previous one while its rotation grace period lasts
+const credentialSecrets = (credential) => {
+  const secrets = [storedSecret(credential.secret_hash, credential.secret_encrypted)];
+  if ((credential.previous_secret_hash || credential.previous_secret_encrypted) && credential.previous_valid_until &&
+    new Date(credential.previous_valid_until).getTime() > Date.now()) {
+    secrets.push(storedSecret(credential.previous_secret_hash, credential.previous_secret_encrypted));
+  }
+  return secrets.filter(Boolean);
+};
+
+const deviceFromCredential = (credential) => ({
+  id: credential.id,
+  key_id: credential.key_id,
+  name: credential.name,
+  device_type: credential.device_type,
+  collar_id: credential.collar_id,
+  farm_id: credential.farm_id
+});
+
+// Verify a signed request.
+// Returns { device } on success or { status, message } describing why it was rejected.
+const verifyDeviceRequest = async ({ keyId, timestamp, signature, method, url, rawBody }) => {
+  if (!keyId || !timestamp || !signature) {
+    return { status: 401, message: 'Device signature required' };
+  }
+  const ts = Number(timestamp);
+  const window = getSignatureWindowSeconds();
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > window) {
+    return { status: 401, message: 'Device request timestamp outside allowed window' };
+  }
+
+  const credential = await getCredentialByKeyId(keyId);
+  if (!credential || credential.status !== 'active') {
+    return { status: 401, message: 'Unknown or revoked device key' };
+  }
+
+  const parts = { timestamp, method, url, rawBody };
+  const secrets = credentialSecrets(credential);
+  const valid = secrets.some(secret => signaturesMatch(computeSignature(secret.signingKey, parts), signature));
+  if (!valid) return { status: 401, message: 'Invalid device signature' };
+
+  if (!rememberSignature(String(signature).toLowerCase())) {
+    return { status: 401, message: 'Replayed device request' };
+  }
+
+  touchCredential(credential.id);
+  return { device: deviceFromCredential(credential) };
+};
+
+// Check a key id + raw secret pair (MQTT clients log in with these instead of signing)
+const verifyDeviceSecret = async (keyId, secret) => {
+  if (!keyId || !secret) return { status: 401, message: 'Device credentials required' };
+  const credential = await getCredentialByKeyId(keyId);
+  if (!credential || credential.status !== 'active') {
+    return { status: 401, message: 'Unknown or revoked device key' };
+  }
+  const valid = credentialSecrets(credential).some(candidate => signaturesMatch(candidate.hash, hashSecret(secret)));
+  if (!valid) return { status: 401, message: 'Invalid device credentials' };
+
+  touchCredential(credential.id);
+  return { device: deviceFromCredential(credential) };
+};
+
+module.exports = {
+  generateKeyId,
+  generateSecret,
+  fingerprintSecret,
+  hashSecret,
+  encryptSecret,
+  decryptSecret,
+  computeSignature,
+  getRotationGraceSeconds,
+  verifyDeviceRequest,
+  verifyDeviceSecret
+};
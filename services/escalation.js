@@ -0,0 +1,280 @@
+const { executeQuery } = require('../database');
+const { emitAlert } = require('./alerts');
+const { enqueueUserNotifications } = require('./notifications');
+const { SEVERITIES } = require('./severity');
+
+// Escalation of alerts nobody reacts to.
+// A farm has at most one policy per severity: an ordered list of tiers ({ delay_minutes, roles,
+// user_ids }) plus an optional number of repeats of the last tier. While an alert stays 'active'
+// its chain in alert_escalations moves one step at a time: step N notifies tier N
+// delay_minutes after the previous step (tier 0: after the alert was triggered). The next due
+// time lives in the database, so the escalation job picks chains up again after a restart.
+// Acknowledging or resolving the alert stops the chain; every step is kept in alert_escalation_steps.
+
+const ESCALATION_JOB = 'alert-escalation';
+
+const POLICY_SEVERITIES = SEVERITIES;
+const MAX_TIERS = 10;
+const MAX_DELAY_MINUTES = 7 * 24 * 60;
+const MAX_REPEATS = 50;
+// Alerts handled per job run (the rest are picked up on the next run)
+const BATCH_SIZE = 200;
+
+const parseJsonList = (value) => {
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const formatPolicy = (row) => ({
+  ...row,
+  tiers: parseJsonList(row.tiers),
+  repeat_limit: Number(row.repeat_limit),
+  repeat_interval_minutes: Number(row.repeat_interval_minutes),
+  is_enabled: !!row.is_enabled
+});
+
+// Validate a policy body { name?, tiers, repeat_limit?, repeat_interval_minutes?, is_enabled? }.
+// Returns { policy } or { error }.
+const validatePolicy = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Body must be an object' };
+  const { name = null, tiers, repeat_limit = 0, repeat_interval_minutes = 60, is_enabled = true } = input;
+  if (name !== null && (typeof name !== 'string' || name.length > 255)) return { error: 'name must be a string (max 255 characters)' };
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    return { error: `tiers must be a list of 1 to ${MAX_TIERS} tiers` };
+  }
+  const cleanTiers = [];
+  for (let i = 0; i < tiers.length; i += 1) {
+    const tier = tiers[i] || {};
+    const delay = Number(tier.delay_minutes);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY_MINUTES) {
+      return { error: `tiers[${i}].delay_minutes must be a whole number between 0 and ${MAX_DELAY_MINUTES}` };
+    }
+    const roles = tier.roles === undefined ? [] : tier.roles;
+    const userIds = tier.user_ids === undefined ? [] : tier.user_ids;
+    if (!Array.isArray(roles) || roles.some(r => typeof r !== 'string' || !r || r.length > 32)) {
+      return { error: `tiers[${i}].roles must be a list of user roles` };
+    }
+    if (!Array.isArray(userIds) || userIds.some(id => !Number.isInteger(Number(id)) || Number(id) <= 0)) {
+      return { error: `tiers[${i}].user_ids must be a list of user ids` };
+    }
+    if (roles.length === 0 && userIds.length === 0) return { error: `tiers[${i}] needs at least one role or user id` };
+    cleanTiers.push({ delay_minutes: delay, roles, user_ids: userIds.map(Number) });
+  }
+  const repeats = Number(repeat_limit);
+  if (!Number.isInteger(repeats) || repeats < 0 || repeats > MAX_REPEATS) {
+    return { error: `repeat_limit must be a whole number between 0 and ${MAX_REPEATS}` };
+  }
+  const repeatInterval = Number(repeat_interval_minutes);
+  if (!Number.isInteger(repeatInterval) || repeatInterval < 1 || repeatInterval > MAX_DELAY_MINUTES) {
+    return { error: `repeat_interval_minutes must be a whole number between 1 and ${MAX_DELAY_MINUTES}` };
+  }
+  if (typeof is_enabled !== 'boolean') return { error: 'is_enabled must be a boolean' };
+  return { policy: { name, tiers: cleanTiers, repeat_limit: repeats, repeat_interval_minutes: repeatInterval, is_enabled } };
+};
+
+const listPolicies = async (farmId) => {
+  const r = await executeQuery(`SELECT * FROM escalation_policies WHERE farm_id = ? ORDER BY FIELD(severity, ${SEVERITIES.map(() => '?').join(', ')})`, [farmId, ...SEVERITIES]);
+  if (!r.success) throw new Error(`Failed to load escalation policies: ${r.error}`);
+  return r.data.map(formatPolicy);
+};
+
+// Create or replace the policy for one severity
+const savePolicy = async (farmId, severity, policy, userId = null) => {
+  const r = await executeQuery(
+    `INSERT INTO escalation_policies (farm_id, severity, name, tiers, repeat_limit, repeat_interval_minutes, is_enabled, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE name = VALUES(name), tiers = VALUES(tiers), repeat_limit = VALUES(repeat_limit),
+       repeat_interval_minutes = VALUES(repeat_interval_minutes), is_enabled = VALUES(is_enabled)`,
+    [farmId, severity, policy.name, JSON.stringify(policy.tiers), policy.repeat_limit, policy.repeat_interval_minutes, policy.is_enabled, userId]
+  );
+  if (!r.success) throw new Error(`Failed to save escalation policy: ${r.error}`);
+  const saved = await executeQuery('SELECT * FROM escalation_policies WHERE farm_id = ? AND severity = ?', [farmId, severity]);
+  if (!saved.success) throw new Error(`Failed to load escalation policy: ${saved.error}`);
+  return formatPolicy(saved.data[0]);
+};
+
+const deletePolicy = async (farmId, severity) => {
+  const r = await executeQuery('DELETE FROM escalation_policies WHERE farm_id = ? AND severity = ?', [farmId, severity]);
+  if (!r.success) throw new Error(`Failed to delete escalation policy: ${r.error}`);
+  return r.data.affectedRows > 0;
+};
+
+// Stop an alert's pending chain (acknowledged, resolved, ...). Returns true when a chain was stopped.
+const stopEscalation = async (alertId, reason) => {
+  const r = await executeQuery(
+    `UPDATE alert_escalations SET status = 'stopped', stopped_reason = ?
+     WHERE alert_id = ? AND status = 'pending'`,
+    [reason, alertId]
+  );
+  if (!r.success) {
+    console.warn('Failed to stop alert escalation', alertId, r.error);
+    return false;
+  }
+  return r.data.affectedRows > 0;
+};
+
+// Minutes to wait before a step: the tier's delay, or the repeat interval past the last tier
+const delayBefore = (policy, step) => (step < policy.tiers.length ? policy.tiers[step].delay_minutes : policy.repeat_interval_minutes);
+
+// Start chains for active alerts that have an enabled policy for their severity.
+// Alerts older than the policy are left alone so adding a policy doesn't page for old alerts.
+const startChains = async () => {
+  const r = await executeQuery(
+    `SELECT a.id, a.farm_id, a.triggered_at, p.tiers, p.repeat_limit, p.repeat_interval_minutes
+     FROM alerts a
+     JOIN escalation_policies p ON p.farm_id = a.farm_id AND p.severity = a.severity AND p.is_enabled = TRUE
+     LEFT JOIN alert_escalations e ON e.alert_id = a.id
+     WHERE a.status = 'active' AND e.alert_id IS NULL AND a.triggered_at >= p.created_at
+     LIMIT ${BATCH_SIZE}`,
+    []
+  );
+  if (!r.success) throw new Error(`Failed to find alerts to escalate: ${r.error}`);
+  for (const row of r.data) {
+    const policy = formatPolicy(row);
+    if (policy.tiers.length === 0) continue;
+    const firstRun = new Date(new Date(row.triggered_at).getTime() + delayBefore(policy, 0) * 60 * 1000);
+    const ins = await executeQuery(
+      `INSERT IGNORE INTO alert_escalations (alert_id, farm_id, next_step, next_run_at, status) VALUES (?, ?, 0, ?, 'pending')`,
+      [row.id, row.farm_id, firstRun]
+    );
+    if (!ins.success) throw new Error(`Failed to start alert escalation: ${ins.error}`);
+  }
+  return r.data.length;
+};
+
+// Active users in a tier (by role or id). Roles match across all users: there is no
+// user-farm membership table and the app runs a single farm.
+const tierRecipients = async (tier) => {
+  const where = [];
+  const params = [];
+  if (tier.roles.length) {
+    where.push(`role IN (${tier.roles.map(() => '?').join(', ')})`);
+    params.push(...tier.roles);
+  }
+  if (tier.user_ids.length) {
+    where.push(`id IN (${tier.user_ids.map(() => '?').join(', ')})`);
+    params.push(...tier.user_ids);
+  }
+  const r = await executeQuery(`SELECT id, name, email, role FROM users WHERE is_active = TRUE AND (${where.join(' OR ')})`, params);
+  if (!r.success) throw new Error(`Failed to load escalation recipients: ${r.error}`);
+  return r.data;
+};
+
+// Run one due step for an alert. Returns 'escalated', 'stopped', 'completed' or 'skipped'.
+const runStep = async (row, policies, now) => {
+  const finish = async (status, reason) => {
+    await executeQuery(
+      `UPDATE alert_escalations SET status = ?, stopped_reason = ? WHERE alert_id = ? AND status = 'pending'`,
+      [status, reason, row.alert_id]
+    );
+    return status;
+  };
+  if (row.status !== 'active') return finish('stopped', row.status);
+  const policy = policies.get(`${row.farm_id}:${row.severity}`);
+  if (!policy || !policy.is_enabled || policy.tiers.length === 0) return finish('stopped', 'no_policy');
+
+  const step = Number(row.next_step);
+  const totalSteps = policy.tiers.length + policy.repeat_limit;
+  if (step >= totalSteps) return finish('completed', null);
+
+  // Claim the step before notifying so a second instance can't send it too
+  const last = step + 1 >= totalSteps;
+  const claim = await executeQuery(
+    `UPDATE alert_escalations SET next_step = ?, next_run_at = ?, status = ?
+     WHERE alert_id = ? AND next_step = ? AND status = 'pending'`,
+    [step + 1, last ? now : new Date(now.getTime() + delayBefore(policy, step + 1) * 60 * 1000), last ? 'completed' : 'pending', row.alert_id, step]
+  );
+  if (!claim.success) throw new Error(`Failed to advance alert escalation: ${claim.error}`);
+  if (claim.data.affectedRows === 0) return 'skipped';
+
+  const tierIndex = Math.min(step, policy.tiers.length - 1);
+  const recipients = await tierRecipients(policy.tiers[tierIndex]);
+  const alert = { ...row, id: row.alert_id };
+  // Recipients are reached on every channel they enabled (email when they have no preferences)
+  const queued = await enqueueUserNotifications(recipients.map(u => u.id), alert, { reason: 'escalation', step: step + 1 });
+  const results = queued.users;
+  // notified = outbox messages queued (delivery status is in notification_outbox); failed = recipients with no channel
+  const rec = await executeQuery(
+    `INSERT INTO alert_escalation_steps (alert_id, policy_id, step_number, tier_number, severity, recipients, notified, failed)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.alert_id, policy.id, step + 1, tierIndex + 1, row.severity, JSON.stringify(results),
+      queued.queued, results.filter(x => x.queued === 0).length
+    ]
+  );
+  if (!rec.success) console.warn('Failed to record escalation step for alert', row.alert_id, rec.error);
+
+  emitAlert({
+    id: row.alert_id,
+    farm_id: row.farm_id,
+    animal_id: row.animal_id,
+    collar_id: row.collar_id,
+    alert_type: row.alert_type,
+    severity: row.severity,
+    title: row.title,
+    message: row.message,
+    triggered_at: row.triggered_at,
+    status: row.status,
+    escalation: { step: step + 1, tier: tierIndex + 1, recipients: recipients.map(u => u.id) }
+  });
+  return 'escalated';
+};
+
+// Background job: start new chains and run every step that is due
+const processEscalations = async () => {
+  const now = new Date();
+  const started = await startChains();
+
+  const due = await executeQuery(
+    `SELECT e.alert_id, e.next_step, a.farm_id, a.status, a.severity, a.alert_type, a.title, a.message,
+            a.animal_id, a.collar_id, a.triggered_at
+     FROM alert_escalations e
+     JOIN alerts a ON a.id = e.alert_id
+     WHERE e.status = 'pending' AND e.next_run_at <= ?
+     ORDER BY e.next_run_at
+     LIMIT ${BATCH_SIZE}`,
+    [now]
+  );
+  if (!due.success) throw new Error(`Failed to load due escalations: ${due.error}`);
+
+  const policies = new Map();
+  const p = await executeQuery('SELECT * FROM escalation_policies', []);
+  if (!p.success) throw new Error(`Failed to load escalation policies: ${p.error}`);
+  p.data.forEach(row => policies.set(`${row.farm_id}:${row.severity}`, formatPolicy(row)));
+
+  const outcome = { started, escalated: 0, stopped: 0, completed: 0 };
+  for (const row of due.data) {
+    const result = await runStep(row, policies, now);
+    if (outcome[result] !== undefined) outcome[result] += 1;
+  }
+  return outcome;
+};
+
+// Chain state and recorded steps of one alert
+const getAlertEscalation = async (alertId) => {
+  const [state, steps] = await Promise.all([
+    executeQuery('SELECT * FROM alert_escalations WHERE alert_id = ?', [alertId]),
+    executeQuery('SELECT * FROM alert_escalation_steps WHERE alert_id = ? ORDER BY step_number', [alertId])
+  ]);
+  if (!state.success || !steps.success) throw new Error('Failed to load alert escalation');
+  return {
+    chain: state.data.length ? state.data[0] : null,
+    steps: steps.data.map(s => ({ ...s, recipients: parseJsonList(s.recipients) }))
+  };
+};
+
+module.exports = {
+  ESCALATION_JOB,
+  POLICY_SEVERITIES,
+  validatePolicy,
+  listPolicies,
+  savePolicy,
+  deletePolicy,
+  stopEscalation,
+  processEscalations,
+  getAlertEscalation
+};
@@ -0,0 +1,128 @@
+const { executeQuery } = require('../database');
+
+// Per-farm tunables stored as key/value rows in farm_settings.
+// Keys that were never set fall back to the defaults below. Values are cached briefly
+// because ingest reads them for every fix.
+
+const SETTING_DEFINITIONS = {
+  // GPS fix quality (services/fixQuality.js)
+  gps_max_accuracy_meters: { default: 50, min: 1, max: 10000 },
+  gps_max_speed_kmh: { default: 25, min: 1, max: 500 },
+  gps_min_signal_quality: { default: null, min: -200, max: 1000, nullable: true },
+  gps_max_farm_distance_meters: { default: 20000, min: 100, max: 1000000 },
+  gps_quarantine_below_score: { default: 0.5, min: 0, max: 1 },
+  // Daily activity rollup (services/activity.js)
+  activity_active_speed_kmh: { default: 0.5, min: 0.01, max: 20 },
+  activity_max_gap_minutes: { default: 30, min: 1, max: 1440 },
+  // Local time of the farm, used for night-time adjustments
+  utc_offset_minutes: { default: 0, min: -720, max: 840 },
+  night_start_hour: { default: 19, min: 0, max: 23 },
+  night_end_hour: { default: 6, min: 0, max: 23 },
+  // Inactivity / possible downer detection (services/inactivity.js)
+  inactivity_radius_meters: { default: 30, min: 5, max: 1000 },
+  inactivity_hours: { default: 6, min: 1, max: 72 },
+  inactivity_night_factor: { default: 0.5, min: 0, max: 1 },
+  inactivity_max_silence_minutes: { default: 60, min: 5, max: 1440 },
+  // Collar connectivity (services/collarStatus.js); per-collar reporting_interval_seconds wins
+  collar_reporting_interval_minutes: { default: 15, min: 1, max: 1440 },
+  collar_stale_after_intervals: { default: 2, min: 1, max: 100 },
+  collar_offline_after_intervals: { default: 6, min: 1, max: 1000 },
+  // Battery alerts and discharge forecast (services/battery.js)
+  battery_low_percent: { default: 20, min: 1, max: 99 },
+  battery_critical_percent: { default: 10, min: 0, max: 99 },
+  battery_history_days: { default: 14, min: 1, max: 90 },
+  // Body temperature anomalies (services/temperature.js)
+  temperature_baseline_days: { default: 7, min: 1, max: 60 },
+  temperature_high_margin_celsius: { default: 1, min: 0.1, max: 10 },
+  temperature_low_margin_celsius: { default: 1.5, min: 0.1, max: 10 },
+  temperature_sustained_minutes: { default: 60, min: 5, max: 1440 },
+  // Herd cohesion (services/herd.js)
+  herd_cluster_link_meters: { default: 150, min: 5, max: 5000 },
+  herd_separation_meters: { default: 300, min: 10, max: 20000 },
+  herd_separation_minutes: { default: 30, min: 1, max: 1440 },
+  herd_max_fix_age_minutes: { default: 60, min: 5, max: 1440 },
+  // Device clock skew (services/clockSkew.js); clock_correct_skew: 1 = shift to receive time, 0 = flag only
+  clock_max_future_seconds: { default: 300, min: 5, max: 86400 },
+  clock_max_past_hours: { default: 168, min: 1, max: 8760 },
+  clock_correct_skew: { default: 1, min: 0, max: 1 },
+  clock_drift_warn_seconds: { default: 120, min: 1, max: 86400 },
+  // Repeats of an open alert (same animal/collar, type and fence) seen within this window are
+  // counted on it instead of raising a new alert (services/alerts.js); 0 disables folding
+  alert_dedupe_window_minutes: { default: 30, min: 0, max: 10080 }
+};
+
+const cache = new Map();
+const getCacheMs = () => parseInt(process.env.FARM_SETTINGS_CACHE_MS, 10) || 60000;
+
+const defaultSettings = () => {
+  const values = {};
+  Object.entries(SETTING_DEFINITIONS).forEach(([key, def]) => { values[key] = def.default; });
+  return values;
+};
+
+// Effective settings for a farm (defaults merged with stored overrides)
+const getFarmSettings = async (farmId) => {
+  const id = Number(farmId) || 1;
+  const cached = cache.get(id);
+  if (cached && Date.now() - cached.loadedAt < getCacheMs()) return { ...cached.values };
+
+  const values = defaultSettings();
+  const r = await executeQuery('SELECT setting_key, setting_value FROM farm_settings WHERE farm_id = ?', [id]);
+  if (r.success) {
+    r.data.forEach(row => {
+      if (!SETTING_DEFINITIONS[row.setting_key]) return;
+      const num = Number(row.setting_value);
+      values[row.setting_key] = row.setting_value === null || !Number.isFinite(num) ? SETTING_DEFINITIONS[row.setting_key].default : num;
+    });
+  } else {
+    console.warn('Failed to load farm settings, using defaults:', r.error);
+  }
+  cache.set(id, { values, loadedAt: Date.now() });
+  return { ...values };
+};
+
+// Validate a partial update: { key: value }. A null value resets the key to its default.
+// Returns { changes } or { error }.
+const validateSettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Body must be an object of setting values' };
+  const changes = {};
+  for (const [key, value] of Object.entries(input)) {
+    const def = SETTING_DEFINITIONS[key];
+    if (!def) return { error: `Unknown setting: ${key}` };
+    if (value === null) {
+      changes[key] = null;
+      continue;
+    }
+    const num = Number(value);
+    if (value === '' || !Number.isFinite(num) || num < def.min || num > def.max) {
+      return { error: `${key} must be a number between ${def.min} and ${def.max}${def.nullable ? ' (or null)' : ''}` };
+    }
+    changes[key] = num;
+  }
+  return { changes };
+};
+
+// Store validated changes for a farm. Returns { success, settings, error }.
+const updateFarmSettings = async (farmId, changes, userId = null) => {
+  const id = Number(farmId);
+  for (const [key, value] of Object.entries(changes)) {
+    const r = value === null
+      ? await executeQuery('DELETE FROM farm_settings WHERE farm_id = ? AND setting_key = ?', [id, key])
+      : await executeQuery(
+        `INSERT INTO farm_settings (farm_id, setting_key, setting_value, updated_by) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+        [id, key, String(value), userId]
+      );
+    if (!r.success) return { success: false, error: r.error };
+  }
+  cache.delete(id);
+  return { success: true, settings: await getFarmSettings(id) };
+};
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  defaultSettings,
+  getFarmSettings,
+  validateSettings,
+  updateFarmSettings
+};
@@ -0,0 +1,161 @@
+const { executeQuery } = require('../database');
+const { haversineMeters } = require('./geo');
+const { resolveFarmId } = require('./geofence');
+const { getFarmSettings } = require('./farmSettings');
+
+// GPS fix quality scoring. Every fix gets a score in [0, 1] and a list of flags; fixes scoring
+// below the farm's gps_quarantine_below_score are stored as quarantined and never move
+// current_locations, raise fence alerts or appear in tracks.
+
+const POOR_SIGNAL_GRADES = ['poor', 'weak', 'bad', 'none', 'no_fix', 'invalid'];
+
+// Penalties subtracted from a perfect score of 1
+const PENALTY = {
+  low_accuracy: 0.3,
+  very_low_accuracy: 0.6,
+  implausible_speed: 0.6,
+  weak_signal: 0.2
+};
+
+const loadFarm = async (farmId) => {
+  const r = await executeQuery(
+    'SELECT id, center_latitude, center_longitude, boundary_radius_meters FROM farms WHERE id = ? LIMIT 1',
+    [farmId]
+  );
+  return r.success && r.data.length ? r.data[0] : null;
+};
+
+// Thresholds and farm center used to score fixes for one farm
+const loadQualityContext = async (farmId) => {
+  const [settings, farm] = await Promise.all([getFarmSettings(farmId), loadFarm(farmId)]);
+  return { settings, farm };
+};
+
+// Latest non-quarantined fix recorded before `recordedAt` for this animal (or collar)
+const getPreviousGoodFix = async ({ animalId, collarId, recordedAt, excludeId = null }) => {
+  const key = animalId ? 'animal_id' : 'collar_id';
+  const keyValue = animalId || collarId;
+  if (!keyValue) return null;
+  const params = [keyValue, recordedAt];
+  if (excludeId) params.push(excludeId);
+  const r = await executeQuery(
+    `SELECT latitude, longitude, recorded_at FROM animal_locations
+     WHERE ${key} = ? AND recorded_at < ? AND is_quarantined = FALSE${excludeId ? ' AND id <> ?' : ''}
+     ORDER BY recorded_at DESC, id DESC
+     LIMIT 1`,
+    params
+  );
+  return r.success && r.data.length ? r.data[0] : null;
+};
+
+const isWeakSignal = (signal, minSignal) => {
+  if (signal === null || signal === undefined || signal === '') return false;
+  const num = Number(signal);
+  if (Number.isFinite(num)) return minSignal !== null && minSignal !== undefined && num < minSignal;
+  return POOR_SIGNAL_GRADES.includes(String(signal).trim().toLowerCase());
+};
+
+// Score one fix against the previous good fix. Returns { score, flags, quarantined, implied_speed_kmh }.
+const scoreFix = (point, previous, { settings, farm }) => {
+  const lat = Number(point.latitude);
+  const lon = Number(point.longitude);
+  const flags = [];
+  let score = 1;
+
+  // Coordinate sanity: the 0,0 default of a collar without a fix, or a point nowhere near the farm
+  if (Math.abs(lat) < 1e-6 && Math.abs(lon) < 1e-6) {
+    flags.push('null_island');
+    score = 0;
+  } else if (farm && farm.center_latitude !== null && farm.center_longitude !== null) {
+    const fromCenter = haversineMeters(lat, lon, Number(farm.center_latitude), Number(farm.center_longitude));
+    if (fromCenter > (Number(farm.boundary_radius_meters) || 0) + settings.gps_max_farm_distance_meters) {
+      flags.push('far_from_farm');
+      score = 0;
+    }
+  }
+
+  const accuracy = point.accuracy_meters !== null && point.accuracy_meters !== undefined ? Number(point.accuracy_meters) : null;
+  if (accuracy !== null && accuracy > settings.gps_max_accuracy_meters) {
+    const veryLow = accuracy > settings.gps_max_accuracy_meters * 3;
+    flags.push(veryLow ? 'very_low_accuracy' : 'low_accuracy');
+    score -= veryLow ? PENALTY.very_low_accuracy : PENALTY.low_accuracy;
+  }
+
+  let impliedSpeed = null;
+  if (previous) {
+    const meters = haversineMeters(Number(previous.latitude), Number(previous.longitude), lat, lon);
+    const seconds = (new Date(point.recorded_at).getTime() - new Date(previous.recorded_at).getTime()) / 1000;
+    // Same-timestamp fixes count as one second apart so a jump still registers as a teleport
+    impliedSpeed = (meters / Math.max(seconds, 1)) * 3.6;
+    if (impliedSpeed > settings.gps_max_speed_kmh) {
+      flags.push('implausible_speed');
+      score -= PENALTY.implausible_speed;
+    }
+  }
+
+  if (isWeakSignal(point.signal_quality, settings.gps_min_signal_quality)) {
+    flags.push('weak_signal');
+    score -= PENALTY.weak_signal;
+  }
+
+  score = Math.max(0, Math.round(score * 100) / 100);
+  return {
+    score,
+    flags,
+    quarantined: score < settings.gps_quarantine_below_score,
+    implied_speed_kmh: impliedSpeed !== null ? Math.round(impliedSpeed * 10) / 10 : null
+  };
+};
+
+// Copy a quality result onto a fix using the animal_locations column names.
+// Flags from the device clock check (services/clockSkew.js) are kept.
+const applyQuality = (point, quality) => {
+  const flags = [...(point.clock_flags || []), ...quality.flags];
+  point.quality_score = quality.score;
+  point.quality_flags = flags.length ? flags.join(',') : null;
+  point.is_quarantined = quality.quarantined || !!point.clock_quarantined;
+  return point;
+};
+
+// Score a single incoming fix. Returns the quality result (also applied to the point).
+// A point with an `id` is an edit of that stored row, which is left out of the comparison.
+const assessFix = async (point, farmId) => {
+  const context = await loadQualityContext(farmId);
+  const previous = await getPreviousGoodFix({ animalId: point.animal_id, collarId: point.collar_id, recordedAt: point.recorded_at, excludeId: point.id || null });
+  const quality = scoreFix(point, previous, context);
+  applyQuality(point, quality);
+  return quality;
+};
+
+// Score a batch of fixes in place. Fixes are walked per animal/collar in time order so each
+// one is compared with the previous good fix, whether stored or earlier in the batch.
+const assessBatchQuality = async (points) => {
+  const contexts = new Map();
+  const bySubject = new Map();
+  points.forEach(p => {
+    const key = p.animal_id ? `a:${p.animal_id}` : `c:${p.collar_id}`;
+    if (!bySubject.has(key)) bySubject.set(key, []);
+    bySubject.get(key).push(p);
+  });
+
+  for (const subjectPoints of bySubject.values()) {
+    subjectPoints.sort((a, b) => a.recorded_at - b.recorded_at);
+    const first = subjectPoints[0];
+    const farmId = await resolveFarmId(first.animal_id, first.farm_id);
+    if (!contexts.has(farmId)) contexts.set(farmId, await loadQualityContext(farmId));
+    const context = contexts.get(farmId);
+
+    let previous = await getPreviousGoodFix({ animalId: first.animal_id, collarId: first.collar_id, recordedAt: first.recorded_at });
+    for (const p of subjectPoints) {
+      const quality = scoreFix(p, previous, context);
+      applyQuality(p, quality);
+      if (!quality.quarantined) previous = p;
+    }
+  }
+};
+
+module.exports = {
+  scoreFix,
+  assessFix,
+  assessBatchQuality
+};
@@ -0,0 +1,272 @@
+// Small geometry helpers shared by ingest, fences and analytics.
+// Coordinates are WGS84 degrees; distances are meters.
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (deg) => (Number(deg) * Math.PI) / 180;
+
+// Great-circle distance between two points (haversine formula)
+const haversineMeters = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// True when the point lies inside (or on) a circle given by center + radius
+const isPointInCircle = (latitude, longitude, centerLatitude, centerLongitude, radiusMeters) => {
+  return haversineMeters(latitude, longitude, centerLatitude, centerLongitude) <= Number(radiusMeters);
+};
+
+// Approximate a circle as a closed GeoJSON ring of [lon, lat] positions
+const circleToRing = (centerLatitude, centerLongitude, radiusMeters, segments = 64) => {
+  const lat = Number(centerLatitude);
+  const lon = Number(centerLongitude);
+  const dLat = (Number(radiusMeters) / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const dLon = dLat / Math.cos(toRadians(lat));
+  const ring = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = (2 * Math.PI * i) / segments;
+    ring.push([lon + dLon * Math.cos(angle), lat + dLat * Math.sin(angle)]);
+  }
+  ring.push(ring[0]);
+  return ring;
+};
+
+// Basic sanity check for a latitude/longitude pair
+const isValidCoordinate = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  return Number.isFinite(lat) && Number.isFinite(lon) && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+};
+
+// ---------------------------------------------------------------------------
+// GeoJSON Polygon / MultiPolygon support. Positions are [longitude, latitude].
+// Paddocks are small enough that rings are treated as planar in lon/lat space.
+// ---------------------------------------------------------------------------
+
+// Upper bound on vertices per fence so validation (O(n^2)) stays cheap
+const MAX_POLYGON_VERTICES = 5000;
+
+// Ray casting test against a single ring
+const isPointInRing = (longitude, latitude, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > latitude) !== (yj > latitude) &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const isPointInPolygon = (latitude, longitude, polygonCoordinates) => {
+  const [outer, ...holes] = polygonCoordinates;
+  if (!outer || !isPointInRing(longitude, latitude, outer)) return false;
+  return !holes.some(hole => isPointInRing(longitude, latitude, hole));
+};
+
+const isPointInGeometry = (latitude, longitude, geometry) => {
+  if (!geometry) return false;
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (geometry.type === 'Polygon') return isPointInPolygon(lat, lon, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.some(poly => isPointInPolygon(lat, lon, poly));
+  return false;
+};
+
+const geometryPolygons = (geometry) => (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]);
+
+// Distance in meters from a point to the nearest edge of a Polygon/MultiPolygon,
+// using a local equirectangular projection around the point
+const distanceToGeometryBoundaryMeters = (latitude, longitude, geometry) => {
+  const lat0 = Number(latitude);
+  const lon0 = Number(longitude);
+  const kx = toRadians(1) * EARTH_RADIUS_METERS * Math.cos(toRadians(lat0));
+  const ky = toRadians(1) * EARTH_RADIUS_METERS;
+  let best = Infinity;
+  geometryPolygons(geometry).forEach(poly => poly.forEach(ring => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const ax = (ring[i][0] - lon0) * kx;
+      const ay = (ring[i][1] - lat0) * ky;
+      const bx = (ring[i + 1][0] - lon0) * kx;
+      const by = (ring[i + 1][1] - lat0) * ky;
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lenSq = dx * dx + dy * dy;
+      const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lenSq));
+      best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }));
+  return best;
+};
+
+// Bounding-box center plus the radius (meters) of a circle around it enclosing every vertex.
+// Stored on polygon fences so circle-only consumers still get a sensible outline.
+const geometryEnclosingCircle = (geometry) => {
+  let minLon = Infinity; let maxLon = -Infinity; let minLat = Infinity; let maxLat = -Infinity;
+  geometryPolygons(geometry).forEach(poly => poly[0].forEach(([lon, lat]) => {
+    minLon = Math.min(minLon, lon); maxLon = Math.max(maxLon, lon);
+    minLat = Math.min(minLat, lat); maxLat = Math.max(maxLat, lat);
+  }));
+  const centerLatitude = (minLat + maxLat) / 2;
+  const centerLongitude = (minLon + maxLon) / 2;
+  let radius = 0;
+  geometryPolygons(geometry).forEach(poly => poly[0].forEach(([lon, lat]) => {
+    radius = Math.max(radius, haversineMeters(centerLatitude, centerLongitude, lat, lon));
+  }));
+  return { centerLatitude, centerLongitude, radiusMeters: Math.ceil(radius) };
+};
+
+const orientation = (a, b, c) => {
+  const v = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  if (Math.abs(v) < 1e-18) return 0;
+  return v > 0 ? 1 : -1;
+};
+
+const onSegment = (a, b, p) => {
+  return Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+};
+
+// True when segments ab and cd share any point (including touching and collinear overlap)
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(a, b, c)) return true;
+  if (o2 === 0 && onSegment(a, b, d)) return true;
+  if (o3 === 0 && onSegment(c, d, a)) return true;
+  if (o4 === 0 && onSegment(c, d, b)) return true;
+  return false;
+};
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Twice the signed planar area of a ring
+const ringArea2 = (ring) => {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum;
+};
+
+const ringSelfIntersects = (ring) => {
+  const n = ring.length - 1; // number of segments
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const adjacent = j === i + 1 || (i === 0 && j === n - 1);
+      if (adjacent) {
+        // Adjacent edges share one vertex; they may only overlap if they fold back on each other
+        const shared = j === i + 1 ? ring[j] : ring[i];
+        const otherI = j === i + 1 ? ring[i] : ring[i + 1];
+        const otherJ = j === i + 1 ? ring[j + 1] : ring[j];
+        if (orientation(otherI, shared, otherJ) === 0 &&
+          (onSegment(shared, otherJ, otherI) || onSegment(shared, otherI, otherJ))) return true;
+        continue;
+      }
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+    }
+  }
+  return false;
+};
+
+const ringsIntersect = (r1, r2) => {
+  for (let i = 0; i < r1.length - 1; i++) {
+    for (let j = 0; j < r2.length - 1; j++) {
+      if (segmentsIntersect(r1[i], r1[i + 1], r2[j], r2[j + 1])) return true;
+    }
+  }
+  return false;
+};
+
+// Validate and normalise a GeoJSON Polygon/MultiPolygon geometry.
+// Accepts a geometry, a Feature wrapping one, or a JSON string of either.
+// Returns { geometry } on success or { error } describing the first problem found.
+const normalizePolygonGeometry = (input) => {
+  let geometry = input;
+  if (typeof geometry === 'string') {
+    try {
+      geometry = JSON.parse(geometry);
+    } catch (e) {
+      return { error: 'geometry must be valid GeoJSON' };
+    }
+  }
+  if (geometry && geometry.type === 'Feature') geometry = geometry.geometry;
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+    return { error: 'geometry must be a GeoJSON Polygon or MultiPolygon' };
+  }
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return { error: 'geometry has no coordinates' };
+  }
+
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const cleaned = [];
+  let vertexCount = 0;
+
+  for (let p = 0; p < polygons.length; p++) {
+    const rings = polygons[p];
+    if (!Array.isArray(rings) || rings.length === 0) return { error: `polygon ${p} has no rings` };
+    const cleanRings = [];
+    for (let r = 0; r < rings.length; r++) {
+      const label = `polygon ${p} ring ${r}`;
+      const ring = rings[r];
+      if (!Array.isArray(ring)) return { error: `${label} must be an array of positions` };
+      const positions = [];
+      for (const pos of ring) {
+        if (!Array.isArray(pos) || pos.length < 2 || !isValidCoordinate(pos[1], pos[0])) {
+          return { error: `${label} contains an invalid position` };
+        }
+        const position = [Number(pos[0]), Number(pos[1])];
+        // Drop consecutive duplicate vertices
+        if (positions.length === 0 || !samePosition(positions[positions.length - 1], position)) positions.push(position);
+      }
+      if (positions.length < 2 || !samePosition(positions[0], positions[positions.length - 1])) {
+        return { error: `${label} is not closed (first and last positions must match)` };
+      }
+      if (positions.length < 4) return { error: `${label} needs at least 4 positions` };
+      vertexCount += positions.length;
+      if (vertexCount > MAX_POLYGON_VERTICES) return { error: `geometry exceeds ${MAX_POLYGON_VERTICES} vertices` };
+      if (ringArea2(positions) === 0) return { error: `${label} has zero area` };
+      if (ringSelfIntersects(positions)) return { error: `${label} is self-intersecting` };
+      cleanRings.push(positions);
+    }
+
+    const [outer, ...holes] = cleanRings;
+    for (let h = 0; h < holes.length; h++) {
+      if (ringsIntersect(outer, holes[h])) return { error: `polygon ${p} hole ${h + 1} crosses the outer ring` };
+      if (!isPointInRing(holes[h][0][0], holes[h][0][1], outer)) return { error: `polygon ${p} hole ${h + 1} lies outside the outer ring` };
+      for (let k = h + 1; k < holes.length; k++) {
+        if (ringsIntersect(holes[h], holes[k])) return { error: `polygon ${p} holes ${h + 1} and ${k + 1} intersect` };
+      }
+    }
+    cleaned.push(cleanRings);
+  }
+
+  return {
+    geometry: geometry.type === 'MultiPolygon'
+      ? { type: 'MultiPolygon', coordinates: cleaned }
+      : { type: 'Polygon', coordinates: cleaned[0] }
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  MAX_POLYGON_VERTICES,
+  toRadians,
+  haversineMeters,
+  isPointInCircle,
+  circleToRing,
+  isValidCoordinate,
+  isPointInPolygon,
+  isPointInGeometry,
+  distanceToGeometryBoundaryMeters,
+  geometryEnclosingCircle,
+  normalizePolygonGeometry
+};
@@ -0,0 +1,166 @@
+const { circleToRing } = require('./geo');
+const { parseFenceGeometry } = require('./geofence');
+
+// Serializers for GIS exports (GPX, KML, GeoJSON).
+// Tracks are [{ animal_id, name, tag_number, points: [{ latitude, longitude, altitude_meters, recorded_at }] }].
+
+const CONTENT_TYPES = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  geojson: 'application/geo+json'
+};
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isoTime = (value) => (value ? new Date(value).toISOString() : null);
+
+const trackLabel = (track) => {
+  if (track.name && track.tag_number) return `${track.name} (${track.tag_number})`;
+  return track.name || track.tag_number || `Animal ${track.animal_id}`;
+};
+
+// Fence geometry as GeoJSON; circles are approximated by a 64-sided polygon
+const fenceGeometry = (fence) => {
+  const geometry = parseFenceGeometry(fence);
+  if (geometry) return geometry;
+  return {
+    type: 'Polygon',
+    coordinates: [circleToRing(fence.center_latitude, fence.center_longitude, fence.radius_meters)]
+  };
+};
+
+// ---- GPX ----
+
+const tracksToGpx = (tracks) => {
+  const trks = tracks.map(track => {
+    const pts = track.points.map(p => {
+      const ele = p.altitude_meters !== null && p.altitude_meters !== undefined ? `<ele>${Number(p.altitude_meters)}</ele>` : '';
+      const time = p.recorded_at ? `<time>${isoTime(p.recorded_at)}</time>` : '';
+      return `      <trkpt lat="${Number(p.latitude)}" lon="${Number(p.longitude)}">${ele}${time}</trkpt>`;
+    }).join('\n');
+    return `  <trk>
+    <name>${escapeXml(trackLabel(track))}</name>
+    <trkseg>
+${pts}
+    </trkseg>
+  </trk>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Cattle Farm Monitoring" xmlns="http://www.topografix.com/GPX/1/1">
+${trks}
+</gpx>
+`;
+};
+
+// ---- KML ----
+
+const kmlCoordinates = (ring) => ring.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+
+const kmlPolygon = (polygonCoordinates) => {
+  const [outer, ...holes] = polygonCoordinates;
+  const inner = holes.map(h => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(h)}</coordinates></LinearRing></innerBoundaryIs>`).join('');
+  return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>${inner}</Polygon>`;
+};
+
+const kmlExtendedData = (data) => {
+  const entries = Object.entries(data).filter(([, v]) => v !== null && v !== undefined);
+  if (entries.length === 0) return '';
+  return `<ExtendedData>${entries.map(([k, v]) => `<Data name="${escapeXml(k)}"><value>${escapeXml(v)}</value></Data>`).join('')}</ExtendedData>`;
+};
+
+const kmlDocument = (name, placemarks) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+
+const tracksToKml = (tracks) => kmlDocument('Animal tracks', tracks.map(track => {
+  const coords = track.points.map(p => {
+    const alt = p.altitude_meters !== null && p.altitude_meters !== undefined ? `,${Number(p.altitude_meters)}` : '';
+    return `${Number(p.longitude)},${Number(p.latitude)}${alt}`;
+  }).join(' ');
+  const first = track.points[0];
+  const last = track.points[track.points.length - 1];
+  const span = first ? `<TimeSpan><begin>${isoTime(first.recorded_at)}</begin><end>${isoTime(last.recorded_at)}</end></TimeSpan>` : '';
+  return `    <Placemark><name>${escapeXml(trackLabel(track))}</name>${span}${kmlExtendedData({ animal_id: track.animal_id, tag_number: track.tag_number })}<LineString><tessellate>1</tessellate><coordinates>${coords}</coordinates></LineString></Placemark>`;
+}));
+
+const fencesToKml = (fences) => kmlDocument('Virtual fences', fences.map(fence => {
+  const geometry = fenceGeometry(fence);
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const shape = polygons.length === 1 ? kmlPolygon(polygons[0]) : `<MultiGeometry>${polygons.map(kmlPolygon).join('')}</MultiGeometry>`;
+  const data = kmlExtendedData({ fence_id: fence.id, shape: fence.shape || 'circle', fence_type: fence.fence_type, radius_meters: fence.shape === 'polygon' ? null : fence.radius_meters, is_active: fence.is_active ? 'true' : 'false' });
+  return `    <Placemark><name>${escapeXml(fence.name)}</name>${fence.description ? `<description>${escapeXml(fence.description)}</description>` : ''}${data}${shape}</Placemark>`;
+}));
+
+const positionsToKml = (positions) => kmlDocument('Current positions', positions.map(p => {
+  const label = p.animal_name || p.tag_number || (p.animal_id ? `Animal ${p.animal_id}` : `Collar ${p.collar_id}`);
+  const data = kmlExtendedData({ animal_id: p.animal_id, collar_id: p.collar_id, tag_number: p.tag_number, recorded_at: isoTime(p.recorded_at), battery_level: p.battery_level, signal_quality: p.signal_quality, temperature_celsius: p.temperature_celsius });
+  return `    <Placemark><name>${escapeXml(label)}</name>${p.recorded_at ? `<TimeStamp><when>${isoTime(p.recorded_at)}</when></TimeStamp>` : ''}${data}<Point><coordinates>${Number(p.longitude)},${Number(p.latitude)}</coordinates></Point></Placemark>`;
+}));
+
+// ---- GeoJSON ----
+
+const featureCollection = (features) => JSON.stringify({ type: 'FeatureCollection', features });
+
+const tracksToGeoJSON = (tracks) => featureCollection(tracks.map(track => ({
+  type: 'Feature',
+  properties: {
+    animal_id: track.animal_id,
+    name: track.name || null,
+    tag_number: track.tag_number || null,
+    times: track.points.map(p => isoTime(p.recorded_at))
+  },
+  geometry: { type: 'LineString', coordinates: track.points.map(p => [Number(p.longitude), Number(p.latitude)]) }
+})));
+
+const fencesToGeoJSON = (fences) => featureCollection(fences.map(fence => ({
+  type: 'Feature',
+  id: fence.id,
+  properties: {
+    name: fence.name,
+    description: fence.description || null,
+    shape: fence.shape || 'circle',
+    fence_type: fence.fence_type,
+    is_active: !!fence.is_active,
+    center_latitude: Number(fence.center_latitude),
+    center_longitude: Number(fence.center_longitude),
+    radius_meters: fence.shape === 'polygon' ? null : Number(fence.radius_meters)
+  },
+  geometry: fenceGeometry(fence)
+})));
+
+const positionsToGeoJSON = (positions) => featureCollection(positions.map(p => ({
+  type: 'Feature',
+  properties: {
+    animal_id: p.animal_id,
+    collar_id: p.collar_id,
+    animal_name: p.animal_name || null,
+    tag_number: p.tag_number || null,
+    recorded_at: isoTime(p.recorded_at),
+    battery_level: p.battery_level,
+    signal_quality: p.signal_quality,
+    temperature_celsius: p.temperature_celsius
+  },
+  geometry: { type: 'Point', coordinates: [Number(p.longitude), Number(p.latitude)] }
+})));
+
+module.exports = {
+  CONTENT_TYPES,
+  tracksToGpx,
+  tracksToKml,
+  tracksToGeoJSON,
+  fencesToKml,
+  fencesToGeoJSON,
+  positionsToKml,
+  positionsToGeoJSON
+};
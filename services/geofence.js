@@ -0,0 +1,176 @@
+const { executeQuery } = require('../database');
+const gpsEmitter = require('../gpsEvents');
+const { haversineMeters, isPointInCircle, isPointInGeometry, distanceToGeometryBoundaryMeters } = require('./geo');
+const { createAlert } = require('./alerts');
+
+// Server-side geofence evaluation for incoming GPS points.
+// An animal is "within fence" when the point falls inside any active fence of its farm.
+// Farms without active fences never produce transitions.
+
+// Parse the stored GeoJSON of a virtual_fences row (polygon fences only)
+const parseFenceGeometry = (fence) => {
+  if (!fence || fence.shape !== 'polygon' || !fence.geojson) return null;
+  if (typeof fence.geojson === 'object') return fence.geojson;
+  try {
+    return JSON.parse(fence.geojson);
+  } catch (e) {
+    console.warn('Invalid geojson stored for fence', fence.id);
+    return null;
+  }
+};
+
+// Load active fences for a farm (polygon geometry parsed into `geometry`)
+const getActiveFences = async (farmId) => {
+  const result = await executeQuery(
+    `SELECT id, name, center_latitude, center_longitude, radius_meters, fence_type, shape, geojson
+     FROM virtual_fences
+     WHERE farm_id = ? AND is_active = TRUE`,
+    [farmId]
+  );
+  if (!result.success) {
+    console.warn('Failed to load virtual fences for farm', farmId, result.error);
+    return [];
+  }
+  return result.data.map(f => ({ ...f, geometry: parseFenceGeometry(f) }));
+};
+
+// Containment test for either fence shape
+const isPointInFence = (fence, latitude, longitude) => {
+  const geometry = fence.geometry !== undefined ? fence.geometry : parseFenceGeometry(fence);
+  if (geometry) return isPointInGeometry(latitude, longitude, geometry);
+  return isPointInCircle(latitude, longitude, Number(fence.center_latitude), Number(fence.center_longitude), fence.radius_meters);
+};
+
+// Distance from the point to the fence boundary (positive when outside)
+const distanceOutsideFence = (fence, latitude, longitude) => {
+  const geometry = fence.geometry !== undefined ? fence.geometry : parseFenceGeometry(fence);
+  if (geometry) {
+    const d = distanceToGeometryBoundaryMeters(latitude, longitude, geometry);
+    return isPointInGeometry(latitude, longitude, geometry) ? -d : d;
+  }
+  const d = haversineMeters(latitude, longitude, Number(fence.center_latitude), Number(fence.center_longitude));
+  return d - Number(fence.radius_meters);
+};
+
+// Work out which farm a GPS point belongs to: the animal's farm, else the supplied fallback
+const resolveFarmId = async (animalId, fallbackFarmId = 1) => {
+  if (animalId) {
+    const r = await executeQuery('SELECT farm_id FROM animals WHERE id = ?', [animalId]);
+    if (r.success && r.data.length > 0 && r.data[0].farm_id) return Number(r.data[0].farm_id);
+  }
+  return fallbackFarmId ? Number(fallbackFarmId) : 1;
+};
+
+// Fence state of the latest stored point recorded before `recordedAt` for this animal/collar.
+// Returns true/false, or null when there is no earlier point.
+const getPreviousFenceState = async ({ animalId, collarId, recordedAt }) => {
+  const key = animalId ? 'animal_id' : 'collar_id';
+  const keyValue = animalId || collarId;
+  if (!keyValue) return null;
+  const r = await executeQuery(
+    `SELECT is_within_fence FROM animal_locations
+     WHERE ${key} = ? AND recorded_at <= ? AND is_quarantined = FALSE
+     ORDER BY recorded_at DESC, id DESC
+     LIMIT 1`,
+    [keyValue, recordedAt]
+  );
+  if (!r.success || r.data.length === 0 || r.data[0].is_within_fence === null) return null;
+  return !!r.data[0].is_within_fence;
+};
+
+// Classify a point against already-loaded fences.
+// Returns { isWithinFence, fence } where fence is the containing fence, or for points
+// outside every fence the one whose boundary is closest.
+const classifyPoint = (fences, latitude, longitude) => {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (fences.length === 0) return { isWithinFence: true, fence: null };
+
+  const containing = fences.find(f => isPointInFence(f, lat, lon));
+  if (containing) return { isWithinFence: true, fence: containing };
+
+  const nearest = fences.reduce((best, f) => {
+    return (!best || distanceOutsideFence(f, lat, lon) < distanceOutsideFence(best, lat, lon)) ? f : best;
+  }, null);
+  return { isWithinFence: false, fence: nearest };
+};
+
+// 'exit', 'entry' or null. Points with no history are compared against the column default (inside).
+const fenceTransition = (previous, isWithinFence) => {
+  const wasWithinFence = previous === null || previous === undefined ? true : previous;
+  if (wasWithinFence && !isWithinFence) return 'exit';
+  if (!wasWithinFence && isWithinFence) return 'entry';
+  return null;
+};
+
+// Evaluate a point against the farm's active fences.
+// Returns { farmId, isWithinFence, fenceId, transition } where transition is 'exit', 'entry' or null.
+const evaluateGeofence = async ({ farmId, animalId = null, collarId = null, latitude, longitude, recordedAt }) => {
+  const fences = await getActiveFences(farmId);
+  if (fences.length === 0) {
+    return { farmId, isWithinFence: true, fenceId: null, fenceName: null, transition: null };
+  }
+
+  const { isWithinFence, fence } = classifyPoint(fences, latitude, longitude);
+  const previous = await getPreviousFenceState({ animalId, collarId, recordedAt });
+
+  return {
+    farmId,
+    isWithinFence,
+    fenceId: fence ? fence.id : null,
+    fenceName: fence ? fence.name : null,
+    transition: fenceTransition(previous, isWithinFence)
+  };
+};
+
+// Persist an entry/exit transition as an alert and notify live subscribers
+const recordFenceTransition = async (evaluation, { animalId = null, collarId = null, latitude, longitude, recordedAt }) => {
+  if (!evaluation || !evaluation.transition) return null;
+  const isExit = evaluation.transition === 'exit';
+  const subject = animalId ? `Animal ${animalId}` : `Collar ${collarId}`;
+  const fenceLabel = evaluation.fenceName ? `"${evaluation.fenceName}"` : 'virtual fence';
+
+  const alert = await createAlert({
+    farmId: evaluation.farmId,
+    animalId,
+    collarId,
+    fenceId: evaluation.fenceId,
+    alertType: isExit ? 'fence_exit' : 'fence_entry',
+    severity: isExit ? 'high' : 'low',
+    title: isExit ? 'Animal left virtual fence' : 'Animal returned inside virtual fence',
+    message: `${subject} ${isExit ? 'left' : 'entered'} ${fenceLabel}`,
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    triggeredAt: recordedAt
+  });
+
+  try {
+    gpsEmitter.emit('fence', {
+      type: evaluation.transition,
+      alert_id: alert.id,
+      farm_id: evaluation.farmId,
+      fence_id: evaluation.fenceId,
+      animal_id: animalId,
+      collar_id: collarId,
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      recorded_at: recordedAt
+    });
+  } catch (emitErr) {
+    console.warn('Failed to emit fence event:', emitErr && emitErr.message ? emitErr.message : emitErr);
+  }
+  return alert;
+};
+
+module.exports = {
+  parseFenceGeometry,
+  getActiveFences,
+  isPointInFence,
+  distanceOutsideFence,
+  resolveFarmId,
+  getPreviousFenceState,
+  classifyPoint,
+  fenceTransition,
+  evaluateGeofence,
+  recordFenceTransition
+};
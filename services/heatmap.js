@@ -0,0 +1,206 @@
+const { executeQuery } = require('../database');
+const { isPointInFence } = require('./geofence');
+const { getFarmSettings } = require('./farmSettings');
+
+// Grazing density: good fixes binned into square grid cells (cell size in meters, anchored at
+// the equator/prime meridian with the farm's center latitude fixing the longitude step) or into
+// geohash cells. Each cell gets a fix count and dwell minutes; the time until an animal's next
+// fix is credited to the cell it was in, unless the gap exceeds activity_max_gap_minutes.
+//
+// Work is split into one-day chunks, each loaded in a few short queries of ANIMALS_PER_QUERY
+// animals so a month of data never holds a pooled connection for long. Completed days are
+// cached in memory; only the current day is recomputed on every request.
+
+const ANIMALS_PER_QUERY = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const METERS_PER_DEGREE = 111320;
+// Days ending this long ago may still receive late (buffered) fixes and are not cached
+const CACHE_SETTLE_MS = 60 * 60 * 1000;
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+const getCacheMs = () => parseInt(process.env.HEATMAP_CACHE_MS, 10) || 6 * 60 * 60 * 1000;
+const getCacheMaxEntries = () => parseInt(process.env.HEATMAP_CACHE_MAX_ENTRIES, 10) || 500;
+
+const cache = new Map();
+const inFlight = new Map();
+
+const geohashEncode = (latitude, longitude, precision) => {
+  let latRange = [-90, 90];
+  let lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bit = 0;
+  let even = true;
+  while (hash.length < precision) {
+    const range = even ? lonRange : latRange;
+    const value = even ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    if (even) lonRange = range; else latRange = range;
+    even = !even;
+    bit += 1;
+    if (bit === 5) {
+      hash += GEOHASH_BASE32[bits];
+      bits = 0;
+      bit = 0;
+    }
+  }
+  return hash;
+};
+
+// [minLon, minLat, maxLon, maxLat] of a geohash cell
+const geohashBounds = (hash) => {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let even = true;
+  for (const ch of hash) {
+    const value = GEOHASH_BASE32.indexOf(ch);
+    for (let shift = 4; shift >= 0; shift -= 1) {
+      const range = even ? lonRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> shift) & 1) range[0] = mid; else range[1] = mid;
+      even = !even;
+    }
+  }
+  return [lonRange[0], latRange[0], lonRange[1], latRange[1]];
+};
+
+// Cell id and bounds functions for a grid spec: { type: 'grid', cellMeters, refLatitude } or { type: 'geohash', precision }
+const gridFunctions = (grid) => {
+  if (grid.type === 'geohash') {
+    return {
+      cellOf: (lat, lon) => geohashEncode(lat, lon, grid.precision),
+      boundsOf: geohashBounds
+    };
+  }
+  const dLat = grid.cellMeters / METERS_PER_DEGREE;
+  const dLon = grid.cellMeters / (METERS_PER_DEGREE * Math.max(Math.cos((grid.refLatitude * Math.PI) / 180), 0.01));
+  return {
+    cellOf: (lat, lon) => `${Math.floor(lat / dLat)}:${Math.floor(lon / dLon)}`,
+    boundsOf: (cell) => {
+      const [row, col] = cell.split(':').map(Number);
+      return [col * dLon, row * dLat, (col + 1) * dLon, (row + 1) * dLat];
+    }
+  };
+};
+
+// Bin one chunk [start, end) into { cell: { count, dwell_ms, animals: [] } }
+const binChunk = async ({ animalIds, fence, start, end, maxGapMs, cellOf }) => {
+  const cells = {};
+  for (let i = 0; i < animalIds.length; i += ANIMALS_PER_QUERY) {
+    const batch = animalIds.slice(i, i + ANIMALS_PER_QUERY);
+    // Read a little past the chunk so the last fix of the day gets its dwell time
+    const r = await executeQuery(
+      `SELECT animal_id, latitude, longitude, recorded_at FROM animal_locations
+       WHERE animal_id IN (${batch.map(() => '?').join(', ')})
+         AND recorded_at >= ? AND recorded_at < ? AND is_quarantined = FALSE
+       ORDER BY animal_id, recorded_at, id`,
+      [...batch, start, new Date(end.getTime() + maxGapMs)]
+    );
+    if (!r.success) throw new Error(`Failed to load fixes for heatmap: ${r.error}`);
+
+    const rows = r.data;
+    for (let j = 0; j < rows.length; j += 1) {
+      const fix = rows[j];
+      const at = new Date(fix.recorded_at);
+      if (at >= end) continue;
+      const lat = Number(fix.latitude);
+      const lon = Number(fix.longitude);
+      if (fence && !isPointInFence(fence, lat, lon)) continue;
+      const cell = cellOf(lat, lon);
+      if (!cells[cell]) cells[cell] = { count: 0, dwell_ms: 0, animals: [] };
+      const entry = cells[cell];
+      entry.count += 1;
+      if (!entry.animals.includes(Number(fix.animal_id))) entry.animals.push(Number(fix.animal_id));
+      const next = rows[j + 1];
+      if (next && next.animal_id === fix.animal_id) {
+        const gap = new Date(next.recorded_at).getTime() - at.getTime();
+        if (gap <= maxGapMs) entry.dwell_ms += gap;
+      }
+    }
+  }
+  return cells;
+};
+
+const cacheGet = (key) => {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.storedAt > getCacheMs()) {
+    cache.delete(key);
+    return null;
+  }
+  return hit.cells;
+};
+
+const cachePut = (key, cells) => {
+  cache.delete(key);
+  cache.set(key, { cells, storedAt: Date.now() });
+  while (cache.size > getCacheMaxEntries()) cache.delete(cache.keys().next().value);
+};
+
+// Chunk results for full settled days come from the cache; concurrent identical requests share one load
+const loadChunk = async (key, cacheable, load) => {
+  if (cacheable) {
+    const cached = cacheGet(key);
+    if (cached) return { cells: cached, cached: true };
+  }
+  if (!inFlight.has(key)) {
+    inFlight.set(key, load().finally(() => inFlight.delete(key)));
+  }
+  const cells = await inFlight.get(key);
+  if (cacheable) cachePut(key, cells);
+  return { cells, cached: false };
+};
+
+// Heatmap cells for a set of animals over [from, to], optionally limited to fixes inside a fence.
+// Returns { cells: [{ cell, bounds, count, dwell_minutes, animals }], chunks, cached_chunks }.
+const buildHeatmap = async ({ farmId, animalIds, fence = null, from, to, grid }) => {
+  const settings = await getFarmSettings(farmId);
+  const maxGapMs = settings.activity_max_gap_minutes * 60 * 1000;
+  const { cellOf, boundsOf } = gridFunctions(grid);
+  const ids = [...animalIds].sort((a, b) => a - b);
+  const scope = JSON.stringify({ farmId, ids, fence: fence ? [fence.id, fence.updated_at || null] : null, grid, maxGapMs });
+
+  const totals = new Map();
+  let chunks = 0;
+  let cachedChunks = 0;
+  for (let dayStart = Math.floor(from.getTime() / DAY_MS) * DAY_MS; dayStart < to.getTime(); dayStart += DAY_MS) {
+    const start = new Date(Math.max(dayStart, from.getTime()));
+    const end = new Date(Math.min(dayStart + DAY_MS, to.getTime()));
+    const fullDay = start.getTime() === dayStart && end.getTime() === dayStart + DAY_MS;
+    const cacheable = fullDay && end.getTime() + maxGapMs + CACHE_SETTLE_MS <= Date.now();
+    const key = `${scope}|${start.getTime()}|${end.getTime()}`;
+    const chunk = await loadChunk(key, cacheable, () => binChunk({ animalIds: ids, fence, start, end, maxGapMs, cellOf }));
+    chunks += 1;
+    if (chunk.cached) cachedChunks += 1;
+
+    Object.entries(chunk.cells).forEach(([cell, c]) => {
+      if (!totals.has(cell)) totals.set(cell, { count: 0, dwell_ms: 0, animals: new Set() });
+      const t = totals.get(cell);
+      t.count += c.count;
+      t.dwell_ms += c.dwell_ms;
+      c.animals.forEach(id => t.animals.add(id));
+    });
+  }
+
+  const cells = [...totals.entries()].map(([cell, t]) => ({
+    cell,
+    bounds: boundsOf(cell),
+    count: t.count,
+    dwell_minutes: Math.round((t.dwell_ms / 60000) * 10) / 10,
+    animals: t.animals.size
+  }));
+  return { cells, chunks, cached_chunks: cachedChunks };
+};
+
+module.exports = {
+  geohashEncode,
+  geohashBounds,
+  buildHeatmap
+};
@@ -0,0 +1,221 @@
+const { executeQuery } = require('../database');
+const { haversineMeters } = require('./geo');
+const { getFarmSettings } = require('./farmSettings');
+const { createAlert, findOpenAlerts, autoResolveAlert } = require('./alerts');
+
+// Herd cohesion.
+// Animals are grouped per farm and herd_group (NULL = the whole farm). Within a group, latest
+// positions are clustered by single linkage: two animals within herd_cluster_link_meters are in
+// the same cluster. The largest cluster is the herd; an animal further than
+// herd_separation_meters from the herd centroid is separated, and alerts after
+// herd_separation_minutes. separated_since is kept in animal_herd_separation between runs.
+
+const HERD_JOB = 'herd-cohesion';
+const ALERT_TYPE = 'herd_separation';
+// Smaller groups have no meaningful herd to compare against
+const MIN_GROUP_SIZE = 3;
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Single-linkage clusters of [{ latitude, longitude }], as arrays of indexes (largest first)
+const clusterPositions = (positions, linkMeters) => {
+  const parent = positions.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < positions.length; i += 1) {
+    for (let j = i + 1; j < positions.length; j += 1) {
+      const d = haversineMeters(positions[i].latitude, positions[i].longitude, positions[j].latitude, positions[j].longitude);
+      if (d <= linkMeters) parent[find(i)] = find(j);
+    }
+  }
+  const groups = new Map();
+  positions.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+  return [...groups.values()].sort((a, b) => b.length - a.length);
+};
+
+const centroidOf = (points) => ({
+  latitude: points.reduce((acc, p) => acc + p.latitude, 0) / points.length,
+  longitude: points.reduce((acc, p) => acc + p.longitude, 0) / points.length
+});
+
+// Clusters, centroids and per-animal distance to the herd for every group on a farm
+const computeHerdClusters = async (farmId, { group } = {}) => {
+  const settings = await getFarmSettings(farmId);
+  const params = [farmId, settings.herd_max_fix_age_minutes];
+  let groupFilter = '';
+  if (group !== undefined) {
+    groupFilter = group === null ? ' AND a.herd_group IS NULL' : ' AND a.herd_group = ?';
+    if (group !== null) params.push(group);
+  }
+  const r = await executeQuery(
+    `SELECT a.id AS animal_id, a.name, a.tag_number, a.herd_group, cl.latitude, cl.longitude, cl.recorded_at,
+            s.separated_since
+     FROM animals a
+     JOIN current_locations cl ON cl.animal_id = a.id
+     LEFT JOIN animal_herd_separation s ON s.animal_id = a.id
+     WHERE a.farm_id = ? AND a.is_active = TRUE
+       AND cl.recorded_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)${groupFilter}
+     ORDER BY a.herd_group, a.id`,
+    params
+  );
+  if (!r.success) throw new Error(`Failed to load herd positions: ${r.error}`);
+
+  const byGroup = new Map();
+  r.data.forEach(row => {
+    const key = row.herd_group || null;
+    if (!byGroup.has(key)) byGroup.set(key, []);
+    byGroup.get(key).push({
+      animal_id: Number(row.animal_id),
+      name: row.name,
+      tag_number: row.tag_number,
+      herd_group: key,
+      latitude: Number(row.latitude),
+      longitude: Number(row.longitude),
+      recorded_at: row.recorded_at,
+      separated_since: row.separated_since || null
+    });
+  });
+
+  const groups = [];
+  const animals = [];
+  for (const [herdGroup, members] of byGroup.entries()) {
+    const clusters = clusterPositions(members, settings.herd_cluster_link_meters).map((indexes, i) => {
+      const points = indexes.map(idx => members[idx]);
+      const centroid = centroidOf(points);
+      return {
+        cluster_id: i + 1,
+        size: points.length,
+        is_herd: i === 0,
+        centroid: { latitude: round(centroid.latitude, 7), longitude: round(centroid.longitude, 7) },
+        radius_meters: round(Math.max(...points.map(p => haversineMeters(centroid.latitude, centroid.longitude, p.latitude, p.longitude)))),
+        animal_ids: points.map(p => p.animal_id),
+        _centroid: centroid
+      };
+    });
+    const herd = clusters[0];
+    const comparable = members.length >= MIN_GROUP_SIZE;
+    const separatedIds = [];
+    clusters.forEach(c => {
+      c.animal_ids.forEach(id => {
+        const m = members.find(x => x.animal_id === id);
+        const distance = haversineMeters(herd._centroid.latitude, herd._centroid.longitude, m.latitude, m.longitude);
+        const separated = comparable && distance > settings.herd_separation_meters;
+        if (separated) separatedIds.push(id);
+        animals.push({
+          ...m,
+          cluster_id: c.cluster_id,
+          in_herd: c.is_herd,
+          distance_to_herd_meters: round(distance),
+          separated,
+          separated_since: separated ? m.separated_since : null
+        });
+      });
+    });
+    groups.push({
+      herd_group: herdGroup,
+      animals: members.length,
+      herd_centroid: herd.centroid,
+      separated_animal_ids: separatedIds,
+      clusters: clusters.map(({ _centroid, ...c }) => c)
+    });
+  }
+  return {
+    settings: {
+      cluster_link_meters: settings.herd_cluster_link_meters,
+      separation_meters: settings.herd_separation_meters,
+      separation_minutes: settings.herd_separation_minutes,
+      max_fix_age_minutes: settings.herd_max_fix_age_minutes
+    },
+    groups,
+    animals
+  };
+};
+
+// Background job: track how long each animal has been separated, alert after the grace period
+// and resolve the alert once it rejoins the herd. Animals that drop out of the clustering (no fix
+// within herd_max_fix_age_minutes, deactivated) lose their separation state and open alert, so a
+// later fix starts a fresh grace period.
+const detectSeparatedAnimals = async () => {
+  const farms = await executeQuery(
+    'SELECT farm_id FROM animals WHERE is_active = TRUE UNION SELECT farm_id FROM animal_herd_separation',
+    []
+  );
+  if (!farms.success) throw new Error(`Failed to list farms: ${farms.error}`);
+  const summary = { checked: 0, separated: 0, raised: 0, resolved: 0 };
+
+  for (const { farm_id: farmId } of farms.data) {
+    const settings = await getFarmSettings(farmId);
+    const { animals, groups } = await computeHerdClusters(farmId);
+    const open = new Map((await findOpenAlerts(ALERT_TYPE, { farmId })).map(a => [Number(a.animal_id), a]));
+    const now = new Date();
+
+    for (const a of animals) {
+      summary.checked += 1;
+      if (!a.separated) {
+        if (a.separated_since === null && !open.has(a.animal_id)) continue;
+        await executeQuery('DELETE FROM animal_herd_separation WHERE animal_id = ?', [a.animal_id]);
+        if (open.has(a.animal_id)) {
+          await autoResolveAlert(open.get(a.animal_id), 'rejoined herd');
+          summary.resolved += 1;
+        }
+        continue;
+      }
+
+      summary.separated += 1;
+      let since = a.separated_since ? new Date(a.separated_since) : null;
+      if (!since) {
+        since = now;
+        await executeQuery(
+          'INSERT INTO animal_herd_separation (animal_id, farm_id, separated_since) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE animal_id = animal_id',
+          [a.animal_id, farmId, since]
+        );
+      }
+      const minutes = (now.getTime() - since.getTime()) / 60000;
+      if (open.has(a.animal_id) || minutes < settings.herd_separation_minutes) continue;
+
+      const group = groups.find(g => g.herd_group === a.herd_group);
+      const label = a.name || a.tag_number || `Animal ${a.animal_id}`;
+      const created = await createAlert({
+        farmId,
+        animalId: a.animal_id,
+        alertType: ALERT_TYPE,
+        severity: 'medium',
+        title: `Separated from herd: ${label}`,
+        message: `${label} has been ${Math.round(a.distance_to_herd_meters)} m from the ${a.herd_group ? `${a.herd_group} group` : 'herd'} for ${Math.round(minutes)} min.`,
+        alertData: {
+          herd_group: a.herd_group,
+          distance_meters: a.distance_to_herd_meters,
+          herd_centroid: group ? group.herd_centroid : null,
+          separated_since: since.toISOString()
+        },
+        latitude: a.latitude,
+        longitude: a.longitude
+      });
+      if (created.success) summary.raised += 1;
+    }
+
+    // Separation rows and alerts left behind by animals that were not evaluated this run
+    const evaluated = new Set(animals.map(a => a.animal_id));
+    const tracked = await executeQuery('SELECT animal_id FROM animal_herd_separation WHERE farm_id = ?', [farmId]);
+    if (!tracked.success) throw new Error(`Failed to load herd separation state: ${tracked.error}`);
+    const stale = new Set([...tracked.data.map(row => Number(row.animal_id)), ...open.keys()].filter(id => !evaluated.has(id)));
+    for (const animalId of stale) {
+      await executeQuery('DELETE FROM animal_herd_separation WHERE animal_id = ?', [animalId]);
+      if (open.has(animalId)) {
+        await autoResolveAlert(open.get(animalId), 'no recent position');
+        summary.resolved += 1;
+      }
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  HERD_JOB,
+  clusterPositions,
+  computeHerdClusters,
+  detectSeparatedAnimals
+};
@@ -0,0 +1,134 @@
+const { executeQuery } = require('../database');
+const { haversineMeters } = require('./geo');
+const { getFarmSettings } = require('./farmSettings');
+const { createAlert, findOpenAlerts, autoResolveAlert } = require('./alerts');
+
+// Inactivity / possible-downer detector.
+// An animal whose good fixes have all stayed within inactivity_radius_meters of its latest fix
+// for inactivity_hours, while the collar is still reporting, gets a high-severity alert at the
+// last location. Night hours count only inactivity_night_factor as much, since lying down at
+// night is normal. The alert resolves itself once the animal moves outside the radius.
+
+const INACTIVITY_JOB = 'inactivity-detector';
+const ALERT_TYPE = 'inactivity';
+// Never look further back than this, whatever the night factor
+const MAX_LOOKBACK_HOURS = 48;
+// Fixes needed before a stationary period is trusted
+const MIN_FIXES = 3;
+const SLICE_MS = 15 * 60 * 1000;
+
+// Is `time` inside the farm's night window (local hours, may wrap past midnight)?
+const isNight = (time, settings) => {
+  const local = new Date(time.getTime() + settings.utc_offset_minutes * 60 * 1000);
+  const hour = local.getUTCHours();
+  const { night_start_hour: start, night_end_hour: end } = settings;
+  return start > end ? (hour >= start || hour < end) : (hour >= start && hour < end);
+};
+
+// Hours between start and end with night-time weighted by inactivity_night_factor
+const weightedHours = (start, end, settings) => {
+  let weighted = 0;
+  for (let t = start.getTime(); t < end.getTime(); t += SLICE_MS) {
+    const slice = Math.min(SLICE_MS, end.getTime() - t);
+    weighted += isNight(new Date(t + slice / 2), settings) ? slice * settings.inactivity_night_factor : slice;
+  }
+  return weighted / (60 * 60 * 1000);
+};
+
+// Walk back from the latest fix while fixes stay within the radius of it.
+// Fixes are newest first. Returns { since, fixes } for the stationary run.
+const stationaryRun = (fixes, radiusMeters) => {
+  const latest = fixes[0];
+  let since = new Date(latest.recorded_at);
+  let count = 0;
+  for (const f of fixes) {
+    const d = haversineMeters(Number(latest.latitude), Number(latest.longitude), Number(f.latitude), Number(f.longitude));
+    if (d > radiusMeters) break;
+    since = new Date(f.recorded_at);
+    count += 1;
+  }
+  return { since, fixes: count };
+};
+
+const checkAnimal = async (animal, settings, openAlert, now) => {
+  const r = await executeQuery(
+    `SELECT latitude, longitude, recorded_at FROM animal_locations
+     WHERE animal_id = ? AND recorded_at >= ? AND is_quarantined = FALSE
+     ORDER BY recorded_at DESC, id DESC`,
+    [animal.id, new Date(now.getTime() - MAX_LOOKBACK_HOURS * 60 * 60 * 1000)]
+  );
+  if (!r.success || r.data.length === 0) return null;
+  const latest = r.data[0];
+
+  // Moved away from where the alert was raised: clear it
+  if (openAlert) {
+    const d = haversineMeters(Number(openAlert.location_latitude), Number(openAlert.location_longitude), Number(latest.latitude), Number(latest.longitude));
+    if (d > settings.inactivity_radius_meters) {
+      await autoResolveAlert(openAlert, 'animal moved');
+      return 'resolved';
+    }
+    return null;
+  }
+
+  // A silent collar is an offline problem, not an inactive animal
+  const silenceMinutes = (now.getTime() - new Date(latest.recorded_at).getTime()) / 60000;
+  if (silenceMinutes > settings.inactivity_max_silence_minutes) return null;
+
+  const run = stationaryRun(r.data, settings.inactivity_radius_meters);
+  if (run.fixes < MIN_FIXES) return null;
+  const hours = weightedHours(run.since, new Date(latest.recorded_at), settings);
+  if (hours < settings.inactivity_hours) return null;
+
+  const actualHours = Math.round(((new Date(latest.recorded_at) - run.since) / 3600000) * 10) / 10;
+  const label = animal.name || animal.tag_number || `Animal ${animal.id}`;
+  await createAlert({
+    farmId: animal.farm_id,
+    animalId: animal.id,
+    alertType: ALERT_TYPE,
+    severity: 'high',
+    title: `Possible downer: ${label} has not moved for ${actualHours}h`,
+    message: `${label} has stayed within ${settings.inactivity_radius_meters} m since ${run.since.toISOString()} while its collar kept reporting.`,
+    alertData: {
+      stationary_since: run.since.toISOString(),
+      stationary_hours: actualHours,
+      weighted_hours: Math.round(hours * 10) / 10,
+      radius_meters: settings.inactivity_radius_meters,
+      fixes: run.fixes
+    },
+    latitude: Number(latest.latitude),
+    longitude: Number(latest.longitude)
+  });
+  return 'raised';
+};
+
+// Background job: check every active animal with recent fixes
+const detectInactivity = async () => {
+  const animals = await executeQuery(
+    `SELECT a.id, a.farm_id, a.name, a.tag_number
+     FROM animals a
+     JOIN current_locations cl ON cl.animal_id = a.id
+     WHERE a.is_active = TRUE AND cl.recorded_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)`,
+    []
+  );
+  if (!animals.success) throw new Error(`Failed to load animals: ${animals.error}`);
+
+  const open = new Map((await findOpenAlerts(ALERT_TYPE)).map(a => [Number(a.animal_id), a]));
+  const settingsByFarm = new Map();
+  const now = new Date();
+  const summary = { checked: 0, raised: 0, resolved: 0 };
+
+  for (const animal of animals.data) {
+    if (!settingsByFarm.has(animal.farm_id)) settingsByFarm.set(animal.farm_id, await getFarmSettings(animal.farm_id));
+    const outcome = await checkAnimal(animal, settingsByFarm.get(animal.farm_id), open.get(Number(animal.id)), now);
+    summary.checked += 1;
+    if (outcome) summary[outcome] += 1;
+  }
+  return summary;
+};
+
+module.exports = {
+  INACTIVITY_JOB,
+  weightedHours,
+  stationaryRun,
+  detectInactivity
+};
@@ -0,0 +1,141 @@
+const gpsEmitter = require('../gpsEvents');
+const { isPointInFence } = require('./geofence');
+
+// Live event feed shared by the streaming endpoints.
+// Every gpsEmitter event of a known type gets a monotonically increasing id and is kept in a
+// bounded in-memory buffer so reconnecting clients can replay what they missed.
+
+const LIVE_EVENT_TYPES = ['location', 'alert', 'fence', 'device'];
+
+// Ids start from the boot time (in microseconds) so they keep increasing across restarts
+let lastEventId = Date.now() * 1000;
+const buffer = [];
+const subscribers = new Set();
+
+const getBufferSize = () => parseInt(process.env.LIVE_EVENT_BUFFER, 10) || 1000;
+
+const publish = (type, data) => {
+  lastEventId += 1;
+  const event = { id: lastEventId, type, data, timestamp: new Date().toISOString() };
+  buffer.push(event);
+  while (buffer.length > getBufferSize()) buffer.shift();
+  subscribers.forEach(listener => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn('Live event subscriber failed:', err && err.message ? err.message : err);
+    }
+  });
+  return event;
+};
+
+LIVE_EVENT_TYPES.forEach(type => {
+  gpsEmitter.on(type, (data) => publish(type, data));
+});
+
+// Register a listener for new events; returns an unsubscribe function
+const subscribe = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
+
+// Buffered events after `lastId`. `complete` is false when older events were already dropped,
+// in which case the client should reload full state instead of relying on the replay.
+const eventsSince = (lastId) => {
+  const id = Number(lastId);
+  if (!Number.isFinite(id)) return { events: [], complete: false };
+  const events = buffer.filter(e => e.id > id);
+  const complete = buffer.length === 0 || id >= buffer[0].id - 1 || id >= lastEventId;
+  return { events, complete };
+};
+
+// ---- filtering ----
+
+const idSet = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const ids = list.map(v => Number(String(v).trim())).filter(v => Number.isFinite(v));
+  return ids.length ? new Set(ids) : null;
+};
+
+// Parse "minLon,minLat,maxLon,maxLat". Returns null when absent, or { error }.
+const parseBbox = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(v => !Number.isFinite(v)) || parts[0] > parts[2] || parts[1] > parts[3]) {
+    return { error: 'bbox must be minLon,minLat,maxLon,maxLat' };
+  }
+  return { minLon: parts[0], minLat: parts[1], maxLon: parts[2], maxLat: parts[3] };
+};
+
+// Build a filter from query-style options: { types, animal_ids, collar_ids, fence_id, bbox }.
+// `fence` is the loaded virtual_fences row for fence_id (used for location containment).
+// Returns a filter object or { error }.
+const buildEventFilter = (options = {}, fence = null) => {
+  const types = options.types ? String(options.types).split(',').map(t => t.trim()).filter(Boolean) : null;
+  if (types && types.some(t => !LIVE_EVENT_TYPES.includes(t))) {
+    return { error: `types must be any of: ${LIVE_EVENT_TYPES.join(', ')}` };
+  }
+  const bbox = parseBbox(options.bbox);
+  if (bbox && bbox.error) return { error: bbox.error };
+  return {
+    types: types ? new Set(types) : null,
+    animalIds: idSet(options.animal_ids || options.animal_id),
+    collarIds: idSet(options.collar_ids || options.collar_id),
+    fenceId: options.fence_id ? Number(options.fence_id) : null,
+    fence,
+    bbox
+  };
+};
+
+const eventCoordinates = (data) => {
+  const lat = data.latitude !== undefined ? data.latitude : data.location_latitude;
+  const lon = data.longitude !== undefined ? data.longitude : data.location_longitude;
+  if (lat === null || lat === undefined || lon === null || lon === undefined) return null;
+  return { lat: Number(lat), lon: Number(lon) };
+};
+
+// Location and fence events always concern one animal/collar and must match id filters;
+// alert and device events without an animal/collar are farm-wide and pass them.
+const matchesEvent = (event, filter) => {
+  if (!filter) return true;
+  const data = event.data || {};
+  const perAnimal = event.type === 'location' || event.type === 'fence';
+
+  if (filter.types && !filter.types.has(event.type)) return false;
+
+  if (filter.animalIds) {
+    const hasAnimal = data.animal_id !== null && data.animal_id !== undefined;
+    if (hasAnimal ? !filter.animalIds.has(Number(data.animal_id)) : perAnimal) return false;
+  }
+  if (filter.collarIds) {
+    const hasCollar = data.collar_id !== null && data.collar_id !== undefined;
+    if (hasCollar ? !filter.collarIds.has(Number(data.collar_id)) : perAnimal) return false;
+  }
+
+  const coords = eventCoordinates(data);
+  if (filter.fenceId) {
+    if (event.type === 'location') {
+      if (!coords || !filter.fence || !isPointInFence(filter.fence, coords.lat, coords.lon)) return false;
+    } else if (data.fence_id !== null && data.fence_id !== undefined) {
+      if (Number(data.fence_id) !== filter.fenceId) return false;
+    } else if (event.type === 'fence') {
+      return false;
+    }
+  }
+
+  if (filter.bbox) {
+    if (!coords) return !perAnimal;
+    const { minLon, minLat, maxLon, maxLat } = filter.bbox;
+    if (coords.lon < minLon || coords.lon > maxLon || coords.lat < minLat || coords.lat > maxLat) return false;
+  }
+  return true;
+};
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  subscribe,
+  eventsSince,
+  buildEventFilter,
+  matchesEvent
+};
@@ -0,0 +1,446 @@
+const { executeQuery } = require('../database');
+const gpsEmitter = require('../gpsEvents');
+const { isValidCoordinate } = require('./geo');
+const {
+  getActiveFences,
+  resolveFarmId,
+  getPreviousFenceState,
+  classifyPoint,
+  fenceTransition,
+  recordFenceTransition
+} = require('./geofence');
+const { attachAnimalIds, findForeignAnimalPoints } = require('./collars');
+const { assessBatchQuality } = require('./fixQuality');
+const { checkClockSkew } = require('./clockSkew');
+const { getFarmSettings } = require('./farmSettings');
+const { parseTimestamp } = require('./time');
+const { evaluateFixRules } = require('./alertRules');
+
+// Shared persistence helpers for GPS fixes (single POST /gps and POST /gps/batch).
+
+// Columns written for every fix in animal_locations (order matters for bulk inserts)
+const LOCATION_COLUMNS = [
+  'animal_id', 'collar_id', 'latitude', 'longitude', 'altitude_meters', 'accuracy_meters',
+  'speed_kmh', 'heading_degrees', 'recorded_at', 'battery_level', 'signal_quality',
+  'temperature_celsius', 'is_within_fence', 'quality_score', 'quality_flags', 'is_quarantined',
+  'clock_skew_seconds', 'device_recorded_at'
+];
+
+// Rows per multi-row INSERT; keeps statements well under MySQL's placeholder limit
+const BATCH_INSERT_CHUNK = 500;
+
+// Largest batch accepted in one request (override with GPS_BATCH_MAX)
+const getBatchMax = () => parseInt(process.env.GPS_BATCH_MAX, 10) || 1000;
+
+// Only take the incoming value when the fix is at least as new as the stored one
+const newer = (col) => `IF(recorded_at IS NULL OR VALUES(recorded_at) >= recorded_at, VALUES(${col}), ${col})`;
+
+// Upsert the latest position for an animal/collar without ever moving it back in time.
+// Returns true when the stored position was inserted or advanced.
+// affectedRows can't tell: mysql2 sets CLIENT_FOUND_ROWS, so a no-op update still reports 1.
+// Read the stored recorded_at back instead (TIMESTAMP columns drop the milliseconds).
+const upsertCurrentLocation = async (point) => {
+  // recorded_at must be assigned last: the conditions above compare against the old value
+  const sql = `INSERT INTO current_locations (animal_id, collar_id, latitude, longitude, recorded_at, battery_level, signal_quality, temperature_celsius)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      latitude = ${newer('latitude')},
+      longitude = ${newer('longitude')},
+      battery_level = ${newer('battery_level')},
+      signal_quality = ${newer('signal_quality')},
+      temperature_celsius = ${newer('temperature_celsius')},
+      recorded_at = ${newer('recorded_at')}`;
+  const result = await executeQuery(sql, [
+    point.animal_id,
+    point.collar_id,
+    Number(point.latitude),
+    Number(point.longitude),
+    point.recorded_at,
+    point.battery_level,
+    point.signal_quality,
+    point.temperature_celsius
+  ]);
+  if (!result.success) {
+    console.warn('Failed to upsert current_locations:', result.error);
+    return false;
+  }
+  const stored = await executeQuery(
+    'SELECT recorded_at FROM current_locations WHERE animal_id = ? OR collar_id = ?',
+    [point.animal_id, point.collar_id]
+  );
+  if (!stored.success) {
+    console.warn('Failed to read back current_locations:', stored.error);
+    return false;
+  }
+  const recordedAt = new Date(point.recorded_at).getTime();
+  return stored.data.some(row => row.recorded_at && Math.abs(new Date(row.recorded_at).getTime() - recordedAt) < 1000);
+};
+
+// Emit a live location event for subscribers (SSE, etc.)
+const emitLocation = (point) => {
+  try {
+    gpsEmitter.emit('location', {
+      animal_id: point.animal_id,
+      collar_id: point.collar_id,
+      latitude: Number(point.latitude),
+      longitude: Number(point.longitude),
+      recorded_at: point.recorded_at,
+      battery_level: point.battery_level,
+      signal_quality: point.signal_quality,
+      temperature_celsius: point.temperature_celsius,
+      is_within_fence: point.is_within_fence
+    });
+  } catch (emitErr) {
+    console.warn('Failed to emit gps location event:', emitErr && emitErr.message ? emitErr.message : emitErr);
+  }
+};
+
+// Key used to deduplicate fixes: the collar when known, otherwise the animal
+const subjectKey = (point) => (point.collar_id ? `c:${point.collar_id}` : `a:${point.animal_id}`);
+const dedupeKey = (point) => `${subjectKey(point)}:${point.recorded_at.getTime()}`;
+
+const numberOrNull = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+
+// Validate one batch item and fill in per-request defaults.
+// restrictCollarId (from a collar's device key) rejects points for any other collar;
+// restrictFarmId (from any device key) overrides the farm a point names.
+// Returns { point } or { error }.
+const normalizeBatchPoint = (raw, defaults, { restrictCollarId = null, restrictFarmId = null } = {}) => {
+  if (!raw || typeof raw !== 'object') return { error: 'point must be an object' };
+  const merged = { ...defaults, ...raw };
+  if (restrictFarmId) merged.farm_id = restrictFarmId;
+  const animalId = numberOrNull(merged.animal_id);
+  const collarId = numberOrNull(merged.collar_id);
+  if (!animalId && !collarId) return { error: 'animal_id or collar_id is required' };
+  if (restrictCollarId && collarId !== restrictCollarId) return { error: 'device key is not allowed to report for this collar' };
+  if (merged.latitude == null || merged.longitude == null || !isValidCoordinate(merged.latitude, merged.longitude)) {
+    return { error: 'valid latitude and longitude are required' };
+  }
+  // Buffered fixes are only meaningful with the time they were taken
+  if (merged.recorded_at == null || merged.recorded_at === '') return { error: 'recorded_at is required' };
+  const recordedAt = parseTimestamp(merged.recorded_at);
+  if (!recordedAt) return { error: 'recorded_at must be ISO-8601 or epoch seconds/milliseconds' };
+
+  return {
+    point: {
+      farm_id: numberOrNull(merged.farm_id),
+      animal_id: animalId,
+      collar_id: collarId,
+      latitude: Number(merged.latitude),
+      longitude: Number(merged.longitude),
+      altitude_meters: numberOrNull(merged.altitude_meters),
+      accuracy_meters: numberOrNull(merged.accuracy_meters),
+      speed_kmh: numberOrNull(merged.speed_kmh),
+      heading_degrees: numberOrNull(merged.heading_degrees),
+      recorded_at: recordedAt,
+      battery_level: numberOrNull(merged.battery_level),
+      signal_quality: merged.signal_quality != null ? String(merged.signal_quality) : null,
+      temperature_celsius: numberOrNull(merged.temperature_celsius),
+      is_within_fence: true,
+      quality_score: null,
+      quality_flags: null,
+      is_quarantined: false,
+      clock_skew_seconds: null,
+      device_recorded_at: null
+    }
+  };
+};
+
+// Check device clocks per animal/collar against the time the batch arrived (see services/clockSkew.js).
+// Returns the points that cannot be stored.
+const applyClockChecks = async (points, receivedAt) => {
+  const settingsByFarm = new Map();
+  const bySubject = new Map();
+  points.forEach(p => {
+    const key = subjectKey(p);
+    if (!bySubject.has(key)) bySubject.set(key, []);
+    bySubject.get(key).push(p);
+  });
+  const unstorable = [];
+  for (const subjectPoints of bySubject.values()) {
+    const first = subjectPoints[0];
+    const farmId = await resolveFarmId(first.animal_id, first.farm_id);
+    if (!settingsByFarm.has(farmId)) settingsByFarm.set(farmId, await getFarmSettings(farmId));
+    unstorable.push(...checkClockSkew(subjectPoints, settingsByFarm.get(farmId), receivedAt));
+  }
+  return unstorable;
+};
+
+// Load (collar|animal, recorded_at) pairs already stored for the subjects in this batch.
+// Only a fast path for reporting: concurrent batches are caught by uk_collar_recorded on insert.
+const loadExistingKeys = async (points) => {
+  const existing = new Set();
+  const groups = [
+    { column: 'collar_id', prefix: 'c', points: points.filter(p => p.collar_id) },
+    { column: 'animal_id', prefix: 'a', points: points.filter(p => !p.collar_id) }
+  ];
+  for (const group of groups) {
+    if (group.points.length === 0) continue;
+    const ids = [...new Set(group.points.map(p => p[group.column]))];
+    const times = group.points.map(p => p.recorded_at.getTime());
+    const r = await executeQuery(
+      `SELECT ${group.column} AS subject_id, recorded_at FROM animal_locations
+       WHERE ${group.column} IN (${ids.map(() => '?').join(', ')}) AND recorded_at BETWEEN ? AND ?`,
+      [...ids, new Date(Math.min(...times)), new Date(Math.max(...times))]
+    );
+    if (!r.success) throw new Error(`Failed to check for duplicate fixes: ${r.error}`);
+    r.data.forEach(row => existing.add(`${group.prefix}:${row.subject_id}:${new Date(row.recorded_at).getTime()}`));
+  }
+  return existing;
+};
+
+// Fill is_within_fence for every point and collect fence transitions.
+// Points are walked per animal/collar in time order starting from the last stored state;
+// quarantined fixes are classified but never start or end a transition.
+const evaluateBatchFences = async (points) => {
+  const farmCache = new Map();
+  const fenceCache = new Map();
+  const transitions = [];
+
+  const bySubject = new Map();
+  points.forEach(p => {
+    const key = subjectKey(p);
+    if (!bySubject.has(key)) bySubject.set(key, []);
+    bySubject.get(key).push(p);
+  });
+
+  for (const subjectPoints of bySubject.values()) {
+    subjectPoints.sort((a, b) => a.recorded_at - b.recorded_at);
+    const first = subjectPoints[0];
+    const farmKey = `${first.animal_id || ''}:${first.farm_id || ''}`;
+    if (!farmCache.has(farmKey)) farmCache.set(farmKey, await resolveFarmId(first.animal_id, first.farm_id));
+    const farmId = farmCache.get(farmKey);
+    if (!fenceCache.has(farmId)) fenceCache.set(farmId, await getActiveFences(farmId));
+    const fences = fenceCache.get(farmId);
+    if (fences.length === 0) continue;
+
+    let previous = await getPreviousFenceState({ animalId: first.animal_id, collarId: first.collar_id, recordedAt: first.recorded_at });
+    for (const p of subjectPoints) {
+      const { isWithinFence, fence } = classifyPoint(fences, p.latitude, p.longitude);
+      p.is_within_fence = isWithinFence;
+      if (p.is_quarantined) continue;
+      const transition = fenceTransition(previous, isWithinFence);
+      if (transition) {
+        transitions.push({
+          point: p,
+          evaluation: { farmId, isWithinFence, fenceId: fence ? fence.id : null, fenceName: fence ? fence.name : null, transition }
+        });
+      }
+      previous = isWithinFence;
+    }
+  }
+  return transitions;
+};
+
+// Find the rows a partially ignored chunk did store: a point is ours when its
+// (collar|animal, recorded_at) row has an id from this insert (>= firstId).
+const resolveInsertedIds = async (chunk, firstId) => {
+  const stored = new Map();
+  const groups = [
+    { column: 'collar_id', prefix: 'c', points: chunk.filter(p => p.collar_id) },
+    { column: 'animal_id', prefix: 'a', points: chunk.filter(p => !p.collar_id) }
+  ];
+  for (const group of groups) {
+    if (group.points.length === 0 || !firstId) continue;
+    const ids = [...new Set(group.points.map(p => p[group.column]))];
+    const times = group.points.map(p => p.recorded_at.getTime());
+    const r = await executeQuery(
+      `SELECT id, ${group.column} AS subject_id, recorded_at FROM animal_locations
+       WHERE id >= ? AND ${group.column} IN (${ids.map(() => '?').join(', ')}) AND recorded_at BETWEEN ? AND ?`,
+      [firstId, ...ids, new Date(Math.min(...times) - 1000), new Date(Math.max(...times) + 1000)]
+    );
+    if (!r.success) throw new Error(`Failed to read back inserted fixes: ${r.error}`);
+    r.data.forEach(row => stored.set(`${group.prefix}:${row.subject_id}:${Math.round(new Date(row.recorded_at).getTime() / 1000)}`, Number(row.id)));
+  }
+  return stored;
+};
+
+// Multi-row insert into animal_locations; sets `id` on each point that was stored.
+// INSERT IGNORE skips fixes another request stored in the meantime (uk_collar_recorded);
+// those points get `duplicate` set instead. Returns the points whose chunk failed.
+const bulkInsertLocations = async (points) => {
+  const failed = [];
+  for (let i = 0; i < points.length; i += BATCH_INSERT_CHUNK) {
+    const chunk = points.slice(i, i + BATCH_INSERT_CHUNK);
+    const rowPlaceholder = `(${LOCATION_COLUMNS.map(() => '?').join(', ')})`;
+    const sql = `INSERT IGNORE INTO animal_locations (${LOCATION_COLUMNS.join(', ')}) VALUES ${chunk.map(() => rowPlaceholder).join(', ')}`;
+    const params = [];
+    chunk.forEach(p => LOCATION_COLUMNS.forEach(col => params.push(p[col] === undefined ? null : p[col])));
+    const r = await executeQuery(sql, params);
+    if (!r.success) {
+      console.error('Bulk insert into animal_locations failed:', r.error);
+      chunk.forEach(p => { p.insertError = r.error; failed.push(p); });
+      continue;
+    }
+    // Multi-row inserts get consecutive auto-increment ids starting at insertId
+    const firstId = r.data && r.data.insertId ? Number(r.data.insertId) : null;
+    const insertedRows = r.data ? Number(r.data.affectedRows) : chunk.length;
+    if (insertedRows === chunk.length) {
+      chunk.forEach((p, idx) => { p.id = firstId ? firstId + idx : null; });
+      continue;
+    }
+    // Some rows were ignored as duplicates: look up which ones made it
+    try {
+      const stored = await resolveInsertedIds(chunk, firstId);
+      chunk.forEach(p => {
+        const key = `${subjectKey(p)}:${Math.round(p.recorded_at.getTime() / 1000)}`;
+        if (stored.has(key)) {
+          p.id = stored.get(key);
+          stored.delete(key);
+        } else {
+          p.duplicate = true;
+        }
+      });
+    } catch (lookupErr) {
+      console.error(lookupErr.message);
+      chunk.forEach(p => { p.insertError = lookupErr.message; failed.push(p); });
+    }
+  }
+  return failed;
+};
+
+// Ingest an array of buffered fixes.
+// Returns { summary, results } with one result per input item, in input order.
+const ingestBatch = async (rawPoints, defaults = {}, { restrictCollarId = null, restrictFarmId = null } = {}) => {
+  const receivedAt = new Date();
+  const results = rawPoints.map((_, index) => ({ index, status: 'pending' }));
+  let accepted = [];
+  const seen = new Set();
+
+  rawPoints.forEach((raw, index) => {
+    const { point, error } = normalizeBatchPoint(raw, defaults, { restrictCollarId, restrictFarmId });
+    if (error) {
+      results[index] = { index, status: 'rejected', error };
+      return;
+    }
+    const key = dedupeKey(point);
+    if (seen.has(key)) {
+      results[index] = { index, status: 'duplicate', reason: 'repeated within batch' };
+      return;
+    }
+    seen.add(key);
+    point.index = index;
+    accepted.push(point);
+  });
+
+  // Fix device clocks first: the assignment lookup and dedupe below depend on recorded_at
+  const unstorable = new Set(await applyClockChecks(accepted, receivedAt));
+  if (unstorable.size > 0) {
+    unstorable.forEach(p => {
+      results[p.index] = { index: p.index, status: 'rejected', error: 'recorded_at is outside the storable range (device clock is wrong)' };
+    });
+    accepted = accepted.filter(p => !unstorable.has(p));
+  }
+
+  // Device keys may only name animals they actually report for
+  if (restrictCollarId || restrictFarmId) {
+    const foreign = new Set(await findForeignAnimalPoints(accepted, { collarId: restrictCollarId, farmId: restrictFarmId }));
+    foreign.forEach(p => {
+      results[p.index] = { index: p.index, status: 'rejected', error: 'device key is not allowed to report for this animal' };
+    });
+    accepted = accepted.filter(p => !foreign.has(p));
+  }
+
+  // Collar-only fixes are attributed to whichever animal wore the collar at the time
+  await attachAnimalIds(accepted);
+
+  let toInsert = accepted;
+  if (accepted.length > 0) {
+    const existing = await loadExistingKeys(accepted);
+    toInsert = accepted.filter(p => {
+      if (!existing.has(dedupeKey(p))) return true;
+      results[p.index] = { index: p.index, status: 'duplicate', reason: 'already stored' };
+      return false;
+    });
+  }
+
+  // Score fixes before fence evaluation so outliers can't trigger fence alerts
+  try {
+    await assessBatchQuality(toInsert);
+  } catch (qualityErr) {
+    console.warn('Fix quality scoring failed for gps batch:', qualityErr && qualityErr.message ? qualityErr.message : qualityErr);
+  }
+
+  let transitions = [];
+  try {
+    transitions = await evaluateBatchFences(toInsert);
+  } catch (fenceErr) {
+    console.warn('Geofence evaluation failed for gps batch:', fenceErr && fenceErr.message ? fenceErr.message : fenceErr);
+  }
+
+  const failed = new Set(await bulkInsertLocations(toInsert));
+  const inserted = toInsert.filter(p => !failed.has(p) && !p.duplicate);
+  toInsert.forEach(p => {
+    if (p.duplicate) {
+      results[p.index] = { index: p.index, status: 'duplicate', reason: 'already stored' };
+      return;
+    }
+    results[p.index] = failed.has(p)
+      ? { index: p.index, status: 'error', error: 'Database error' }
+      : {
+        index: p.index,
+        status: 'inserted',
+        id: p.id,
+        is_within_fence: p.is_within_fence,
+        quarantined: !!p.is_quarantined,
+        quality_score: p.quality_score,
+        quality_flags: p.quality_flags ? p.quality_flags.split(',') : [],
+        recorded_at: p.recorded_at,
+        clock_corrected: !!(p.clock_flags && p.clock_flags.includes('clock_corrected'))
+      };
+  });
+
+  // Move current_locations forward once per animal/collar using its newest good fix
+  const newest = new Map();
+  inserted.filter(p => !p.is_quarantined).forEach(p => {
+    const key = subjectKey(p);
+    if (!newest.has(key) || newest.get(key).recorded_at < p.recorded_at) newest.set(key, p);
+  });
+  for (const p of newest.values()) {
+    if (await upsertCurrentLocation(p)) emitLocation(p);
+  }
+
+  for (const t of transitions) {
+    if (failed.has(t.point) || t.point.duplicate) continue;
+    try {
+      await recordFenceTransition(t.evaluation, {
+        animalId: t.point.animal_id,
+        collarId: t.point.collar_id,
+        latitude: t.point.latitude,
+        longitude: t.point.longitude,
+        recordedAt: t.point.recorded_at
+      });
+    } catch (transErr) {
+      console.warn('Failed to record fence transition:', transErr && transErr.message ? transErr.message : transErr);
+    }
+    t.point.fence_transition = t.evaluation;
+  }
+
+  try {
+    await evaluateFixRules(inserted);
+  } catch (rulesErr) {
+    console.warn('Alert rule evaluation failed for gps batch:', rulesErr && rulesErr.message ? rulesErr.message : rulesErr);
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  return {
+    summary: {
+      received: rawPoints.length,
+      inserted: count('inserted'),
+      quarantined: results.filter(r => r.quarantined).length,
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      failed: count('error')
+    },
+    results
+  };
+};
+
+module.exports = {
+  LOCATION_COLUMNS,
+  applyClockChecks,
+  getBatchMax,
+  upsertCurrentLocation,
+  emitLocation,
+  ingestBatch
+};
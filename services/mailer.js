@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email over SMTP (SMTP_* env vars). One pooled transporter is reused for every message.
+
+let transporter = null;
+
+const isMailConfigured = () => !!process.env.SMTP_HOST || !!(process.env.SMTP_USER && process.env.SMTP_PASS);
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      pool: true,
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : 465,
+      secure: (process.env.SMTP_SECURE || 'true') === 'true',
+      // Local stand-in servers (scripts/notification_sinks.js) run without credentials
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => getTransporter().sendMail({
+  from: process.env.SMTP_FROM || process.env.SMTP_USER || 'alerts@localhost',
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  isMailConfigured,
+  sendEmail
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const net = require('net');
+const mqtt = require('mqtt');
+const gpsEmitter = require('../gpsEvents');
+const { executeQuery } = require('../database');
+const { ingestBatch, getBatchMax } = require('./locationIngest');
+const { verifyDeviceSecret } = require('./deviceKeys');
+
+// Optional MQTT ingest bridge for LPWAN gateways and collars.
+// Devices publish to {prefix}/{farmId}/collar/{collarId}/gps and .../alert; fixes and alerts go
+// through the same ingest path as POST /gps/batch and /device/alert. Device control changes are
+// published (retained) to {prefix}/{farmId}/control/{controlKey}, and ingest results to
+// {prefix}/{farmId}/collar/{collarId}/ack.
+//
+// MQTT_URL connects to an external broker (its ACLs are trusted for topic identity).
+// MQTT_EMBEDDED_BROKER=true starts a local broker where devices log in with their device key id
+// as username and device secret as password, and may only publish for their own farm/collar.
+
+const BRIDGE_USERNAME = '__bridge__';
+
+const getTopicPrefix = () => process.env.MQTT_TOPIC_PREFIX || 'farm';
+
+// Parse "{prefix}/{farmId}/collar/{collarId}/{gps|alert}"
+const parseDeviceTopic = (topic) => {
+  const parts = String(topic).split('/');
+  if (parts.length !== 5 || parts[0] !== getTopicPrefix() || parts[2] !== 'collar') return null;
+  const farmId = Number(parts[1]);
+  const collarId = Number(parts[3]);
+  if (!Number.isInteger(farmId) || farmId <= 0 || !Number.isInteger(collarId) || collarId <= 0) return null;
+  if (parts[4] !== 'gps' && parts[4] !== 'alert') return null;
+  return { farmId, collarId, kind: parts[4] };
+};
+
+const parsePayload = (payload) => {
+  try {
+    const value = JSON.parse(payload.toString('utf8'));
+    return value && typeof value === 'object' ? { value } : { error: 'Payload must be a JSON object or array' };
+  } catch (err) {
+    return { error: 'Payload must be valid JSON' };
+  }
+};
+
+// ---- embedded broker ----
+
+const startEmbeddedBroker = (bridgePassword) => {
+  // Required lazily so deployments using an external broker don't load it
+  const aedes = require('aedes')();
+  const port = parseInt(process.env.MQTT_BROKER_PORT, 10) || 1883;
+  const allowUnsigned = process.env.DEVICE_AUTH_OPTIONAL === 'true';
+
+  aedes.authenticate = (client, username, password, callback) => {
+    const secret = password ? password.toString() : '';
+    if (username === BRIDGE_USERNAME) {
+      client.isBridge = secret === bridgePassword;
+      return callback(null, client.isBridge);
+    }
+    if (!username && allowUnsigned) {
+      client.device = null;
+      return callback(null, true);
+    }
+    verifyDeviceSecret(username, secret)
+      .then(result => {
+        if (!result.device) {
+          const err = new Error(result.message);
+          err.returnCode = 4; // bad username or password
+          return callback(err, null);
+        }
+        client.device = result.device;
+        return callback(null, true);
+      })
+      .catch(err => callback(err, null));
+  };
+
+  // Devices may only publish fixes/alerts for their own farm and collar
+  aedes.authorizePublish = (client, packet, callback) => {
+    if (!client || client.isBridge) return callback(null);
+    const target = parseDeviceTopic(packet.topic);
+    if (!target) return callback(new Error('Devices may only publish gps or alert topics'));
+    const device = client.device;
+    if (device && device.farm_id && Number(device.farm_id) !== target.farmId) {
+      return callback(new Error('Device key is not allowed to report for this farm'));
+    }
+    if (device && device.collar_id && Number(device.collar_id) !== target.collarId) {
+      return callback(new Error('Device key is not allowed to report for this collar'));
+    }
+    return callback(null);
+  };
+
+  // Devices only subscribe below their own farm (control and ack topics)
+  aedes.authorizeSubscribe = (client, sub, callback) => {
+    if (!client || client.isBridge) return callback(null, sub);
+    const device = client.device;
+    if (device && device.farm_id && !sub.topic.startsWith(`${getTopicPrefix()}/${device.farm_id}/`)) {
+      return callback(new Error('Subscription outside the device farm'));
+    }
+    return callback(null, sub);
+  };
+
+  const server = net.createServer(aedes.handle);
+  server.listen(port, () => console.log(`📨 Embedded MQTT broker listening on port ${port}`));
+  server.on('error', err => console.error('❌ Embedded MQTT broker error:', err.message || err));
+  return { aedes, server, url: `mqtt://127.0.0.1:${port}` };
+};
+
+// ---- message handling ----
+
+const publishAck = (client, target, ack) => {
+  client.publish(
+    `${getTopicPrefix()}/${target.farmId}/collar/${target.collarId}/ack`,
+    JSON.stringify({ kind: target.kind, ...ack }),
+    { qos: 1 }
+  );
+};
+
+const handleGps = async (client, target, value) => {
+  const points = Array.isArray(value) ? value : (Array.isArray(value.points) ? value.points : [value]);
+  const batchMax = getBatchMax();
+  if (points.length === 0 || points.length > batchMax) {
+    return publishAck(client, target, { success: false, message: `points must contain 1-${batchMax} fixes` });
+  }
+  const defaults = { farm_id: target.farmId, collar_id: target.collarId };
+  const report = await ingestBatch(points, defaults, { restrictCollarId: target.collarId, restrictFarmId: target.farmId });
+  const problems = report.results.filter(r => r.status === 'rejected' || r.status === 'error');
+  return publishAck(client, target, { success: true, summary: report.summary, problems });
+};
+
+const handleAlertMessage = async (client, target, value) => {
+  // Required lazily: the alert route pulls in the mailer and express router
+  const { recordDeviceAlert } = require('../routes/device_alerts');
+  const payload = { ...value, farm_id: target.farmId, collar_id: target.collarId };
+  const result = await recordDeviceAlert(payload, { farm_id: target.farmId, collar_id: target.collarId });
+  return publishAck(client, target, result.body);
+};
+
+const handleMessage = async (client, topic, payload) => {
+  const target = parseDeviceTopic(topic);
+  if (!target) return;
+  const parsed = parsePayload(payload);
+  if (parsed.error) {
+    console.warn(`MQTT ${topic}: ${parsed.error}`);
+    return publishAck(client, target, { success: false, message: parsed.error });
+  }
+  try {
+    if (target.kind === 'gps') await handleGps(client, target, parsed.value);
+    else await handleAlertMessage(client, target, parsed.value);
+  } catch (err) {
+    console.error(`MQTT ${topic} handling failed:`, err && err.message ? err.message : err);
+    publishAck(client, target, { success: false, message: 'Internal server error' });
+  }
+};
+
+// ---- device control fan-out ----
+
+// device_controls is system-wide, so every farm's control topic carries the same value
+const publishControl = async (client, controlKey, value) => {
+  const farms = await executeQuery('SELECT id FROM farms', []);
+  if (!farms.success) {
+    console.warn('MQTT control publish: failed to list farms:', farms.error);
+    return;
+  }
+  const message = JSON.stringify({ key: controlKey, state: value, updated_at: new Date().toISOString() });
+  farms.data.forEach(farm => {
+    client.publish(`${getTopicPrefix()}/${farm.id}/control/${controlKey}`, message, { qos: 1, retain: true });
+  });
+};
+
+const publishAllControls = async (client) => {
+  const r = await executeQuery('SELECT control_key, control_value FROM device_controls', []);
+  if (!r.success) return; // table is created on first POST /device/control
+  for (const row of r.data) {
+    await publishControl(client, row.control_key, row.control_value);
+  }
+};
+
+// Start the bridge when configured; returns null when MQTT is disabled
+const startMqttBridge = () => {
+  const embedded = process.env.MQTT_EMBEDDED_BROKER === 'true';
+  if (!embedded && !process.env.MQTT_URL) return null;
+
+  const bridgePassword = crypto.randomBytes(24).toString('hex');
+  const broker = embedded ? startEmbeddedBroker(bridgePassword) : null;
+  const url = process.env.MQTT_URL || broker.url;
+  const client = mqtt.connect(url, {
+    clientId: process.env.MQTT_CLIENT_ID || `cattle-farm-bridge-${process.pid}`,
+    username: broker ? BRIDGE_USERNAME : process.env.MQTT_USERNAME,
+    password: broker ? bridgePassword : process.env.MQTT_PASSWORD,
+    reconnectPeriod: 5000
+  });
+
+  const prefix = getTopicPrefix();
+  client.on('connect', () => {
+    console.log(`📨 MQTT bridge connected to ${url}`);
+    client.subscribe([`${prefix}/+/collar/+/gps`, `${prefix}/+/collar/+/alert`], { qos: 1 }, (err) => {
+      if (err) console.error('❌ MQTT subscribe failed:', err.message || err);
+    });
+    publishAllControls(client).catch(err => console.warn('MQTT control publish failed:', err.message || err));
+  });
+  client.on('message', (topic, payload) => {
+    handleMessage(client, topic, payload);
+  });
+  client.on('error', err => console.warn('MQTT bridge error:', err && err.message ? err.message : err));
+
+  const onDevice = (event) => {
+    if (!event || event.type !== 'control') return;
+    publishControl(client, event.control_key, event.state).catch(err => {
+      console.warn('MQTT control publish failed:', err && err.message ? err.message : err);
+    });
+  };
+  gpsEmitter.on('device', onDevice);
+
+  return {
+    client,
+    broker,
+    stop: () => {
+      gpsEmitter.removeListener('device', onDevice);
+      client.end(true);
+      if (broker) {
+        broker.server.close();
+        broker.aedes.close();
+      }
+    }
+  };
+};
+
+module.exports = {
+  parseDeviceTopic,
+  startMqttBridge
+};
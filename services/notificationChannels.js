@@ -0,0 +1,95 @@
+const { isMailConfigured, sendEmail } = require('./mailer');
+const { getVapidKeys, sendPush } = require('./webPush');
+const { checkPublicUrl, postPublic } = require('./outboundHttp');
+
+// Delivery adapters for the notification outbox (services/notifications.js).
+// Each adapter has isConfigured() and send(message) where message is an outbox row
+// ({ target, subject, body, payload, push }). send() resolves once the message was accepted and
+// throws otherwise; errors with `permanent` set are not retried.
+
+const getHttpTimeoutMs = () => parseInt(process.env.NOTIFICATION_HTTP_TIMEOUT_MS, 10) || 10000;
+
+const permanentError = (message) => {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+};
+
+// Throw for a non-2xx response: 408, 429 and 5xx are worth retrying, other 4xx are not
+const checkResponse = async (response, what) => {
+  if (response.ok) return;
+  const detail = (await response.text().catch(() => '')).substring(0, 200);
+  const message = `${what} responded ${response.status}${detail ? `: ${detail}` : ''}`;
+  const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+  throw retryable ? new Error(message) : permanentError(message);
+};
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+  redirect: 'manual',
+  signal: AbortSignal.timeout(getHttpTimeoutMs())
+});
+
+// Webhook URLs come from users: refuse any whose host resolves to an internal address, so the
+// server can't be used to reach metadata endpoints or services on its own network
+// (see services/outboundHttp.js; delivery re-checks the address it actually connects to).
+const checkWebhookTarget = (target) => checkPublicUrl(target);
+
+const email = {
+  isConfigured: isMailConfigured,
+  send: async (message) => {
+    await sendEmail({ to: message.target, subject: message.subject, text: message.body });
+  }
+};
+
+// SMS through an HTTP gateway: POST SMS_GATEWAY_URL { to, from, message } (bearer SMS_GATEWAY_TOKEN)
+const sms = {
+  isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+  send: async (message) => {
+    if (!/^\+?[0-9]{6,15}$/.test(String(message.target).replace(/[\s-]/g, ''))) throw permanentError(`Invalid phone number: ${message.target}`);
+    const headers = process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {};
+    const response = await postJson(process.env.SMS_GATEWAY_URL, {
+      to: String(message.target).replace(/[\s-]/g, ''),
+      from: process.env.SMS_FROM || null,
+      message: message.body
+    }, headers);
+    await checkResponse(response, 'SMS gateway');
+  }
+};
+
+// Generic webhook: POST the message payload as JSON to the user's URL
+const webhook = {
+  isConfigured: () => true,
+  send: async (message) => {
+    const response = await postPublic(message.target, JSON.stringify(message.payload), {
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'cattle-farm-notifications' },
+      timeoutMs: getHttpTimeoutMs()
+    });
+    await checkResponse(response, 'Webhook');
+  }
+};
+
+// Web push to one browser subscription; 404/410 mean the subscription is gone
+const push = {
+  isConfigured: () => !!getVapidKeys(),
+  send: async (message) => {
+    if (!message.push) throw permanentError('Push subscription no longer exists');
+    const response = await sendPush(message.push, JSON.stringify(message.payload), { timeoutMs: getHttpTimeoutMs() });
+    if (response.status === 404 || response.status === 410) {
+      const err = permanentError(`Push subscription expired (${response.status})`);
+      err.subscriptionGone = true;
+      throw err;
+    }
+    await checkResponse(response, 'Push service');
+  }
+};
+
+const CHANNELS = { email, sms, webhook, push };
+
+module.exports = {
+  CHANNELS,
+  permanentError,
+  checkWebhookTarget
+};
@@ -0,0 +1,401 @@
+const { executeQuery } = require('../database');
+const { CHANNELS, permanentError } = require('./notificationChannels');
+const { checkPublicUrl } = require('./outboundHttp');
+const { SEVERITIES, severityRank } = require('./severity');
+const { runJob } = require('./scheduler');
+
+// Alert notifications through a durable outbox.
+// Users pick channels (email, sms, webhook, push) in notification_preferences, each with a minimum
+// severity and an optional list of alert types. New alerts (and severity escalations of folded
+// repeats) are written to notification_outbox, one row per user, channel and target; the
+// notification-outbox job delivers due rows and retries failures with exponential backoff until
+// NOTIFICATION_MAX_ATTEMPTS. ALERT_EMAIL_TO (comma-separated) still receives every alert by email.
+
+const NOTIFICATION_JOB = 'notification-outbox';
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+// Rows delivered per job run
+const BATCH_SIZE = 100;
+// A row left in 'sending' this long (process died mid-delivery) is tried again
+const STUCK_SENDING_MS = 10 * 60 * 1000;
+const SMS_MAX_LENGTH = 320;
+
+const getMaxAttempts = () => parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 6;
+const getRetryBaseMs = () => (parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const getRetryMaxMs = () => (parseInt(process.env.NOTIFICATION_RETRY_MAX_SECONDS, 10) || 3600) * 1000;
+
+// Delay before the next attempt after `attempts` failed ones: base, 2x base, 4x base, ... capped
+const retryDelayMs = (attempts) => Math.min(getRetryBaseMs() * 2 ** Math.max(attempts - 1, 0), getRetryMaxMs());
+
+const parseJson = (value, fallback = null) => {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+const formatPreference = (row) => ({
+  channel: row.channel,
+  is_enabled: !!row.is_enabled,
+  min_severity: row.min_severity,
+  alert_types: parseJson(row.alert_types),
+  target: row.target,
+  updated_at: row.updated_at
+});
+
+// Validate { is_enabled?, min_severity?, alert_types?, target? } for a channel.
+// Returns { preference } or { error }.
+const validatePreference = (channel, input) => {
+  if (!CHANNELS[channel]) return { error: `channel must be one of: ${CHANNEL_NAMES.join(', ')}` };
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Body must be an object' };
+  const { is_enabled = true, min_severity = 'high', alert_types = null, target = null } = input;
+  if (typeof is_enabled !== 'boolean') return { error: 'is_enabled must be a boolean' };
+  if (!SEVERITIES.includes(min_severity)) return { error: `min_severity must be one of: ${SEVERITIES.join(', ')}` };
+  if (alert_types !== null && (!Array.isArray(alert_types) || alert_types.some(t => typeof t !== 'string' || !t || t.length > 100))) {
+    return { error: 'alert_types must be a list of alert types (or null for all)' };
+  }
+  if (target !== null && (typeof target !== 'string' || target.length > 500)) return { error: 'target must be a string (max 500 characters)' };
+  if (channel === 'webhook') {
+    let url = null;
+    try {
+      url = new URL(target);
+    } catch (err) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'target must be an http(s) URL for webhooks' };
+  }
+  if (channel === 'push' && target !== null) return { error: 'push notifications go to the registered push subscriptions; omit target' };
+  return { preference: { is_enabled, min_severity, alert_types: alert_types && alert_types.length ? alert_types : null, target } };
+};
+
+const getPreferences = async (userId) => {
+  const r = await executeQuery('SELECT * FROM notification_preferences WHERE user_id = ? ORDER BY channel', [userId]);
+  if (!r.success) throw new Error(`Failed to load notification preferences: ${r.error}`);
+  return r.data.map(formatPreference);
+};
+
+const savePreference = async (userId, channel, preference) => {
+  const r = await executeQuery(
+    `INSERT INTO notification_preferences (user_id, channel, is_enabled, min_severity, alert_types, target)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE is_enabled = VALUES(is_enabled), min_severity = VALUES(min_severity),
+       alert_types = VALUES(alert_types), target = VALUES(target)`,
+    [userId, channel, preference.is_enabled, preference.min_severity,
+      preference.alert_types ? JSON.stringify(preference.alert_types) : null, preference.target]
+  );
+  if (!r.success) throw new Error(`Failed to save notification preference: ${r.error}`);
+  return getPreferences(userId);
+};
+
+const deletePreference = async (userId, channel) => {
+  const r = await executeQuery('DELETE FROM notification_preferences WHERE user_id = ? AND channel = ?', [userId, channel]);
+  if (!r.success) throw new Error(`Failed to delete notification preference: ${r.error}`);
+  return r.data.affectedRows > 0;
+};
+
+// Store a browser PushSubscription ({ endpoint, keys: { p256dh, auth } }). Returns { error } when invalid.
+const savePushSubscription = async (userId, subscription, userAgent = null) => {
+  const endpoint = subscription && subscription.endpoint;
+  const keys = (subscription && subscription.keys) || {};
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    url = null;
+  }
+  if (!url || url.protocol !== 'https:' || endpoint.length > 500) return { error: 'endpoint must be an https URL (max 500 characters)' };
+  try {
+    await checkPublicUrl(endpoint, { httpsOnly: true });
+  } catch (err) {
+    return { error: `endpoint is not allowed: ${err.message}` };
+  }
+  if (typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string' || !keys.p256dh || !keys.auth) {
+    return { error: 'keys.p256dh and keys.auth are required' };
+  }
+  const r = await executeQuery(
+    `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), p256dh = VALUES(p256dh), auth = VALUES(auth), user_agent = VALUES(user_agent)`,
+    [userId, endpoint, keys.p256dh, keys.auth, userAgent ? String(userAgent).substring(0, 255) : null]
+  );
+  if (!r.success) throw new Error(`Failed to save push subscription: ${r.error}`);
+  return { success: true };
+};
+
+const deletePushSubscription = async (userId, endpoint) => {
+  const r = await executeQuery('DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?', [userId, endpoint]);
+  if (!r.success) throw new Error(`Failed to delete push subscription: ${r.error}`);
+  return r.data.affectedRows > 0;
+};
+
+// Subject, text body (also used for SMS, shortened) and JSON payload (webhook / push) for an alert
+const formatAlertMessage = (alert, { reason = 'alert', step = null } = {}) => {
+  const title = alert.title || alert.alert_type;
+  const prefix = reason === 'escalation' ? `Escalated (step ${step})` : reason === 'test' ? 'Test' : 'Alert';
+  const subject = `[${String(alert.severity).toUpperCase()}] ${prefix}: ${title}`.substring(0, 255);
+  const lines = [
+    `${prefix}: ${title}`,
+    `Severity: ${alert.severity}`,
+    alert.message ? `Message: ${alert.message}` : null,
+    alert.location_latitude != null && alert.location_longitude != null ? `Location: ${alert.location_latitude}, ${alert.location_longitude}` : null,
+    alert.occurrence_count > 1 ? `Occurrences: ${alert.occurrence_count}` : null,
+    alert.id ? `Alert id: ${alert.id}` : null
+  ].filter(Boolean);
+  return {
+    subject,
+    body: lines.join('\n'),
+    sms: `${subject}${alert.message ? ` - ${alert.message}` : ''}`.substring(0, SMS_MAX_LENGTH),
+    payload: {
+      type: reason,
+      escalation_step: step,
+      title: subject,
+      body: alert.message || title,
+      alert: {
+        id: alert.id || null,
+        farm_id: alert.farm_id || null,
+        animal_id: alert.animal_id || null,
+        collar_id: alert.collar_id || null,
+        alert_type: alert.alert_type,
+        severity: alert.severity,
+        title: alert.title || null,
+        message: alert.message || null,
+        location_latitude: alert.location_latitude ?? null,
+        location_longitude: alert.location_longitude ?? null,
+        triggered_at: alert.triggered_at || null,
+        occurrence_count: alert.occurrence_count || 1
+      }
+    }
+  };
+};
+
+// Outbox rows for one user's channel preference (push: one row per subscription)
+const messagesFor = (pref, user, subscriptions, content, { alertId, reason }) => {
+  const base = { alert_id: alertId, user_id: user.id, channel: pref.channel, reason };
+  const text = { subject: content.subject, body: pref.channel === 'sms' ? content.sms : content.body, payload: content.payload };
+  switch (pref.channel) {
+    case 'email':
+      return pref.target || user.email ? [{ ...base, ...text, target: pref.target || user.email }] : [];
+    case 'sms':
+      return pref.target || user.phone_number ? [{ ...base, ...text, target: pref.target || user.phone_number }] : [];
+    case 'webhook':
+      return pref.target ? [{ ...base, ...text, target: pref.target }] : [];
+    case 'push':
+      return subscriptions.filter(s => Number(s.user_id) === Number(user.id)).map(s => ({ ...base, ...text, target: s.endpoint }));
+    default:
+      return [];
+  }
+};
+
+// Deliver soon instead of waiting for the next job run
+const kickOutbox = () => {
+  setImmediate(() => {
+    runJob(NOTIFICATION_JOB).catch(() => {});
+  });
+};
+
+// Insert outbox rows. Returns the number queued.
+const enqueue = async (messages) => {
+  if (messages.length === 0) return 0;
+  const cols = ['alert_id', 'user_id', 'channel', 'target', 'subject', 'body', 'payload', 'reason', 'max_attempts', 'next_attempt_at'];
+  const now = new Date();
+  const params = [];
+  messages.forEach(m => params.push(
+    m.alert_id || null, m.user_id || null, m.channel, m.target, m.subject, m.body, JSON.stringify(m.payload), m.reason, getMaxAttempts(), now
+  ));
+  const r = await executeQuery(
+    `INSERT INTO notification_outbox (${cols.join(', ')}) VALUES ${messages.map(() => `(${cols.map(() => '?').join(', ')})`).join(', ')}`,
+    params
+  );
+  if (!r.success) throw new Error(`Failed to queue notifications: ${r.error}`);
+  kickOutbox();
+  return messages.length;
+};
+
+// Enabled preferences joined with their (active) users, optionally limited to some users
+const loadRecipients = async (userIds = null) => {
+  const where = ['u.is_active = TRUE'];
+  const params = [];
+  if (userIds) {
+    if (userIds.length === 0) return { prefs: [], users: [], subscriptions: [] };
+    where.push(`u.id IN (${userIds.map(() => '?').join(', ')})`);
+    params.push(...userIds);
+  }
+  const [prefs, users, subscriptions] = await Promise.all([
+    executeQuery(
+      `SELECT p.*, u.email, u.phone_number FROM notification_preferences p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.is_enabled = TRUE AND ${where.join(' AND ')}`,
+      params
+    ),
+    userIds
+      ? executeQuery(`SELECT u.id, u.email, u.phone_number FROM users u WHERE ${where.join(' AND ')}`, params)
+      : Promise.resolve({ success: true, data: [] }),
+    executeQuery(
+      `SELECT s.user_id, s.endpoint FROM push_subscriptions s JOIN users u ON u.id = s.user_id WHERE ${where.join(' AND ')}`,
+      params
+    )
+  ]);
+  if (!prefs.success || !users.success || !subscriptions.success) throw new Error('Failed to load notification recipients');
+  return { prefs: prefs.data, users: users.data, subscriptions: subscriptions.data };
+};
+
+// Queue notifications for an alert to every user whose preferences match its severity and type
+const enqueueAlertNotifications = async (alert) => {
+  const { prefs, subscriptions } = await loadRecipients();
+  // Devices may report severities we don't know; treat those as medium
+  const rank = severityRank(alert.severity) || severityRank('medium');
+  const content = formatAlertMessage(alert);
+  const messages = [];
+  prefs.forEach(row => {
+    const pref = formatPreference(row);
+    if (rank < severityRank(pref.min_severity)) return;
+    if (pref.alert_types && !pref.alert_types.includes(alert.alert_type)) return;
+    messages.push(...messagesFor(pref, { id: row.user_id, email: row.email, phone_number: row.phone_number }, subscriptions, content, { alertId: alert.id, reason: 'alert' }));
+  });
+  (process.env.ALERT_EMAIL_TO || '').split(',').map(a => a.trim()).filter(Boolean).forEach(address => {
+    messages.push({ alert_id: alert.id, user_id: null, channel: 'email', target: address, subject: content.subject, body: content.body, payload: content.payload, reason: 'alert' });
+  });
+  return enqueue(messages);
+};
+
+// Queue a notification to specific users on all their enabled channels regardless of severity or
+// type filters (escalations, tests). Users without preferences get an email.
+// Returns { queued, users: [{ user_id, channels, queued }] }.
+const enqueueUserNotifications = async (userIds, alert, { reason = 'escalation', step = null } = {}) => {
+  const { prefs, users, subscriptions } = await loadRecipients(userIds.map(Number));
+  const content = formatAlertMessage(alert, { reason, step });
+  const messages = [];
+  const perUser = users.map(user => {
+    const userPrefs = prefs.filter(p => Number(p.user_id) === Number(user.id)).map(formatPreference);
+    const channels = userPrefs.length ? userPrefs : [{ channel: 'email', target: null }];
+    const queued = channels.flatMap(pref => messagesFor(pref, user, subscriptions, content, { alertId: alert.id || null, reason }));
+    messages.push(...queued);
+    return { user_id: user.id, channels: [...new Set(queued.map(m => m.channel))], queued: queued.length };
+  });
+  await enqueue(messages);
+  return { queued: messages.length, users: perUser };
+};
+
+const finishMessage = (id, fields) => {
+  const cols = Object.keys(fields);
+  return executeQuery(`UPDATE notification_outbox SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...cols.map(c => fields[c]), id]);
+};
+
+// Deliver one claimed row (row.attempts is the count before this attempt)
+const deliver = async (row) => {
+  const adapter = CHANNELS[row.channel];
+  const message = { ...row, payload: parseJson(row.payload, {}) };
+  try {
+    if (!adapter) throw permanentError(`Unknown channel: ${row.channel}`);
+    if (!adapter.isConfigured()) throw permanentError(`Channel ${row.channel} is not configured`);
+    if (row.channel === 'push') {
+      const s = await executeQuery('SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE endpoint = ? LIMIT 1', [row.target]);
+      message.push = s.success && s.data.length ? s.data[0] : null;
+    }
+    await adapter.send(message);
+    await finishMessage(row.id, { status: 'sent', sent_at: new Date(), last_error: null });
+    return 'sent';
+  } catch (err) {
+    const error = String(err && err.message ? err.message : err).substring(0, 1000);
+    if (err && err.subscriptionGone) {
+      await executeQuery('DELETE FROM push_subscriptions WHERE endpoint = ?', [row.target]);
+    }
+    const attempts = Number(row.attempts) + 1;
+    if ((err && err.permanent) || attempts >= Number(row.max_attempts)) {
+      await finishMessage(row.id, { status: 'failed', last_error: error });
+      return 'failed';
+    }
+    await finishMessage(row.id, { status: 'pending', last_error: error, next_attempt_at: new Date(Date.now() + retryDelayMs(attempts)) });
+    return 'retry';
+  }
+};
+
+// Background job: deliver due outbox rows
+const processOutbox = async () => {
+  const now = new Date();
+  const reclaim = await executeQuery(
+    `UPDATE notification_outbox SET status = 'pending' WHERE status = 'sending' AND updated_at < ?`,
+    [new Date(now.getTime() - STUCK_SENDING_MS)]
+  );
+  if (!reclaim.success) throw new Error(`Failed to reclaim notifications: ${reclaim.error}`);
+
+  const due = await executeQuery(
+    `SELECT * FROM notification_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ${BATCH_SIZE}`,
+    [now]
+  );
+  if (!due.success) throw new Error(`Failed to load notifications: ${due.error}`);
+
+  const outcome = { sent: 0, retry: 0, failed: 0 };
+  for (const row of due.data) {
+    // Claim first so another instance (or an overlapping kick) can't send the same row
+    const claim = await executeQuery(
+      `UPDATE notification_outbox SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'pending'`,
+      [row.id]
+    );
+    if (!claim.success || claim.data.affectedRows === 0) continue;
+    outcome[await deliver(row)] += 1;
+  }
+  return outcome;
+};
+
+const OUTBOX_COLUMNS = `id, alert_id, user_id, channel, target, subject, reason, status, attempts, max_attempts,
+  next_attempt_at, last_error, sent_at, created_at, updated_at`;
+
+// Outbox rows (newest first) with counts per status. filters: { status, alertId, userId, channel, limit }
+const listOutbox = async ({ status = null, alertId = null, userId = null, channel = null, limit = 100 } = {}) => {
+  const where = [];
+  const params = [];
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (alertId) { where.push('alert_id = ?'); params.push(alertId); }
+  if (userId) { where.push('user_id = ?'); params.push(userId); }
+  if (channel) { where.push('channel = ?'); params.push(channel); }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const [rows, counts] = await Promise.all([
+    executeQuery(`SELECT ${OUTBOX_COLUMNS} FROM notification_outbox ${whereSql} ORDER BY id DESC LIMIT ${Number(limit)}`, params),
+    executeQuery(`SELECT status, COUNT(*) AS total FROM notification_outbox ${whereSql} GROUP BY status`, params)
+  ]);
+  if (!rows.success || !counts.success) throw new Error('Failed to load notification outbox');
+  const byStatus = {};
+  OUTBOX_STATUSES.forEach(s => { byStatus[s] = 0; });
+  counts.data.forEach(c => { byStatus[c.status] = Number(c.total); });
+  return { counts: byStatus, messages: rows.data };
+};
+
+const getOutboxMessage = async (id) => {
+  const r = await executeQuery(`SELECT ${OUTBOX_COLUMNS}, body, payload FROM notification_outbox WHERE id = ?`, [id]);
+  if (!r.success) throw new Error(`Failed to load notification: ${r.error}`);
+  return r.data.length ? { ...r.data[0], payload: parseJson(r.data[0].payload) } : null;
+};
+
+// Send a failed row again (attempts start over). Returns false when the row isn't failed.
+const retryOutboxMessage = async (id) => {
+  const r = await executeQuery(
+    `UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+     WHERE id = ? AND status = 'failed'`,
+    [id]
+  );
+  if (!r.success) throw new Error(`Failed to retry notification: ${r.error}`);
+  if (r.data.affectedRows > 0) kickOutbox();
+  return r.data.affectedRows > 0;
+};
+
+module.exports = {
+  NOTIFICATION_JOB,
+  CHANNEL_NAMES,
+  OUTBOX_STATUSES,
+  retryDelayMs,
+  validatePreference,
+  getPreferences,
+  savePreference,
+  deletePreference,
+  savePushSubscription,
+  deletePushSubscription,
+  formatAlertMessage,
+  enqueueAlertNotifications,
+  enqueueUserNotifications,
+  processOutbox,
+  listOutbox,
+  getOutboxMessage,
+  retryOutboxMessage
+};
@@ -0,0 +1,131 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// POSTs to URLs that come from users (notification webhooks, push endpoints, farm webhooks).
+// The host is resolved once, by the connection itself, and refused when any address is internal,
+// so a name can't pass a check and then be re-resolved (DNS rebinding) to an internal address.
+// Redirects are never followed. NOTIFICATION_ALLOW_PRIVATE_WEBHOOKS=true lifts the address check
+// outside production (local test sinks).
+
+// Responses are read up to this many bytes; callers only keep a short excerpt
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+const targetError = (message) => {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+};
+
+const privateTargetsAllowed = () => process.env.NOTIFICATION_ALLOW_PRIVATE_WEBHOOKS === 'true' && process.env.NODE_ENV !== 'production';
+
+// Loopback, private, link-local (cloud metadata), shared, unspecified and multicast addresses
+const isInternalAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 || (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  const v6 = address.toLowerCase();
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/.exec(v6);
+  if (mapped) {
+    if (mapped[1]) return isInternalAddress(mapped[1]);
+    const hi = parseInt(mapped[2], 16);
+    const lo = parseInt(mapped[3], 16);
+    return isInternalAddress([hi >> 8, hi & 255, lo >> 8, lo & 255].join('.'));
+  }
+  return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith('ff');
+};
+
+// dns.lookup replacement for http(s).request: the socket connects to the address checked here
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(a => isInternalAddress(a.address))) {
+      return callback(targetError(`Host ${hostname} resolves to an internal address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Parse `target` as an http(s) URL (https only with httpsOnly). Throws a permanent error otherwise
+// or when the host is an internal IP literal.
+const parseTarget = (target, { httpsOnly = false } = {}) => {
+  let url = null;
+  try {
+    url = new URL(target);
+  } catch (err) {
+    url = null;
+  }
+  const protocols = httpsOnly ? ['https:'] : ['http:', 'https:'];
+  if (!url || !protocols.includes(url.protocol)) throw targetError(`Target must be an ${httpsOnly ? 'https' : 'http(s)'} URL`);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isInternalAddress(host) && !privateTargetsAllowed()) {
+    throw targetError(`Host ${host} is an internal address`);
+  }
+  return url;
+};
+
+// Check a user-supplied URL before saving it. Resolution failures are not permanent (the name may
+// exist later); internal addresses are.
+const checkPublicUrl = async (target, options = {}) => {
+  const url = parseTarget(target, options);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) || privateTargetsAllowed()) return;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    throw new Error(`Host ${host} could not be resolved: ${err.code || err.message}`);
+  }
+  if (addresses.length === 0 || addresses.some(a => isInternalAddress(a.address))) {
+    throw targetError(`Host ${host} resolves to an internal address`);
+  }
+};
+
+// POST `body` to a user-supplied URL. Resolves to { status, ok, headers, text() } like fetch; a
+// 3xx is returned as is, not followed.
+const postPublic = (target, body, { headers = {}, timeoutMs = 10000, httpsOnly = false } = {}) => new Promise((resolve, reject) => {
+  let url;
+  try {
+    url = parseTarget(target, { httpsOnly });
+  } catch (err) {
+    return reject(err);
+  }
+  const payload = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+  const transport = url.protocol === 'https:' ? https : http;
+  const req = transport.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': payload.length },
+    lookup: privateTargetsAllowed() ? undefined : publicLookup,
+    signal: AbortSignal.timeout(timeoutMs)
+  }, (res) => {
+    const chunks = [];
+    let size = 0;
+    res.on('data', (chunk) => {
+      if (size >= MAX_RESPONSE_BYTES) return;
+      chunks.push(chunk);
+      size += chunk.length;
+    });
+    res.on('error', reject);
+    res.on('end', () => {
+      const text = Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES).toString('utf8');
+      resolve({
+        status: res.statusCode,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        headers: res.headers,
+        text: async () => text
+      });
+    });
+  });
+  req.on('error', reject);
+  req.end(payload);
+});
+
+module.exports = {
+  isInternalAddress,
+  checkPublicUrl,
+  postPublic
+};
@@ -0,0 +1,302 @@
+const { executeQuery } = require('../database');
+const { haversineMeters } = require('./geo');
+
+// Retention policy for animal_locations.
+// Fixes stay at full resolution for LOCATION_FULL_RESOLUTION_DAYS. After that, whole UTC days
+// are rolled up into per-animal hourly summaries (animal_location_hourly) and the raw rows are
+// deleted; summaries are purged after LOCATION_HOURLY_RETENTION_MONTHS (0 keeps them forever).
+// Each pass over a day is bounded by the highest fix id when it started (recorded in
+// location_retention_windows): fixes arriving later are left for the next pass instead of being
+// deleted unsummarized, and a pass that failed part way is resumed with the same bound.
+// The job works oldest day first, at most RETENTION_MAX_DAYS_PER_RUN days per run, with short
+// queries (ANIMALS_PER_QUERY animals, RETENTION_DELETE_BATCH rows per DELETE) and a pause
+// between days so ingest and the API keep getting pool connections.
+
+const RETENTION_JOB = 'location-retention';
+const ANIMALS_PER_QUERY = 50;
+const UPSERT_BATCH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const envInt = (name, fallback, min) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+};
+
+const getRetentionPolicy = () => ({
+  full_resolution_days: envInt('LOCATION_FULL_RESOLUTION_DAYS', 30, 1),
+  hourly_retention_months: envInt('LOCATION_HOURLY_RETENTION_MONTHS', 12, 0),
+  max_days_per_run: envInt('RETENTION_MAX_DAYS_PER_RUN', 7, 1),
+  delete_batch: envInt('RETENTION_DELETE_BATCH', 5000, 100),
+  pause_ms: envInt('RETENTION_PAUSE_MS', 200, 0)
+});
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const minOrNull = (a, b) => (a === null ? b : (b === null ? a : Math.min(a, b)));
+const maxOrNull = (a, b) => (a === null ? b : (b === null ? a : Math.max(a, b)));
+const numberOrNull = (v) => (v === null || v === undefined ? null : Number(v));
+
+// Hourly summaries from fixes ordered by animal and time.
+// The segment between the last fix of one hour and the first of the next counts toward the later
+// hour, so the hourly distances add up to the animal's whole track.
+const summarizeHours = (fixes) => {
+  const hours = new Map();
+  let previous = null;
+  fixes.forEach(f => {
+    const at = new Date(f.recorded_at);
+    const hourStart = Math.floor(at.getTime() / HOUR_MS) * HOUR_MS;
+    const key = `${f.animal_id}|${hourStart}`;
+    const lat = Number(f.latitude);
+    const lon = Number(f.longitude);
+    if (!hours.has(key)) {
+      hours.set(key, {
+        animal_id: Number(f.animal_id),
+        farm_id: Number(f.farm_id) || 1,
+        hour_start: new Date(hourStart),
+        fix_count: 0,
+        lat_sum: 0,
+        lon_sum: 0,
+        distance_meters: 0,
+        min_temperature_celsius: null,
+        max_temperature_celsius: null,
+        min_battery_level: null,
+        max_battery_level: null,
+        first_fix_at: at,
+        last_fix_at: at
+      });
+    }
+    const h = hours.get(key);
+    h.fix_count += 1;
+    h.lat_sum += lat;
+    h.lon_sum += lon;
+    if (previous && previous.animal_id === f.animal_id) {
+      h.distance_meters += haversineMeters(Number(previous.latitude), Number(previous.longitude), lat, lon);
+    }
+    const temperature = numberOrNull(f.temperature_celsius);
+    const battery = numberOrNull(f.battery_level);
+    h.min_temperature_celsius = minOrNull(h.min_temperature_celsius, temperature);
+    h.max_temperature_celsius = maxOrNull(h.max_temperature_celsius, temperature);
+    h.min_battery_level = minOrNull(h.min_battery_level, battery);
+    h.max_battery_level = maxOrNull(h.max_battery_level, battery);
+    h.last_fix_at = at;
+    previous = f;
+  });
+  return [...hours.values()].map(({ lat_sum: latSum, lon_sum: lonSum, ...h }) => ({
+    ...h,
+    centroid_latitude: round(latSum / h.fix_count, 8),
+    centroid_longitude: round(lonSum / h.fix_count, 8),
+    distance_meters: round(h.distance_meters)
+  }));
+};
+
+const HOURLY_COLUMNS = [
+  'animal_id', 'farm_id', 'hour_start', 'fix_count', 'centroid_latitude', 'centroid_longitude', 'distance_meters',
+  'min_temperature_celsius', 'max_temperature_celsius', 'min_battery_level', 'max_battery_level', 'first_fix_at', 'last_fix_at',
+  'rollup_max_id'
+];
+
+// Merge expressions for an hour that already has a summary (late fixes for a rolled-up day)
+const HOURLY_MERGES = [
+  ['centroid_latitude', '(centroid_latitude * fix_count + VALUES(centroid_latitude) * VALUES(fix_count)) / (fix_count + VALUES(fix_count))'],
+  ['centroid_longitude', '(centroid_longitude * fix_count + VALUES(centroid_longitude) * VALUES(fix_count)) / (fix_count + VALUES(fix_count))'],
+  ['distance_meters', 'distance_meters + VALUES(distance_meters)'],
+  ['min_temperature_celsius', 'LEAST(COALESCE(min_temperature_celsius, VALUES(min_temperature_celsius)), COALESCE(VALUES(min_temperature_celsius), min_temperature_celsius))'],
+  ['max_temperature_celsius', 'GREATEST(COALESCE(max_temperature_celsius, VALUES(max_temperature_celsius)), COALESCE(VALUES(max_temperature_celsius), max_temperature_celsius))'],
+  ['min_battery_level', 'LEAST(COALESCE(min_battery_level, VALUES(min_battery_level)), COALESCE(VALUES(min_battery_level), min_battery_level))'],
+  ['max_battery_level', 'GREATEST(COALESCE(max_battery_level, VALUES(max_battery_level)), COALESCE(VALUES(max_battery_level), max_battery_level))'],
+  ['first_fix_at', 'LEAST(first_fix_at, VALUES(first_fix_at))'],
+  ['last_fix_at', 'GREATEST(last_fix_at, VALUES(last_fix_at))'],
+  ['fix_count', 'fix_count + VALUES(fix_count)'],
+  ['rollup_max_id', 'VALUES(rollup_max_id)']
+];
+
+// Upsert summaries. An existing hour is merged only when this pass is newer than the last one
+// merged into it (rollup_max_id), so resuming a failed pass can't count its fixes twice.
+// fix_count and rollup_max_id are assigned last because MySQL evaluates the assignments left to right.
+const upsertHourly = async (rows) => {
+  const merges = HOURLY_MERGES
+    .map(([col, expr]) => `${col} = IF(VALUES(rollup_max_id) > COALESCE(rollup_max_id, 0), ${expr}, ${col})`)
+    .join(',\n         ');
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH) {
+    const batch = rows.slice(i, i + UPSERT_BATCH);
+    const placeholders = batch.map(() => `(${HOURLY_COLUMNS.map(() => '?').join(', ')})`).join(', ');
+    const r = await executeQuery(
+      `INSERT INTO animal_location_hourly (${HOURLY_COLUMNS.join(', ')}) VALUES ${placeholders}
+       ON DUPLICATE KEY UPDATE
+         ${merges}`,
+      batch.flatMap(row => HOURLY_COLUMNS.map(c => row[c]))
+    );
+    if (!r.success) throw new Error(`Failed to store hourly summaries: ${r.error}`);
+  }
+};
+
+// DELETE in LIMIT-ed batches; returns rows deleted
+const deleteInBatches = async (sql, params, batchSize) => {
+  let deleted = 0;
+  for (;;) {
+    const r = await executeQuery(`${sql} LIMIT ${batchSize}`, params);
+    if (!r.success) throw new Error(`Retention delete failed: ${r.error}`);
+    const affected = r.data && r.data.affectedRows ? r.data.affectedRows : 0;
+    deleted += affected;
+    if (affected < batchSize) return deleted;
+  }
+};
+
+// The pass over a window that failed part way, or a new one bounded by the current highest fix id
+const startWindowPass = async (start, end) => {
+  const pending = await executeQuery(
+    'SELECT id, max_id FROM location_retention_windows WHERE window_start = ? AND completed_at IS NULL ORDER BY id DESC LIMIT 1',
+    [start]
+  );
+  if (!pending.success) throw new Error(`Failed to load retention window state: ${pending.error}`);
+  if (pending.data.length) return { id: Number(pending.data[0].id), maxId: Number(pending.data[0].max_id) };
+
+  const top = await executeQuery('SELECT COALESCE(MAX(id), 0) AS max_id FROM animal_locations', []);
+  if (!top.success) throw new Error(`Failed to read the highest fix id: ${top.error}`);
+  const maxId = Number(top.data[0].max_id);
+  const r = await executeQuery(
+    'INSERT INTO location_retention_windows (window_start, window_end, max_id) VALUES (?, ?, ?)',
+    [start, end, maxId]
+  );
+  if (!r.success) throw new Error(`Failed to record retention window: ${r.error}`);
+  return { id: Number(r.data.insertId), maxId };
+};
+
+// Roll up and delete the raw fixes of one UTC day window [start, end), up to the pass's max_id
+const rollUpWindow = async (start, end, policy) => {
+  const pass = await startWindowPass(start, end);
+  const animals = await executeQuery(
+    `SELECT DISTINCT animal_id FROM animal_locations
+     WHERE recorded_at >= ? AND recorded_at < ? AND id <= ? AND animal_id IS NOT NULL`,
+    [start, end, pass.maxId]
+  );
+  if (!animals.success) throw new Error(`Failed to list animals for retention: ${animals.error}`);
+  const ids = animals.data.map(a => Number(a.animal_id));
+
+  let fixes = 0;
+  let hourly = 0;
+  for (let i = 0; i < ids.length; i += ANIMALS_PER_QUERY) {
+    const batch = ids.slice(i, i + ANIMALS_PER_QUERY);
+    const r = await executeQuery(
+      `SELECT al.animal_id, a.farm_id, al.latitude, al.longitude, al.recorded_at, al.battery_level, al.temperature_celsius
+       FROM animal_locations al
+       LEFT JOIN animals a ON a.id = al.animal_id
+       WHERE al.animal_id IN (${batch.map(() => '?').join(', ')})
+         AND al.recorded_at >= ? AND al.recorded_at < ? AND al.id <= ? AND al.is_quarantined = FALSE
+       ORDER BY al.animal_id, al.recorded_at, al.id`,
+      [...batch, start, end, pass.maxId]
+    );
+    if (!r.success) throw new Error(`Failed to load fixes for retention: ${r.error}`);
+    const summaries = summarizeHours(r.data).map(h => ({ ...h, rollup_max_id: pass.maxId }));
+    await upsertHourly(summaries);
+    fixes += r.data.length;
+    hourly += summaries.length;
+  }
+
+  // Summaries are stored; the raw rows read by this pass (quarantined and unassigned ones too) can go.
+  // Fixes stored since the pass started stay for the next one.
+  const deleted = await deleteInBatches(
+    'DELETE FROM animal_locations WHERE recorded_at >= ? AND recorded_at < ? AND id <= ?',
+    [start, end, pass.maxId],
+    policy.delete_batch
+  );
+  const done = await executeQuery('UPDATE location_retention_windows SET completed_at = CURRENT_TIMESTAMP WHERE id = ?', [pass.id]);
+  if (!done.success) throw new Error(`Failed to mark retention window complete: ${done.error}`);
+  return { fixes, hourly, deleted };
+};
+
+// Background job: roll up expired days, purge expired summaries, log the run
+const applyRetention = async () => {
+  const policy = getRetentionPolicy();
+  const startedAt = new Date();
+  const todayStart = Math.floor(startedAt.getTime() / DAY_MS) * DAY_MS;
+  const cutoff = new Date(todayStart - policy.full_resolution_days * DAY_MS);
+  const report = {
+    cutoff,
+    days_processed: 0,
+    fixes_rolled_up: 0,
+    hourly_rows_written: 0,
+    raw_rows_deleted: 0,
+    hourly_rows_purged: 0,
+    backlog_remaining: false
+  };
+
+  for (let day = 0; day < policy.max_days_per_run; day += 1) {
+    const oldest = await executeQuery('SELECT MIN(recorded_at) AS oldest FROM animal_locations WHERE recorded_at < ?', [cutoff]);
+    if (!oldest.success) throw new Error(`Failed to find expired fixes: ${oldest.error}`);
+    if (!oldest.data[0] || !oldest.data[0].oldest) break;
+    const start = new Date(Math.floor(new Date(oldest.data[0].oldest).getTime() / DAY_MS) * DAY_MS);
+    const end = new Date(Math.min(start.getTime() + DAY_MS, cutoff.getTime()));
+
+    const done = await rollUpWindow(start, end, policy);
+    report.days_processed += 1;
+    report.fixes_rolled_up += done.fixes;
+    report.hourly_rows_written += done.hourly;
+    report.raw_rows_deleted += done.deleted;
+    if (policy.pause_ms) await pause(policy.pause_ms);
+    if (day === policy.max_days_per_run - 1) {
+      const more = await executeQuery('SELECT 1 FROM animal_locations WHERE recorded_at < ? LIMIT 1', [cutoff]);
+      report.backlog_remaining = more.success && more.data.length > 0;
+    }
+  }
+
+  if (policy.hourly_retention_months > 0) {
+    const purgeBefore = new Date(startedAt);
+    purgeBefore.setUTCMonth(purgeBefore.getUTCMonth() - policy.hourly_retention_months);
+    report.hourly_rows_purged = await deleteInBatches(
+      'DELETE FROM animal_location_hourly WHERE hour_start < ?',
+      [purgeBefore],
+      policy.delete_batch
+    );
+  }
+
+  report.duration_ms = Date.now() - startedAt.getTime();
+  const logged = await executeQuery(
+    `INSERT INTO location_retention_runs
+       (started_at, cutoff_at, days_processed, fixes_rolled_up, hourly_rows_written, raw_rows_deleted, hourly_rows_purged, backlog_remaining, duration_ms)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [startedAt, cutoff, report.days_processed, report.fixes_rolled_up, report.hourly_rows_written,
+      report.raw_rows_deleted, report.hourly_rows_purged, report.backlog_remaining, report.duration_ms]
+  );
+  if (!logged.success) console.warn('Failed to log retention run:', logged.error);
+  return report;
+};
+
+// Policy, storage state and recent runs for the admin report
+const getRetentionReport = async (limit = 20) => {
+  const [runs, raw, hourly, sizes] = await Promise.all([
+    executeQuery(`SELECT * FROM location_retention_runs ORDER BY id DESC LIMIT ${Number(limit)}`, []),
+    executeQuery('SELECT MIN(recorded_at) AS oldest_at, MAX(recorded_at) AS newest_at FROM animal_locations', []),
+    executeQuery('SELECT MIN(hour_start) AS oldest_at, MAX(hour_start) AS newest_at FROM animal_location_hourly', []),
+    // Row counts from table statistics; COUNT(*) on animal_locations is too slow to run here
+    executeQuery(
+      `SELECT TABLE_NAME AS table_name, TABLE_ROWS AS approx_rows, DATA_LENGTH + INDEX_LENGTH AS size_bytes
+       FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN ('animal_locations', 'animal_location_hourly')`,
+      []
+    )
+  ]);
+  if (!runs.success || !raw.success || !hourly.success) throw new Error('Failed to load retention report');
+  const sizeOf = (name) => {
+    const row = sizes.success ? sizes.data.find(s => s.table_name === name) : null;
+    return row ? { approx_rows: Number(row.approx_rows), size_bytes: Number(row.size_bytes) } : { approx_rows: null, size_bytes: null };
+  };
+  return {
+    policy: getRetentionPolicy(),
+    storage: {
+      animal_locations: { ...raw.data[0], ...sizeOf('animal_locations') },
+      animal_location_hourly: { ...hourly.data[0], ...sizeOf('animal_location_hourly') }
+    },
+    runs: runs.data.map(r => ({ ...r, backlog_remaining: !!r.backlog_remaining }))
+  };
+};
+
+module.exports = {
+  RETENTION_JOB,
+  getRetentionPolicy,
+  summarizeHours,
+  applyRetention,
+  getRetentionReport
+};
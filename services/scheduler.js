@@ -0,0 +1,113 @@
+const { executeQuery } = require('../database');
+
+// Minimal in-process scheduler for background jobs.
+// Runs of the same job never overlap; every run is recorded in background_jobs so jobs can
+// keep a cursor between runs (and restarts) and admins can see when a job last ran.
+// Set JOBS_ENABLED=false to keep an instance (e.g. a second replica) from running jobs.
+
+const jobs = new Map();
+
+// Cursor a job stored after its last successful run (or null)
+const getJobCursor = async (name) => {
+  const r = await executeQuery('SELECT cursor_value FROM background_jobs WHERE job_name = ? LIMIT 1', [name]);
+  return r.success && r.data.length ? r.data[0].cursor_value : null;
+};
+
+const setJobCursor = async (name, value) => {
+  const r = await executeQuery(
+    `INSERT INTO background_jobs (job_name, cursor_value) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE cursor_value = VALUES(cursor_value)`,
+    [name, value === null || value === undefined ? null : String(value)]
+  );
+  if (!r.success) throw new Error(`Failed to store cursor for ${name}: ${r.error}`);
+};
+
+const recordRun = async (name, fields) => {
+  const cols = Object.keys(fields);
+  await executeQuery(
+    `INSERT INTO background_jobs (job_name, ${cols.join(', ')}) VALUES (?, ${cols.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE ${cols.map(c => `${c} = VALUES(${c})`).join(', ')}`,
+    [name, ...cols.map(c => fields[c])]
+  );
+};
+
+// Run a registered job now (skipped when a run is already in progress)
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (job.running) return { skipped: true };
+  job.running = true;
+  const startedAt = new Date();
+  try {
+    await recordRun(name, { last_started_at: startedAt });
+    const result = await job.run();
+    await recordRun(name, {
+      last_finished_at: new Date(),
+      last_status: 'ok',
+      last_error: null,
+      last_result: result === undefined ? null : JSON.stringify(result)
+    });
+    return { result };
+  } catch (err) {
+    console.error(`Background job ${name} failed:`, err && err.message ? err.message : err);
+    await recordRun(name, { last_finished_at: new Date(), last_status: 'error', last_error: String(err && err.message ? err.message : err).substring(0, 1000) });
+    return { error: err };
+  } finally {
+    job.running = false;
+  }
+};
+
+// Register a job: run() is called every intervalMs once startJobs() has been called
+const registerJob = (name, intervalMs, run) => {
+  jobs.set(name, { name, intervalMs, run, running: false, timer: null });
+};
+
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️ Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => { runJob(job.name); }, job.intervalMs);
+    // First run shortly after startup rather than a full interval later
+    setTimeout(() => { runJob(job.name); }, 5000);
+  });
+  console.log(`⏱️ Background jobs started: ${[...jobs.keys()].join(', ') || 'none'}`);
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => {
+    if (job.timer) clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Status of every registered job from background_jobs
+const listJobs = async () => {
+  const r = await executeQuery('SELECT * FROM background_jobs', []);
+  const rows = new Map(r.success ? r.data.map(row => [row.job_name, row]) : []);
+  return [...jobs.values()].map(job => {
+    const row = rows.get(job.name) || {};
+    return {
+      name: job.name,
+      interval_ms: job.intervalMs,
+      running: job.running,
+      last_started_at: row.last_started_at || null,
+      last_finished_at: row.last_finished_at || null,
+      last_status: row.last_status || null,
+      last_error: row.last_error || null,
+      last_result: row.last_result ? JSON.parse(row.last_result) : null
+    };
+  });
+};
+
+module.exports = {
+  getJobCursor,
+  setJobCursor,
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  listJobs
+};
@@ -0,0 +1,9 @@
+// Alert severities, lowest first. Unknown values (devices may send anything) rank below all of them.
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const severityRank = (severity) => SEVERITIES.indexOf(String(severity).toLowerCase()) + 1;
+
+module.exports = {
+  SEVERITIES,
+  severityRank
+};
@@ -0,0 +1,233 @@
+const { executeQuery } = require('../database');
+const { getFarmSettings } = require('./farmSettings');
+const { createAlert, findOpenAlerts, autoResolveAlert } = require('./alerts');
+
+// Body temperature analysis.
+// Each animal's baseline is the median of its own readings over the previous
+// temperature_baseline_days. A reading deviates when it is more than the high/low margin away
+// from the baseline; only a run of deviating readings lasting temperature_sustained_minutes is
+// an anomaly; shorter runs are spikes and never alert.
+
+const TEMPERATURE_JOB = 'temperature-check';
+const ALERT_TYPE = 'temperature_anomaly';
+// Readings needed before a baseline is trusted, and readings needed in a sustained run
+const MIN_BASELINE_READINGS = 20;
+const MIN_RUN_READINGS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Readings oldest first: [{ at: Date, value }]. Baseline from readings in [time - baseline days, time).
+const baselineAt = (readings, time, settings) => {
+  const start = time.getTime() - settings.temperature_baseline_days * DAY_MS;
+  const values = readings.filter(r => r.at.getTime() >= start && r.at.getTime() < time.getTime()).map(r => r.value);
+  return values.length >= MIN_BASELINE_READINGS ? median(values) : null;
+};
+
+// 'high', 'low' or null for one reading against a baseline
+const deviation = (value, baseline, settings) => {
+  if (baseline === null) return null;
+  if (value > baseline + settings.temperature_high_margin_celsius) return 'high';
+  if (value < baseline - settings.temperature_low_margin_celsius) return 'low';
+  return null;
+};
+
+// Split flagged readings (oldest first, each with .flag) into runs of the same direction.
+// Runs lasting temperature_sustained_minutes with MIN_RUN_READINGS readings are sustained.
+const findRuns = (flagged, settings) => {
+  const runs = [];
+  let current = null;
+  flagged.forEach(r => {
+    if (current && r.flag === current.direction) {
+      current.end = r.at;
+      current.readings += 1;
+      current.peak = current.direction === 'high' ? Math.max(current.peak, r.value) : Math.min(current.peak, r.value);
+      return;
+    }
+    if (current) runs.push(current);
+    current = r.flag ? { direction: r.flag, start: r.at, end: r.at, readings: 1, peak: r.value } : null;
+  });
+  if (current) runs.push(current);
+  return runs.map(run => {
+    const minutes = (run.end.getTime() - run.start.getTime()) / 60000;
+    return {
+      ...run,
+      duration_minutes: Math.round(minutes),
+      sustained: minutes >= settings.temperature_sustained_minutes && run.readings >= MIN_RUN_READINGS
+    };
+  });
+};
+
+// Temperature readings of one animal, oldest first
+const loadReadings = async (animalId, from, to) => {
+  const r = await executeQuery(
+    `SELECT recorded_at, temperature_celsius FROM animal_locations
+     WHERE animal_id = ? AND temperature_celsius IS NOT NULL AND recorded_at >= ? AND recorded_at <= ?
+     ORDER BY recorded_at ASC, id ASC`,
+    [animalId, from, to]
+  );
+  if (!r.success) throw new Error(`Failed to load temperature readings: ${r.error}`);
+  return r.data.map(row => ({ at: new Date(row.recorded_at), value: Number(row.temperature_celsius) }));
+};
+
+// Latest reading, current baseline and the run the animal is in right now
+const assessAnimal = (readings, settings) => {
+  if (readings.length === 0) return null;
+  const latest = readings[readings.length - 1];
+  // Baseline from before the sustained window so an ongoing fever does not raise its own baseline
+  const baseline = baselineAt(readings, new Date(latest.at.getTime() - settings.temperature_sustained_minutes * 60000), settings);
+  if (baseline === null) return { latest, baseline: null, run: null };
+  const flagged = readings.map(r => ({ ...r, flag: deviation(r.value, baseline, settings) }));
+  const runs = findRuns(flagged, settings);
+  const last = runs[runs.length - 1];
+  const run = last && last.end.getTime() === latest.at.getTime() ? last : null;
+  return { latest, baseline, run };
+};
+
+const checkAnimal = async (animal, settings, openAlert, now) => {
+  const readings = await loadReadings(animal.id, new Date(now.getTime() - settings.temperature_baseline_days * DAY_MS), now);
+  const state = assessAnimal(readings, settings);
+  if (!state || state.baseline === null) return null;
+
+  if (openAlert) {
+    const data = typeof openAlert.alert_data === 'string' ? JSON.parse(openAlert.alert_data || '{}') : (openAlert.alert_data || {});
+    if (!state.run || state.run.direction !== data.direction) {
+      await autoResolveAlert(openAlert, 'temperature back to baseline');
+      return 'resolved';
+    }
+    return null;
+  }
+  if (!state.run || !state.run.sustained) return null;
+
+  const { run, baseline, latest } = state;
+  const label = animal.name || animal.tag_number || `Animal ${animal.id}`;
+  const kind = run.direction === 'high' ? 'Fever' : 'Low temperature';
+  await createAlert({
+    farmId: animal.farm_id,
+    animalId: animal.id,
+    alertType: ALERT_TYPE,
+    severity: run.direction === 'high' ? 'high' : 'medium',
+    title: `${kind}: ${label} at ${latest.value}°C`,
+    message: `${label} has been ${run.direction === 'high' ? 'above' : 'below'} its ${round(baseline)}°C baseline for ${run.duration_minutes} min (${run.readings} readings, ${run.direction === 'high' ? 'peak' : 'lowest'} ${run.peak}°C).`,
+    alertData: {
+      direction: run.direction,
+      baseline_celsius: round(baseline, 2),
+      latest_celsius: latest.value,
+      peak_celsius: run.peak,
+      since: run.start.toISOString(),
+      duration_minutes: run.duration_minutes,
+      readings: run.readings
+    }
+  });
+  return 'raised';
+};
+
+// Background job: check every active animal that reported a temperature in the last day
+const detectTemperatureAnomalies = async () => {
+  const animals = await executeQuery(
+    `SELECT a.id, a.farm_id, a.name, a.tag_number
+     FROM animals a
+     JOIN current_locations cl ON cl.animal_id = a.id
+     WHERE a.is_active = TRUE AND cl.temperature_celsius IS NOT NULL
+       AND cl.recorded_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)`,
+    []
+  );
+  if (!animals.success) throw new Error(`Failed to load animals: ${animals.error}`);
+
+  const open = new Map((await findOpenAlerts(ALERT_TYPE)).map(a => [Number(a.animal_id), a]));
+  const settingsByFarm = new Map();
+  const now = new Date();
+  const summary = { checked: 0, raised: 0, resolved: 0 };
+
+  for (const animal of animals.data) {
+    if (!settingsByFarm.has(animal.farm_id)) settingsByFarm.set(animal.farm_id, await getFarmSettings(animal.farm_id));
+    const outcome = await checkAnimal(animal, settingsByFarm.get(animal.farm_id), open.get(Number(animal.id)), now);
+    summary.checked += 1;
+    if (outcome) summary[outcome] += 1;
+  }
+  return summary;
+};
+
+// Bucketed time series for the dashboard: average/min/max per bucket with the rolling baseline
+// (recomputed per bucket from the preceding baseline days), plus sustained episodes and spikes.
+const getTemperatureSeries = async (animalId, farmId, from, to, bucketMinutes) => {
+  const settings = await getFarmSettings(farmId);
+  const readings = await loadReadings(animalId, new Date(from.getTime() - settings.temperature_baseline_days * DAY_MS), to);
+  const inRange = readings.filter(r => r.at >= from);
+
+  const bucketMs = bucketMinutes * 60000;
+  const baselineCache = new Map();
+  const baselineFor = (time) => {
+    if (!baselineCache.has(time)) baselineCache.set(time, baselineAt(readings, new Date(time), settings));
+    return baselineCache.get(time);
+  };
+
+  const flagged = inRange.map(r => {
+    const bucketStart = Math.floor(r.at.getTime() / bucketMs) * bucketMs;
+    return { ...r, bucketStart, flag: deviation(r.value, baselineFor(bucketStart), settings) };
+  });
+  const runs = findRuns(flagged, settings);
+
+  const buckets = new Map();
+  flagged.forEach(r => {
+    if (!buckets.has(r.bucketStart)) buckets.set(r.bucketStart, []);
+    buckets.get(r.bucketStart).push(r);
+  });
+  const points = [...buckets.entries()].map(([start, rows]) => {
+    const values = rows.map(r => r.value);
+    const baseline = baselineFor(start);
+    return {
+      time: new Date(start),
+      avg_celsius: round(values.reduce((a, b) => a + b, 0) / values.length, 2),
+      min_celsius: Math.min(...values),
+      max_celsius: Math.max(...values),
+      readings: values.length,
+      baseline_celsius: round(baseline, 2),
+      upper_celsius: baseline === null ? null : round(baseline + settings.temperature_high_margin_celsius, 2),
+      lower_celsius: baseline === null ? null : round(baseline - settings.temperature_low_margin_celsius, 2),
+      high_readings: rows.filter(r => r.flag === 'high').length,
+      low_readings: rows.filter(r => r.flag === 'low').length
+    };
+  });
+
+  const current = assessAnimal(readings, settings);
+  return {
+    settings: {
+      baseline_days: settings.temperature_baseline_days,
+      high_margin_celsius: settings.temperature_high_margin_celsius,
+      low_margin_celsius: settings.temperature_low_margin_celsius,
+      sustained_minutes: settings.temperature_sustained_minutes
+    },
+    current: current ? {
+      latest_celsius: current.latest.value,
+      latest_at: current.latest.at,
+      baseline_celsius: round(current.baseline, 2),
+      status: current.run ? `${current.run.sustained ? 'sustained' : 'spike'}_${current.run.direction}` : 'normal'
+    } : null,
+    episodes: runs.filter(r => r.sustained).map(r => ({
+      direction: r.direction,
+      start: r.start,
+      end: r.end,
+      duration_minutes: r.duration_minutes,
+      readings: r.readings,
+      peak_celsius: r.peak
+    })),
+    spikes: runs.filter(r => !r.sustained).length,
+    points
+  };
+};
+
+module.exports = {
+  TEMPERATURE_JOB,
+  median,
+  findRuns,
+  detectTemperatureAnomalies,
+  getTemperatureSeries
+};
@@ -0,0 +1,73 @@
+// Date/time helpers shared by API query parsing and device ingest.
+// Everything is handled in UTC; the database session time zone is UTC as well (database.js).
+
+// Epoch numbers below this are seconds, at or above it milliseconds
+// (1e11 seconds is the year 5138, 1e11 milliseconds is March 1973)
+const EPOCH_SECONDS_LIMIT = 1e11;
+const ISO_8601 = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+// Parse a timestamp from a device or query string: a Date, ISO-8601 (an offset is honoured,
+// none means UTC) or epoch seconds / milliseconds as a number or numeric string.
+// Returns a Date, or null when the value is not a usable timestamp.
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  let date;
+  const text = String(value).trim();
+  if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(text)) {
+    const num = Number(text);
+    date = new Date(Math.abs(num) < EPOCH_SECONDS_LIMIT ? num * 1000 : num);
+  } else {
+    const m = ISO_8601.exec(text);
+    if (!m) return null;
+    const [, day, time, offset] = m;
+    // Date rolls impossible days over (2024-02-30 becomes March 1st); reject them instead
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    const calendar = new Date(Date.UTC(year, month - 1, dayOfMonth));
+    if (calendar.getUTCFullYear() !== year || calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== dayOfMonth) return null;
+    if (!time) {
+      date = new Date(`${day}T00:00:00Z`);
+    } else {
+      let zone = offset ? offset.toUpperCase() : 'Z';
+      if (zone !== 'Z' && zone.length === 3) zone = `${zone}:00`;
+      else if (zone !== 'Z' && !zone.includes(':')) zone = `${zone.substring(0, 3)}:${zone.substring(3)}`;
+      date = new Date(`${day}T${time}${zone}`);
+    }
+  }
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse ?from=&to= (ISO-8601 or epoch seconds/milliseconds). Defaults to the last `defaultHours`.
+// Returns { from, to } or { error }.
+const parseTimeRange = (query, defaultHours = 24) => {
+  const parse = (v) => {
+    if (v === undefined || v === null || v === '') return null;
+    const d = parseTimestamp(v);
+    return d === null ? undefined : d;
+  };
+  const to = parse(query.to);
+  const from = parse(query.from);
+  if (to === undefined || from === undefined) return { error: 'from and to must be ISO-8601 dates or epoch seconds/milliseconds' };
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - defaultHours * 60 * 60 * 1000);
+  if (start >= end) return { error: 'from must be before to' };
+  return { from: start, to: end };
+};
+
+// Calendar day (YYYY-MM-DD, UTC) of a Date, for DATE columns and daily rollups
+const toDateString = (date) => new Date(date).toISOString().substring(0, 10);
+
+// Calendar day (YYYY-MM-DD) of a Date on a farm's clock (utc_offset_minutes farm setting)
+const toLocalDateString = (date, offsetMinutes = 0) => toDateString(new Date(date).getTime() + offsetMinutes * 60 * 1000);
+
+// UTC instant at which a farm-local day (YYYY-MM-DD) starts
+const localDayStart = (day, offsetMinutes = 0) => new Date(Date.parse(`${day}T00:00:00Z`) - offsetMinutes * 60 * 1000);
+
+module.exports = {
+  parseTimestamp,
+  parseTimeRange,
+  toDateString,
+  toLocalDateString,
+  localDayStart
+};
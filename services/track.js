@@ -0,0 +1,104 @@
+const { EARTH_RADIUS_METERS, toRadians, haversineMeters } = require('./geo');
+
+// Helpers for animal tracks: summary stats and Douglas-Peucker simplification.
+// Points are objects with latitude, longitude, recorded_at (Date or string) and optional speed_kmh.
+
+const timeOf = (p) => new Date(p.recorded_at).getTime();
+
+// Distance, duration and speed figures for an ordered list of fixes
+const trackStats = (points) => {
+  let distance = 0;
+  let maxSpeed = 0;
+  let maxReported = null;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (p.speed_kmh !== null && p.speed_kmh !== undefined) {
+      maxReported = Math.max(maxReported === null ? 0 : maxReported, Number(p.speed_kmh));
+    }
+    if (i === 0) continue;
+    const prev = points[i - 1];
+    const d = haversineMeters(Number(prev.latitude), Number(prev.longitude), Number(p.latitude), Number(p.longitude));
+    distance += d;
+    const dt = (timeOf(p) - timeOf(prev)) / 1000;
+    if (dt > 0) maxSpeed = Math.max(maxSpeed, (d / dt) * 3.6);
+  }
+  const durationSeconds = points.length > 1 ? Math.max(0, (timeOf(points[points.length - 1]) - timeOf(points[0])) / 1000) : 0;
+  return {
+    point_count: points.length,
+    distance_meters: Math.round(distance * 10) / 10,
+    duration_seconds: Math.round(durationSeconds),
+    average_speed_kmh: durationSeconds > 0 ? Math.round((distance / durationSeconds) * 3.6 * 100) / 100 : 0,
+    max_speed_kmh: Math.round(maxSpeed * 100) / 100,
+    max_reported_speed_kmh: maxReported,
+    started_at: points.length ? points[0].recorded_at : null,
+    ended_at: points.length ? points[points.length - 1].recorded_at : null
+  };
+};
+
+// Perpendicular distance from p to segment ab in a planar (meters) projection
+const segmentDistance = (p, a, b) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lenSq = dx * dx + dy * dy;
+  const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lenSq));
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+};
+
+// Douglas-Peucker importance of every point, in meters. Endpoints are Infinity.
+// Keeping the points whose rank exceeds a tolerance gives the classic DP result;
+// keeping the N highest ranks gives the best N-point approximation DP would pick.
+const douglasPeuckerRanks = (points) => {
+  const n = points.length;
+  const ranks = new Array(n).fill(0);
+  if (n === 0) return ranks;
+  ranks[0] = Infinity;
+  ranks[n - 1] = Infinity;
+
+  const lat0 = Number(points[0].latitude);
+  const lon0 = Number(points[0].longitude);
+  const kx = toRadians(1) * EARTH_RADIUS_METERS * Math.cos(toRadians(lat0));
+  const ky = toRadians(1) * EARTH_RADIUS_METERS;
+  const xy = points.map(p => [(Number(p.longitude) - lon0) * kx, (Number(p.latitude) - lat0) * ky]);
+
+  const stack = [[0, n - 1, Infinity]];
+  while (stack.length > 0) {
+    const [start, end, parentRank] = stack.pop();
+    let maxDistance = -1;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const d = segmentDistance(xy[i], xy[start], xy[end]);
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+    if (index === -1) continue;
+    // A point is never more important than the split that exposed it
+    const rank = Math.min(maxDistance, parentRank);
+    ranks[index] = rank;
+    stack.push([start, index, rank], [index, end, rank]);
+  }
+  return ranks;
+};
+
+// Simplify a track by tolerance (meters) and/or a maximum number of points.
+// With both, the tolerance is applied first and the result is capped at maxPoints.
+const simplifyTrack = (points, { toleranceMeters = null, maxPoints = null } = {}) => {
+  if (points.length <= 2 || (!toleranceMeters && !maxPoints)) return points;
+  const ranks = douglasPeuckerRanks(points);
+  let indexes = points.map((_, i) => i);
+  if (toleranceMeters) indexes = indexes.filter(i => ranks[i] > toleranceMeters);
+  if (maxPoints && indexes.length > maxPoints) {
+    indexes = indexes
+      .sort((a, b) => ranks[b] - ranks[a])
+      .slice(0, Math.max(2, maxPoints))
+      .sort((a, b) => a - b);
+  }
+  return indexes.map(i => points[i]);
+};
+
+module.exports = {
+  trackStats,
+  douglasPeuckerRanks,
+  simplifyTrack
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { postPublic } = require('./outboundHttp');
+
+// Web Push (RFC 8030) with VAPID authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291).
+// Keys are base64url: VAPID_PUBLIC_KEY is the uncompressed P-256 point, VAPID_PRIVATE_KEY the
+// private scalar (generate them with scripts/generate_vapid_keys.js).
+
+const RECORD_SIZE = 4096;
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+
+const b64url = (buf) => Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const fromB64url = (value) => Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const getVapidKeys = () => {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) return null;
+  return { publicKey, privateKey, subject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost' };
+};
+
+const generateVapidKeys = () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = privateKey.export({ format: 'jwk' });
+  return {
+    publicKey: b64url(Buffer.concat([Buffer.from([0x04]), fromB64url(jwk.x), fromB64url(jwk.y)])),
+    privateKey: jwk.d
+  };
+};
+
+// ES256 JWT for the push service that owns `endpoint`
+const vapidAuthorization = (endpoint, keys) => {
+  const point = fromB64url(keys.publicKey);
+  const key = crypto.createPrivateKey({
+    key: { kty: 'EC', crv: 'P-256', d: keys.privateKey, x: b64url(point.subarray(1, 33)), y: b64url(point.subarray(33, 65)) },
+    format: 'jwk'
+  });
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS,
+    sub: keys.subject
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${keys.publicKey}`;
+};
+
+// Encrypt a payload for one subscription ({ p256dh, auth }) as a single aes128gcm record
+const encryptPayload = (payload, { p256dh, auth }) => {
+  const uaPublic = fromB64url(p256dh);
+  const authSecret = fromB64url(auth);
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  // 0x02 marks the last (only) record
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([0x02])])), cipher.final(), cipher.getAuthTag()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+};
+
+// Deliver one message. Returns the push service's HTTP response.
+// Endpoints come from browsers, so they go through the same internal-address check as webhooks.
+const sendPush = async (subscription, payload, { ttlSeconds = 86400, urgency = 'normal', timeoutMs = 10000 } = {}) => {
+  const keys = getVapidKeys();
+  if (!keys) throw new Error('VAPID keys are not configured');
+  return postPublic(subscription.endpoint, encryptPayload(payload, subscription), {
+    headers: {
+      Authorization: vapidAuthorization(subscription.endpoint, keys),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: String(ttlSeconds),
+      Urgency: urgency
+    },
+    timeoutMs,
+    httpsOnly: true
+  });
+};
+
+module.exports = {
+  getVapidKeys,
+  generateVapidKeys,
+  encryptPayload,
+  sendPush
+};
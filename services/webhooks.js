@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const { executeQuery } = require('../database');
+const gpsEmitter = require('../gpsEvents');
+const { generateSecret, fingerprintSecret, encryptSecret, decryptSecret } = require('./deviceKeys');
+const { runJob } = require('./scheduler');
+const { postPublic } = require('./outboundHttp');
+
+// Outbound webhooks for farm events.
+// Admins subscribe a URL to event types. Events are taken from gpsEmitter, written to
+// webhook_deliveries (one row per subscription) and POSTed by the webhook-deliveries job, which
+// retries non-2xx responses with exponential backoff until WEBHOOK_MAX_ATTEMPTS. Every attempt's
+// outcome stays in the delivery log and any delivery can be replayed by hand.
+//
+// Requests carry the JSON envelope { id, type, created_at, farm_id, data } and:
+//   X-Webhook-Id:        event id (the same for retries and replays, so receivers can dedupe)
+//   X-Webhook-Event:     event type
+//   X-Webhook-Delivery:  delivery id
+//   X-Webhook-Timestamp: unix seconds of this attempt
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+// Subscription secrets are shown once and stored encrypted like device secrets (DEVICE_SECRET_KEY).
+
+const WEBHOOK_JOB = 'webhook-deliveries';
+const WEBHOOK_EVENT_TYPES = [
+  'alert.created',
+  'alert.acknowledged',
+  'alert.resolved',
+  'fence.breached',
+  'animal.created',
+  'animal.updated',
+  'collar.offline'
+];
+// Sent only by POST /webhooks/:id/test
+const PING_EVENT = 'webhook.ping';
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+// Rows delivered per job run
+const BATCH_SIZE = 50;
+// A row left in 'sending' this long (process died mid-delivery) is tried again
+const STUCK_SENDING_MS = 10 * 60 * 1000;
+// Subscriptions are read for every event, so they are cached per farm (cleared on every change)
+const SUBSCRIPTIONS_CACHE_MS = 30000;
+const subscriptionsCache = new Map();
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const getRetryBaseMs = () => (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const getRetryMaxMs = () => (parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS, 10) || 21600) * 1000;
+const getTimeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Delay before the next attempt after `attempts` failed ones: base, 2x base, 4x base, ... capped
+const retryDelayMs = (attempts) => Math.min(getRetryBaseMs() * 2 ** Math.max(attempts - 1, 0), getRetryMaxMs());
+
+const parseJson = (value, fallback = null) => {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+const SUBSCRIPTION_COLUMNS = `id, farm_id, url, description, event_types, secret_fingerprint, is_enabled,
+  created_by, created_at, updated_at`;
+
+const formatSubscription = (row) => ({
+  ...row,
+  event_types: parseJson(row.event_types, []),
+  is_enabled: !!row.is_enabled
+});
+
+const invalidateSubscriptions = (farmId) => {
+  subscriptionsCache.delete(Number(farmId));
+};
+
+// Enabled subscriptions of a farm
+const getEnabledSubscriptions = async (farmId) => {
+  const id = Number(farmId) || 1;
+  const cached = subscriptionsCache.get(id);
+  if (cached && Date.now() - cached.loadedAt < SUBSCRIPTIONS_CACHE_MS) return cached.subscriptions;
+  const r = await executeQuery(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE farm_id = ? AND is_enabled = TRUE`,
+    [id]
+  );
+  if (!r.success) {
+    console.warn('Failed to load webhook subscriptions:', r.error);
+    return cached ? cached.subscriptions : [];
+  }
+  const subscriptions = r.data.map(formatSubscription);
+  subscriptionsCache.set(id, { subscriptions, loadedAt: Date.now() });
+  return subscriptions;
+};
+
+// Validate { url, description?, event_types, is_enabled? }. With `existing` the body is a partial
+// update merged over it. Returns { subscription } or { error }.
+const validateSubscription = (input, existing = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Body must be an object' };
+  const merged = {
+    url: existing ? existing.url : null,
+    description: existing ? existing.description : null,
+    event_types: existing ? existing.event_types : null,
+    is_enabled: existing ? existing.is_enabled : true
+  };
+  ['url', 'description', 'event_types', 'is_enabled'].forEach(key => {
+    if (input[key] !== undefined) merged[key] = input[key];
+  });
+
+  if (typeof merged.url !== 'string' || !merged.url || merged.url.length > 500) return { error: 'url is required (max 500 characters)' };
+  let url = null;
+  try {
+    url = new URL(merged.url);
+  } catch (err) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an http(s) URL' };
+  if (merged.description !== null && (typeof merged.description !== 'string' || merged.description.length > 255)) {
+    return { error: 'description must be a string (max 255 characters)' };
+  }
+  if (!Array.isArray(merged.event_types) || merged.event_types.length === 0) {
+    return { error: `event_types must be a non-empty list of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+  }
+  const unknown = merged.event_types.filter(t => !WEBHOOK_EVENT_TYPES.includes(t));
+  if (unknown.length) return { error: `Unknown event types: ${unknown.join(', ')}` };
+  if (typeof merged.is_enabled !== 'boolean') return { error: 'is_enabled must be a boolean' };
+
+  return { subscription: { ...merged, event_types: [...new Set(merged.event_types)] } };
+};
+
+const listSubscriptions = async (farmId) => {
+  const r = await executeQuery(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE farm_id = ? ORDER BY id`, [farmId]);
+  if (!r.success) throw new Error(`Failed to load webhook subscriptions: ${r.error}`);
+  return r.data.map(formatSubscription);
+};
+
+const getSubscription = async (farmId, id) => {
+  const r = await executeQuery(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE farm_id = ? AND id = ?`, [farmId, id]);
+  if (!r.success) throw new Error(`Failed to load webhook subscription: ${r.error}`);
+  return r.data.length ? formatSubscription(r.data[0]) : null;
+};
+
+// Create a subscription with a new secret. Returns { subscription, secret }; the secret is not
+// retrievable afterwards.
+const createSubscription = async (farmId, subscription, { userId = null } = {}) => {
+  const secret = generateSecret();
+  const r = await executeQuery(
+    `INSERT INTO webhook_subscriptions (farm_id, url, description, event_types, secret_encrypted, secret_fingerprint, is_enabled, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      farmId, subscription.url, subscription.description, JSON.stringify(subscription.event_types),
+      encryptSecret(secret), fingerprintSecret(secret), subscription.is_enabled, userId
+    ]
+  );
+  if (!r.success) throw new Error(`Failed to save webhook subscription: ${r.error}`);
+  invalidateSubscriptions(farmId);
+  return { subscription: await getSubscription(farmId, r.data.insertId), secret };
+};
+
+const updateSubscription = async (farmId, id, subscription) => {
+  const r = await executeQuery(
+    'UPDATE webhook_subscriptions SET url = ?, description = ?, event_types = ?, is_enabled = ? WHERE farm_id = ? AND id = ?',
+    [subscription.url, subscription.description, JSON.stringify(subscription.event_types), subscription.is_enabled, farmId, id]
+  );
+  if (!r.success) throw new Error(`Failed to save webhook subscription: ${r.error}`);
+  invalidateSubscriptions(farmId);
+  return getSubscription(farmId, id);
+};
+
+// Replace the secret immediately. Returns the new secret or null when the subscription is missing.
+const rotateSubscriptionSecret = async (farmId, id) => {
+  const secret = generateSecret();
+  const r = await executeQuery(
+    'UPDATE webhook_subscriptions SET secret_encrypted = ?, secret_fingerprint = ? WHERE farm_id = ? AND id = ?',
+    [encryptSecret(secret), fingerprintSecret(secret), farmId, id]
+  );
+  if (!r.success) throw new Error(`Failed to rotate webhook secret: ${r.error}`);
+  return r.data.affectedRows > 0 ? secret : null;
+};
+
+// Delete a subscription together with its delivery log
+const deleteSubscription = async (farmId, id) => {
+  const r = await executeQuery('DELETE FROM webhook_subscriptions WHERE farm_id = ? AND id = ?', [farmId, id]);
+  if (!r.success) throw new Error(`Failed to delete webhook subscription: ${r.error}`);
+  if (r.data.affectedRows === 0) return false;
+  await executeQuery('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [id]);
+  invalidateSubscriptions(farmId);
+  return true;
+};
+
+// ---- deliveries ----
+
+// Deliver soon instead of waiting for the next job run
+const kickDeliveries = () => {
+  setImmediate(() => {
+    runJob(WEBHOOK_JOB).catch(() => {});
+  });
+};
+
+const newEvent = (type, farmId, data) => ({
+  id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+  type,
+  created_at: new Date().toISOString(),
+  farm_id: Number(farmId) || 1,
+  data
+});
+
+// Queue one event for the given subscriptions. Returns the delivery ids.
+const enqueueEvent = async (event, subscriptions, { replayOf = null } = {}) => {
+  if (subscriptions.length === 0) return [];
+  const payload = JSON.stringify(event);
+  const now = new Date();
+  const ids = [];
+  for (const s of subscriptions) {
+    const r = await executeQuery(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, max_attempts, next_attempt_at, replay_of)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [s.id, event.id, event.type, payload, getMaxAttempts(), now, replayOf]
+    );
+    if (!r.success) throw new Error(`Failed to queue webhook delivery: ${r.error}`);
+    ids.push(r.data.insertId);
+  }
+  kickDeliveries();
+  return ids;
+};
+
+// Fan an event out to every enabled subscription of its farm that wants it
+const publishEvent = async (type, farmId, data) => {
+  const subscriptions = (await getEnabledSubscriptions(farmId)).filter(s => s.event_types.includes(type));
+  if (subscriptions.length === 0) return [];
+  return enqueueEvent(newEvent(type, farmId, data), subscriptions);
+};
+
+// Queue a ping for one subscription regardless of its event types. Returns the delivery id.
+const sendTestEvent = async (subscription) => {
+  const [id] = await enqueueEvent(newEvent(PING_EVENT, subscription.farm_id, { subscription_id: subscription.id }), [subscription]);
+  return id;
+};
+
+const finishDelivery = (id, fields) => {
+  const cols = Object.keys(fields);
+  return executeQuery(`UPDATE webhook_deliveries SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...cols.map(c => fields[c]), id]);
+};
+
+// POST one claimed row (row.attempts is the count before this attempt)
+const deliver = async (row) => {
+  const attempts = Number(row.attempts) + 1;
+  const s = await executeQuery('SELECT id, url, secret_encrypted, is_enabled FROM webhook_subscriptions WHERE id = ?', [row.subscription_id]);
+  if (!s.success) {
+    await finishDelivery(row.id, { status: 'pending', last_error: 'Failed to load subscription', next_attempt_at: new Date(Date.now() + retryDelayMs(attempts)) });
+    return 'retry';
+  }
+  const subscription = s.data[0];
+  const secret = subscription ? decryptSecret(subscription.secret_encrypted) : null;
+  let permanent = null;
+  if (!subscription) permanent = 'Subscription was deleted';
+  else if (!subscription.is_enabled) permanent = 'Subscription is disabled';
+  else if (!secret) permanent = 'Subscription secret cannot be decrypted';
+  if (permanent) {
+    await finishDelivery(row.id, { status: 'failed', last_error: permanent });
+    return 'failed';
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let response = null;
+  let error = null;
+  try {
+    // Connects only to a public address of the host and never follows redirects
+    response = await postPublic(subscription.url, row.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'cattle-farm-webhooks',
+        'X-Webhook-Id': row.event_id,
+        'X-Webhook-Event': row.event_type,
+        'X-Webhook-Delivery': String(row.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(secret, timestamp, row.payload)
+      },
+      timeoutMs: getTimeoutMs()
+    });
+  } catch (err) {
+    error = String(err && err.message ? err.message : err);
+  }
+  const durationMs = Date.now() - startedAt;
+  const responseBody = response ? (await response.text().catch(() => '')).substring(0, 1000) : null;
+  const result = {
+    response_status: response ? response.status : null,
+    response_body: responseBody,
+    duration_ms: durationMs
+  };
+
+  if (response && response.ok) {
+    await finishDelivery(row.id, { ...result, status: 'delivered', delivered_at: new Date(), last_error: null });
+    return 'delivered';
+  }
+  const lastError = (error || `Responded ${response.status}`).substring(0, 1000);
+  if (attempts >= Number(row.max_attempts)) {
+    await finishDelivery(row.id, { ...result, status: 'failed', last_error: lastError });
+    return 'failed';
+  }
+  await finishDelivery(row.id, { ...result, status: 'pending', last_error: lastError, next_attempt_at: new Date(Date.now() + retryDelayMs(attempts)) });
+  return 'retry';
+};
+
+// Background job: deliver due webhook rows
+const processDeliveries = async () => {
+  const now = new Date();
+  const reclaim = await executeQuery(
+    `UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending' AND updated_at < ?`,
+    [new Date(now.getTime() - STUCK_SENDING_MS)]
+  );
+  if (!reclaim.success) throw new Error(`Failed to reclaim webhook deliveries: ${reclaim.error}`);
+
+  const due = await executeQuery(
+    `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ${BATCH_SIZE}`,
+    [now]
+  );
+  if (!due.success) throw new Error(`Failed to load webhook deliveries: ${due.error}`);
+
+  const outcome = { delivered: 0, retry: 0, failed: 0 };
+  for (const row of due.data) {
+    // Claim first so another instance (or an overlapping kick) can't send the same row
+    const claim = await executeQuery(
+      `UPDATE webhook_deliveries SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'pending'`,
+      [row.id]
+    );
+    if (!claim.success || claim.data.affectedRows === 0) continue;
+    outcome[await deliver(row)] += 1;
+  }
+  return outcome;
+};
+
+const DELIVERY_COLUMNS = `id, subscription_id, event_id, event_type, status, attempts, max_attempts, next_attempt_at,
+  response_status, last_error, duration_ms, delivered_at, replay_of, created_at, updated_at`;
+
+// Delivery log of a subscription (newest first) with counts per status.
+// filters: { status, eventType, limit }
+const listDeliveries = async (subscriptionId, { status = null, eventType = null, limit = 100 } = {}) => {
+  const where = ['subscription_id = ?'];
+  const params = [subscriptionId];
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (eventType) { where.push('event_type = ?'); params.push(eventType); }
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+  const [rows, counts] = await Promise.all([
+    executeQuery(`SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries ${whereSql} ORDER BY id DESC LIMIT ${Number(limit)}`, params),
+    executeQuery(`SELECT status, COUNT(*) AS total FROM webhook_deliveries ${whereSql} GROUP BY status`, params)
+  ]);
+  if (!rows.success || !counts.success) throw new Error('Failed to load webhook deliveries');
+  const byStatus = {};
+  DELIVERY_STATUSES.forEach(s => { byStatus[s] = 0; });
+  counts.data.forEach(c => { byStatus[c.status] = Number(c.total); });
+  return { counts: byStatus, deliveries: rows.data };
+};
+
+// One delivery of a farm's subscription, with its payload and last response body
+const getDelivery = async (farmId, id) => {
+  const r = await executeQuery(
+    `SELECT d.* FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id = ? AND s.farm_id = ?`,
+    [id, farmId]
+  );
+  if (!r.success) throw new Error(`Failed to load webhook delivery: ${r.error}`);
+  return r.data.length ? { ...r.data[0], payload: parseJson(r.data[0].payload) } : null;
+};
+
+// Send a delivery's event again as a new delivery (same event id, signed with the current secret).
+// Returns the new delivery id or null when the delivery doesn't exist.
+const replayDelivery = async (farmId, id) => {
+  const delivery = await getDelivery(farmId, id);
+  if (!delivery) return null;
+  const [newId] = await enqueueEvent(delivery.payload, [{ id: delivery.subscription_id }], { replayOf: delivery.id });
+  return newId;
+};
+
+// ---- event sources ----
+
+// gpsEmitter event -> webhook event type (or null when subscribers don't care)
+const alertEventType = (alert) => {
+  if (alert.repeat || alert.escalation) return null;
+  if (alert.status === 'resolved') return 'alert.resolved';
+  if (alert.status === 'acknowledged' && alert.acknowledged_at) return 'alert.acknowledged';
+  return 'alert.created';
+};
+
+const withoutType = ({ type, ...rest }) => rest;
+
+const EVENT_SOURCES = {
+  alert: (data) => {
+    const type = alertEventType(data);
+    return type ? { type, data } : null;
+  },
+  fence: (data) => (data.type === 'exit' ? { type: 'fence.breached', data: withoutType(data) } : null),
+  device: (data) => (data.type === 'collar_offline' ? { type: 'collar.offline', data: withoutType(data) } : null),
+  animal: (data) => ({ type: `animal.${data.type}`, data: data.animal })
+};
+
+let dispatcherStarted = false;
+
+// Listen on gpsEmitter and queue matching events for subscribers
+const startWebhookDispatcher = () => {
+  if (dispatcherStarted) return;
+  dispatcherStarted = true;
+  Object.entries(EVENT_SOURCES).forEach(([source, toEvent]) => {
+    gpsEmitter.on(source, (payload) => {
+      const event = payload ? toEvent(payload) : null;
+      if (!event || !WEBHOOK_EVENT_TYPES.includes(event.type)) return;
+      publishEvent(event.type, payload.farm_id, event.data).catch(err => {
+        console.warn(`Failed to queue ${event.type} webhooks:`, err && err.message ? err.message : err);
+      });
+    });
+  });
+};
+
+module.exports = {
+  WEBHOOK_JOB,
+  WEBHOOK_EVENT_TYPES,
+  DELIVERY_STATUSES,
+  retryDelayMs,
+  signPayload,
+  validateSubscription,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  publishEvent,
+  sendTestEvent,
+  processDeliveries,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  startWebhookDispatcher
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../database');
+const gpsEmitter = require('../gpsEvents');
+
+// A small in-memory alerts table behind executeQuery
+let alerts = [];
+database.executeQuery = async (sql, params = []) => {
+  if (/^INSERT INTO alerts/.test(sql)) {
+    const cols = sql.match(/\(([^)]+)\) VALUES/)[1].split(', ');
+    const row = { id: alerts.length + 1 };
+    cols.forEach((col, i) => { row[col] = params[i]; });
+    alerts.push(row);
+    return { success: true, data: { insertId: row.id, affectedRows: 1 } };
+  }
+  if (/FROM alerts\s+WHERE dedupe_key = \?/.test(sql)) {
+    const [key, ...rest] = params;
+    const since = rest[rest.length - 1];
+    const open = alerts
+      .filter(a => a.dedupe_key === key && ['active', 'acknowledged'].includes(a.status) && a.last_seen_at >= since)
+      .sort((a, b) => b.id - a.id);
+    return { success: true, data: open.slice(0, 1).map(a => ({ ...a })) };
+  }
+  if (/^UPDATE alerts SET\s+occurrence_count/.test(sql)) {
+    const row = alerts.find(a => a.id === params[params.length - 1]);
+    const at = params[params.length - 2];
+    row.occurrence_count += 1;
+    row.severity = params[0];
+    if (at >= row.last_seen_at) row.last_seen_at = at;
+    return { success: true, data: { affectedRows: 1 } };
+  }
+  return { success: true, data: [] };
+};
+
+const { alertDedupeKey, createAlert } = require('../services/alerts');
+
+const emitted = [];
+gpsEmitter.on('alert', alert => emitted.push(alert));
+
+test.beforeEach(() => {
+  alerts = [];
+  emitted.length = 0;
+});
+
+const fenceExit = (overrides = {}) => ({
+  farmId: 1, animalId: 5, fenceId: 2, alertType: 'fence_exit', severity: 'medium', message: 'Left the fence',
+  triggeredAt: new Date(), ...overrides
+});
+
+test('alertDedupeKey is built from the subject, type, fence and rule', () => {
+  const base = { animalId: null, collarId: null, alertType: 'fence_exit', fenceId: null, ruleId: null };
+  assert.equal(alertDedupeKey(base), null);
+  assert.equal(alertDedupeKey({ ...base, animalId: 5, fenceId: 2 }), 'a:5|fence_exit|2');
+  assert.equal(alertDedupeKey({ ...base, animalId: 5, collarId: 9 }), 'a:5|fence_exit|');
+  assert.equal(alertDedupeKey({ ...base, collarId: 9, ruleId: 3 }), 'c:9|fence_exit||r:3');
+});
+
+test('a repeat inside the dedupe window is folded into the open alert', async () => {
+  const first = await createAlert(fenceExit());
+  const repeat = await createAlert(fenceExit({ triggeredAt: new Date(Date.now() + 1000) }));
+  assert.equal(first.deduplicated, false);
+  assert.deepEqual(
+    { id: repeat.id, deduplicated: repeat.deduplicated, notify: repeat.notify, occurrence_count: repeat.occurrence_count },
+    { id: first.id, deduplicated: true, notify: false, occurrence_count: 2 }
+  );
+  assert.equal(alerts.length, 1);
+  assert.equal(emitted[1].repeat, true);
+});
+
+test('a repeat with a higher severity escalates the open alert', async () => {
+  await createAlert(fenceExit());
+  const repeat = await createAlert(fenceExit({ severity: 'high', triggeredAt: new Date(Date.now() + 1000) }));
+  assert.equal(repeat.escalated, true);
+  assert.equal(repeat.notify, true);
+  assert.equal(alerts[0].severity, 'high');
+  // A lower severity never downgrades it
+  const lower = await createAlert(fenceExit({ severity: 'low', triggeredAt: new Date(Date.now() + 2000) }));
+  assert.equal(lower.escalated, false);
+  assert.equal(alerts[0].severity, 'high');
+});
+
+test('concurrent repeats are serialised into a single alert', async () => {
+  const results = await Promise.all([1, 2, 3].map(() => createAlert(fenceExit())));
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].occurrence_count, 3);
+  assert.deepEqual(results.map(r => r.deduplicated), [false, true, true]);
+});
+
+test('different fences, resolved alerts and alerts without a subject are not folded', async () => {
+  await createAlert(fenceExit());
+  await createAlert(fenceExit({ fenceId: 3 }));
+  assert.equal(alerts.length, 2);
+
+  alerts[0].status = 'resolved';
+  await createAlert(fenceExit());
+  assert.equal(alerts.length, 3);
+
+  await createAlert({ alertType: 'system', message: 'Broker down' });
+  await createAlert({ alertType: 'system', message: 'Broker down' });
+  assert.equal(alerts.length, 5);
+});
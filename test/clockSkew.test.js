@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { skewFlag, checkClockSkew } = require('../services/clockSkew');
+
+const settings = { clock_max_future_seconds: 300, clock_max_past_hours: 168, clock_correct_skew: 1 };
+const receivedAt = new Date('2026-03-01T12:00:00Z');
+const point = (iso) => ({ recorded_at: new Date(iso) });
+
+test('skewFlag compares the device time with the receive time', () => {
+  assert.equal(skewFlag(new Date('2026-03-01T11:59:00Z'), receivedAt, settings), null);
+  assert.equal(skewFlag(new Date('2026-03-01T12:04:59Z'), receivedAt, settings), null);
+  assert.equal(skewFlag(new Date('2026-03-01T12:06:00Z'), receivedAt, settings), 'clock_future');
+  assert.equal(skewFlag(new Date('2026-02-20T12:00:00Z'), receivedAt, settings), 'clock_past');
+});
+
+test('good clocks only get their skew recorded', () => {
+  const points = [point('2026-03-01T11:58:00Z'), point('2026-03-01T11:59:30Z')];
+  assert.deepEqual(checkClockSkew(points, settings, receivedAt), []);
+  assert.deepEqual(points.map(p => p.clock_skew_seconds), [-120, -30]);
+  assert.ok(points.every(p => !p.clock_flags && !p.clock_quarantined));
+  assert.deepEqual(points[1].recorded_at, new Date('2026-03-01T11:59:30Z'));
+});
+
+test('a wrong clock is corrected by one offset that keeps the spacing between fixes', () => {
+  // A collar whose RTC reset to 1970, sending two fixes a minute apart
+  const points = [point('1970-01-01T00:10:00Z'), point('1970-01-01T00:11:00Z')];
+  assert.deepEqual(checkClockSkew(points, settings, receivedAt), []);
+  assert.deepEqual(points.map(p => p.recorded_at), [new Date('2026-03-01T11:59:00Z'), receivedAt]);
+  assert.deepEqual(points[0].device_recorded_at, new Date('1970-01-01T00:10:00Z'));
+  assert.deepEqual(points[1].clock_flags, ['clock_past', 'clock_corrected']);
+  assert.ok(points.every(p => !p.clock_quarantined));
+});
+
+test('without correction a wrong clock is flagged and quarantined', () => {
+  const points = [point('2026-03-01T13:00:00Z')];
+  assert.deepEqual(checkClockSkew(points, { ...settings, clock_correct_skew: 0 }, receivedAt), []);
+  assert.deepEqual(points[0].clock_flags, ['clock_future']);
+  assert.equal(points[0].clock_quarantined, true);
+  assert.deepEqual(points[0].recorded_at, new Date('2026-03-01T13:00:00Z'));
+});
+
+test('a stray skewed fix next to a good newest fix is quarantined, not corrected', () => {
+  const points = [point('2026-02-01T00:00:00Z'), point('2026-03-01T11:59:00Z')];
+  checkClockSkew(points, settings, receivedAt);
+  assert.deepEqual(points[0].clock_flags, ['clock_past']);
+  assert.equal(points[0].clock_quarantined, true);
+  assert.deepEqual(points[0].recorded_at, new Date('2026-02-01T00:00:00Z'));
+  assert.equal(points[1].clock_flags, undefined);
+});
+
+test('uncorrected fixes outside the TIMESTAMP range are returned as unstorable', () => {
+  const points = [point('2080-01-01T00:00:00Z')];
+  const unstorable = checkClockSkew(points, { ...settings, clock_correct_skew: 0 }, receivedAt);
+  assert.deepEqual(unstorable, points);
+});
+
+test('an empty list is a no-op', () => {
+  assert.deepEqual(checkClockSkew([], settings, receivedAt), []);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../database');
+
+// Credentials served to deviceKeys in place of the device_credentials table
+const credentials = new Map();
+database.executeQuery = async (sql, params = []) => {
+  if (/FROM device_credentials WHERE key_id = \?/.test(sql)) {
+    const row = credentials.get(params[0]);
+    return { success: true, data: row ? [row] : [] };
+  }
+  return { success: true, data: { affectedRows: 1 } };
+};
+
+const { hashSecret, encryptSecret, computeSignature, verifyDeviceRequest, verifyDeviceSecret } = require('../services/deviceKeys');
+
+const addCredential = (keyId, fields) => credentials.set(keyId, {
+  id: credentials.size + 1,
+  key_id: keyId,
+  name: keyId,
+  device_type: 'collar',
+  collar_id: 7,
+  farm_id: 1,
+  status: 'active',
+  secret_hash: null,
+  secret_encrypted: null,
+  previous_secret_hash: null,
+  previous_secret_encrypted: null,
+  previous_valid_until: null,
+  ...fields
+});
+
+let requestCount = 0;
+// A signed POST /api/v1/gps request; each call has a different body so signatures never repeat
+const signedRequest = (keyId, signingKey, { timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  requestCount += 1;
+  const parts = { timestamp: String(timestamp), method: 'POST', url: '/api/v1/gps', rawBody: Buffer.from(`{"n":${requestCount}}`) };
+  return { keyId, ...parts, signature: computeSignature(signingKey, parts) };
+};
+
+addCredential('dk_hashed', { secret_hash: hashSecret('current-secret') });
+addCredential('dk_legacy', { secret_encrypted: encryptSecret('legacy-secret') });
+addCredential('dk_rotated', {
+  secret_hash: hashSecret('new-secret'),
+  previous_secret_hash: hashSecret('old-secret'),
+  previous_valid_until: new Date(Date.now() + 60 * 1000)
+});
+addCredential('dk_expired', {
+  secret_hash: hashSecret('new-secret'),
+  previous_secret_hash: hashSecret('old-secret'),
+  previous_valid_until: new Date(Date.now() - 60 * 1000)
+});
+addCredential('dk_revoked', { secret_hash: hashSecret('current-secret'), status: 'revoked' });
+
+test('requests signed with the hash of the secret are accepted', async () => {
+  const result = await verifyDeviceRequest(signedRequest('dk_hashed', hashSecret('current-secret')));
+  assert.equal(result.device.key_id, 'dk_hashed');
+  assert.equal(result.device.collar_id, 7);
+});
+
+test('requests signed with the wrong key, the raw secret or a tampered body are rejected', async () => {
+  for (const key of [hashSecret('other-secret'), 'current-secret']) {
+    assert.deepEqual(await verifyDeviceRequest(signedRequest('dk_hashed', key)), { status: 401, message: 'Invalid device signature' });
+  }
+  const tampered = { ...signedRequest('dk_hashed', hashSecret('current-secret')), rawBody: Buffer.from('{"n":-1}') };
+  assert.equal((await verifyDeviceRequest(tampered)).message, 'Invalid device signature');
+});
+
+test('a signature can only be used once', async () => {
+  const request = signedRequest('dk_hashed', hashSecret('current-secret'));
+  assert.ok((await verifyDeviceRequest(request)).device);
+  assert.deepEqual(await verifyDeviceRequest(request), { status: 401, message: 'Replayed device request' });
+});
+
+test('timestamps outside the window, unknown and revoked keys are rejected', async () => {
+  const stale = signedRequest('dk_hashed', hashSecret('current-secret'), { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+  assert.equal((await verifyDeviceRequest(stale)).message, 'Device request timestamp outside allowed window');
+  assert.equal((await verifyDeviceRequest(signedRequest('dk_missing', hashSecret('x')))).message, 'Unknown or revoked device key');
+  assert.equal((await verifyDeviceRequest(signedRequest('dk_revoked', hashSecret('current-secret')))).message, 'Unknown or revoked device key');
+  assert.equal((await verifyDeviceRequest({ keyId: 'dk_hashed' })).message, 'Device signature required');
+});
+
+test('keys issued before hashing still sign with the decrypted secret', async () => {
+  assert.ok((await verifyDeviceRequest(signedRequest('dk_legacy', 'legacy-secret'))).device);
+  assert.equal((await verifyDeviceRequest(signedRequest('dk_legacy', hashSecret('legacy-secret')))).message, 'Invalid device signature');
+});
+
+test('the previous secret works only during the rotation grace period', async () => {
+  assert.ok((await verifyDeviceRequest(signedRequest('dk_rotated', hashSecret('old-secret')))).device);
+  assert.ok((await verifyDeviceRequest(signedRequest('dk_rotated', hashSecret('new-secret')))).device);
+  assert.equal((await verifyDeviceRequest(signedRequest('dk_expired', hashSecret('old-secret')))).message, 'Invalid device signature');
+});
+
+test('MQTT logins compare the hash of the raw secret', async () => {
+  assert.ok((await verifyDeviceSecret('dk_hashed', 'current-secret')).device);
+  assert.ok((await verifyDeviceSecret('dk_legacy', 'legacy-secret')).device);
+  assert.equal((await verifyDeviceSecret('dk_hashed', hashSecret('current-secret'))).message, 'Invalid device credentials');
+  assert.equal((await verifyDeviceSecret('dk_hashed', 'wrong')).message, 'Invalid device credentials');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePolygonGeometry, isPointInGeometry } = require('../services/geo');
+
+const square = [[30, -1], [30.01, -1], [30.01, -0.99], [30, -0.99], [30, -1]];
+
+test('normalizePolygonGeometry accepts a polygon, a Feature and a JSON string', () => {
+  const polygon = { type: 'Polygon', coordinates: [square] };
+  assert.deepEqual(normalizePolygonGeometry(polygon).geometry, polygon);
+  assert.deepEqual(normalizePolygonGeometry({ type: 'Feature', geometry: polygon }).geometry, polygon);
+  assert.deepEqual(normalizePolygonGeometry(JSON.stringify(polygon)).geometry, polygon);
+});
+
+test('normalizePolygonGeometry drops consecutive duplicate vertices', () => {
+  const ring = [square[0], square[0], ...square.slice(1)];
+  const { geometry } = normalizePolygonGeometry({ type: 'Polygon', coordinates: [ring] });
+  assert.deepEqual(geometry.coordinates[0], square);
+});
+
+test('normalizePolygonGeometry rejects invalid geometries', () => {
+  const cases = [
+    ['not json', 'geometry must be valid GeoJSON'],
+    [{ type: 'Point', coordinates: [30, -1] }, 'geometry must be a GeoJSON Polygon or MultiPolygon'],
+    [{ type: 'Polygon', coordinates: [square.slice(0, -1)] }, 'polygon 0 ring 0 is not closed (first and last positions must match)'],
+    [{ type: 'Polygon', coordinates: [[[30, -1], [30.01, -1], [30, -1]]] }, 'polygon 0 ring 0 needs at least 4 positions'],
+    [{ type: 'Polygon', coordinates: [[[30, -1], [30.01, -1], [30.02, -1], [30, -1]]] }, 'polygon 0 ring 0 has zero area'],
+    [{ type: 'Polygon', coordinates: [[[30, -1], [30.02, -0.99], [30.02, -1], [30, -0.98], [30, -1]]] }, 'polygon 0 ring 0 is self-intersecting'],
+    [{ type: 'Polygon', coordinates: [[[30, -1], [200, -1], [30, 1], [30, -1]]] }, 'polygon 0 ring 0 contains an invalid position']
+  ];
+  cases.forEach(([input, error]) => assert.equal(normalizePolygonGeometry(input).error, error));
+});
+
+test('normalizePolygonGeometry checks holes against the outer ring', () => {
+  const inside = [[30.002, -0.998], [30.004, -0.998], [30.004, -0.996], [30.002, -0.996], [30.002, -0.998]];
+  const outside = [[31, -1], [31.01, -1], [31.01, -0.99], [31, -0.99], [31, -1]];
+  const crossing = [[30.005, -0.995], [30.02, -0.995], [30.02, -0.985], [30.005, -0.985], [30.005, -0.995]];
+  assert.ok(normalizePolygonGeometry({ type: 'Polygon', coordinates: [square, inside] }).geometry);
+  assert.equal(normalizePolygonGeometry({ type: 'Polygon', coordinates: [square, outside] }).error, 'polygon 0 hole 1 lies outside the outer ring');
+  assert.equal(normalizePolygonGeometry({ type: 'Polygon', coordinates: [square, crossing] }).error, 'polygon 0 hole 1 crosses the outer ring');
+});
+
+test('a point inside a hole is outside the polygon', () => {
+  const hole = [[30.002, -0.998], [30.004, -0.998], [30.004, -0.996], [30.002, -0.996], [30.002, -0.998]];
+  const { geometry } = normalizePolygonGeometry({ type: 'MultiPolygon', coordinates: [[square, hole]] });
+  assert.equal(isPointInGeometry(-0.995, 30.008, geometry), true);
+  assert.equal(isPointInGeometry(-0.997, 30.003, geometry), false);
+});
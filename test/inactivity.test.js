@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { weightedHours, stationaryRun } = require('../services/inactivity');
+
+const settings = { utc_offset_minutes: 0, night_start_hour: 20, night_end_hour: 6, inactivity_night_factor: 0.5 };
+const at = (iso) => new Date(iso);
+
+test('weightedHours counts daytime hours in full', () => {
+  assert.equal(weightedHours(at('2026-03-01T08:00:00Z'), at('2026-03-01T12:00:00Z'), settings), 4);
+});
+
+test('weightedHours weights night hours by the night factor, across midnight', () => {
+  // 22:00-02:00 is all night: 4 h * 0.5
+  assert.equal(weightedHours(at('2026-03-01T22:00:00Z'), at('2026-03-02T02:00:00Z'), settings), 2);
+  // 04:00-08:00: 2 night hours (1 h weighted) + 2 day hours
+  assert.equal(weightedHours(at('2026-03-02T04:00:00Z'), at('2026-03-02T08:00:00Z'), settings), 3);
+});
+
+test('weightedHours uses the farm-local night', () => {
+  // 18:00-20:00 UTC is 20:00-22:00 at UTC+2
+  assert.equal(weightedHours(at('2026-03-01T18:00:00Z'), at('2026-03-01T20:00:00Z'), { ...settings, utc_offset_minutes: 120 }), 1);
+});
+
+test('weightedHours handles partial slices and empty ranges', () => {
+  assert.equal(weightedHours(at('2026-03-01T08:00:00Z'), at('2026-03-01T08:20:00Z'), settings), 20 / 60);
+  assert.equal(weightedHours(at('2026-03-01T08:00:00Z'), at('2026-03-01T08:00:00Z'), settings), 0);
+});
+
+test('stationaryRun walks back while fixes stay within the radius of the latest fix', () => {
+  // Newest first; ~0.0001 degrees of latitude is about 11 m
+  const fixes = [
+    { latitude: -1.0, longitude: 30.0, recorded_at: '2026-03-01T12:00:00Z' },
+    { latitude: -1.0001, longitude: 30.0, recorded_at: '2026-03-01T11:00:00Z' },
+    { latitude: -1.0002, longitude: 30.0, recorded_at: '2026-03-01T10:00:00Z' },
+    { latitude: -1.01, longitude: 30.0, recorded_at: '2026-03-01T09:00:00Z' },
+    { latitude: -1.0, longitude: 30.0, recorded_at: '2026-03-01T08:00:00Z' }
+  ];
+  const run = stationaryRun(fixes, 50);
+  assert.equal(run.fixes, 3);
+  assert.deepEqual(run.since, at('2026-03-01T10:00:00Z'));
+});
+
+test('stationaryRun of a single fix starts at that fix', () => {
+  const run = stationaryRun([{ latitude: -1, longitude: 30, recorded_at: '2026-03-01T12:00:00Z' }], 50);
+  assert.deepEqual(run, { since: at('2026-03-01T12:00:00Z'), fixes: 1 });
+});
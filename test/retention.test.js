@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeHours } = require('../services/retention');
+const { haversineMeters } = require('../services/geo');
+
+const fix = (animalId, iso, latitude, longitude, extra = {}) => ({
+  animal_id: animalId, farm_id: 1, latitude, longitude, recorded_at: new Date(iso), battery_level: null, temperature_celsius: null, ...extra
+});
+
+test('summarizeHours groups fixes per animal and hour', () => {
+  const hours = summarizeHours([
+    fix(1, '2026-03-01T10:05:00Z', -1.0, 30.0, { temperature_celsius: 38.5, battery_level: 80 }),
+    fix(1, '2026-03-01T10:35:00Z', -1.002, 30.002, { temperature_celsius: 39.1, battery_level: 79 }),
+    fix(1, '2026-03-01T11:10:00Z', -1.002, 30.002),
+    fix(2, '2026-03-01T10:20:00Z', -2.0, 31.0)
+  ]);
+  assert.equal(hours.length, 3);
+  const [first] = hours;
+  assert.equal(first.animal_id, 1);
+  assert.deepEqual(first.hour_start, new Date('2026-03-01T10:00:00Z'));
+  assert.equal(first.fix_count, 2);
+  assert.equal(first.centroid_latitude, -1.001);
+  assert.equal(first.centroid_longitude, 30.001);
+  assert.equal(first.min_temperature_celsius, 38.5);
+  assert.equal(first.max_temperature_celsius, 39.1);
+  assert.equal(first.min_battery_level, 79);
+  assert.equal(first.max_battery_level, 80);
+  assert.deepEqual(first.first_fix_at, new Date('2026-03-01T10:05:00Z'));
+  assert.deepEqual(first.last_fix_at, new Date('2026-03-01T10:35:00Z'));
+});
+
+test('summarizeHours credits the segment between hours to the later hour', () => {
+  const fixes = [
+    fix(1, '2026-03-01T10:50:00Z', -1.0, 30.0),
+    fix(1, '2026-03-01T10:55:00Z', -1.001, 30.0),
+    fix(1, '2026-03-01T11:05:00Z', -1.002, 30.0),
+    fix(1, '2026-03-01T12:30:00Z', -1.003, 30.0)
+  ];
+  const hours = summarizeHours(fixes);
+  const leg = (a, b) => haversineMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+  const rounded = (m) => Math.round(m * 10) / 10;
+  assert.deepEqual(hours.map(h => h.distance_meters), [
+    rounded(leg(fixes[0], fixes[1])),
+    rounded(leg(fixes[1], fixes[2])),
+    rounded(leg(fixes[2], fixes[3]))
+  ]);
+  const total = hours.reduce((sum, h) => sum + h.distance_meters, 0);
+  assert.ok(Math.abs(total - (leg(fixes[0], fixes[1]) + leg(fixes[1], fixes[2]) + leg(fixes[2], fixes[3]))) < 0.2);
+});
+
+test('summarizeHours never links the tracks of two animals', () => {
+  const hours = summarizeHours([
+    fix(1, '2026-03-01T10:10:00Z', -1.0, 30.0),
+    fix(2, '2026-03-01T10:20:00Z', -2.0, 31.0),
+    fix(2, '2026-03-01T11:20:00Z', -2.0, 31.0)
+  ]);
+  assert.deepEqual(hours.map(h => h.distance_meters), [0, 0, 0]);
+});
+
+test('summarizeHours defaults a missing farm to 1', () => {
+  const [hour] = summarizeHours([fix(1, '2026-03-01T10:10:00Z', -1.0, 30.0, { farm_id: null })]);
+  assert.equal(hour.farm_id, 1);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimestamp } = require('../services/time');
+
+test('parseTimestamp reads ISO-8601 as UTC unless it names an offset', () => {
+  assert.deepEqual(parseTimestamp('2026-03-01T10:00:00'), new Date('2026-03-01T10:00:00Z'));
+  assert.deepEqual(parseTimestamp('2026-03-01T12:00:00+02:00'), new Date('2026-03-01T10:00:00Z'));
+  assert.deepEqual(parseTimestamp('2026-03-01'), new Date('2026-03-01T00:00:00Z'));
+});
+
+test('parseTimestamp reads epoch seconds and milliseconds', () => {
+  assert.deepEqual(parseTimestamp(1772359200), new Date('2026-03-01T10:00:00Z'));
+  assert.deepEqual(parseTimestamp('1772359200000'), new Date('2026-03-01T10:00:00Z'));
+});
+
+test('parseTimestamp rejects impossible dates and junk instead of rolling them over', () => {
+  ['2026-02-30T10:00:00Z', '2026-13-01', 'yesterday', '', null].forEach(value => assert.equal(parseTimestamp(value), null));
+});